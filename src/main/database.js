@@ -1,861 +1,2182 @@
 const sqlite3 = require("sqlite3").verbose();
 const path = require("path");
-const { app } = require("electron");
+const fs = require("fs");
+const crypto = require("crypto");
 const logger = require("./logger");
+const migrations = require("./migrations");
+const { parseFilterQuery, buildFilterCondition } = require("./sessionFilter");
+const {
+  PROVIDER_SECRET_PREFIX,
+  isEncryptionAvailable,
+  encryptSecret,
+  decryptSecret,
+  createProviderSecretRef,
+} = require("./services/secretService");
+
+// Filename of an in-memory database, nothing is written to disk
+const IN_MEMORY = ":memory:";
+
+// Prepared statements kept for reuse, the oldest are finalized beyond this
+const STATEMENT_CACHE_SIZE = 100;
+
+// Milliseconds to wait for a lock held by another connection before failing
+const BUSY_TIMEOUT = 5000;
+
+// Changes that replace message content, recorded with the revision of the previous content
+const REVISION_REASONS = ["stream_final", "user_edit", "termination", "restore"];
+
+// Whether stored message content has any text, empty reply placeholders get no revision
+const hasMessageText = (content) => {
+  try {
+    const blocks = JSON.parse(content);
+    if (Array.isArray(blocks)) {
+      return blocks.some((block) =>
+        typeof block?.content === "string"
+          ? block.content.trim() !== ""
+          : Array.isArray(block?.content) && block.content.length > 0
+      );
+    }
+  } catch (e) {
+    // Plain text content
+  }
+  return typeof content === "string" && content.trim() !== "";
+};
+
+const INSERT_MESSAGE_SQL =
+  "INSERT INTO chat_message (sessionId, parentId, role, providerId, modelId, content, status, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)";
+
+// Bulk inserts of imported and forked messages also carry the recorded usage
+const INSERT_MESSAGE_WITH_USAGE_SQL =
+  "INSERT INTO chat_message (sessionId, parentId, role, providerId, modelId, content, status, createdAt, updatedAt, promptTokens, completionTokens, reasoningTokens, latencyMs, cost) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)";
+
+// Branch from the root message down to a message, root first
+// depth guards against cycles in corrupted data
+const MESSAGE_PATH_SQL = `WITH RECURSIVE path(id, parentId, depth) AS (
+    SELECT id, parentId, 0 FROM chat_message WHERE id = ?
+    UNION ALL
+    SELECT m.id, m.parentId, path.depth + 1
+    FROM chat_message m JOIN path ON m.id = path.parentId
+    WHERE path.depth < 100000
+  )
+  SELECT m.* FROM chat_message m JOIN path ON m.id = path.id
+  WHERE m.deletedAt IS NULL
+  ORDER BY path.depth DESC`;
 
 class ChatDatabase {
-  constructor() {
+  /**
+   * Open the database and bring its schema up to date, wait for this.ready before using it
+   * @param {Object} options Database options
+   * @param {string} options.filename Database file, ":memory:" for an in-memory database.
+   *   Defaults to seekchat.db in the application data directory. An in-memory database
+   *   doesn't need Electron, so it can be used from plain Node, e.g. in tests.
+   */
+  constructor(options = {}) {
     // Database file path, placed in the application data directory
-    const dbPath = path.join(app.getPath("userData"), "seekchat.db");
+    const dbPath =
+      options.filename ||
+      path.join(require("electron").app.getPath("userData"), "seekchat.db");
+    this.dbPath = dbPath;
+    this.inMemory = dbPath === IN_MEMORY;
+
+    // Prepared statement promises by SQL, in insertion order for eviction
+    this.statements = new Map();
+    // Settles once all queued transactions are done, statements outside a transaction wait for it
+    this.transactionLock = Promise.resolve();
+    // Statements issued outside a transaction that have not finished yet
+    this.pendingStatements = new Set();
 
     logger.info("Database file path:", dbPath);
 
-    try {
-      // Create database connection
-      this.db = new sqlite3.Database(dbPath, (err) => {
-        if (err) {
-          logger.error("Database connection failed:", err.message);
-        } else {
-          logger.info("Connected to database");
-          this.init();
-        }
-      });
-    } catch (err) {
-      logger.error("Failed to create database connection:", err.message);
-      throw err;
-    }
+    // Remember whether this is an existing database, only those need a backup before migrating
+    const isExistingDatabase = !this.inMemory && fs.existsSync(dbPath);
+
+    // Resolved once the connection is open and all migrations have been applied
+    this.ready = new Promise((resolve, reject) => {
+      try {
+        // Create database connection
+        this.db = new sqlite3.Database(dbPath, (err) => {
+          if (err) {
+            logger.error("Database connection failed:", err.message);
+            reject(err);
+          } else {
+            logger.info("Connected to database");
+            this.init(isExistingDatabase).then(resolve).catch(reject);
+          }
+        });
+      } catch (err) {
+        logger.error("Failed to create database connection:", err.message);
+        reject(err);
+      }
+    });
+
+    // Avoid unhandled rejection warnings, callers observe errors through this.ready
+    this.ready.catch(() => {});
   }
 
   // Initialize database tables
-  init() {
+  async init(isExistingDatabase = false) {
     // Check if database object exists
     if (!this.db) {
       logger.error("Initialization failed: database object does not exist");
       throw new Error("Database object does not exist");
     }
 
-    // Save this reference for use in callbacks
-    const self = this;
+    // Wait for locks held by other connections, e.g. while a backup is read
+    this.db.configure("busyTimeout", BUSY_TIMEOUT);
+
+    // With write-ahead logging readers don't block the writer, in-memory databases have no log
+    if (!this.inMemory) {
+      await this.exec("PRAGMA journal_mode = WAL");
+      await this.exec("PRAGMA synchronous = NORMAL");
+    }
 
     // Enable foreign key constraints
-    this.db.run("PRAGMA foreign_keys = ON");
-
-    // Create session table
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS chat_session (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        metadata TEXT DEFAULT '',
-        updatedAt INTEGER DEFAULT 0,
-        createdAt INTEGER DEFAULT 0
-      )
-    `);
-
-    // Create message table
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS chat_message (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        sessionId INTEGER NOT NULL,
-        role TEXT NOT NULL,
-        providerId INTEGER NOT NULL,
-        modelId INTEGER NOT NULL,
-        content TEXT NOT NULL,
-        status TEXT DEFAULT '',
-        updatedAt INTEGER DEFAULT 0,
-        createdAt INTEGER DEFAULT 0,
-        FOREIGN KEY (sessionId) REFERENCES chat_session(id) ON DELETE CASCADE
-      )
-    `);
-
-    // Create MCP server table
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS mcp_servers (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        url TEXT NOT NULL,
-        type TEXT NOT NULL,
-        active BOOLEAN DEFAULT 0,
-        tools TEXT,
-        description TEXT,
-        created_at INTEGER NOT NULL,
-        updated_at INTEGER NOT NULL
-      )
-    `);
+    await this.exec("PRAGMA foreign_keys = ON");
+
+    // Bring the schema up to date
+    await this.migrate(isExistingDatabase);
+
+    // API keys saved by older versions are still in plain text
+    await this.encryptPlaintextApiKeys();
 
     logger.info("Database table initialization completed");
 
     // Check if there are any sessions, if not create a default session
-    this.db.get("SELECT COUNT(*) as count FROM chat_session", (err, row) => {
-      if (err) {
-        logger.error("Failed to check session count:", err);
-        return;
-      }
+    const row = await this.get(
+      "SELECT COUNT(*) as count FROM chat_session WHERE deletedAt IS NULL"
+    );
 
-      if (row.count === 0) {
-        logger.info("Creating default session");
-        self.createSession("New Chat");
-      }
-    });
+    if (row.count === 0) {
+      logger.info("Creating default session");
+      await this.createSession("New Chat");
+    }
   }
 
-  // Get all sessions
-  getAllSessions() {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        "SELECT * FROM chat_session ORDER BY updatedAt DESC",
-        (err, rows) => {
-          if (err) {
-            logger.error("Failed to get session list:", err);
-            reject(err);
-          } else {
-            resolve(rows);
-          }
-        }
-      );
-    });
-  }
+  // Statement helpers
 
-  // Create new session
-  createSession(name) {
-    return new Promise((resolve, reject) => {
-      const now = Date.now();
+  // Get a prepared statement for sql, statements are prepared once and reused
+  prepareStatement(sql) {
+    let statement = this.statements.get(sql);
+    if (statement) {
+      return statement;
+    }
 
-      this.db.run(
-        "INSERT INTO chat_session (name, updatedAt, createdAt) VALUES (?, ?, ?)",
-        [name, now, now],
-        function (err) {
-          if (err) {
-            logger.error("Failed to create session:", err);
-            reject(err);
-          } else {
-            resolve({
-              id: this.lastID,
-              name,
-              updatedAt: now,
-              createdAt: now,
-            });
-          }
-        }
+    statement = new Promise((resolve, reject) => {
+      const prepared = this.db.prepare(sql, (err) =>
+        err ? reject(err) : resolve(prepared)
       );
     });
-  }
+    statement.catch(() => this.statements.delete(sql));
+    this.statements.set(sql, statement);
+
+    // Finalizing waits for queries still running on the statement
+    if (this.statements.size > STATEMENT_CACHE_SIZE) {
+      const [oldestSql, oldestStatement] = this.statements.entries().next().value;
+      this.statements.delete(oldestSql);
+      oldestStatement.then((prepared) => prepared.finalize()).catch(() => {});
+    }
 
-  // Get all messages for a session
-  getMessages(sessionId) {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        "SELECT * FROM chat_message WHERE sessionId = ? ORDER BY createdAt ASC",
-        [sessionId],
-        (err, rows) => {
-          if (err) {
-            logger.error("Failed to get session messages:", err);
-            reject(err);
-          } else {
-            resolve(rows);
-          }
-        }
-      );
-    });
+    return statement;
   }
 
-  // Delete all messages for a session
-  deleteMessages(sessionId) {
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        "DELETE FROM chat_message WHERE sessionId = ?",
-        [sessionId],
-        function (err) {
-          if (err) {
-            logger.error("Failed to delete session messages:", err);
-            reject(err);
-          } else {
-            resolve({ success: true, sessionId, deleted: this.changes });
-          }
+  // Execute sql right away, method is run, get, all or exec (several statements, not prepared)
+  async execute(method, sql, params = []) {
+    try {
+      if (method === "exec") {
+        return await new Promise((resolve, reject) => {
+          this.db.exec(sql, (err) => (err ? reject(err) : resolve()));
+        });
+      }
+
+      const statement = await this.prepareStatement(sql);
+      return await new Promise((resolve, reject) => {
+        if (method === "run") {
+          statement.run(params, function (err) {
+            if (err) reject(err);
+            else resolve({ lastID: this.lastID, changes: this.changes });
+          });
+        } else {
+          // all() steps the statement to the end, get() would leave a read open on it
+          statement.all(params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(method === "get" ? rows[0] : rows);
+          });
         }
-      );
-    });
+      });
+    } catch (err) {
+      logger.error("Database statement failed:", sql.trim().split("\n")[0], err);
+      throw err;
+    }
   }
 
-  // Add new message
-  addMessage(message) {
-    return new Promise((resolve, reject) => {
-      if (!message || !message.sessionId) {
-        reject(new Error("Message must contain sessionId"));
-        return;
-      }
+  // Issue a statement outside a transaction
+  // It waits for queued transactions, and transactions queued after it wait for it,
+  // so it never becomes part of someone else's transaction
+  schedule(method, sql, params) {
+    const operation = this.transactionLock.then(() =>
+      this.execute(method, sql, params)
+    );
 
-      const {
-        sessionId,
-        role,
-        providerId,
-        modelId,
-        content,
-        status = "",
-      } = message;
-      const now = Date.now();
+    const settled = operation.catch(() => {});
+    this.pendingStatements.add(settled);
+    settled.then(() => this.pendingStatements.delete(settled));
 
-      logger.info("Database: Preparing to add message", {
-        sessionId,
-        role,
-        content:
-          typeof content === "string"
-            ? content.substring(0, 30) + "..."
-            : "[object]",
-      });
+    return operation;
+  }
 
-      // Save this reference for use in callbacks
-      const self = this;
+  // Run a statement, resolves with { lastID, changes }
+  run(sql, params = []) {
+    return this.schedule("run", sql, params);
+  }
 
-      this.db.run(
-        "INSERT INTO chat_message (sessionId, role, providerId, modelId, content, status, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
-        [sessionId, role, providerId, modelId, content, status, now, now],
-        function (err) {
-          if (err) {
-            logger.error("Failed to add message:", err);
-            reject(err);
-          } else {
-            logger.info(`Database: Message added successfully, ID: ${this.lastID}`);
-
-            // Update session's updated time
-            self.db.run(
-              "UPDATE chat_session SET updatedAt = ? WHERE id = ?",
-              [now, sessionId],
-              (updateErr) => {
-                if (updateErr) {
-                  logger.warn("Failed to update session time:", updateErr);
-                }
-              }
-            );
-
-            resolve({
-              id: this.lastID,
-              sessionId,
-              role,
-              providerId,
-              modelId,
-              content,
-              status,
-              createdAt: now,
-              updatedAt: now,
-            });
-          }
-        }
-      );
-    });
+  // Get the first row of a query, undefined when there is none
+  get(sql, params = []) {
+    return this.schedule("get", sql, params);
   }
 
-  // Update message status
-  updateMessageStatus(id, status) {
-    return new Promise((resolve, reject) => {
-      const now = Date.now();
+  // Get all rows of a query
+  all(sql, params = []) {
+    return this.schedule("all", sql, params);
+  }
 
-      this.db.run(
-        "UPDATE chat_message SET status = ?, updatedAt = ? WHERE id = ?",
-        [status, now, id],
-        function (err) {
-          if (err) {
-            logger.error("Failed to update message status:", err);
-            reject(err);
-          } else {
-            if (this.changes === 0) {
-              logger.warn(`Database: Message not found to update status ID: ${id}`);
-            } else {
-              logger.info(
-                `Database: Message status updated successfully, ID: ${id}, Status: ${status}`
-              );
-            }
+  // Execute one or more statements without parameters
+  exec(sql) {
+    return this.schedule("exec", sql);
+  }
 
-            resolve({ id, status, updatedAt: now, changed: this.changes > 0 });
-          }
-        }
-      );
+  /**
+   * Run callback inside a transaction, it is rolled back when callback throws
+   * Transactions run one at a time. Inside callback only use the given tx, calling
+   * other ChatDatabase methods would wait for the transaction to end.
+   * @param {Function} callback Receives tx with run, get, all and exec, may be async
+   * @returns {Promise<*>} Value returned by callback
+   */
+  transaction(callback) {
+    const issuedBefore = [...this.pendingStatements];
+    const tx = {
+      run: (sql, params = []) => this.execute("run", sql, params),
+      get: (sql, params = []) => this.execute("get", sql, params),
+      all: (sql, params = []) => this.execute("all", sql, params),
+      exec: (sql) => this.execute("exec", sql),
+    };
+
+    const result = this.transactionLock.then(async () => {
+      await Promise.all(issuedBefore);
+      await tx.exec("BEGIN IMMEDIATE");
+      try {
+        const value = await callback(tx);
+        await tx.exec("COMMIT");
+        return value;
+      } catch (err) {
+        await tx.exec("ROLLBACK").catch(() => {});
+        throw err;
+      }
     });
+
+    this.transactionLock = result.catch(() => {});
+    return result;
   }
 
-  // Update message content
-  updateMessageContent(id, content) {
-    return new Promise((resolve, reject) => {
-      const now = Date.now();
+  // Wait until all issued statements and transactions have finished
+  async idle() {
+    await this.transactionLock;
+    await Promise.all([...this.pendingStatements]);
+  }
 
-      this.db.run(
-        "UPDATE chat_message SET content = ?, updatedAt = ? WHERE id = ?",
-        [content, now, id],
-        function (err) {
-          if (err) {
-            logger.error("Failed to update message content:", err);
-            reject(err);
-          } else {
-            if (this.changes === 0) {
-              logger.warn(`Database: Message not found to update content ID: ${id}`);
-            } else {
-              logger.info(`Database: Message content updated successfully, ID: ${id}`);
-            }
+  // Schema migrations
 
-            resolve({ id, content, updatedAt: now, changed: this.changes > 0 });
-          }
-        }
-      );
-    });
+  // Get current schema version, 0 means no migration has been applied yet
+  async getSchemaVersion() {
+    await this.run(
+      `CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        description TEXT DEFAULT '',
+        appliedAt INTEGER DEFAULT 0
+      )`
+    );
+
+    const row = await this.get("SELECT MAX(version) as version FROM schema_version");
+    return row && row.version ? row.version : 0;
   }
 
-  // Delete session
-  deleteSession(id) {
-    return new Promise((resolve, reject) => {
-      // Save this reference for use in callbacks
-      const self = this;
-
-      // First delete all messages for the session
-      this.db.run(
-        "DELETE FROM chat_message WHERE sessionId = ?",
-        [id],
-        (err) => {
-          if (err) {
-            logger.error("Failed to delete session messages:", err);
-            reject(err);
-            return;
-          }
+  // Copy the database before migrating so users can recover from a failed upgrade
+  async backupBeforeMigration(fromVersion, toVersion) {
+    const backupDir = path.join(path.dirname(this.dbPath), "backups");
+    fs.mkdirSync(backupDir, { recursive: true });
 
-          // Then delete the session
-          self.db.run(
-            "DELETE FROM chat_session WHERE id = ?",
-            [id],
-            function (err) {
-              if (err) {
-                logger.error("Failed to delete session:", err);
-                reject(err);
-              } else {
-                resolve({ success: true, id, deleted: this.changes > 0 });
-              }
-            }
-          );
-        }
+    const backupPath = path.join(
+      backupDir,
+      `seekchat-v${fromVersion}-to-v${toVersion}-${Date.now()}.db`
+    );
+    // Unlike copying the file, the online backup includes changes still in the write-ahead log
+    await this.backup(backupPath);
+
+    logger.info("Database backup created before migration:", backupPath);
+    return backupPath;
+  }
+
+  // Apply a single migration inside a transaction
+  applyMigration(migration) {
+    return this.transaction(async (tx) => {
+      await tx.exec(migration.up.map((sql) => sql.trim()).join(";\n"));
+      await tx.run(
+        "INSERT INTO schema_version (version, description, appliedAt) VALUES (?, ?, ?)",
+        [migration.version, migration.description, Date.now()]
       );
     });
   }
 
-  // Create or update message
-  createOrUpdateMessage(message) {
-    return new Promise((resolve, reject) => {
-      if (!message || !message.sessionId) {
-        reject(new Error("Message must contain sessionId"));
-        return;
-      }
+  // Apply all pending migrations in order
+  async migrate(isExistingDatabase = false) {
+    const currentVersion = await this.getSchemaVersion();
+    const pending = migrations
+      .filter((migration) => migration.version > currentVersion)
+      .sort((a, b) => a.version - b.version);
 
-      const {
-        id,
-        sessionId,
-        role,
-        providerId,
-        modelId,
-        content,
-        status = "",
-      } = message;
-      const now = Date.now();
+    if (pending.length === 0) {
+      logger.info(`Database schema is up to date, version: ${currentVersion}`);
+      return { from: currentVersion, to: currentVersion, applied: 0 };
+    }
 
-      // Save this reference for use in callbacks
-      const self = this;
+    const targetVersion = pending[pending.length - 1].version;
+    logger.info(
+      `Migrating database schema from version ${currentVersion} to ${targetVersion}`
+    );
 
-      // If ID exists, first check if message exists
-      if (id) {
-        this.db.get(
-          "SELECT id FROM chat_message WHERE id = ?",
-          [id],
-          (err, row) => {
-            if (err) {
-              logger.error("Failed to query message:", err);
-              reject(err);
-              return;
-            }
+    let backupPath = null;
+    if (isExistingDatabase) {
+      backupPath = await this.backupBeforeMigration(currentVersion, targetVersion);
+    }
 
-            if (row) {
-              // Message exists, update it
-              self.db.run(
-                "UPDATE chat_message SET content = ?, status = ?, updatedAt = ? WHERE id = ?",
-                [content, status, now, id],
-                function (err) {
-                  if (err) {
-                    logger.error("Failed to update message:", err);
-                    reject(err);
-                  } else {
-                    logger.info(`Message updated successfully, ID: ${id}`);
-
-                    // Update session's updated time
-                    self.db.run(
-                      "UPDATE chat_session SET updatedAt = ? WHERE id = ?",
-                      [now, sessionId]
-                    );
-
-                    resolve({
-                      id,
-                      sessionId,
-                      role,
-                      providerId,
-                      modelId,
-                      content,
-                      status,
-                      updatedAt: now,
-                    });
-                  }
-                }
-              );
-            } else {
-              // Message does not exist, create new message
-              self.db.run(
-                "INSERT INTO chat_message (sessionId, role, providerId, modelId, content, status, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
-                [
-                  sessionId,
-                  role,
-                  providerId,
-                  modelId,
-                  content,
-                  status,
-                  now,
-                  now,
-                ],
-                function (err) {
-                  if (err) {
-                    logger.error("Failed to add message:", err);
-                    reject(err);
-                  } else {
-                    logger.info(`Message created successfully, ID: ${this.lastID}`);
-
-                    // Update session's updated time
-                    self.db.run(
-                      "UPDATE chat_session SET updatedAt = ? WHERE id = ?",
-                      [now, sessionId]
-                    );
-
-                    resolve({
-                      id: this.lastID,
-                      sessionId,
-                      role,
-                      providerId,
-                      modelId,
-                      content,
-                      status,
-                      createdAt: now,
-                      updatedAt: now,
-                    });
-                  }
-                }
-              );
-            }
-          }
+    for (const migration of pending) {
+      try {
+        logger.info(
+          `Applying migration ${migration.version}: ${migration.description}`
         );
-      } else {
-        // No ID, directly create new message
-        this.db.run(
-          "INSERT INTO chat_message (sessionId, role, providerId, modelId, content, status, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
-          [sessionId, role, providerId, modelId, content, status, now, now],
-          function (err) {
-            if (err) {
-              logger.error("Failed to add message:", err);
-              reject(err);
-            } else {
-              logger.info(`Message created successfully, ID: ${this.lastID}`);
-
-              // Update session's updated time
-              self.db.run(
-                "UPDATE chat_session SET updatedAt = ? WHERE id = ?",
-                [now, sessionId]
-              );
-
-              resolve({
-                id: this.lastID,
-                sessionId,
-                role,
-                providerId,
-                modelId,
-                content,
-                status,
-                createdAt: now,
-                updatedAt: now,
-              });
-            }
-          }
+        await this.applyMigration(migration);
+      } catch (err) {
+        logger.error(`Migration ${migration.version} failed:`, err);
+        const error = new Error(
+          `Migration ${migration.version} (${migration.description}) failed: ${err.message}` +
+            (backupPath ? `. A backup of your data was saved to ${backupPath}` : "")
         );
+        error.backupPath = backupPath;
+        throw error;
       }
-    });
-  }
+    }
 
-  // Update session metadata
-  updateSessionMetadata(sessionId, metadata) {
-    return new Promise((resolve, reject) => {
-      const now = Date.now();
+    logger.info(`Database schema migrated to version ${targetVersion}`);
+    return { from: currentVersion, to: targetVersion, applied: pending.length };
+  }
 
-      // Convert metadata to string
-      const metadataStr =
-        typeof metadata === "string" ? metadata : JSON.stringify(metadata);
+  // Sessions
 
-      this.db.run(
-        "UPDATE chat_session SET metadata = ?, updatedAt = ? WHERE id = ?",
-        [metadataStr, now, sessionId],
-        function (err) {
-          if (err) {
-            logger.error("Failed to update session metadata:", err);
-            reject(err);
-          } else {
-            if (this.changes === 0) {
-              logger.warn(`Database: Session not found to update metadata ID: ${sessionId}`);
-              reject(new Error(`Session not found ID: ${sessionId}`));
-            } else {
-              logger.info(`Database: Session metadata updated successfully, ID: ${sessionId}`);
-              resolve({
-                id: sessionId,
-                metadata: metadataStr,
-                updatedAt: now,
-                changed: this.changes > 0,
-              });
-            }
-          }
-        }
-      );
-    });
+  // Get all sessions with their tags, pinned sessions first
+  // options: { archived } returns archived sessions instead of the main list
+  async getAllSessions(options = {}) {
+    const sessions = await this.all(
+      "SELECT * FROM chat_session WHERE archived = ? AND deletedAt IS NULL ORDER BY pinned DESC, updatedAt DESC",
+      [options.archived ? 1 : 0]
+    );
+    return this.attachSessionTags(sessions);
   }
 
-  // Update session name
-  updateSessionName(sessionId, name) {
-    return new Promise((resolve, reject) => {
-      const now = Date.now();
-
-      this.db.run(
-        "UPDATE chat_session SET name = ?, updatedAt = ? WHERE id = ?",
-        [name, now, sessionId],
-        function (err) {
-          if (err) {
-            logger.error("Failed to update session name:", err);
-            reject(err);
-          } else {
-            if (this.changes === 0) {
-              logger.warn(`Database: Session not found to update name ID: ${sessionId}`);
-              reject(new Error(`Session not found ID: ${sessionId}`));
-            } else {
-              logger.info(`Database: Session name updated successfully, ID: ${sessionId}`);
-              resolve({
-                id: sessionId,
-                name,
-                updatedAt: now,
-                changed: this.changes > 0,
-              });
-            }
-          }
-        }
-      );
-    });
+  // Get a session by ID, including archived and deleted sessions
+  async getSessionById(id) {
+    return (await this.get("SELECT * FROM chat_session WHERE id = ?", [id])) || null;
   }
 
-  // Close database connection
-  close() {
-    return new Promise((resolve, reject) => {
-      if (this.db) {
-        this.db.close((err) => {
-          if (err) {
-            logger.error("Failed to close database connection:", err);
-            reject(err);
-          } else {
-            logger.info("Database connection closed");
-            resolve();
-          }
-        });
-      } else {
-        resolve();
-      }
-    });
+  // Get a session by its uuid, including archived and deleted sessions
+  async getSessionByUuid(uuid) {
+    return (
+      (await this.get("SELECT * FROM chat_session WHERE uuid = ?", [uuid])) || null
+    );
   }
 
-  // Update all pending messages to error status
-  updateAllPendingMessagesToError() {
-    return new Promise((resolve, reject) => {
-      const now = Date.now();
-      const errorContent = JSON.stringify([
-        { type: "content", text: "Request interrupted due to page refresh", status: "error" },
+  /**
+   * Insert the messages of a session in bulk, inside the given transaction
+   * The insert statement is prepared once and reused for every message
+   * @param {Object} tx Transaction from this.transaction
+   * @param {number} sessionId Session the messages belong to
+   * @param {Array} messages Parents before children, each { key, parentKey, role, providerId, modelId, content, status, createdAt, updatedAt }
+   *   and optionally the usage { promptTokens, completionTokens, reasoningTokens, latencyMs, cost }
+   * @returns {Promise<Map>} Inserted message id by message key
+   */
+  async insertMessages(tx, sessionId, messages) {
+    const now = Date.now();
+    const idMap = new Map();
+
+    for (const message of messages) {
+      const { lastID } = await tx.run(INSERT_MESSAGE_WITH_USAGE_SQL, [
+        sessionId,
+        idMap.get(message.parentKey) ?? null,
+        message.role,
+        message.providerId || "",
+        message.modelId || "",
+        message.content,
+        message.status || "success",
+        message.createdAt || now,
+        message.updatedAt || message.createdAt || now,
+        message.promptTokens ?? null,
+        message.completionTokens ?? null,
+        message.reasoningTokens ?? null,
+        message.latencyMs ?? null,
+        message.cost ?? null,
       ]);
+      idMap.set(message.key, lastID);
+    }
 
-      this.db.all(
-        "SELECT id, content FROM chat_message WHERE status = ?",
-        ["pending"],
-        (err, rows) => {
-          if (err) {
-            logger.error("Failed to query pending messages:", err);
-            reject(err);
-            return;
-          }
+    return idMap;
+  }
 
-          logger.info(
-            `Found ${rows.length} messages in pending status, updating them to error status`
-          );
+  // Create a session with its messages inside the given transaction, see importSession
+  async insertSession(tx, session, messages, activeKey = null) {
+    const now = Date.now();
+    const { lastID: sessionId } = await tx.run(
+      "INSERT INTO chat_session (name, uuid, metadata, folderId, pinned, archived, updatedAt, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+      [
+        session.name,
+        session.uuid || crypto.randomUUID(),
+        session.metadata || "",
+        session.folderId ?? null,
+        session.pinned ? 1 : 0,
+        session.archived ? 1 : 0,
+        session.updatedAt || now,
+        session.createdAt || now,
+      ]
+    );
+
+    // Map import keys to inserted message ids to link parents
+    const idMap = await this.insertMessages(tx, sessionId, messages);
+
+    if (activeKey !== null && idMap.has(activeKey)) {
+      await tx.run("UPDATE chat_session SET activeMessageId = ? WHERE id = ?", [
+        idMap.get(activeKey),
+        sessionId,
+      ]);
+    }
 
-          if (rows.length === 0) {
-            resolve({ updatedCount: 0 });
-            return;
-          }
+    return { sessionId, messageCount: messages.length };
+  }
 
-          const self = this;
-          let updatedCount = 0;
+  // Create a session with its messages in one transaction, used by the importer
+  // session: { uuid, name, metadata, folderId, pinned, archived, createdAt, updatedAt }
+  // messages: parents before children, each { key, parentKey, role, providerId, modelId, content, status, createdAt, updatedAt }
+  // activeKey: key of the message whose branch is shown
+  async importSession(session, messages, activeKey = null) {
+    try {
+      return await this.transaction((tx) =>
+        this.insertSession(tx, session, messages, activeKey)
+      );
+    } catch (err) {
+      logger.error("Failed to import session:", err);
+      throw err;
+    }
+  }
 
-          // Use transaction for batch update
-          this.db.run("BEGIN TRANSACTION", function (err) {
-            if (err) {
-              logger.error("Failed to begin transaction:", err);
-              reject(err);
-              return;
-            }
+  /**
+   * Fork a session from one of its messages
+   * The new session gets a copy of the session settings and of the branch ending with the message
+   * @param {number} sessionId Session to fork
+   * @param {number} messageId Last message copied into the new session
+   * @param {string} name Name of the new session
+   * @returns {Promise<Object>} The new session
+   */
+  async forkSession(sessionId, messageId, name) {
+    // The branch and its tags are read and copied in one transaction, edits made meanwhile can't mix in
+    const forkedSessionId = await this.transaction(async (tx) => {
+      const session = await tx.get("SELECT * FROM chat_session WHERE id = ?", [
+        sessionId,
+      ]);
+      if (!session || session.deletedAt) {
+        throw new Error("Session not found");
+      }
 
-            // Update status and content for each message
-            rows.forEach((row) => {
-              let content = row.content;
-
-              // Try to handle JSON format content
-              try {
-                const parsedContent = JSON.parse(content);
-                // If it's simple string content, convert to error format
-                if (
-                  typeof parsedContent === "string" ||
-                  !Array.isArray(parsedContent)
-                ) {
-                  content = errorContent;
-                }
-              } catch (e) {
-                // If content is not in JSON format, use error content
-                content = errorContent;
-              }
-
-              self.db.run(
-                "UPDATE chat_message SET status = ?, content = ?, updatedAt = ? WHERE id = ?",
-                ["error", content, now, row.id],
-                function (updateErr) {
-                  if (updateErr) {
-                    logger.error(`Failed to update message ${row.id}:`, updateErr);
-                    self.db.run("ROLLBACK");
-                    reject(updateErr);
-                    return;
-                  }
-
-                  updatedCount += this.changes;
-
-                  // If all messages have been updated, commit transaction
-                  if (updatedCount === rows.length) {
-                    self.db.run("COMMIT", (commitErr) => {
-                      if (commitErr) {
-                        logger.error("Failed to commit transaction:", commitErr);
-                        reject(commitErr);
-                        return;
-                      }
-
-                      logger.info(
-                        `Successfully updated ${updatedCount} pending messages to error status`
-                      );
-                      resolve({ updatedCount });
-                    });
-                  }
-                }
-              );
-            });
-          });
-        }
+      const path = await tx.all(MESSAGE_PATH_SQL, [messageId]);
+      const lastMessage = path[path.length - 1];
+      if (
+        !lastMessage ||
+        lastMessage.id !== messageId ||
+        path.some((msg) => msg.sessionId !== session.id)
+      ) {
+        throw new Error("Message not found in session");
+      }
+
+      // Same format as the importer, original ids link the copied messages
+      const messages = path.map((msg) => ({
+        key: msg.id,
+        parentKey: msg.parentId,
+        role: msg.role,
+        providerId: msg.providerId,
+        modelId: msg.modelId,
+        content: msg.content,
+        status: msg.status,
+        createdAt: msg.createdAt,
+        updatedAt: msg.updatedAt,
+        promptTokens: msg.promptTokens,
+        completionTokens: msg.completionTokens,
+        reasoningTokens: msg.reasoningTokens,
+        latencyMs: msg.latencyMs,
+        cost: msg.cost,
+      }));
+
+      const { sessionId: forkedSessionId } = await this.insertSession(
+        tx,
+        {
+          name: name || session.name,
+          metadata: session.metadata,
+          folderId: session.folderId,
+        },
+        messages,
+        messageId
+      );
+      await tx.run(
+        "INSERT INTO session_tag (sessionId, tagId) SELECT ?, tagId FROM session_tag WHERE sessionId = ?",
+        [forkedSessionId, session.id]
       );
+      return forkedSessionId;
     });
+    logger.info(`Forked session ${sessionId} at message ${messageId} into ${forkedSessionId}`);
+    return this.getSessionById(forkedSessionId);
   }
 
-  // MCP related methods
+  // Create new session
+  // metadata holds the session settings, e.g. the provider and model new sessions start with
+  async createSession(name, metadata = null) {
+    const now = Date.now();
+    const uuid = crypto.randomUUID();
+    const metadataStr = metadata ? JSON.stringify(metadata) : "";
+
+    const { lastID } = await this.run(
+      "INSERT INTO chat_session (name, uuid, metadata, updatedAt, createdAt) VALUES (?, ?, ?, ?, ?)",
+      [name, uuid, metadataStr, now, now]
+    );
+
+    return {
+      id: lastID,
+      name,
+      uuid,
+      metadata: metadataStr,
+      updatedAt: now,
+      createdAt: now,
+    };
+  }
 
-  // Get all MCP servers
-  getAllMCPServers() {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT * FROM mcp_servers ORDER BY created_at DESC`,
-        (err, servers) => {
-          if (err) {
-            logger.error("Failed to get MCP servers:", err);
-            reject(err);
-            return;
-          }
+  // Messages
 
-          resolve(
-            servers.map((server) => ({
-              ...server,
-              tools: server.tools ? JSON.parse(server.tools) : [],
-            }))
-          );
-        }
-      );
-    });
+  // Get all messages for a session
+  getMessages(sessionId) {
+    return this.all(
+      "SELECT * FROM chat_message WHERE sessionId = ? AND deletedAt IS NULL ORDER BY createdAt ASC",
+      [sessionId]
+    );
   }
 
-  // Get all active MCP servers
-  getActiveMCPServers() {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT * FROM mcp_servers WHERE active = 1 ORDER BY created_at DESC`,
-        (err, servers) => {
-          if (err) {
-            logger.error("Failed to get active MCP servers:", err);
-            reject(err);
-            return;
-          }
+  /**
+   * Get one page of a session's messages, walking back from the newest
+   * Messages are ordered by (createdAt, id) so messages created in the same
+   * millisecond are neither skipped nor repeated between pages
+   * @param {number} sessionId Session ID
+   * @param {Object} options Page options
+   * @param {{createdAt: number, id: number}|null} options.before Cursor, only messages older than it are returned
+   * @param {number} options.limit Page size
+   * @returns {Promise<{messages: Array, hasMore: boolean, nextCursor: Object|null}>} Page, oldest message first
+   */
+  async getMessagesPage(sessionId, { before = null, limit = 50 } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+    const params = [sessionId];
+    let sql = "SELECT * FROM chat_message WHERE sessionId = ? AND deletedAt IS NULL";
+
+    if (before) {
+      sql += " AND (createdAt < ? OR (createdAt = ? AND id < ?))";
+      params.push(before.createdAt, before.createdAt, before.id);
+    }
 
-          resolve(
-            servers.map((server) => ({
-              ...server,
-              tools: server.tools ? JSON.parse(server.tools) : [],
-            }))
-          );
-        }
-      );
-    });
+    // One extra row tells whether there are older messages
+    sql += " ORDER BY createdAt DESC, id DESC LIMIT ?";
+    params.push(pageSize + 1);
+
+    const rows = await this.all(sql, params);
+    const hasMore = rows.length > pageSize;
+    const messages = rows.slice(0, pageSize).reverse();
+    const oldest = messages[0];
+    return {
+      messages,
+      hasMore,
+      nextCursor:
+        hasMore && oldest ? { createdAt: oldest.createdAt, id: oldest.id } : null,
+    };
   }
 
-  // Get MCP server by ID
-  getMCPServerById(id) {
-    return new Promise((resolve, reject) => {
-      this.db.get(
-        `SELECT * FROM mcp_servers WHERE id = ?`,
-        [id],
-        (err, server) => {
-          if (err) {
-            logger.error("Failed to get MCP server:", err);
-            reject(err);
-            return;
-          }
+  // Get the branch from the root message down to a message, root first
+  getMessagePath(messageId) {
+    return this.all(MESSAGE_PATH_SQL, [messageId]);
+  }
 
-          if (server) {
-            resolve({
-              ...server,
-              tools: server.tools ? JSON.parse(server.tools) : [],
-            });
-          } else {
-            resolve(null);
-          }
-        }
+  // Full-text search across all messages
+  // filters: { sessionId, role, dateFrom, dateTo, limit, offset }
+  async searchMessages(query, filters = {}) {
+    const terms = (query || "").trim().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const {
+      sessionId,
+      role,
+      dateFrom,
+      dateTo,
+      limit = 50,
+      offset = 0,
+    } = filters;
+
+    // The trigram tokenizer needs at least 3 characters per term,
+    // shorter terms fall back to substring matching on the indexed text
+    const matchTerms = terms.filter((term) => [...term].length >= 3);
+    const likeTerms = terms.filter((term) => [...term].length < 3);
+
+    // Messages in the trash are not searchable
+    const conditions = ["m.deletedAt IS NULL", "s.deletedAt IS NULL"];
+    const params = [];
+
+    if (matchTerms.length > 0) {
+      conditions.push("chat_message_fts MATCH ?");
+      params.push(
+        matchTerms.map((term) => `"${term.replace(/"/g, '""')}"`).join(" ")
       );
+    }
+
+    likeTerms.forEach((term) => {
+      conditions.push("chat_message_fts.text LIKE ? ESCAPE '\\'");
+      params.push(`%${term.replace(/[\\%_]/g, "\\$&")}%`);
     });
+
+    if (sessionId) {
+      conditions.push("m.sessionId = ?");
+      params.push(sessionId);
+    }
+
+    if (role) {
+      conditions.push("m.role = ?");
+      params.push(role);
+    }
+
+    if (dateFrom) {
+      conditions.push("m.createdAt >= ?");
+      params.push(dateFrom);
+    }
+
+    if (dateTo) {
+      conditions.push("m.createdAt <= ?");
+      params.push(dateTo);
+    }
+
+    // Snippet highlights are delimited with control characters so the renderer
+    // can mark them up without injecting HTML
+    const sql = `
+      SELECT
+        m.id,
+        m.sessionId,
+        m.role,
+        m.createdAt,
+        s.name AS sessionName,
+        ${
+          matchTerms.length > 0
+            ? "snippet(chat_message_fts, 0, char(2), char(3), '…', 48)"
+            : "substr(chat_message_fts.text, 1, 200)"
+        } AS snippet,
+        ${matchTerms.length > 0 ? "bm25(chat_message_fts)" : "0"} AS rank
+      FROM chat_message_fts
+      JOIN chat_message m ON m.id = chat_message_fts.rowid
+      JOIN chat_session s ON s.id = m.sessionId
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY rank ASC, m.createdAt DESC
+      LIMIT ? OFFSET ?
+    `;
+    params.push(limit, offset);
+
+    return this.all(sql, params);
   }
 
-  // Add MCP server
-  addMCPServer(serverData) {
-    return new Promise((resolve, reject) => {
-      const timestamp = Date.now();
-
-      this.db.run(
-        `INSERT INTO mcp_servers (name, url, type, active, tools, created_at, updated_at)
-         VALUES ( ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          serverData.name,
-          serverData.url,
-          serverData.type,
-          serverData.active || 0,
-          JSON.stringify(serverData.tools || []),
-          timestamp,
-          timestamp,
-        ],
-        (err) => {
-          if (err) {
-            logger.error("Failed to add MCP server:", err);
-            reject(err);
-            return;
-          }
-          resolve(true);
-        }
+  // Move all messages of a session to the trash
+  async deleteMessages(sessionId) {
+    const { changes } = await this.run(
+      "UPDATE chat_message SET deletedAt = ? WHERE sessionId = ? AND deletedAt IS NULL",
+      [Date.now(), sessionId]
+    );
+    return { success: true, sessionId, deleted: changes };
+  }
+
+  // Add new message, together with the session's updated time
+  async addMessage(message) {
+    if (!message || !message.sessionId) {
+      throw new Error("Message must contain sessionId");
+    }
+
+    const {
+      sessionId,
+      role,
+      providerId,
+      modelId,
+      content,
+      status = "",
+      parentId = null,
+    } = message;
+    const now = Date.now();
+
+    logger.info("Database: Preparing to add message", {
+      sessionId,
+      role,
+      content:
+        typeof content === "string"
+          ? content.substring(0, 30) + "..."
+          : "[object]",
+    });
+
+    const id = await this.transaction(async (tx) => {
+      const { lastID } = await tx.run(INSERT_MESSAGE_SQL, [
+        sessionId,
+        parentId,
+        role,
+        providerId,
+        modelId,
+        content,
+        status,
+        now,
+        now,
+      ]);
+      await tx.run("UPDATE chat_session SET updatedAt = ? WHERE id = ?", [
+        now,
+        sessionId,
+      ]);
+      return lastID;
+    });
+    logger.info(`Database: Message added successfully, ID: ${id}`);
+
+    return {
+      id,
+      sessionId,
+      parentId,
+      role,
+      providerId,
+      modelId,
+      content,
+      status,
+      createdAt: now,
+      updatedAt: now,
+    };
+  }
+
+  // Update message status
+  async updateMessageStatus(id, status) {
+    const now = Date.now();
+    const { changes } = await this.run(
+      "UPDATE chat_message SET status = ?, updatedAt = ? WHERE id = ?",
+      [status, now, id]
+    );
+
+    if (changes === 0) {
+      logger.warn(`Database: Message not found to update status ID: ${id}`);
+    } else {
+      logger.info(
+        `Database: Message status updated successfully, ID: ${id}, Status: ${status}`
       );
+    }
+
+    return { id, status, updatedAt: now, changed: changes > 0 };
+  }
+
+  // Update message content
+  // reason says why the content changed, the previous content is kept as a revision
+  async updateMessageContent(id, content, reason = "user_edit") {
+    const now = Date.now();
+    const changes = await this.transaction(async (tx) => {
+      if (!(await this.saveRevision(tx, id, content, reason))) {
+        return 0;
+      }
+
+      const result = await tx.run(
+        "UPDATE chat_message SET content = ?, updatedAt = ? WHERE id = ?",
+        [content, now, id]
+      );
+      return result.changes;
     });
+
+    if (changes === 0) {
+      logger.warn(`Database: Message not found to update content ID: ${id}`);
+    } else {
+      logger.info(`Database: Message content updated successfully, ID: ${id}`);
+    }
+
+    return { id, content, updatedAt: now, changed: changes > 0 };
   }
 
-  // Update MCP server information
-  updateMCPServer(id, updates) {
-    return new Promise((resolve, reject) => {
-      const timestamp = Date.now();
-      const updateFields = [];
-      const updateValues = [];
+  /**
+   * Keep the current content of a message as a revision before it is replaced
+   * Nothing is kept when the content doesn't change or is an empty placeholder
+   * @param {Object} tx Transaction from this.transaction
+   * @param {number} id Message ID
+   * @param {string} content Content replacing the current one
+   * @param {string} reason Why the content changes, one of REVISION_REASONS
+   * @returns {Promise<boolean>} false when the message doesn't exist
+   */
+  async saveRevision(tx, id, content, reason) {
+    if (!REVISION_REASONS.includes(reason)) {
+      throw new Error(`Invalid revision reason: ${reason}`);
+    }
+
+    const current = await tx.get(
+      "SELECT content, status FROM chat_message WHERE id = ?",
+      [id]
+    );
+    if (!current) {
+      return false;
+    }
+
+    if (current.content !== content && hasMessageText(current.content)) {
+      await tx.run(
+        "INSERT INTO message_revision (messageId, content, status, reason, createdAt) VALUES (?, ?, ?, ?, ?)",
+        [id, current.content, current.status || "", reason, Date.now()]
+      );
+    }
+    return true;
+  }
+
+  // Get the earlier contents of a message, newest first
+  getMessageRevisions(messageId) {
+    return this.all(
+      "SELECT * FROM message_revision WHERE messageId = ? ORDER BY createdAt DESC, id DESC",
+      [messageId]
+    );
+  }
+
+  /**
+   * Put the content of a revision back into its message
+   * The content being replaced is kept as a revision itself, so restoring can be undone
+   * @param {number} messageId Message ID
+   * @param {number} revisionId Revision to restore
+   * @returns {Promise<Object>} The updated message
+   */
+  async restoreMessageRevision(messageId, revisionId) {
+    const message = await this.transaction(async (tx) => {
+      const revision = await tx.get(
+        "SELECT * FROM message_revision WHERE id = ? AND messageId = ?",
+        [revisionId, messageId]
+      );
+      if (!revision) {
+        throw new Error(`Revision not found ID: ${revisionId}`);
+      }
+
+      await this.saveRevision(tx, messageId, revision.content, "restore");
+      // Text saved mid-stream was still pending, restored it is a finished reply
+      const status = revision.status === "error" ? "error" : "success";
+      await tx.run(
+        "UPDATE chat_message SET content = ?, status = ?, updatedAt = ? WHERE id = ?",
+        [revision.content, status, Date.now(), messageId]
+      );
+      return tx.get("SELECT * FROM chat_message WHERE id = ?", [messageId]);
+    });
+
+    logger.info(`Database: Restored revision ${revisionId} of message ${messageId}`);
+    return message;
+  }
+
+  /**
+   * Save the token usage of an assistant reply
+   * @param {number} id Message ID
+   * @param {Object} usage { promptTokens, completionTokens, reasoningTokens, latencyMs, cost }, missing values are stored as NULL
+   * @returns {Promise<Object>} Saved usage
+   */
+  async updateMessageUsage(id, usage = {}) {
+    const fields = {
+      promptTokens: usage.promptTokens ?? null,
+      completionTokens: usage.completionTokens ?? null,
+      reasoningTokens: usage.reasoningTokens ?? null,
+      latencyMs: usage.latencyMs ?? null,
+      cost: usage.cost ?? null,
+    };
+
+    const { changes } = await this.run(
+      "UPDATE chat_message SET promptTokens = ?, completionTokens = ?, reasoningTokens = ?, latencyMs = ?, cost = ? WHERE id = ?",
+      [...Object.values(fields), id]
+    );
+
+    if (changes === 0) {
+      logger.warn(`Database: Message not found to update usage ID: ${id}`);
+    }
+
+    return { id, ...fields, changed: changes > 0 };
+  }
+
+  // Total token usage of a session, messages in the trash are not counted
+  async getSessionUsage(sessionId) {
+    const row = await this.get(
+      `SELECT
+        COUNT(promptTokens) AS messageCount,
+        COALESCE(SUM(promptTokens), 0) AS promptTokens,
+        COALESCE(SUM(completionTokens), 0) AS completionTokens,
+        COALESCE(SUM(reasoningTokens), 0) AS reasoningTokens,
+        SUM(cost) AS cost
+      FROM chat_message
+      WHERE sessionId = ? AND deletedAt IS NULL`,
+      [sessionId]
+    );
+    return { sessionId, ...row };
+  }
+
+  /**
+   * Aggregate token usage, cost and MCP tool calls for the usage dashboard
+   * Messages in the trash are counted, their tokens were spent all the same
+   * @param {Object} filters Filters
+   * @param {number} filters.dateFrom Only messages created at or after this time
+   * @param {number} filters.dateTo Only messages created at or before this time
+   * @returns {Promise<Object>} { totals, byDay, byProvider, byModel, bySession, byMcpServer }
+   */
+  async getUsageStats({ dateFrom = null, dateTo = null } = {}) {
+    const conditions = ["m.role = 'assistant'"];
+    const params = [];
+
+    if (dateFrom) {
+      conditions.push("m.createdAt >= ?");
+      params.push(dateFrom);
+    }
+
+    if (dateTo) {
+      conditions.push("m.createdAt <= ?");
+      params.push(dateTo);
+    }
+
+    const where = conditions.join(" AND ");
+    const totals = `
+      COUNT(m.promptTokens) AS messageCount,
+      COALESCE(SUM(m.promptTokens), 0) AS promptTokens,
+      COALESCE(SUM(m.completionTokens), 0) AS completionTokens,
+      COALESCE(SUM(m.reasoningTokens), 0) AS reasoningTokens,
+      SUM(m.cost) AS cost,
+      AVG(m.latencyMs) AS avgLatencyMs`;
+
+    const [summary, byDay, byProvider, byModel, bySession, byMcpServer] =
+      await Promise.all([
+        this.get(`SELECT ${totals} FROM chat_message m WHERE ${where}`, params),
+        // Days in local time, the main process runs on the user's machine
+        this.all(
+          `SELECT date(m.createdAt / 1000, 'unixepoch', 'localtime') AS day, ${totals}
+          FROM chat_message m WHERE ${where}
+          GROUP BY day
+          HAVING messageCount > 0
+          ORDER BY day ASC`,
+          params
+        ),
+        this.all(
+          `SELECT m.providerId, ${totals}
+          FROM chat_message m WHERE ${where}
+          GROUP BY m.providerId
+          HAVING messageCount > 0
+          ORDER BY promptTokens + completionTokens DESC`,
+          params
+        ),
+        this.all(
+          `SELECT m.providerId, m.modelId, ${totals}
+          FROM chat_message m WHERE ${where}
+          GROUP BY m.providerId, m.modelId
+          HAVING messageCount > 0
+          ORDER BY promptTokens + completionTokens DESC`,
+          params
+        ),
+        this.all(
+          `SELECT m.sessionId, s.name AS sessionName, s.deletedAt, ${totals}
+          FROM chat_message m JOIN chat_session s ON s.id = m.sessionId
+          WHERE ${where}
+          GROUP BY m.sessionId
+          HAVING messageCount > 0
+          ORDER BY promptTokens + completionTokens DESC
+          LIMIT 100`,
+          params
+        ),
+        // Tool call results are kept in the message content, replies saved before the
+        // server was recorded are matched to a server by the tool id
+        this.all(
+          `WITH calls AS (
+            SELECT
+              COALESCE(
+                json_extract(call.value, '$.server_id'),
+                (SELECT server.id FROM mcp_servers server, json_each(server.tools) tool
+                  WHERE json_valid(server.tools)
+                  AND json_extract(tool.value, '$.id') = json_extract(call.value, '$.tool_id')
+                  LIMIT 1)
+              ) AS serverId,
+              json_extract(call.value, '$.server_name') AS serverName,
+              json_extract(call.value, '$.status') AS status
+            FROM chat_message m, json_each(m.content) part, json_each(part.value, '$.content') call
+            WHERE ${where}
+              AND json_valid(m.content)
+              AND json_type(m.content) = 'array'
+              AND json_extract(part.value, '$.type') = 'tool_calls'
+              AND json_type(part.value, '$.content') = 'array'
+          )
+          SELECT
+            calls.serverId,
+            COALESCE(server.name, MAX(calls.serverName)) AS serverName,
+            COUNT(*) AS callCount,
+            SUM(calls.status = 'error') AS failedCount
+          FROM calls LEFT JOIN mcp_servers server ON server.id = calls.serverId
+          GROUP BY calls.serverId
+          ORDER BY callCount DESC`,
+          params
+        ),
+      ]);
+
+    return { totals: summary, byDay, byProvider, byModel, bySession, byMcpServer };
+  }
+
+  // Create or update message, together with the session's updated time
+  async createOrUpdateMessage(message) {
+    if (!message || !message.sessionId) {
+      throw new Error("Message must contain sessionId");
+    }
+
+    const {
+      id,
+      sessionId,
+      role,
+      providerId,
+      modelId,
+      content,
+      status = "",
+      parentId = null,
+    } = message;
+    const now = Date.now();
+
+    return this.transaction(async (tx) => {
+      // If ID exists, first check if message exists
+      const existing = id
+        ? await tx.get("SELECT id FROM chat_message WHERE id = ?", [id])
+        : null;
+
+      if (existing) {
+        await this.saveRevision(tx, id, content, "user_edit");
+        await tx.run(
+          "UPDATE chat_message SET content = ?, status = ?, updatedAt = ? WHERE id = ?",
+          [content, status, now, id]
+        );
+        await tx.run("UPDATE chat_session SET updatedAt = ? WHERE id = ?", [
+          now,
+          sessionId,
+        ]);
+        logger.info(`Message updated successfully, ID: ${id}`);
+
+        return {
+          id,
+          sessionId,
+          role,
+          providerId,
+          modelId,
+          content,
+          status,
+          updatedAt: now,
+        };
+      }
+
+      // Message does not exist, create new message
+      const { lastID } = await tx.run(INSERT_MESSAGE_SQL, [
+        sessionId,
+        parentId,
+        role,
+        providerId,
+        modelId,
+        content,
+        status,
+        now,
+        now,
+      ]);
+      await tx.run("UPDATE chat_session SET updatedAt = ? WHERE id = ?", [
+        now,
+        sessionId,
+      ]);
+      logger.info(`Message created successfully, ID: ${lastID}`);
+
+      return {
+        id: lastID,
+        sessionId,
+        parentId,
+        role,
+        providerId,
+        modelId,
+        content,
+        status,
+        createdAt: now,
+        updatedAt: now,
+      };
+    });
+  }
+
+  // Update all pending messages to error status, they were interrupted by a restart
+  async updateAllPendingMessagesToError() {
+    const errorContent = JSON.stringify([
+      { type: "content", text: "Request interrupted due to page refresh", status: "error" },
+    ]);
+
+    // Content that is not a JSON array is replaced with the error content
+    const { changes } = await this.run(
+      `UPDATE chat_message SET
+        status = 'error',
+        content = CASE
+          WHEN json_valid(content) AND json_type(content) = 'array' THEN content
+          ELSE ?
+        END,
+        updatedAt = ?
+      WHERE status = 'pending'`,
+      [errorContent, Date.now()]
+    );
+
+    logger.info(`Successfully updated ${changes} pending messages to error status`);
+    return { updatedCount: changes };
+  }
+
+  // Trash
+
+  // Move a session to the trash, it can be restored until it is purged
+  async deleteSession(id) {
+    const { deleted, deletedAt } = await this.deleteSessions([id]);
+    return { success: true, id, deleted: deleted > 0, deletedAt };
+  }
+
+  // Move several sessions to the trash in one statement
+  async deleteSessions(ids) {
+    const now = Date.now();
+    const { changes } = await this.run(
+      "UPDATE chat_session SET deletedAt = ? WHERE id IN (SELECT value FROM json_each(?)) AND deletedAt IS NULL",
+      [now, JSON.stringify(ids)]
+    );
+    return { success: true, deleted: changes, deletedAt: now };
+  }
+
+  // Get sessions in the trash, most recently deleted first
+  getDeletedSessions() {
+    return this.all(
+      `SELECT s.*, (SELECT COUNT(*) FROM chat_message m WHERE m.sessionId = s.id) AS messageCount
+      FROM chat_session s
+      WHERE s.deletedAt IS NOT NULL
+      ORDER BY s.deletedAt DESC`
+    );
+  }
+
+  // Restore a session and its messages from the trash
+  async restoreSession(id) {
+    try {
+      await this.transaction(async (tx) => {
+        const session = await tx.get(
+          "SELECT deletedAt FROM chat_session WHERE id = ? AND deletedAt IS NOT NULL",
+          [id]
+        );
+        if (!session) return;
+
+        await tx.run("UPDATE chat_session SET deletedAt = NULL WHERE id = ?", [id]);
+        // Messages cleared before the session was trashed stay in the trash
+        await tx.run(
+          "UPDATE chat_message SET deletedAt = NULL WHERE sessionId = ? AND deletedAt >= ?",
+          [id, session.deletedAt]
+        );
+      });
+      return { success: true, id };
+    } catch (err) {
+      logger.error("Failed to restore session:", err);
+      throw err;
+    }
+  }
+
+  // Permanently delete trashed rows
+  // sessionId limits the purge to one session, olderThan to rows deleted before that time
+  async purgeTrash({ sessionId = null, olderThan = null } = {}) {
+    const sessionFilter = sessionId !== null ? " AND id = ?" : "";
+    const timeFilter = olderThan !== null ? " AND deletedAt < ?" : "";
+    const params = [
+      ...(sessionId !== null ? [sessionId] : []),
+      ...(olderThan !== null ? [olderThan] : []),
+    ];
+
+    const trashedSessions = `SELECT id FROM chat_session WHERE deletedAt IS NOT NULL${sessionFilter}${timeFilter}`;
+    const messageFilter =
+      sessionId !== null
+        ? `sessionId = ? AND deletedAt IS NOT NULL${timeFilter}`
+        : `deletedAt IS NOT NULL${timeFilter}`;
+
+    try {
+      const result = await this.transaction(async (tx) => {
+        // Messages of trashed sessions
+        const sessionMessages = await tx.run(
+          `DELETE FROM chat_message WHERE sessionId IN (${trashedSessions})`,
+          params
+        );
+        // Messages deleted on their own
+        const deletedMessages = await tx.run(
+          `DELETE FROM chat_message WHERE ${messageFilter}`,
+          params
+        );
+        const sessions = await tx.run(
+          `DELETE FROM chat_session WHERE deletedAt IS NOT NULL${sessionFilter}${timeFilter}`,
+          params
+        );
+
+        return {
+          messages: sessionMessages.changes + deletedMessages.changes,
+          sessions: sessions.changes,
+        };
+      });
+
+      logger.info(
+        `Database: Purged ${result.sessions} sessions and ${result.messages} messages from trash`
+      );
+      return { success: true, ...result };
+    } catch (err) {
+      logger.error("Failed to purge trash:", err);
+      throw err;
+    }
+  }
+
+  // Purge rows that have been in the trash longer than the retention period
+  purgeExpiredTrash(retentionDays) {
+    if (!retentionDays || retentionDays <= 0) {
+      return Promise.resolve({ success: true, messages: 0, sessions: 0 });
+    }
+
+    const olderThan = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    return this.purgeTrash({ olderThan });
+  }
+
+  // Session properties
+
+  // Update session metadata
+  async updateSessionMetadata(sessionId, metadata) {
+    const now = Date.now();
+
+    // Convert metadata to string
+    const metadataStr =
+      typeof metadata === "string" ? metadata : JSON.stringify(metadata);
+
+    const { changes } = await this.run(
+      "UPDATE chat_session SET metadata = ?, updatedAt = ? WHERE id = ?",
+      [metadataStr, now, sessionId]
+    );
+
+    if (changes === 0) {
+      logger.warn(`Database: Session not found to update metadata ID: ${sessionId}`);
+      throw new Error(`Session not found ID: ${sessionId}`);
+    }
+
+    logger.info(`Database: Session metadata updated successfully, ID: ${sessionId}`);
+    return {
+      id: sessionId,
+      metadata: metadataStr,
+      updatedAt: now,
+      changed: true,
+    };
+  }
+
+  // Change some session settings, other keys of the metadata are kept
+  async mergeSessionMetadata(sessionId, fields) {
+    const metadataStr = await this.transaction(async (tx) => {
+      const session = await tx.get(
+        "SELECT metadata FROM chat_session WHERE id = ?",
+        [sessionId]
+      );
+      if (!session) {
+        throw new Error(`Session not found ID: ${sessionId}`);
+      }
+
+      let metadata = {};
+      try {
+        metadata = session.metadata ? JSON.parse(session.metadata) : {};
+      } catch (err) {
+        logger.warn(`Database: Invalid metadata of session ${sessionId}, replacing it`);
+      }
+      const merged = JSON.stringify({ ...metadata, ...fields });
+
+      await tx.run(
+        "UPDATE chat_session SET metadata = ?, updatedAt = ? WHERE id = ?",
+        [merged, Date.now(), sessionId]
+      );
+      return merged;
+    });
+
+    return { id: sessionId, metadata: metadataStr, changed: true };
+  }
+
+  // Update session name
+  async updateSessionName(sessionId, name) {
+    const now = Date.now();
+    const { changes } = await this.run(
+      "UPDATE chat_session SET name = ?, updatedAt = ? WHERE id = ?",
+      [name, now, sessionId]
+    );
+
+    if (changes === 0) {
+      logger.warn(`Database: Session not found to update name ID: ${sessionId}`);
+      throw new Error(`Session not found ID: ${sessionId}`);
+    }
+
+    logger.info(`Database: Session name updated successfully, ID: ${sessionId}`);
+    return {
+      id: sessionId,
+      name,
+      updatedAt: now,
+      changed: true,
+    };
+  }
+
+  // Set the leaf message of the branch shown in a session
+  async updateSessionActiveMessage(sessionId, messageId) {
+    const { changes } = await this.run(
+      "UPDATE chat_session SET activeMessageId = ? WHERE id = ?",
+      [messageId, sessionId]
+    );
+
+    if (changes === 0) {
+      logger.warn(`Database: Session not found to update active message ID: ${sessionId}`);
+      throw new Error(`Session not found ID: ${sessionId}`);
+    }
+
+    return {
+      id: sessionId,
+      activeMessageId: messageId,
+      changed: true,
+    };
+  }
+
+  // Pin or unpin a session, pinned sessions are always listed first
+  setSessionPinned(sessionId, pinned) {
+    return this.updateSessionFlags(sessionId, { pinned: pinned ? 1 : 0 });
+  }
+
+  // Archive or restore a session, archived sessions are hidden from the main list
+  setSessionArchived(sessionId, archived) {
+    return this.updateSessionFlags(sessionId, { archived: archived ? 1 : 0 });
+  }
+
+  // Move a session into a folder, null moves it to the top level
+  async moveSessionToFolder(sessionId, folderId) {
+    if (folderId !== null && folderId !== undefined) {
+      const folder = await this.getFolderById(folderId);
+      if (!folder) {
+        throw new Error(`Folder not found ID: ${folderId}`);
+      }
+    }
+
+    return this.updateSessionFlags(sessionId, { folderId: folderId ?? null });
+  }
+
+  // Update organisation columns of a session without touching updatedAt,
+  // so moving or pinning a session doesn't change its position in the list
+  async updateSessionFlags(sessionId, fields) {
+    const columns = Object.keys(fields);
+    const assignments = columns.map((column) => `${column} = ?`).join(", ");
+
+    const { changes } = await this.run(
+      `UPDATE chat_session SET ${assignments} WHERE id = ?`,
+      [...columns.map((column) => fields[column]), sessionId]
+    );
+
+    if (changes === 0) {
+      logger.warn(`Database: Session not found to update ID: ${sessionId}`);
+      throw new Error(`Session not found ID: ${sessionId}`);
+    }
+
+    return { id: sessionId, ...fields, changed: true };
+  }
+
+  // Folders
+
+  // Get all session folders
+  getAllFolders() {
+    return this.all(
+      "SELECT * FROM session_folder ORDER BY sortOrder ASC, name COLLATE NOCASE ASC"
+    );
+  }
+
+  // Get a folder by ID
+  async getFolderById(id) {
+    return (await this.get("SELECT * FROM session_folder WHERE id = ?", [id])) || null;
+  }
+
+  // Check that a folder can be placed under parentId, folders nest one level only
+  async validateFolderParent(parentId, folderId = null) {
+    if (parentId === null || parentId === undefined) return;
+
+    if (parentId === folderId) {
+      throw new Error("A folder cannot be moved into itself");
+    }
+
+    const parent = await this.getFolderById(parentId);
+    if (!parent) {
+      throw new Error(`Folder not found ID: ${parentId}`);
+    }
+    if (parent.parentId !== null) {
+      throw new Error("Folders can only be nested one level");
+    }
+
+    if (folderId !== null) {
+      const { count } = await this.get(
+        "SELECT COUNT(*) AS count FROM session_folder WHERE parentId = ?",
+        [folderId]
+      );
+      if (count > 0) {
+        throw new Error("A folder with subfolders cannot be nested");
+      }
+    }
+  }
+
+  // Create a folder, optionally inside a top-level folder
+  async createFolder(name, parentId = null) {
+    await this.validateFolderParent(parentId);
+
+    const now = Date.now();
+    const { lastID } = await this.run(
+      "INSERT INTO session_folder (name, parentId, updatedAt, createdAt) VALUES (?, ?, ?, ?)",
+      [name, parentId ?? null, now, now]
+    );
+
+    return {
+      id: lastID,
+      name,
+      parentId: parentId ?? null,
+      sortOrder: 0,
+      updatedAt: now,
+      createdAt: now,
+    };
+  }
+
+  // Rename a folder
+  async renameFolder(id, name) {
+    const now = Date.now();
+    const { changes } = await this.run(
+      "UPDATE session_folder SET name = ?, updatedAt = ? WHERE id = ?",
+      [name, now, id]
+    );
 
-      // Handle tools field, convert to JSON if exists
-      if (updates.tools !== undefined) {
-        updates.tools = JSON.stringify(updates.tools);
+    if (changes === 0) {
+      throw new Error(`Folder not found ID: ${id}`);
+    }
+    return { id, name, updatedAt: now, changed: true };
+  }
+
+  // Move a folder under another top-level folder, null moves it to the top level
+  async moveFolder(id, parentId) {
+    await this.validateFolderParent(parentId, id);
+
+    const now = Date.now();
+    const { changes } = await this.run(
+      "UPDATE session_folder SET parentId = ?, updatedAt = ? WHERE id = ?",
+      [parentId ?? null, now, id]
+    );
+
+    if (changes === 0) {
+      throw new Error(`Folder not found ID: ${id}`);
+    }
+    return { id, parentId: parentId ?? null, updatedAt: now, changed: true };
+  }
+
+  // Delete a folder and its subfolders, their sessions move to the top level
+  async deleteFolder(id) {
+    const { changes } = await this.run("DELETE FROM session_folder WHERE id = ?", [id]);
+    return { success: true, id, deleted: changes > 0 };
+  }
+
+  // Tags and saved filters
+
+  // Get all tags with the number of sessions outside the trash using them
+  getAllTags() {
+    return this.all(
+      `SELECT t.id, t.name, COUNT(s.id) AS sessionCount
+      FROM tag t
+      LEFT JOIN session_tag st ON st.tagId = t.id
+      LEFT JOIN chat_session s ON s.id = st.sessionId AND s.deletedAt IS NULL
+      GROUP BY t.id
+      ORDER BY t.name COLLATE NOCASE ASC`
+    );
+  }
+
+  // Get the tag names of a session
+  async getSessionTags(sessionId) {
+    const rows = await this.all(
+      `SELECT t.name FROM session_tag st JOIN tag t ON t.id = st.tagId
+      WHERE st.sessionId = ? ORDER BY t.name COLLATE NOCASE ASC`,
+      [sessionId]
+    );
+    return rows.map((row) => row.name);
+  }
+
+  // Add a tags array of names to each session
+  async attachSessionTags(sessions) {
+    if (sessions.length === 0) return sessions;
+
+    const rows = await this.all(
+      `SELECT st.sessionId, t.name FROM session_tag st JOIN tag t ON t.id = st.tagId
+      WHERE st.sessionId IN (SELECT value FROM json_each(?))
+      ORDER BY t.name COLLATE NOCASE ASC`,
+      [JSON.stringify(sessions.map((session) => session.id))]
+    );
+    const tagsBySession = new Map();
+    rows.forEach((row) => {
+      if (!tagsBySession.has(row.sessionId)) tagsBySession.set(row.sessionId, []);
+      tagsBySession.get(row.sessionId).push(row.name);
+    });
+
+    return sessions.map((session) => ({
+      ...session,
+      tags: tagsBySession.get(session.id) || [],
+    }));
+  }
+
+  /**
+   * Replace the tags of a session
+   * Tags are created on first use and removed when no session uses them anymore
+   * @param {number} sessionId Session ID
+   * @param {Array<string>} names Tag names, compared ignoring case
+   * @returns {Promise<Array<string>>} Tag names of the session
+   */
+  async setSessionTags(sessionId, names) {
+    const uniqueNames = [];
+    (names || []).forEach((name) => {
+      const trimmed = String(name).trim();
+      if (
+        trimmed &&
+        !uniqueNames.some((n) => n.toLowerCase() === trimmed.toLowerCase())
+      ) {
+        uniqueNames.push(trimmed);
       }
+    });
 
-      // Build update fields
-      for (const [key, value] of Object.entries(updates)) {
-        if (key === "id") continue; // Don't allow updating ID
+    await this.transaction(async (tx) => {
+      const session = await tx.get("SELECT id FROM chat_session WHERE id = ?", [
+        sessionId,
+      ]);
+      if (!session) {
+        throw new Error(`Session not found ID: ${sessionId}`);
+      }
+
+      await tx.run("DELETE FROM session_tag WHERE sessionId = ?", [sessionId]);
+      const now = Date.now();
+      for (const name of uniqueNames) {
+        await tx.run("INSERT OR IGNORE INTO tag (name, createdAt) VALUES (?, ?)", [
+          name,
+          now,
+        ]);
+        await tx.run(
+          "INSERT INTO session_tag (sessionId, tagId) SELECT ?, id FROM tag WHERE name = ?",
+          [sessionId, name]
+        );
+      }
+      await tx.run(
+        "DELETE FROM tag WHERE id NOT IN (SELECT tagId FROM session_tag)"
+      );
+    });
+
+    return this.getSessionTags(sessionId);
+  }
+
+  // Get ids of the sessions in the main list matching a filter query, in list order
+  async findSessionIds(query) {
+    const { sql, params } = buildFilterCondition(query);
+    const rows = await this.all(
+      `SELECT s.id FROM chat_session s
+      WHERE s.archived = 0 AND s.deletedAt IS NULL AND ${sql}
+      ORDER BY s.pinned DESC, s.updatedAt DESC`,
+      params
+    );
+    return rows.map((row) => row.id);
+  }
+
+  // Get saved filters with the ids of their matching sessions,
+  // a filter whose query no longer parses gets an error and no sessions
+  async getSavedFilters() {
+    const filters = await this.all(
+      "SELECT * FROM saved_filter ORDER BY sortOrder ASC, name COLLATE NOCASE ASC"
+    );
+    return Promise.all(
+      filters.map(async (filter) => {
+        try {
+          return { ...filter, sessionIds: await this.findSessionIds(filter.query) };
+        } catch (err) {
+          return { ...filter, sessionIds: [], error: err.message };
+        }
+      })
+    );
+  }
 
-        // Convert camelCase to snake_case
-        const dbField = key.replace(/([A-Z])/g, "_$1").toLowerCase();
-        updateFields.push(`${dbField} = ?`);
-        updateValues.push(value);
+  // Create a saved filter, or update it when filter.id is set
+  // filter: { id, name, query }
+  async saveSavedFilter(filter) {
+    const name = (filter.name || "").trim();
+    const query = (filter.query || "").trim();
+    if (!name) {
+      throw new Error("Filter name is required");
+    }
+    // Throws with the reason when the query is invalid
+    parseFilterQuery(query);
+
+    const now = Date.now();
+    if (filter.id) {
+      const { changes } = await this.run(
+        "UPDATE saved_filter SET name = ?, query = ?, updatedAt = ? WHERE id = ?",
+        [name, query, now, filter.id]
+      );
+      if (changes === 0) {
+        throw new Error(`Filter not found ID: ${filter.id}`);
       }
+      return { id: filter.id, name, query, updatedAt: now };
+    }
 
-      updateFields.push("updated_at = ?");
-      updateValues.push(timestamp);
+    const { lastID } = await this.run(
+      "INSERT INTO saved_filter (name, query, updatedAt, createdAt) VALUES (?, ?, ?, ?)",
+      [name, query, now, now]
+    );
+    return { id: lastID, name, query, sortOrder: 0, updatedAt: now, createdAt: now };
+  }
 
-      // Add id to update parameters
-      updateValues.push(id);
+  // Delete a saved filter, its sessions are not affected
+  async deleteSavedFilter(id) {
+    const { changes } = await this.run("DELETE FROM saved_filter WHERE id = ?", [id]);
+    return { success: true, id, deleted: changes > 0 };
+  }
 
-      const sql = `UPDATE mcp_servers SET ${updateFields.join(
-        ", "
-      )} WHERE id = ?`;
+  // Assistants
+
+  // Get all assistants, mcpServerIds is parsed to an array or null for all active servers
+  async getAllAssistants() {
+    const assistants = await this.all(
+      "SELECT * FROM assistant ORDER BY name COLLATE NOCASE ASC"
+    );
+    return assistants.map((assistant) => ({
+      ...assistant,
+      mcpServerIds: assistant.mcpServerIds ? JSON.parse(assistant.mcpServerIds) : null,
+    }));
+  }
+
+  // Create an assistant, or update it when assistant.id is set
+  // assistant: { id, name, avatar, systemPrompt, providerId, modelId, temperature, mcpServerIds }
+  async saveAssistant(assistant) {
+    const name = (assistant.name || "").trim();
+    if (!name) {
+      throw new Error("Assistant name is required");
+    }
 
-      this.db.run(sql, updateValues, (err) => {
+    const fields = {
+      name,
+      avatar: (assistant.avatar || "").trim(),
+      systemPrompt: assistant.systemPrompt || "",
+      // Provider and model are only kept as a pair
+      providerId: assistant.modelId ? assistant.providerId || "" : "",
+      modelId: assistant.providerId ? assistant.modelId || "" : "",
+      temperature:
+        assistant.temperature === null || assistant.temperature === undefined
+          ? null
+          : Number(assistant.temperature),
+      mcpServerIds: Array.isArray(assistant.mcpServerIds)
+        ? JSON.stringify(assistant.mcpServerIds)
+        : null,
+    };
+    const columns = Object.keys(fields);
+    const values = Object.values(fields);
+
+    const now = Date.now();
+    if (assistant.id) {
+      const { changes } = await this.run(
+        `UPDATE assistant SET ${columns.map((c) => `${c} = ?`).join(", ")}, updatedAt = ? WHERE id = ?`,
+        [...values, now, assistant.id]
+      );
+      if (changes === 0) {
+        throw new Error(`Assistant not found ID: ${assistant.id}`);
+      }
+      return this.getAssistantById(assistant.id);
+    }
+
+    const { lastID } = await this.run(
+      `INSERT INTO assistant (${columns.join(", ")}, updatedAt, createdAt)
+      VALUES (${columns.map(() => "?").join(", ")}, ?, ?)`,
+      [...values, now, now]
+    );
+    return this.getAssistantById(lastID);
+  }
+
+  // Get assistant by ID
+  async getAssistantById(id) {
+    const assistant = await this.get("SELECT * FROM assistant WHERE id = ?", [id]);
+    if (!assistant) {
+      return null;
+    }
+    return {
+      ...assistant,
+      mcpServerIds: assistant.mcpServerIds ? JSON.parse(assistant.mcpServerIds) : null,
+    };
+  }
+
+  // Delete an assistant, sessions created from it keep their copied settings
+  async deleteAssistant(id) {
+    const { changes } = await this.run("DELETE FROM assistant WHERE id = ?", [id]);
+    return { success: true, id, deleted: changes > 0 };
+  }
+
+  // Prompt library
+
+  // Get all prompts, grouped by category
+  getAllPrompts() {
+    return this.all(
+      "SELECT * FROM prompt ORDER BY category COLLATE NOCASE ASC, title COLLATE NOCASE ASC"
+    );
+  }
+
+  // Create a prompt, or update it when prompt.id is set
+  // prompt: { id, title, content, category }
+  async savePrompt(prompt) {
+    const title = (prompt.title || "").trim();
+    const content = prompt.content || "";
+    const category = (prompt.category || "").trim();
+    if (!title) {
+      throw new Error("Prompt title is required");
+    }
+    if (!content.trim()) {
+      throw new Error("Prompt content is required");
+    }
+
+    const now = Date.now();
+    if (prompt.id) {
+      const { changes } = await this.run(
+        "UPDATE prompt SET title = ?, content = ?, category = ?, updatedAt = ? WHERE id = ?",
+        [title, content, category, now, prompt.id]
+      );
+      if (changes === 0) {
+        throw new Error(`Prompt not found ID: ${prompt.id}`);
+      }
+      return this.get("SELECT * FROM prompt WHERE id = ?", [prompt.id]);
+    }
+
+    const { lastID } = await this.run(
+      "INSERT INTO prompt (title, content, category, updatedAt, createdAt) VALUES (?, ?, ?, ?, ?)",
+      [title, content, category, now, now]
+    );
+    return { id: lastID, title, content, category, updatedAt: now, createdAt: now };
+  }
+
+  // Delete a prompt
+  async deletePrompt(id) {
+    const { changes } = await this.run("DELETE FROM prompt WHERE id = ?", [id]);
+    return { success: true, id, deleted: changes > 0 };
+  }
+
+  // Add imported prompts, a prompt with the same title in the same category is replaced
+  // prompts: [{ title, content, category }], entries without title or content are skipped
+  async importPrompts(prompts) {
+    const now = Date.now();
+    return this.transaction(async (tx) => {
+      const result = { added: 0, updated: 0, skipped: 0 };
+      for (const prompt of prompts) {
+        const title = typeof prompt?.title === "string" ? prompt.title.trim() : "";
+        const content = typeof prompt?.content === "string" ? prompt.content : "";
+        const category =
+          typeof prompt?.category === "string" ? prompt.category.trim() : "";
+        if (!title || !content.trim()) {
+          result.skipped++;
+          continue;
+        }
+
+        const existing = await tx.get(
+          "SELECT id FROM prompt WHERE title = ? COLLATE NOCASE AND category = ? COLLATE NOCASE",
+          [title, category]
+        );
+        if (existing) {
+          await tx.run(
+            "UPDATE prompt SET content = ?, updatedAt = ? WHERE id = ?",
+            [content, now, existing.id]
+          );
+          result.updated++;
+        } else {
+          await tx.run(
+            "INSERT INTO prompt (title, content, category, updatedAt, createdAt) VALUES (?, ?, ?, ?, ?)",
+            [title, content, category, now, now]
+          );
+          result.added++;
+        }
+      }
+      return result;
+    });
+  }
+
+  // Connection
+
+  // Close database connection once the statements already issued have finished
+  async close() {
+    if (!this.db) {
+      return;
+    }
+
+    await this.idle();
+
+    // The connection cannot be closed while prepared statements are open
+    const statements = await Promise.allSettled([...this.statements.values()]);
+    this.statements.clear();
+    await Promise.all(
+      statements
+        .filter((statement) => statement.status === "fulfilled")
+        .map(
+          (statement) =>
+            new Promise((resolve) => statement.value.finalize(() => resolve()))
+        )
+    );
+
+    await new Promise((resolve, reject) => {
+      this.db.close((err) => {
         if (err) {
-          logger.error("Failed to update MCP server:", err);
+          logger.error("Failed to close database connection:", err);
           reject(err);
-          return;
+        } else {
+          logger.info("Database connection closed");
+          resolve();
         }
-
-        this.getMCPServerById(id).then(resolve).catch(reject);
       });
     });
   }
 
-  // Delete MCP server
-  deleteMCPServer(id) {
+  // Copy the live database to a file with SQLite's online backup API, safe while the app is writing
+  async backup(destPath) {
+    // A transaction in progress on this connection must not end up in the copy
+    await this.transactionLock;
+
     return new Promise((resolve, reject) => {
-      this.db.run(`DELETE FROM mcp_servers WHERE id = ?`, [id], (err) => {
+      const backup = this.db.backup(destPath, (err) => {
         if (err) {
-          logger.error("Failed to delete MCP server:", err);
+          logger.error("Failed to start database backup:", err);
           reject(err);
           return;
         }
 
-        resolve(true);
+        // -1 copies all remaining pages in one step
+        backup.step(-1, (err) => {
+          if (err) {
+            logger.error("Database backup step failed:", err);
+            backup.finish(() => reject(err));
+            return;
+          }
+
+          backup.finish((err) => {
+            if (err) {
+              logger.error("Failed to finish database backup:", err);
+              reject(err);
+            } else {
+              logger.info("Database backed up to:", destPath);
+              resolve(destPath);
+            }
+          });
+        });
       });
     });
   }
 
-  // Set MCP server active status
-  setMCPServerActive(id, active) {
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        `UPDATE mcp_servers SET active = ?, updated_at = ? WHERE id = ?`,
-        [active ? 1 : 0, Date.now(), id],
-        (err) => {
-          if (err) {
-            logger.error("Failed to set MCP server active status:", err);
-            reject(err);
-            return;
-          }
+  // Settings and provider config
+
+  // Get the user config as an object
+  async getSettings() {
+    const rows = await this.all("SELECT key, value FROM settings");
+
+    const settings = {};
+    rows.forEach((row) => {
+      try {
+        settings[row.key] = JSON.parse(row.value);
+      } catch (error) {
+        logger.warn("Ignoring invalid setting:", row.key);
+      }
+    });
+    return settings;
+  }
+
+  // Get a single setting, undefined when it is not set
+  async getSetting(key) {
+    const settings = await this.getSettings();
+    return settings[key];
+  }
+
+  // Replace the user config, keys missing from settings are removed
+  async saveSettings(settings) {
+    const now = Date.now();
+    const keys = Object.keys(settings || {}).filter(
+      (key) => settings[key] !== undefined
+    );
 
-          this.getMCPServerById(id).then(resolve).catch(reject);
+    try {
+      await this.transaction(async (tx) => {
+        for (const key of keys) {
+          await tx.run(
+            `INSERT INTO settings (key, value, updatedAt) VALUES (?, ?, ?)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value, updatedAt = excluded.updatedAt`,
+            [key, JSON.stringify(settings[key]), now]
+          );
         }
-      );
+        await tx.run(
+          "DELETE FROM settings WHERE key NOT IN (SELECT value FROM json_each(?))",
+          [JSON.stringify(keys)]
+        );
+      });
+      return { success: true };
+    } catch (err) {
+      logger.error("Failed to save settings:", err);
+      throw err;
+    }
+  }
+
+  // Get provider configs as an object keyed by provider id, in saved order
+  async getProviders() {
+    const rows = await this.all(
+      "SELECT id, config FROM providers ORDER BY sortOrder ASC"
+    );
+
+    const providers = {};
+    rows.forEach((row) => {
+      try {
+        providers[row.id] = JSON.parse(row.config);
+      } catch (error) {
+        logger.warn("Ignoring invalid provider config:", row.id);
+      }
     });
+    return providers;
   }
 
-  // Update MCP server tools
-  updateMCPServerTools(id, tools) {
-    return new Promise((resolve, reject) => {
-      const timestamp = Date.now();
-      this.db.run(
-        `UPDATE mcp_servers SET tools = ?, updated_at = ? WHERE id = ?`,
-        [JSON.stringify(tools), timestamp, id],
-        (err) => {
-          if (err) {
-            logger.error("Failed to update MCP server tools:", err);
-            reject(err);
-            return;
-          }
+  // Replace all provider configs, providers missing from providersConfig are removed
+  // secrets maps API key references to plain text keys, they are stored encrypted.
+  // Keys of removed providers, or whose reference was dropped, are deleted.
+  async saveProviders(providersConfig, secrets = {}) {
+    const now = Date.now();
+    const ids = Object.keys(providersConfig || {});
+    const secretValues = {};
+
+    Object.keys(secrets || {}).forEach((ref) => {
+      if (!ref.startsWith(PROVIDER_SECRET_PREFIX)) {
+        throw new Error(`Invalid API key reference: ${ref}`);
+      }
+      secretValues[ref] = secrets[ref];
+    });
 
-          this.getMCPServerById(id).then(resolve).catch(reject);
+    // A plain text apiKey never reaches the providers table, it is moved to the secrets table
+    const configs = ids.map((id) => {
+      const { apiKey, ...config } = providersConfig[id];
+      if (apiKey) {
+        config.apiKeyRef = config.apiKeyRef || createProviderSecretRef();
+        secretValues[config.apiKeyRef] = apiKey;
+      }
+      return config;
+    });
+
+    // Encrypt before writing anything, this throws when secure storage is unavailable
+    const encryptedSecrets = Object.keys(secretValues).map((ref) => [
+      ref,
+      encryptSecret(secretValues[ref]),
+    ]);
+    const refs = configs.map((config) => config.apiKeyRef).filter(Boolean);
+
+    try {
+      await this.transaction(async (tx) => {
+        for (const [ref, value] of encryptedSecrets) {
+          await tx.run(
+            `INSERT INTO secrets (id, value, updatedAt) VALUES (?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET value = excluded.value, updatedAt = excluded.updatedAt`,
+            [ref, value, now]
+          );
+        }
+        for (const [index, config] of configs.entries()) {
+          await tx.run(
+            `INSERT INTO providers (id, config, sortOrder, updatedAt) VALUES (?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET config = excluded.config, sortOrder = excluded.sortOrder, updatedAt = excluded.updatedAt`,
+            [ids[index], JSON.stringify(config), index, now]
+          );
         }
+        await tx.run(
+          "DELETE FROM providers WHERE id NOT IN (SELECT value FROM json_each(?))",
+          [JSON.stringify(ids)]
+        );
+        await tx.run(
+          "DELETE FROM secrets WHERE id LIKE ? AND id NOT IN (SELECT value FROM json_each(?))",
+          [PROVIDER_SECRET_PREFIX + "%", JSON.stringify(refs)]
+        );
+      });
+      return { success: true };
+    } catch (err) {
+      logger.error("Failed to save providers:", err);
+      throw err;
+    }
+  }
+
+  // Get the decrypted API key of a provider, an empty string when none is set
+  async getProviderApiKey(providerId) {
+    const providers = await this.getProviders();
+    const ref = providers[providerId] && providers[providerId].apiKeyRef;
+    if (!ref) {
+      return "";
+    }
+
+    const row = await this.get("SELECT value FROM secrets WHERE id = ?", [ref]);
+    if (!row) {
+      return "";
+    }
+
+    try {
+      return decryptSecret(row.value);
+    } catch (err) {
+      // Happens when the database was restored on another machine or user account
+      logger.error("Failed to decrypt API key:", providerId, err);
+      throw new Error(
+        "The saved API key could not be decrypted, please enter it again in the provider settings"
       );
-    });
+    }
+  }
+
+  // Move plain text API keys left by older versions to the secrets table
+  async encryptPlaintextApiKeys() {
+    const providers = await this.getProviders();
+    const plaintextIds = Object.keys(providers).filter(
+      (id) => providers[id].apiKey !== undefined
+    );
+    if (plaintextIds.length === 0) {
+      return { encrypted: 0 };
+    }
+
+    if (!isEncryptionAvailable()) {
+      logger.warn("Secure storage is not available, API keys are left unencrypted");
+      return { encrypted: 0 };
+    }
+
+    await this.saveProviders(providers);
+    logger.info(`Encrypted API keys of ${plaintextIds.length} providers`);
+    return { encrypted: plaintextIds.length };
+  }
+
+  // Remove all user and provider config
+  async clearSettings() {
+    try {
+      await this.transaction(async (tx) => {
+        await tx.run("DELETE FROM settings");
+        await tx.run("DELETE FROM providers");
+        await tx.run("DELETE FROM secrets WHERE id LIKE ?", [
+          PROVIDER_SECRET_PREFIX + "%",
+        ]);
+      });
+      return { success: true };
+    } catch (err) {
+      logger.error("Failed to clear settings:", err);
+      throw err;
+    }
+  }
+
+  // MCP related methods
+
+  // Get all MCP servers
+  async getAllMCPServers() {
+    const servers = await this.all(
+      `SELECT * FROM mcp_servers ORDER BY created_at DESC`
+    );
+    return servers.map((server) => ({
+      ...server,
+      tools: server.tools ? JSON.parse(server.tools) : [],
+    }));
+  }
+
+  // Get all active MCP servers
+  async getActiveMCPServers() {
+    const servers = await this.all(
+      `SELECT * FROM mcp_servers WHERE active = 1 ORDER BY created_at DESC`
+    );
+    return servers.map((server) => ({
+      ...server,
+      tools: server.tools ? JSON.parse(server.tools) : [],
+    }));
+  }
+
+  // Get MCP server by ID
+  async getMCPServerById(id) {
+    const server = await this.get(`SELECT * FROM mcp_servers WHERE id = ?`, [id]);
+    if (!server) {
+      return null;
+    }
+
+    return {
+      ...server,
+      tools: server.tools ? JSON.parse(server.tools) : [],
+    };
+  }
+
+  // Add MCP server
+  async addMCPServer(serverData) {
+    const timestamp = Date.now();
+
+    await this.run(
+      `INSERT INTO mcp_servers (name, url, type, active, tools, created_at, updated_at)
+       VALUES ( ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        serverData.name,
+        serverData.url,
+        serverData.type,
+        serverData.active || 0,
+        JSON.stringify(serverData.tools || []),
+        timestamp,
+        timestamp,
+      ]
+    );
+    return true;
+  }
+
+  // Update MCP server information
+  async updateMCPServer(id, updates) {
+    const timestamp = Date.now();
+    const updateFields = [];
+    const updateValues = [];
+
+    // Handle tools field, convert to JSON if exists
+    if (updates.tools !== undefined) {
+      updates.tools = JSON.stringify(updates.tools);
+    }
+
+    // Build update fields
+    for (const [key, value] of Object.entries(updates)) {
+      if (key === "id") continue; // Don't allow updating ID
+
+      // Convert camelCase to snake_case
+      const dbField = key.replace(/([A-Z])/g, "_$1").toLowerCase();
+      updateFields.push(`${dbField} = ?`);
+      updateValues.push(value);
+    }
+
+    updateFields.push("updated_at = ?");
+    updateValues.push(timestamp);
+
+    // Add id to update parameters
+    updateValues.push(id);
+
+    await this.run(
+      `UPDATE mcp_servers SET ${updateFields.join(", ")} WHERE id = ?`,
+      updateValues
+    );
+    return this.getMCPServerById(id);
+  }
+
+  // Delete MCP server
+  async deleteMCPServer(id) {
+    await this.run(`DELETE FROM mcp_servers WHERE id = ?`, [id]);
+    return true;
+  }
+
+  // Set MCP server active status
+  async setMCPServerActive(id, active) {
+    await this.run(
+      `UPDATE mcp_servers SET active = ?, updated_at = ? WHERE id = ?`,
+      [active ? 1 : 0, Date.now(), id]
+    );
+    return this.getMCPServerById(id);
+  }
+
+  // Update MCP server tools
+  async updateMCPServerTools(id, tools) {
+    await this.run(
+      `UPDATE mcp_servers SET tools = ?, updated_at = ? WHERE id = ?`,
+      [JSON.stringify(tools), Date.now(), id]
+    );
+    return this.getMCPServerById(id);
   }
 }
 
@@ -1,10 +1,21 @@
-const { ipcMain } = require("electron");
+const { ipcMain, BrowserWindow, dialog } = require("electron");
 const {
   createMCPClient,
   testMCPConnection,
   executeTool,
   initMCP,
+  setMCPDatabase,
 } = require("./services/mcpService");
+const { exportSessions } = require("./services/exportService");
+const { importConversations } = require("./services/importService");
+const { exportUsageCsv } = require("./services/usageService");
+const { exportPrompts, importPrompts } = require("./services/promptService");
+const {
+  listBackups,
+  createBackup,
+  deleteBackup,
+  scheduleBackups,
+} = require("./services/backupService");
 const logger = require("./logger");
 
 let _db = null;
@@ -16,6 +27,8 @@ function wrapDbHandler(handler) {
       if (!_db) {
         throw new Error("Database not initialized");
       }
+      // Wait for migrations to finish, a failed migration rejects every call
+      await _db.ready;
       return await handler(_db, ...args);
     } catch (err) {
       logger.error("IPC handler error:", err);
@@ -25,7 +38,8 @@ function wrapDbHandler(handler) {
 }
 
 // Register all IPC handlers
-async function registerIpcHandlers(db) {
+// options.restoreDatabase is provided by main.js, which owns the database connection
+async function registerIpcHandlers(db, options = {}) {
   // Save database reference
   _db = db;
 
@@ -37,6 +51,134 @@ async function registerIpcHandlers(db) {
 
   // Register MCP related IPC handlers
   registerMCPHandlers();
+
+  // Register settings related IPC handlers
+  registerSettingsHandlers();
+
+  // Register backup related IPC handlers
+  registerBackupHandlers(options.restoreDatabase);
+}
+
+// Switch all handlers to a new database instance, used after a backup has been restored
+function setDatabase(db) {
+  _db = db;
+  setMCPDatabase(db);
+}
+
+// Register user and provider config related IPC handlers
+function registerSettingsHandlers() {
+  // Get user config
+  ipcMain.handle(
+    "get-settings",
+    wrapDbHandler(async (database) => {
+      return await database.getSettings();
+    })
+  );
+
+  // Save user config
+  ipcMain.handle(
+    "save-settings",
+    wrapDbHandler(async (database, settings) => {
+      return await database.saveSettings(settings);
+    })
+  );
+
+  // Get provider configs
+  ipcMain.handle(
+    "get-providers",
+    wrapDbHandler(async (database) => {
+      return await database.getProviders();
+    })
+  );
+
+  // Save provider configs, secrets holds new API keys by reference
+  ipcMain.handle(
+    "save-providers",
+    wrapDbHandler(async (database, providersConfig, secrets) => {
+      return await database.saveProviders(providersConfig, secrets);
+    })
+  );
+
+  // Get the decrypted API key of a provider, only requested right before calling its API
+  ipcMain.handle(
+    "get-provider-api-key",
+    wrapDbHandler(async (database, providerId) => {
+      return await database.getProviderApiKey(providerId);
+    })
+  );
+
+  // Clear user and provider config
+  ipcMain.handle(
+    "clear-settings",
+    wrapDbHandler(async (database) => {
+      logger.info("Main process: Clear all settings");
+      return await database.clearSettings();
+    })
+  );
+}
+
+// Register backup related IPC handlers
+function registerBackupHandlers(restoreDatabase) {
+  // List backup files
+  ipcMain.handle("get-backups", async () => {
+    try {
+      return listBackups();
+    } catch (error) {
+      logger.error("IPC: Failed to list backups", error);
+      throw error;
+    }
+  });
+
+  // Back up the database now
+  ipcMain.handle(
+    "create-backup",
+    wrapDbHandler(async (database) => {
+      logger.info("Main process: Create backup");
+      return await createBackup(database, "manual");
+    })
+  );
+
+  // Delete a backup file
+  ipcMain.handle("delete-backup", async (event, name) => {
+    try {
+      return deleteBackup(name);
+    } catch (error) {
+      logger.error("IPC: Failed to delete backup", error);
+      throw error;
+    }
+  });
+
+  // Let the user pick a database file to restore from
+  ipcMain.handle("choose-backup-file", async () => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(
+      BrowserWindow.getFocusedWindow(),
+      {
+        properties: ["openFile"],
+        filters: [
+          { name: "SQLite Database", extensions: ["db", "sqlite", "sqlite3"] },
+          { name: "All Files", extensions: ["*"] },
+        ],
+      }
+    );
+    return canceled ? null : filePaths[0];
+  });
+
+  // Restore the database from a backup file, the connection is reopened in place
+  ipcMain.handle("restore-backup", async (event, filePath) => {
+    try {
+      logger.info("Main process: Restore backup", filePath);
+      return await restoreDatabase(filePath);
+    } catch (error) {
+      logger.error("IPC: Failed to restore backup", error);
+      throw error;
+    }
+  });
+
+  // Apply the automatic backup settings from the renderer
+  ipcMain.handle("configure-backups", async (event, settings) => {
+    logger.info("Main process: Configure backups", settings);
+    return scheduleBackups(() => _db, settings);
+  });
 }
 
 // Register MCP related IPC handlers
@@ -159,18 +301,35 @@ function registerSessionMessageHandlers() {
   // Get all sessions
   ipcMain.handle(
     "get-sessions",
-    wrapDbHandler(async (database) => {
-      logger.info("Main process: Get all sessions");
-      return await database.getAllSessions();
+    wrapDbHandler(async (database, options) => {
+      logger.info("Main process: Get all sessions", options);
+      return await database.getAllSessions(options);
+    })
+  );
+
+  // Get one session, including archived sessions
+  ipcMain.handle(
+    "get-session",
+    wrapDbHandler(async (database, id) => {
+      return await database.getSessionById(id);
     })
   );
 
   // Create new session
   ipcMain.handle(
     "create-session",
-    wrapDbHandler(async (database, name) => {
+    wrapDbHandler(async (database, name, metadata) => {
       logger.info("Main process: Create session", name);
-      return await database.createSession(name);
+      return await database.createSession(name, metadata);
+    })
+  );
+
+  // Fork a session from one of its messages
+  ipcMain.handle(
+    "fork-session",
+    wrapDbHandler(async (database, sessionId, messageId, name) => {
+      logger.info("Main process: Fork session", sessionId, messageId);
+      return await database.forkSession(sessionId, messageId, name);
     })
   );
 
@@ -183,6 +342,33 @@ function registerSessionMessageHandlers() {
     })
   );
 
+  // Get one page of session messages, newest first
+  ipcMain.handle(
+    "get-messages-page",
+    wrapDbHandler(async (database, sessionId, options) => {
+      logger.info("Main process: Get message page", sessionId, options);
+      return await database.getMessagesPage(sessionId, options);
+    })
+  );
+
+  // Get the branch leading to a message
+  ipcMain.handle(
+    "get-message-path",
+    wrapDbHandler(async (database, messageId) => {
+      logger.info("Main process: Get message path", messageId);
+      return await database.getMessagePath(messageId);
+    })
+  );
+
+  // Full-text search across messages
+  ipcMain.handle(
+    "search-messages",
+    wrapDbHandler(async (database, query, filters) => {
+      logger.info("Main process: Search messages", query, filters);
+      return await database.searchMessages(query, filters);
+    })
+  );
+
   // Delete session messages
   ipcMain.handle(
     "delete-messages",
@@ -217,14 +403,47 @@ function registerSessionMessageHandlers() {
   // Update message content
   ipcMain.handle(
     "update-message-content",
-    wrapDbHandler(async (database, id, content) => {
-      logger.info("Main process: About to update message content, ID:", id);
-      const result = await database.updateMessageContent(id, content);
+    wrapDbHandler(async (database, id, content, reason) => {
+      logger.info("Main process: About to update message content, ID:", id, reason);
+      const result = await database.updateMessageContent(id, content, reason);
       logger.info("Main process: Update message content success");
       return result;
     })
   );
 
+  // Get the earlier contents of a message
+  ipcMain.handle(
+    "get-message-revisions",
+    wrapDbHandler(async (database, messageId) => {
+      return await database.getMessageRevisions(messageId);
+    })
+  );
+
+  // Put an earlier content back into a message
+  ipcMain.handle(
+    "restore-message-revision",
+    wrapDbHandler(async (database, messageId, revisionId) => {
+      logger.info("Main process: Restore message revision", messageId, revisionId);
+      return await database.restoreMessageRevision(messageId, revisionId);
+    })
+  );
+
+  // Save the token usage of an assistant reply
+  ipcMain.handle(
+    "update-message-usage",
+    wrapDbHandler(async (database, id, usage) => {
+      return await database.updateMessageUsage(id, usage);
+    })
+  );
+
+  // Get the total token usage of a session
+  ipcMain.handle(
+    "get-session-usage",
+    wrapDbHandler(async (database, sessionId) => {
+      return await database.getSessionUsage(sessionId);
+    })
+  );
+
   // Delete session
   ipcMain.handle(
     "delete-session",
@@ -236,6 +455,42 @@ function registerSessionMessageHandlers() {
     })
   );
 
+  // Get sessions in the trash
+  ipcMain.handle(
+    "get-deleted-sessions",
+    wrapDbHandler(async (database) => {
+      logger.info("Main process: Get deleted sessions");
+      return await database.getDeletedSessions();
+    })
+  );
+
+  // Restore session from the trash
+  ipcMain.handle(
+    "restore-session",
+    wrapDbHandler(async (database, id) => {
+      logger.info("Main process: Restore session", id);
+      return await database.restoreSession(id);
+    })
+  );
+
+  // Permanently delete a session in the trash, or empty the trash when no id is given
+  ipcMain.handle(
+    "purge-trash",
+    wrapDbHandler(async (database, sessionId) => {
+      logger.info("Main process: Purge trash", sessionId);
+      return await database.purgeTrash({ sessionId: sessionId ?? null });
+    })
+  );
+
+  // Purge trash older than the retention period
+  ipcMain.handle(
+    "purge-expired-trash",
+    wrapDbHandler(async (database, retentionDays) => {
+      logger.info("Main process: Purge expired trash, retention days:", retentionDays);
+      return await database.purgeExpiredTrash(retentionDays);
+    })
+  );
+
   // Create or update message
   ipcMain.handle(
     "create-or-update-message",
@@ -261,6 +516,24 @@ function registerSessionMessageHandlers() {
     })
   );
 
+  // Change some session settings, keeping the rest of the metadata
+  ipcMain.handle(
+    "merge-session-metadata",
+    wrapDbHandler(async (database, sessionId, fields) => {
+      logger.info("Main process: Merge session metadata, ID:", sessionId, fields);
+      return await database.mergeSessionMetadata(sessionId, fields);
+    })
+  );
+
+  // Update the active branch of a session
+  ipcMain.handle(
+    "update-session-active-message",
+    wrapDbHandler(async (database, sessionId, messageId) => {
+      logger.info("Main process: About to update session active message, ID:", sessionId);
+      return await database.updateSessionActiveMessage(sessionId, messageId);
+    })
+  );
+
   // Update session name
   ipcMain.handle(
     "update-session-name",
@@ -271,6 +544,264 @@ function registerSessionMessageHandlers() {
       return result;
     })
   );
+
+  // Pin or unpin a session
+  ipcMain.handle(
+    "set-session-pinned",
+    wrapDbHandler(async (database, sessionId, pinned) => {
+      logger.info("Main process: Set session pinned, ID:", sessionId, pinned);
+      return await database.setSessionPinned(sessionId, pinned);
+    })
+  );
+
+  // Archive or restore a session
+  ipcMain.handle(
+    "set-session-archived",
+    wrapDbHandler(async (database, sessionId, archived) => {
+      logger.info("Main process: Set session archived, ID:", sessionId, archived);
+      return await database.setSessionArchived(sessionId, archived);
+    })
+  );
+
+  // Move a session into a folder
+  ipcMain.handle(
+    "move-session-to-folder",
+    wrapDbHandler(async (database, sessionId, folderId) => {
+      logger.info("Main process: Move session to folder, ID:", sessionId, folderId);
+      return await database.moveSessionToFolder(sessionId, folderId);
+    })
+  );
+
+  // Export sessions to files
+  ipcMain.handle(
+    "export-sessions",
+    wrapDbHandler(async (database, sessionIds, format) => {
+      logger.info("Main process: Export sessions", sessionIds, format);
+      return await exportSessions(
+        database,
+        sessionIds,
+        format,
+        BrowserWindow.getFocusedWindow()
+      );
+    })
+  );
+
+  // Get token usage and tool call statistics for the usage dashboard
+  ipcMain.handle(
+    "get-usage-stats",
+    wrapDbHandler(async (database, filters) => {
+      return await database.getUsageStats(filters);
+    })
+  );
+
+  // Export a breakdown of the usage statistics as CSV
+  ipcMain.handle(
+    "export-usage-csv",
+    wrapDbHandler(async (database, breakdown, filters) => {
+      logger.info("Main process: Export usage", breakdown);
+      return await exportUsageCsv(
+        database,
+        breakdown,
+        filters,
+        BrowserWindow.getFocusedWindow()
+      );
+    })
+  );
+
+  // Import conversations from a ChatGPT, Claude or SeekChat export
+  ipcMain.handle(
+    "import-conversations",
+    wrapDbHandler(async (database) => {
+      logger.info("Main process: Import conversations");
+      return await importConversations(database, BrowserWindow.getFocusedWindow());
+    })
+  );
+
+  // Register session folder related IPC handlers
+  registerFolderHandlers();
+
+  // Register tag and saved filter related IPC handlers
+  registerTagHandlers();
+
+  // Register assistant related IPC handlers
+  registerAssistantHandlers();
+
+  // Register prompt library related IPC handlers
+  registerPromptHandlers();
+}
+
+// Register session folder related IPC handlers
+function registerFolderHandlers() {
+  // Get all folders
+  ipcMain.handle(
+    "get-folders",
+    wrapDbHandler(async (database) => {
+      logger.info("Main process: Get all folders");
+      return await database.getAllFolders();
+    })
+  );
+
+  // Create folder
+  ipcMain.handle(
+    "create-folder",
+    wrapDbHandler(async (database, name, parentId) => {
+      logger.info("Main process: Create folder", name, parentId);
+      return await database.createFolder(name, parentId);
+    })
+  );
+
+  // Rename folder
+  ipcMain.handle(
+    "rename-folder",
+    wrapDbHandler(async (database, id, name) => {
+      logger.info("Main process: Rename folder, ID:", id);
+      return await database.renameFolder(id, name);
+    })
+  );
+
+  // Move folder under another folder
+  ipcMain.handle(
+    "move-folder",
+    wrapDbHandler(async (database, id, parentId) => {
+      logger.info("Main process: Move folder, ID:", id, parentId);
+      return await database.moveFolder(id, parentId);
+    })
+  );
+
+  // Delete folder
+  ipcMain.handle(
+    "delete-folder",
+    wrapDbHandler(async (database, id) => {
+      logger.info("Main process: Delete folder, ID:", id);
+      return await database.deleteFolder(id);
+    })
+  );
+}
+
+// Register tag and saved filter related IPC handlers
+function registerTagHandlers() {
+  // Get all tags
+  ipcMain.handle(
+    "get-tags",
+    wrapDbHandler(async (database) => {
+      logger.info("Main process: Get all tags");
+      return await database.getAllTags();
+    })
+  );
+
+  // Replace the tags of a session
+  ipcMain.handle(
+    "set-session-tags",
+    wrapDbHandler(async (database, sessionId, names) => {
+      logger.info("Main process: Set session tags, ID:", sessionId, names);
+      return await database.setSessionTags(sessionId, names);
+    })
+  );
+
+  // Get saved filters with their matching sessions
+  ipcMain.handle(
+    "get-saved-filters",
+    wrapDbHandler(async (database) => {
+      logger.info("Main process: Get saved filters");
+      return await database.getSavedFilters();
+    })
+  );
+
+  // Create or update saved filter
+  ipcMain.handle(
+    "save-saved-filter",
+    wrapDbHandler(async (database, filter) => {
+      logger.info("Main process: Save filter", filter);
+      return await database.saveSavedFilter(filter);
+    })
+  );
+
+  // Delete saved filter
+  ipcMain.handle(
+    "delete-saved-filter",
+    wrapDbHandler(async (database, id) => {
+      logger.info("Main process: Delete filter, ID:", id);
+      return await database.deleteSavedFilter(id);
+    })
+  );
+}
+
+// Register assistant related IPC handlers
+function registerAssistantHandlers() {
+  // Get all assistants
+  ipcMain.handle(
+    "get-assistants",
+    wrapDbHandler(async (database) => {
+      logger.info("Main process: Get all assistants");
+      return await database.getAllAssistants();
+    })
+  );
+
+  // Create or update assistant
+  ipcMain.handle(
+    "save-assistant",
+    wrapDbHandler(async (database, assistant) => {
+      logger.info("Main process: Save assistant", assistant?.id, assistant?.name);
+      return await database.saveAssistant(assistant);
+    })
+  );
+
+  // Delete assistant
+  ipcMain.handle(
+    "delete-assistant",
+    wrapDbHandler(async (database, id) => {
+      logger.info("Main process: Delete assistant, ID:", id);
+      return await database.deleteAssistant(id);
+    })
+  );
+}
+
+// Register prompt library related IPC handlers
+function registerPromptHandlers() {
+  // Get all prompts
+  ipcMain.handle(
+    "get-prompts",
+    wrapDbHandler(async (database) => {
+      logger.info("Main process: Get all prompts");
+      return await database.getAllPrompts();
+    })
+  );
+
+  // Create or update prompt
+  ipcMain.handle(
+    "save-prompt",
+    wrapDbHandler(async (database, prompt) => {
+      logger.info("Main process: Save prompt", prompt?.id, prompt?.title);
+      return await database.savePrompt(prompt);
+    })
+  );
+
+  // Delete prompt
+  ipcMain.handle(
+    "delete-prompt",
+    wrapDbHandler(async (database, id) => {
+      logger.info("Main process: Delete prompt, ID:", id);
+      return await database.deletePrompt(id);
+    })
+  );
+
+  // Export the prompt library as JSON
+  ipcMain.handle(
+    "export-prompts",
+    wrapDbHandler(async (database) => {
+      logger.info("Main process: Export prompts");
+      return await exportPrompts(database, BrowserWindow.getFocusedWindow());
+    })
+  );
+
+  // Import prompts from a JSON file
+  ipcMain.handle(
+    "import-prompts",
+    wrapDbHandler(async (database) => {
+      logger.info("Main process: Import prompts");
+      return await importPrompts(database, BrowserWindow.getFocusedWindow());
+    })
+  );
 }
 
-module.exports = { registerIpcHandlers };
+module.exports = { registerIpcHandlers, setDatabase };
@@ -1,11 +1,13 @@
 const electronLog = require("electron-log");
 const path = require("path");
-const { app } = require("electron");
+
+// Outside Electron (e.g. in tests with plain Node) there is no app and no log file
+const isElectron = Boolean(process.versions.electron);
 
 // Configure log file
 electronLog.transports.file.resolvePathFn = () => {
   // Get user data path
-  const userDataPath = app.getPath("userData");
+  const userDataPath = require("electron").app.getPath("userData");
   return path.join(userDataPath, "logs/main.log");
 };
 
@@ -23,7 +25,7 @@ electronLog.transports.file.maxFiles = 5;
 electronLog.transports.console.format = "[{level}] {text}";
 
 // Set log level
-electronLog.transports.file.level = "info";
+electronLog.transports.file.level = isElectron ? "info" : false;
 electronLog.transports.console.level = "debug";
 
 // Create a wrapper that outputs to both console and file
@@ -1,9 +1,16 @@
 const { app, BrowserWindow, ipcMain, shell, Menu } = require("electron");
 const path = require("path");
+const fs = require("fs");
 const ChatDatabase = require("./database");
-const { registerIpcHandlers } = require("./ipc");
+const { registerIpcHandlers, setDatabase } = require("./ipc");
 const logger = require("./logger");
 const { cleanup } = require("./services/mcpService");
+const {
+  createBackup,
+  validateBackup,
+  scheduleBackups,
+  stopBackupSchedule,
+} = require("./services/backupService");
 
 const isDev = process.env.NODE_ENV === "development";
 
@@ -13,26 +20,103 @@ let mainWindow;
 // Catch global unhandled exceptions
 logger.catchErrors();
 
+// Last database error, kept so it can be delivered once the page has loaded
+let databaseError = null;
+
+// Report database errors to the renderer through the db-error channel
+function notifyDatabaseError(errorMessage) {
+  databaseError = errorMessage;
+  if (mainWindow && !mainWindow.webContents.isLoading()) {
+    mainWindow.webContents.send("db-error", errorMessage);
+  }
+}
+
 // Ensure database is initialized
 function ensureDatabase() {
   if (!db) {
     logger.info("Initializing database...");
     try {
       db = new ChatDatabase();
-      logger.info("Database initialization successful");
+      db.ready
+        .then(() => {
+          logger.info("Database initialization successful");
+        })
+        .catch((err) => {
+          logger.error("Database initialization failed:", err);
+          notifyDatabaseError("Database initialization failed: " + err.message);
+        });
     } catch (err) {
       logger.error("Database initialization failed:", err);
-      if (mainWindow) {
-        mainWindow.webContents.send(
-          "db-error",
-          "Database initialization failed: " + err.message
-        );
-      }
+      notifyDatabaseError("Database initialization failed: " + err.message);
     }
   }
   return db;
 }
 
+// Replace the database file with a backup and reopen the connection, no app restart needed
+async function restoreDatabase(filePath) {
+  await validateBackup(filePath);
+
+  const current = ensureDatabase();
+  const dbPath = current.dbPath;
+
+  // Keep the current data so a wrong restore can be undone, skipped when the database is unreadable
+  let safetyBackup = null;
+  try {
+    safetyBackup = await createBackup(current, "restore");
+  } catch (err) {
+    logger.warn("Failed to back up current database before restore:", err);
+  }
+
+  await current.close().catch((err) => {
+    logger.warn("Failed to close database before restore:", err);
+  });
+  db = null;
+
+  const replaceDatabaseFile = (sourcePath) => {
+    // Journal files belong to the replaced database and must not be applied to the new one
+    ["-wal", "-shm", "-journal"].forEach((suffix) => {
+      fs.rmSync(dbPath + suffix, { force: true });
+    });
+    fs.copyFileSync(sourcePath, dbPath);
+  };
+
+  replaceDatabaseFile(filePath);
+  let database = ensureDatabase();
+
+  try {
+    // Older backups are migrated here
+    await database.ready;
+  } catch (err) {
+    logger.error("Restored database failed to open, reverting:", err);
+    if (safetyBackup) {
+      await database.close().catch(() => {});
+      db = null;
+      replaceDatabaseFile(safetyBackup.path);
+      database = ensureDatabase();
+    }
+    setDatabase(database);
+    throw err;
+  }
+
+  databaseError = null;
+  setDatabase(database);
+  scheduleBackupsFromSettings(database);
+  logger.info("Database restored from:", filePath);
+
+  return { success: true, safetyBackup: safetyBackup ? safetyBackup.name : null };
+}
+
+// Schedule automatic backups with the settings stored in the database
+function scheduleBackupsFromSettings(database) {
+  database.ready
+    .then(() => database.getSetting("backup"))
+    .then((settings) => scheduleBackups(() => db, settings))
+    .catch((err) => {
+      logger.error("Failed to schedule automatic backups:", err);
+    });
+}
+
 function createWindow() {
   // Create browser window
   mainWindow = new BrowserWindow({
@@ -57,8 +141,8 @@ function createWindow() {
     logger.info("Page started loading, checking for pending status messages");
     const database = ensureDatabase();
     if (database) {
-      database
-        .updateAllPendingMessagesToError()
+      database.ready
+        .then(() => database.updateAllPendingMessagesToError())
         .then((result) => {
           if (result.updatedCount > 0) {
             logger.info(`Handled ${result.updatedCount} interrupted messages during page refresh`);
@@ -70,6 +154,13 @@ function createWindow() {
     }
   });
 
+  // Deliver database errors that happened before the page finished loading
+  mainWindow.webContents.on("did-finish-load", () => {
+    if (databaseError) {
+      mainWindow.webContents.send("db-error", databaseError);
+    }
+  });
+
   // Load application
   if (isDev) {
     // In development environment, load Vite dev server
@@ -107,18 +198,20 @@ app.whenReady().then(() => {
 
   // Update all pending status messages to error status
   if (database) {
-    database
-      .updateAllPendingMessagesToError()
+    database.ready
+      .then(() => database.updateAllPendingMessagesToError())
       .then((result) => {
         logger.info(`Handled ${result.updatedCount} interrupted messages on app startup`);
       })
       .catch((err) => {
         logger.error("Failed to update interrupted message status:", err);
       });
+
+    scheduleBackupsFromSettings(database);
   }
 
   // Register all IPC handlers
-  registerIpcHandlers(database)
+  registerIpcHandlers(database, { restoreDatabase })
     .then(() => {
       logger.info("IPC handlers registered successfully");
     })
@@ -144,5 +237,6 @@ app.on("will-quit", () => {
     logger.info("Application exiting, closing database connection");
     db.close();
   }
+  stopBackupSchedule();
   cleanup();
 });
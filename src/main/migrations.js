@@ -0,0 +1,313 @@
+/**
+ * Database schema migrations
+ *
+ * Each migration has a unique, increasing version number and a list of SQL
+ * statements. Pending migrations are applied in order at startup, each one
+ * inside its own transaction, and recorded in the schema_version table.
+ *
+ * Never edit a migration that has already been released, add a new one instead.
+ */
+
+// SQL expression extracting the searchable text of a chat_message row (NEW, OLD or table name).
+// Content is normally a JSON array of content blocks, only "content" blocks are indexed.
+const messageTextExpression = (row) => `CASE
+  WHEN json_valid(${row}.content) AND json_type(${row}.content) = 'array' THEN (
+    SELECT COALESCE(group_concat(json_extract(value, '$.content'), ' '), '')
+    FROM json_each(${row}.content)
+    WHERE json_extract(value, '$.type') = 'content'
+      AND json_type(value, '$.content') = 'text'
+  )
+  ELSE ${row}.content
+END`;
+
+const migrations = [
+  {
+    version: 1,
+    description: "Initial schema",
+    up: [
+      `CREATE TABLE IF NOT EXISTS chat_session (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        metadata TEXT DEFAULT '',
+        updatedAt INTEGER DEFAULT 0,
+        createdAt INTEGER DEFAULT 0
+      )`,
+      `CREATE TABLE IF NOT EXISTS chat_message (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sessionId INTEGER NOT NULL,
+        role TEXT NOT NULL,
+        providerId INTEGER NOT NULL,
+        modelId INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        status TEXT DEFAULT '',
+        updatedAt INTEGER DEFAULT 0,
+        createdAt INTEGER DEFAULT 0,
+        FOREIGN KEY (sessionId) REFERENCES chat_session(id) ON DELETE CASCADE
+      )`,
+      `CREATE TABLE IF NOT EXISTS mcp_servers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        url TEXT NOT NULL,
+        type TEXT NOT NULL,
+        active BOOLEAN DEFAULT 0,
+        tools TEXT,
+        description TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      )`,
+    ],
+  },
+  {
+    version: 2,
+    description: "Full-text search index over message content",
+    up: [
+      // Trigram tokenizer so that CJK text and partial words can be searched
+      `CREATE VIRTUAL TABLE IF NOT EXISTS chat_message_fts USING fts5(
+        text,
+        tokenize = 'trigram'
+      )`,
+      `CREATE TRIGGER IF NOT EXISTS chat_message_fts_insert
+      AFTER INSERT ON chat_message BEGIN
+        INSERT INTO chat_message_fts (rowid, text)
+        VALUES (NEW.id, ${messageTextExpression("NEW")});
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS chat_message_fts_update
+      AFTER UPDATE OF content ON chat_message BEGIN
+        DELETE FROM chat_message_fts WHERE rowid = OLD.id;
+        INSERT INTO chat_message_fts (rowid, text)
+        VALUES (NEW.id, ${messageTextExpression("NEW")});
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS chat_message_fts_delete
+      AFTER DELETE ON chat_message BEGIN
+        DELETE FROM chat_message_fts WHERE rowid = OLD.id;
+      END`,
+      // Index existing messages
+      `INSERT INTO chat_message_fts (rowid, text)
+      SELECT id, ${messageTextExpression("chat_message")} FROM chat_message`,
+    ],
+  },
+  {
+    version: 3,
+    description: "Message tree with branches",
+    up: [
+      "ALTER TABLE chat_message ADD COLUMN parentId INTEGER DEFAULT NULL",
+      // Leaf message of the branch currently shown in the session, NULL means the latest branch
+      "ALTER TABLE chat_session ADD COLUMN activeMessageId INTEGER DEFAULT NULL",
+      // Existing conversations are linear, each message's parent is the previous one
+      // One pass over the messages, there is no index to look the previous one up yet
+      `UPDATE chat_message SET parentId = ordered.previousId
+      FROM (
+        SELECT id, LAG(id) OVER (PARTITION BY sessionId ORDER BY createdAt, id) AS previousId
+        FROM chat_message
+      ) AS ordered
+      WHERE ordered.id = chat_message.id`,
+      "CREATE INDEX IF NOT EXISTS idx_chat_message_parent ON chat_message (parentId)",
+    ],
+  },
+  {
+    version: 4,
+    description: "Session folders, pinning and archiving",
+    up: [
+      // Folders can be nested one level, deleting a folder deletes its subfolders
+      `CREATE TABLE IF NOT EXISTS session_folder (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        parentId INTEGER DEFAULT NULL,
+        sortOrder INTEGER DEFAULT 0,
+        updatedAt INTEGER DEFAULT 0,
+        createdAt INTEGER DEFAULT 0,
+        FOREIGN KEY (parentId) REFERENCES session_folder(id) ON DELETE CASCADE
+      )`,
+      // Sessions of a deleted folder move back to the top level
+      "ALTER TABLE chat_session ADD COLUMN folderId INTEGER DEFAULT NULL REFERENCES session_folder(id) ON DELETE SET NULL",
+      "ALTER TABLE chat_session ADD COLUMN pinned BOOLEAN DEFAULT 0",
+      "ALTER TABLE chat_session ADD COLUMN archived BOOLEAN DEFAULT 0",
+      "CREATE INDEX IF NOT EXISTS idx_chat_session_folder ON chat_session (folderId)",
+    ],
+  },
+  {
+    version: 5,
+    description: "Soft deletion with a trash bin",
+    up: [
+      // Deleted rows stay in the trash until restored or purged
+      "ALTER TABLE chat_session ADD COLUMN deletedAt INTEGER DEFAULT NULL",
+      "ALTER TABLE chat_message ADD COLUMN deletedAt INTEGER DEFAULT NULL",
+      "CREATE INDEX IF NOT EXISTS idx_chat_session_deleted ON chat_session (deletedAt)",
+    ],
+  },
+  {
+    version: 6,
+    description: "Stable session identifiers for import and export",
+    up: [
+      // Identifies a conversation across exports and imports, used to detect duplicates
+      "ALTER TABLE chat_session ADD COLUMN uuid TEXT DEFAULT NULL",
+      `UPDATE chat_session SET uuid = lower(
+        hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-' || hex(randomblob(2)) || '-' ||
+        hex(randomblob(2)) || '-' || hex(randomblob(6))
+      )`,
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_chat_session_uuid ON chat_session (uuid)",
+    ],
+  },
+  {
+    version: 7,
+    description: "User and provider configuration",
+    up: [
+      // One row per top-level user config key, values are JSON
+      `CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updatedAt INTEGER DEFAULT 0
+      )`,
+      // One row per provider, config is the provider's JSON config including its models
+      `CREATE TABLE IF NOT EXISTS providers (
+        id TEXT PRIMARY KEY,
+        config TEXT NOT NULL,
+        sortOrder INTEGER DEFAULT 0,
+        updatedAt INTEGER DEFAULT 0
+      )`,
+    ],
+  },
+  {
+    version: 8,
+    description: "Encrypted secrets",
+    up: [
+      // Values are encrypted with Electron safeStorage, config only keeps the id as a reference.
+      // Existing plain text API keys are moved here by ChatDatabase.encryptPlaintextApiKeys
+      `CREATE TABLE IF NOT EXISTS secrets (
+        id TEXT PRIMARY KEY,
+        value BLOB NOT NULL,
+        updatedAt INTEGER DEFAULT 0
+      )`,
+    ],
+  },
+  {
+    version: 9,
+    description: "Message pagination index",
+    up: [
+      // Messages are loaded page by page, newest first, with a (createdAt, id) cursor
+      "CREATE INDEX IF NOT EXISTS idx_chat_message_session_created ON chat_message (sessionId, createdAt, id)",
+    ],
+  },
+  {
+    version: 10,
+    description: "Message token usage",
+    up: [
+      // Filled when an assistant reply completes, NULL when the provider reported no usage.
+      // completionTokens includes reasoningTokens, cost is in USD at the price when it was sent
+      "ALTER TABLE chat_message ADD COLUMN promptTokens INTEGER",
+      "ALTER TABLE chat_message ADD COLUMN completionTokens INTEGER",
+      "ALTER TABLE chat_message ADD COLUMN reasoningTokens INTEGER",
+      "ALTER TABLE chat_message ADD COLUMN latencyMs INTEGER",
+      "ALTER TABLE chat_message ADD COLUMN cost REAL",
+    ],
+  },
+  {
+    version: 11,
+    description: "Message revisions",
+    up: [
+      // Content a message had before it was overwritten, reason is the change that replaced it
+      `CREATE TABLE IF NOT EXISTS message_revision (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        messageId INTEGER NOT NULL REFERENCES chat_message(id) ON DELETE CASCADE,
+        content TEXT NOT NULL,
+        status TEXT DEFAULT '',
+        reason TEXT NOT NULL,
+        createdAt INTEGER NOT NULL
+      )`,
+      "CREATE INDEX IF NOT EXISTS idx_message_revision_message ON message_revision (messageId, createdAt)",
+    ],
+  },
+  {
+    version: 12,
+    description: "Session tags and saved filters",
+    up: [
+      // Tag names are unique ignoring case, unused tags are removed by ChatDatabase.setSessionTags
+      `CREATE TABLE IF NOT EXISTS tag (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        createdAt INTEGER DEFAULT 0
+      )`,
+      `CREATE TABLE IF NOT EXISTS session_tag (
+        sessionId INTEGER NOT NULL REFERENCES chat_session(id) ON DELETE CASCADE,
+        tagId INTEGER NOT NULL REFERENCES tag(id) ON DELETE CASCADE,
+        PRIMARY KEY (sessionId, tagId)
+      )`,
+      "CREATE INDEX IF NOT EXISTS idx_session_tag_tag ON session_tag (tagId)",
+      // Smart filters shown as virtual folders, query uses the syntax of sessionFilter.js
+      `CREATE TABLE IF NOT EXISTS saved_filter (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        query TEXT NOT NULL,
+        sortOrder INTEGER DEFAULT 0,
+        updatedAt INTEGER DEFAULT 0,
+        createdAt INTEGER DEFAULT 0
+      )`,
+    ],
+  },
+  {
+    version: 13,
+    description: "Provider and model stored per session",
+    up: [
+      // Existing sessions keep the model of their latest reply instead of following the global default.
+      // Sessions with invalid metadata or without replies are left as they are
+      `UPDATE chat_session SET metadata = json_set(
+        CASE WHEN metadata IS NULL OR metadata = '' THEN '{}' ELSE metadata END,
+        '$.providerId', latest.providerId,
+        '$.modelId', latest.modelId
+      )
+      FROM (
+        SELECT m.sessionId, m.providerId, m.modelId
+        FROM chat_message m
+        WHERE m.role = 'assistant' AND m.providerId != '' AND m.modelId != ''
+          AND m.id = (
+            SELECT id FROM chat_message
+            WHERE sessionId = m.sessionId AND role = 'assistant'
+              AND providerId != '' AND modelId != ''
+            ORDER BY createdAt DESC, id DESC
+            LIMIT 1
+          )
+      ) AS latest
+      WHERE latest.sessionId = chat_session.id
+        AND (metadata IS NULL OR metadata = '' OR json_valid(metadata))
+        AND json_extract(CASE WHEN metadata IS NULL OR metadata = '' THEN '{}' ELSE metadata END, '$.modelId') IS NULL`,
+    ],
+  },
+  {
+    version: 14,
+    description: "Assistants",
+    up: [
+      // Reusable session presets, copied into the session metadata when a session is created from one.
+      // Empty provider, model and temperature follow the defaults, mcpServerIds is a JSON array or NULL for all active servers
+      `CREATE TABLE IF NOT EXISTS assistant (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        avatar TEXT DEFAULT '',
+        systemPrompt TEXT DEFAULT '',
+        providerId TEXT DEFAULT '',
+        modelId TEXT DEFAULT '',
+        temperature REAL,
+        mcpServerIds TEXT,
+        updatedAt INTEGER DEFAULT 0,
+        createdAt INTEGER DEFAULT 0
+      )`,
+    ],
+  },
+  {
+    version: 15,
+    description: "Prompt library",
+    up: [
+      // Prompt templates, {{name}} in content is a variable filled in when the prompt is used
+      `CREATE TABLE IF NOT EXISTS prompt (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        content TEXT NOT NULL,
+        category TEXT DEFAULT '',
+        updatedAt INTEGER DEFAULT 0,
+        createdAt INTEGER DEFAULT 0
+      )`,
+      "CREATE INDEX IF NOT EXISTS idx_prompt_category ON prompt (category)",
+    ],
+  },
+];
+
+module.exports = migrations;
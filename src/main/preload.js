@@ -20,22 +20,107 @@ function safeIpcCall(channel, ...args) {
 if (process.contextIsolated) {
   contextBridge.exposeInMainWorld("electronAPI", {
     // Session related
-    getSessions: () => safeIpcCall("get-sessions"),
-    createSession: (name) => safeIpcCall("create-session", name),
+    getSessions: (options) => safeIpcCall("get-sessions", options),
+    getSession: (id) => safeIpcCall("get-session", id),
+    createSession: (name, metadata) =>
+      safeIpcCall("create-session", name, metadata),
+    forkSession: (sessionId, messageId, name) =>
+      safeIpcCall("fork-session", sessionId, messageId, name),
     deleteSession: (id) => safeIpcCall("delete-session", id),
+    getDeletedSessions: () => safeIpcCall("get-deleted-sessions"),
+    restoreSession: (id) => safeIpcCall("restore-session", id),
+    purgeTrash: (sessionId) => safeIpcCall("purge-trash", sessionId),
+    purgeExpiredTrash: (retentionDays) =>
+      safeIpcCall("purge-expired-trash", retentionDays),
     updateSessionMetadata: (sessionId, metadata) =>
       safeIpcCall("update-session-metadata", sessionId, metadata),
+    mergeSessionMetadata: (sessionId, fields) =>
+      safeIpcCall("merge-session-metadata", sessionId, fields),
     updateSessionName: (sessionId, name) =>
       safeIpcCall("update-session-name", sessionId, name),
+    updateSessionActiveMessage: (sessionId, messageId) =>
+      safeIpcCall("update-session-active-message", sessionId, messageId),
+    setSessionPinned: (sessionId, pinned) =>
+      safeIpcCall("set-session-pinned", sessionId, pinned),
+    setSessionArchived: (sessionId, archived) =>
+      safeIpcCall("set-session-archived", sessionId, archived),
+    moveSessionToFolder: (sessionId, folderId) =>
+      safeIpcCall("move-session-to-folder", sessionId, folderId),
+    exportSessions: (sessionIds, format) =>
+      safeIpcCall("export-sessions", sessionIds, format),
+    importConversations: () => safeIpcCall("import-conversations"),
+
+    // Usage statistics
+    getUsageStats: (filters) => safeIpcCall("get-usage-stats", filters),
+    exportUsageCsv: (breakdown, filters) =>
+      safeIpcCall("export-usage-csv", breakdown, filters),
+
+    // Folder related
+    getFolders: () => safeIpcCall("get-folders"),
+    createFolder: (name, parentId) =>
+      safeIpcCall("create-folder", name, parentId),
+    renameFolder: (id, name) => safeIpcCall("rename-folder", id, name),
+    moveFolder: (id, parentId) => safeIpcCall("move-folder", id, parentId),
+    deleteFolder: (id) => safeIpcCall("delete-folder", id),
+
+    // Tag and saved filter related
+    getTags: () => safeIpcCall("get-tags"),
+    setSessionTags: (sessionId, names) =>
+      safeIpcCall("set-session-tags", sessionId, names),
+    getSavedFilters: () => safeIpcCall("get-saved-filters"),
+    saveSavedFilter: (filter) => safeIpcCall("save-saved-filter", filter),
+    deleteSavedFilter: (id) => safeIpcCall("delete-saved-filter", id),
+
+    // Assistant related
+    getAssistants: () => safeIpcCall("get-assistants"),
+    saveAssistant: (assistant) => safeIpcCall("save-assistant", assistant),
+    deleteAssistant: (id) => safeIpcCall("delete-assistant", id),
+
+    // Prompt library related
+    getPrompts: () => safeIpcCall("get-prompts"),
+    savePrompt: (prompt) => safeIpcCall("save-prompt", prompt),
+    deletePrompt: (id) => safeIpcCall("delete-prompt", id),
+    exportPrompts: () => safeIpcCall("export-prompts"),
+    importPrompts: () => safeIpcCall("import-prompts"),
+
+    // Settings related
+    getSettings: () => safeIpcCall("get-settings"),
+    saveSettings: (settings) => safeIpcCall("save-settings", settings),
+    getProviders: () => safeIpcCall("get-providers"),
+    saveProviders: (providersConfig, secrets) =>
+      safeIpcCall("save-providers", providersConfig, secrets),
+    getProviderApiKey: (providerId) =>
+      safeIpcCall("get-provider-api-key", providerId),
+    clearSettings: () => safeIpcCall("clear-settings"),
+
+    // Backup related
+    getBackups: () => safeIpcCall("get-backups"),
+    createBackup: () => safeIpcCall("create-backup"),
+    deleteBackup: (name) => safeIpcCall("delete-backup", name),
+    chooseBackupFile: () => safeIpcCall("choose-backup-file"),
+    restoreBackup: (filePath) => safeIpcCall("restore-backup", filePath),
+    configureBackups: (settings) => safeIpcCall("configure-backups", settings),
 
     // Message related
     getMessages: (sessionId) => safeIpcCall("get-messages", sessionId),
+    getMessagesPage: (sessionId, options) =>
+      safeIpcCall("get-messages-page", sessionId, options),
+    getMessagePath: (messageId) => safeIpcCall("get-message-path", messageId),
     deleteMessages: (sessionId) => safeIpcCall("delete-messages", sessionId),
+    searchMessages: (query, filters) =>
+      safeIpcCall("search-messages", query, filters),
     addMessage: (message) => safeIpcCall("add-message", message),
     updateMessageStatus: (id, status) =>
       safeIpcCall("update-message-status", id, status),
-    updateMessageContent: (id, content) =>
-      safeIpcCall("update-message-content", id, content),
+    updateMessageContent: (id, content, reason) =>
+      safeIpcCall("update-message-content", id, content, reason),
+    getMessageRevisions: (messageId) =>
+      safeIpcCall("get-message-revisions", messageId),
+    restoreMessageRevision: (messageId, revisionId) =>
+      safeIpcCall("restore-message-revision", messageId, revisionId),
+    updateMessageUsage: (id, usage) =>
+      safeIpcCall("update-message-usage", id, usage),
+    getSessionUsage: (sessionId) => safeIpcCall("get-session-usage", sessionId),
     createOrUpdateMessage: (message) =>
       safeIpcCall("create-or-update-message", message),
 
@@ -44,8 +129,9 @@ if (process.contextIsolated) {
 
     // Database events
     onDatabaseError: (callback) => {
-      ipcRenderer.on("db-error", (_, message) => callback(message));
-      return () => ipcRenderer.removeListener("db-error", callback);
+      const listener = (_, message) => callback(message);
+      ipcRenderer.on("db-error", listener);
+      return () => ipcRenderer.removeListener("db-error", listener);
     },
 
     // Open link in system default browser
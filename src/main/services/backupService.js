@@ -0,0 +1,282 @@
+const fs = require("fs");
+const path = require("path");
+const sqlite3 = require("sqlite3");
+const { app } = require("electron");
+const logger = require("../logger");
+const migrations = require("../migrations");
+
+// Used when the user has not changed the backup settings
+const DEFAULT_BACKUP_SETTINGS = {
+  enabled: true,
+  intervalHours: 24,
+  keepCount: 5,
+};
+
+// Backup file name prefixes by type, only automatic backups are rotated
+const BACKUP_PREFIXES = {
+  auto: "seekchat-auto-",
+  manual: "seekchat-manual-",
+  restore: "seekchat-before-restore-",
+};
+
+// Tables a file must contain to be accepted as a SeekChat database
+const REQUIRED_TABLES = ["chat_session", "chat_message", "schema_version"];
+
+let scheduleTimer = null;
+let scheduleSettings = { ...DEFAULT_BACKUP_SETTINGS };
+
+/**
+ * Get the directory holding all backups, shared with the pre-migration backups
+ * @returns {string} Backup directory path
+ */
+const getBackupDir = () => {
+  const backupDir = path.join(app.getPath("userData"), "backups");
+  fs.mkdirSync(backupDir, { recursive: true });
+  return backupDir;
+};
+
+// Backup type from its file name, pre-migration backups are named seekchat-v{from}-to-v{to}-{ts}.db
+const getBackupType = (fileName) => {
+  const type = Object.keys(BACKUP_PREFIXES).find((key) =>
+    fileName.startsWith(BACKUP_PREFIXES[key])
+  );
+  if (type) return type;
+  return /^seekchat-v\d+-to-v\d+-/.test(fileName) ? "migration" : "other";
+};
+
+/**
+ * List backup files, newest first
+ * @returns {Array<{name: string, path: string, type: string, size: number, createdAt: number}>} Backups
+ */
+const listBackups = () => {
+  const backupDir = getBackupDir();
+
+  return fs
+    .readdirSync(backupDir)
+    .filter((name) => name.endsWith(".db"))
+    .map((name) => {
+      const filePath = path.join(backupDir, name);
+      const stat = fs.statSync(filePath);
+      return {
+        name,
+        path: filePath,
+        type: getBackupType(name),
+        size: stat.size,
+        createdAt: stat.mtimeMs,
+      };
+    })
+    .sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Delete the oldest automatic backups, keeping the newest keepCount
+ * @param {number} keepCount Number of automatic backups to keep
+ * @returns {Array<string>} Names of the deleted files
+ */
+const rotateBackups = (keepCount) => {
+  const expired = listBackups()
+    .filter((backup) => backup.type === "auto")
+    .slice(Math.max(keepCount, 1));
+
+  expired.forEach((backup) => {
+    fs.unlinkSync(backup.path);
+    logger.info("Rotated out old backup:", backup.name);
+  });
+
+  return expired.map((backup) => backup.name);
+};
+
+/**
+ * Back up the database
+ * @param {Object} db ChatDatabase instance
+ * @param {string} type auto, manual or restore
+ * @returns {Promise<Object>} The created backup, as returned by listBackups
+ */
+const createBackup = async (db, type = "manual") => {
+  await db.ready;
+
+  const name = `${BACKUP_PREFIXES[type]}${Date.now()}.db`;
+  const filePath = path.join(getBackupDir(), name);
+  await db.backup(filePath);
+
+  if (type === "auto") {
+    rotateBackups(scheduleSettings.keepCount);
+  }
+
+  return listBackups().find((backup) => backup.name === name);
+};
+
+/**
+ * Delete a backup file
+ * @param {string} name File name inside the backup directory
+ * @returns {{success: boolean}} Result
+ */
+const deleteBackup = (name) => {
+  // Only plain file names are accepted so nothing outside the backup directory can be deleted
+  if (path.basename(name) !== name || !name.endsWith(".db")) {
+    throw new Error("Invalid backup name");
+  }
+
+  fs.unlinkSync(path.join(getBackupDir(), name));
+  logger.info("Deleted backup:", name);
+  return { success: true };
+};
+
+/**
+ * Check that a file is an intact SeekChat database this version can open
+ * @param {string} filePath File to check
+ * @returns {Promise<{version: number}>} Schema version of the file, rejects when the file is unusable
+ */
+const validateBackup = (filePath) => {
+  return new Promise((resolve, reject) => {
+    if (!fs.existsSync(filePath)) {
+      reject(new Error("Backup file does not exist"));
+      return;
+    }
+
+    // The FTS5 integrity check needs write access, so a temporary copy is checked
+    // instead of opening the user's file for writing
+    const checkPath = path.join(app.getPath("temp"), `seekchat-validate-${Date.now()}.db`);
+    fs.copyFileSync(filePath, checkPath);
+
+    const backupDb = new sqlite3.Database(checkPath, sqlite3.OPEN_READWRITE, (err) => {
+      if (err) {
+        fs.rmSync(checkPath, { force: true });
+        reject(new Error("Not a valid database file: " + err.message));
+      } else {
+        checkDatabase();
+      }
+    });
+
+    // Close and remove the copy before settling
+    const finish = (err, result) => {
+      backupDb.close(() => {
+        fs.rmSync(checkPath, { force: true });
+        err ? reject(err) : resolve(result);
+      });
+    };
+
+    const checkDatabase = () => backupDb.get("PRAGMA integrity_check", (err, row) => {
+      if (err) {
+        finish(new Error("Not a valid database file: " + err.message));
+        return;
+      }
+      if (!row || row.integrity_check !== "ok") {
+        finish(new Error("Database integrity check failed"));
+        return;
+      }
+
+      backupDb.all(
+        "SELECT name FROM sqlite_master WHERE type = 'table'",
+        (err, rows) => {
+          if (err) {
+            finish(err);
+            return;
+          }
+
+          const tables = rows.map((row) => row.name);
+          const missing = REQUIRED_TABLES.filter((table) => !tables.includes(table));
+          if (missing.length > 0) {
+            finish(new Error("Not a SeekChat database, missing tables: " + missing.join(", ")));
+            return;
+          }
+
+          backupDb.get(
+            "SELECT MAX(version) as version FROM schema_version",
+            (err, row) => {
+              if (err) {
+                finish(err);
+                return;
+              }
+
+              // Older backups are migrated when reopened, newer ones come from a newer app version
+              const version = (row && row.version) || 0;
+              const latestVersion = Math.max(...migrations.map((m) => m.version));
+              if (version > latestVersion) {
+                finish(
+                  new Error(
+                    `Backup schema version ${version} is newer than this app supports (${latestVersion})`
+                  )
+                );
+                return;
+              }
+
+              finish(null, { version });
+            }
+          );
+        }
+      );
+    });
+  });
+};
+
+// Time of the newest automatic backup, 0 when there is none
+const getLastAutoBackupTime = () => {
+  const latest = listBackups().find((backup) => backup.type === "auto");
+  return latest ? latest.createdAt : 0;
+};
+
+/**
+ * Schedule automatic backups, replacing any previous schedule
+ * A backup runs right away when the last one is older than the interval
+ * @param {Function} getDatabase Returns the current ChatDatabase instance, it changes after a restore
+ * @param {Object} settings Backup settings, see DEFAULT_BACKUP_SETTINGS
+ * @returns {{nextBackupAt: number|null}} Time of the next automatic backup
+ */
+const scheduleBackups = (getDatabase, settings = {}) => {
+  stopBackupSchedule();
+  scheduleSettings = { ...DEFAULT_BACKUP_SETTINGS, ...settings };
+
+  // Fall back to the defaults for cleared or invalid numbers
+  ["intervalHours", "keepCount"].forEach((key) => {
+    if (!(scheduleSettings[key] > 0)) {
+      scheduleSettings[key] = DEFAULT_BACKUP_SETTINGS[key];
+    }
+  });
+
+  if (!scheduleSettings.enabled) {
+    logger.info("Automatic backups disabled");
+    return { nextBackupAt: null };
+  }
+
+  const intervalMs = scheduleSettings.intervalHours * 60 * 60 * 1000;
+
+  const scheduleNext = (delay) => {
+    scheduleTimer = setTimeout(async () => {
+      try {
+        const db = getDatabase();
+        if (db) {
+          await createBackup(db, "auto");
+        }
+      } catch (error) {
+        logger.error("Automatic backup failed:", error);
+      }
+      scheduleNext(intervalMs);
+    }, delay);
+  };
+
+  const delay = Math.max(getLastAutoBackupTime() + intervalMs - Date.now(), 0);
+  scheduleNext(delay);
+
+  logger.info(`Next automatic backup in ${Math.round(delay / 1000)}s`);
+  return { nextBackupAt: Date.now() + delay };
+};
+
+// Stop automatic backups
+const stopBackupSchedule = () => {
+  if (scheduleTimer) {
+    clearTimeout(scheduleTimer);
+    scheduleTimer = null;
+  }
+};
+
+module.exports = {
+  DEFAULT_BACKUP_SETTINGS,
+  listBackups,
+  createBackup,
+  rotateBackups,
+  deleteBackup,
+  validateBackup,
+  scheduleBackups,
+  stopBackupSchedule,
+};
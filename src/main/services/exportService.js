@@ -0,0 +1,475 @@
+/**
+ * Session export service
+ * Writes sessions as Markdown, a lossless JSON bundle, a standalone HTML page
+ * or a PDF printed from that page.
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { BrowserWindow, dialog } = require("electron");
+const React = require("react");
+const { renderToStaticMarkup } = require("react-dom/server");
+const { Prism: SyntaxHighlighter } = require("react-syntax-highlighter");
+const {
+  vscDarkPlus,
+} = require("react-syntax-highlighter/dist/cjs/styles/prism");
+const logger = require("../logger");
+
+// Supported export formats
+const EXPORT_FORMATS = {
+  markdown: { name: "Markdown", extension: "md" },
+  json: { name: "JSON", extension: "json" },
+  html: { name: "HTML", extension: "html" },
+  pdf: { name: "PDF", extension: "pdf" },
+};
+
+// Marks a JSON bundle written by SeekChat, checked when importing
+const BUNDLE_FORMAT = "seekchat-export";
+const BUNDLE_VERSION = 1;
+
+/**
+ * Parse stored message content into a content block array
+ * @param {string} content Stored message content
+ * @returns {Array} Content blocks
+ */
+const parseContent = (content) => {
+  try {
+    const parsed = JSON.parse(content);
+    if (Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch (e) {
+    // Plain text content
+  }
+  return [{ type: "content", content, status: "success" }];
+};
+
+/**
+ * Get the messages of the branch shown in the session, see getActivePath in the renderer messageService
+ * @param {Array} messages All messages of the session
+ * @param {number|null} activeMessageId Selected message of the session
+ * @returns {Array} Messages from root to leaf
+ */
+const getActivePath = (messages, activeMessageId) => {
+  if (messages.length === 0) return [];
+
+  const byOrder = (a, b) => a.createdAt - b.createdAt || a.id - b.id;
+  const messageMap = new Map(messages.map((msg) => [msg.id, msg]));
+  const childrenOf = (parentId) =>
+    messages
+      .filter((msg) => (msg.parentId ?? null) === parentId)
+      .sort(byOrder);
+
+  // Start from the selected message, or the latest root, and follow the latest children
+  let currentId = messageMap.has(activeMessageId) ? activeMessageId : null;
+  if (currentId === null) {
+    const roots = childrenOf(null);
+    if (roots.length === 0) return [...messages].sort(byOrder);
+    currentId = roots[roots.length - 1].id;
+  }
+
+  const visited = new Set();
+  while (!visited.has(currentId)) {
+    visited.add(currentId);
+    const children = childrenOf(currentId);
+    if (children.length === 0) break;
+    currentId = children[children.length - 1].id;
+  }
+
+  const messagePath = [];
+  visited.clear();
+  let current = messageMap.get(currentId);
+  while (current && !visited.has(current.id)) {
+    visited.add(current.id);
+    messagePath.unshift(current);
+    current = messageMap.get(current.parentId);
+  }
+  return messagePath;
+};
+
+/**
+ * Split a message into its main content, reasoning and tool calls
+ * @param {Object} message Message row
+ * @returns {Object} { content, reasoning, toolCalls }
+ */
+const getMessageParts = (message) => {
+  const blocks = parseContent(message.content);
+  const findBlock = (type) => blocks.find((block) => block.type === type);
+
+  const toolCalls = findBlock("tool_calls");
+  return {
+    content: findBlock("content")?.content || "",
+    reasoning: findBlock("reasoning_content")?.content || "",
+    toolCalls: Array.isArray(toolCalls?.content) ? toolCalls.content : [],
+  };
+};
+
+// Format tool call parameters or results for display
+const formatToolData = (data) => {
+  if (data === undefined || data === null) return "";
+  if (typeof data === "string") {
+    try {
+      return JSON.stringify(JSON.parse(data), null, 2);
+    } catch (e) {
+      return data;
+    }
+  }
+  return JSON.stringify(data, null, 2);
+};
+
+// Title line of a message
+const getMessageTitle = (message) => {
+  const sender =
+    message.role === "user"
+      ? "User"
+      : `Assistant${message.modelId ? ` (${message.modelId})` : ""}`;
+  return `${sender} · ${new Date(message.createdAt).toLocaleString()}`;
+};
+
+/**
+ * Convert a session to Markdown
+ * @param {Object} session Session row
+ * @param {Array} messages Messages of the active branch
+ * @returns {string} Markdown document
+ */
+const sessionToMarkdown = (session, messages) => {
+  const sections = messages.map((message) => {
+    const { content, reasoning, toolCalls } = getMessageParts(message);
+    const parts = [`## ${getMessageTitle(message)}`];
+
+    if (reasoning) {
+      parts.push(
+        `<details>\n<summary>Reasoning</summary>\n\n${reasoning}\n\n</details>`
+      );
+    }
+
+    toolCalls.forEach((toolCall) => {
+      parts.push(
+        `<details>\n<summary>Tool: ${toolCall.tool_name || toolCall.tool_id}</summary>\n\n` +
+          "Parameters:\n\n```json\n" +
+          formatToolData(toolCall.parameters) +
+          "\n```\n\nResult:\n\n```json\n" +
+          formatToolData(toolCall.result) +
+          "\n```\n\n</details>"
+      );
+    });
+
+    if (content) {
+      parts.push(content);
+    }
+
+    return parts.join("\n\n");
+  });
+
+  const header = `# ${session.name}\n\n> Exported from SeekChat on ${new Date().toLocaleString()}`;
+  return [header, ...sections].join("\n\n---\n\n") + "\n";
+};
+
+/**
+ * Build a lossless JSON bundle, every message branch and content block is kept
+ * @param {Array} entries [{ session, messages }]
+ * @returns {Object} Bundle
+ */
+const buildBundle = (entries) => ({
+  format: BUNDLE_FORMAT,
+  version: BUNDLE_VERSION,
+  exportedAt: Date.now(),
+  sessions: entries.map(({ session, messages }) => ({
+    ...session,
+    messages: messages.map((message) => ({
+      ...message,
+      content: parseContent(message.content),
+    })),
+  })),
+});
+
+// Code renderer shared by message content, same highlighting as MessageItem
+const markdownComponents = {
+  code({ node, className, children, ...props }) {
+    const match = /language-(\w+)/.exec(className || "");
+    const codeString = String(children).replace(/\n$/, "");
+
+    return match
+      ? React.createElement(
+          "div",
+          { className: "code-block-wrapper" },
+          React.createElement(
+            "div",
+            { className: "code-block-header" },
+            match[1]
+          ),
+          React.createElement(
+            SyntaxHighlighter,
+            { style: vscDarkPlus, language: match[1], PreTag: "div" },
+            codeString
+          )
+        )
+      : React.createElement("code", { className, ...props }, children);
+  },
+};
+
+const HTML_STYLES = `
+  body { margin: 0; background: #f7f7f8; color: #333; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif; line-height: 1.6; }
+  main { max-width: 860px; margin: 0 auto; padding: 32px 24px; }
+  h1 { font-size: 24px; margin: 0 0 4px; }
+  .export-info { color: #999; font-size: 12px; margin-bottom: 24px; }
+  .message { background: #fff; border-radius: 8px; padding: 12px 16px; margin-bottom: 16px; box-shadow: 0 1px 2px rgba(0, 0, 0, 0.06); page-break-inside: avoid; }
+  .message.user { background: #e1f6ff; }
+  .message-title { font-size: 12px; color: #888; margin-bottom: 8px; }
+  .message-content { word-break: break-word; }
+  details { background: #fafafa; border: 1px solid #eee; border-radius: 6px; padding: 6px 10px; margin-bottom: 8px; font-size: 13px; }
+  summary { cursor: pointer; color: #666; }
+  details pre { white-space: pre-wrap; word-break: break-word; }
+  .code-block-wrapper { margin: 10px 0; border-radius: 6px; overflow: hidden; }
+  .code-block-header { background: #2d2d2d; color: #ccc; font-size: 12px; padding: 4px 12px; }
+  .code-block-wrapper pre, .code-block-wrapper div[style] { margin: 0 !important; }
+  code { background: rgba(0, 0, 0, 0.06); border-radius: 4px; padding: 1px 4px; font-size: 90%; }
+  pre code, .code-block-wrapper code { background: none; padding: 0; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ddd; padding: 4px 8px; }
+  @media print { body { background: #fff; } .message { box-shadow: none; border: 1px solid #eee; } details { display: block; } }
+`;
+
+// Escape text for HTML
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Convert a session to a standalone HTML page
+ * @param {Object} session Session row
+ * @param {Array} messages Messages of the active branch
+ * @returns {Promise<string>} HTML document
+ */
+const sessionToHtml = async (session, messages) => {
+  // react-markdown is an ES module
+  const { default: ReactMarkdown } = await import("react-markdown");
+  const renderMarkdown = (markdown) =>
+    renderToStaticMarkup(
+      React.createElement(
+        ReactMarkdown,
+        { components: markdownComponents },
+        markdown
+      )
+    );
+
+  const body = messages
+    .map((message) => {
+      const { content, reasoning, toolCalls } = getMessageParts(message);
+      const parts = [
+        `<div class="message-title">${escapeHtml(getMessageTitle(message))}</div>`,
+      ];
+
+      if (reasoning) {
+        parts.push(
+          `<details><summary>Reasoning</summary>${renderMarkdown(reasoning)}</details>`
+        );
+      }
+
+      toolCalls.forEach((toolCall) => {
+        parts.push(
+          `<details><summary>Tool: ${escapeHtml(
+            toolCall.tool_name || toolCall.tool_id || ""
+          )}</summary>` +
+            `<div>Parameters</div><pre>${escapeHtml(
+              formatToolData(toolCall.parameters)
+            )}</pre>` +
+            `<div>Result</div><pre>${escapeHtml(
+              formatToolData(toolCall.result)
+            )}</pre></details>`
+        );
+      });
+
+      if (content) {
+        parts.push(
+          `<div class="message-content">${renderMarkdown(content)}</div>`
+        );
+      }
+
+      return `<section class="message ${
+        message.role === "user" ? "user" : "assistant"
+      }">${parts.join("")}</section>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(session.name)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(session.name)}</h1>
+<div class="export-info">Exported from SeekChat on ${escapeHtml(
+    new Date().toLocaleString()
+  )}</div>
+${body}
+</main>
+</body>
+</html>
+`;
+};
+
+/**
+ * Print an HTML page to PDF in a hidden window
+ * @param {string} html HTML document
+ * @returns {Promise<Buffer>} PDF data
+ */
+const htmlToPdf = async (html) => {
+  // Load from a temporary file, data URLs are limited in size
+  const tempFile = path.join(
+    os.tmpdir(),
+    `seekchat-export-${Date.now()}-${Math.random().toString(36).slice(2)}.html`
+  );
+  fs.writeFileSync(tempFile, html, "utf8");
+
+  const window = new BrowserWindow({
+    show: false,
+    webPreferences: { javascript: false, sandbox: true },
+  });
+
+  try {
+    await window.loadFile(tempFile);
+    return await window.webContents.printToPDF({
+      printBackground: true,
+      pageSize: "A4",
+    });
+  } finally {
+    window.destroy();
+    fs.rmSync(tempFile, { force: true });
+  }
+};
+
+// Make a session name safe to use as a file name
+const toFileName = (name) =>
+  (name || "chat").replace(/[\\/:*?"<>|\u0000-\u001f]/g, "_").trim().slice(0, 100) ||
+  "chat";
+
+// Add a counter to a file path until it doesn't exist
+const getUniquePath = (filePath) => {
+  const { dir, name, ext } = path.parse(filePath);
+  let candidate = filePath;
+  for (let i = 2; fs.existsSync(candidate); i++) {
+    candidate = path.join(dir, `${name} (${i})${ext}`);
+  }
+  return candidate;
+};
+
+/**
+ * Render one session in a file format
+ * @param {Object} entry { session, messages }
+ * @param {string} format markdown, html or pdf
+ * @returns {Promise<string|Buffer>} File data
+ */
+const renderSession = async ({ session, messages }, format) => {
+  const activeMessages = getActivePath(messages, session.activeMessageId);
+
+  switch (format) {
+    case "markdown":
+      return sessionToMarkdown(session, activeMessages);
+    case "html":
+      return sessionToHtml(session, activeMessages);
+    case "pdf":
+      return htmlToPdf(await sessionToHtml(session, activeMessages));
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+};
+
+/**
+ * Export sessions to files chosen by the user
+ * A single session, or a JSON bundle of several sessions, is written to one file,
+ * other formats write one file per session into a chosen folder
+ * @param {Object} db ChatDatabase instance
+ * @param {Array<number>} sessionIds Sessions to export
+ * @param {string} format markdown, json, html or pdf
+ * @param {BrowserWindow} parentWindow Window the dialogs belong to
+ * @returns {Promise<Object>} { success, canceled, files }
+ */
+async function exportSessions(db, sessionIds, format, parentWindow) {
+  const formatInfo = EXPORT_FORMATS[format];
+  if (!formatInfo) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  if (!Array.isArray(sessionIds) || sessionIds.length === 0) {
+    throw new Error("No sessions selected for export");
+  }
+
+  const entries = [];
+  for (const sessionId of sessionIds) {
+    const session = await db.getSessionById(sessionId);
+    if (!session) {
+      throw new Error(`Session not found ID: ${sessionId}`);
+    }
+    entries.push({ session, messages: await db.getMessages(sessionId) });
+  }
+
+  const filters = [
+    { name: formatInfo.name, extensions: [formatInfo.extension] },
+  ];
+
+  // One output file
+  if (entries.length === 1 || format === "json") {
+    const defaultName =
+      entries.length === 1
+        ? toFileName(entries[0].session.name)
+        : `seekchat-export-${new Date().toISOString().slice(0, 10)}`;
+
+    const { canceled, filePath } = await dialog.showSaveDialog(parentWindow, {
+      defaultPath: `${defaultName}.${formatInfo.extension}`,
+      filters,
+    });
+    if (canceled || !filePath) {
+      return { success: false, canceled: true, files: [] };
+    }
+
+    const data =
+      format === "json"
+        ? JSON.stringify(buildBundle(entries), null, 2)
+        : await renderSession(entries[0], format);
+    fs.writeFileSync(filePath, data);
+
+    logger.info(`Exported ${entries.length} sessions as ${format}:`, filePath);
+    return { success: true, canceled: false, files: [filePath] };
+  }
+
+  // One file per session
+  const { canceled, filePaths } = await dialog.showOpenDialog(parentWindow, {
+    properties: ["openDirectory", "createDirectory"],
+  });
+  if (canceled || !filePaths || filePaths.length === 0) {
+    return { success: false, canceled: true, files: [] };
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const filePath = getUniquePath(
+      path.join(
+        filePaths[0],
+        `${toFileName(entry.session.name)}.${formatInfo.extension}`
+      )
+    );
+    fs.writeFileSync(filePath, await renderSession(entry, format));
+    files.push(filePath);
+  }
+
+  logger.info(`Exported ${files.length} sessions as ${format} to`, filePaths[0]);
+  return { success: true, canceled: false, files };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  parseContent,
+  sessionToMarkdown,
+  sessionToHtml,
+  buildBundle,
+  exportSessions,
+};
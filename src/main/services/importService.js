@@ -0,0 +1,545 @@
+/**
+ * Conversation import service
+ * Reads ChatGPT and Claude data exports, and SeekChat JSON bundles, and creates
+ * sessions with the original timestamps, roles and message branches.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { dialog } = require("electron");
+const { BUNDLE_FORMAT, parseContent } = require("./exportService");
+const logger = require("../logger");
+
+// Import sources
+const SOURCES = {
+  seekchat: "SeekChat",
+  chatgpt: "ChatGPT",
+  claude: "Claude",
+};
+
+/**
+ * Create a content block, same shape as createMessageContent in the renderer messageService
+ * @param {string} type content, reasoning_content or tool_calls
+ * @param {*} content Block content
+ * @param {number} timestamp Original time
+ * @returns {Object} Content block
+ */
+const createMessageContent = (type, content, timestamp) => ({
+  type,
+  content,
+  status: "success",
+  timestamp,
+});
+
+/**
+ * Build stored message content from its parts
+ * @param {Object} parts { text, reasoning, toolCalls }
+ * @param {number} timestamp Original time
+ * @returns {string} Content JSON
+ */
+const buildContent = ({ text, reasoning, toolCalls }, timestamp) => {
+  const blocks = [];
+  if (reasoning) {
+    blocks.push(createMessageContent("reasoning_content", reasoning, timestamp));
+  }
+  if (toolCalls && toolCalls.length > 0) {
+    blocks.push(createMessageContent("tool_calls", toolCalls, timestamp));
+  }
+  blocks.push(createMessageContent("content", text || "", timestamp));
+  return JSON.stringify(blocks);
+};
+
+// Convert seconds (ChatGPT) or ISO strings (Claude) to milliseconds
+const toMillis = (value, fallback = Date.now()) => {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    // Seconds have at most 10 integer digits
+    return value < 1e11 ? Math.round(value * 1000) : Math.round(value);
+  }
+  if (typeof value === "string") {
+    const time = Date.parse(value);
+    if (!Number.isNaN(time)) return time;
+  }
+  return fallback;
+};
+
+// Stringify tool call data that isn't already text
+const toText = (value) =>
+  value === undefined || value === null
+    ? ""
+    : typeof value === "string"
+    ? value
+    : JSON.stringify(value, null, 2);
+
+/**
+ * Detect the format of parsed export data
+ * @param {*} data Parsed JSON
+ * @returns {string|null} seekchat, chatgpt, claude or null
+ */
+const detectSource = (data) => {
+  if (data && data.format === BUNDLE_FORMAT && Array.isArray(data.sessions)) {
+    return "seekchat";
+  }
+
+  const conversations = Array.isArray(data) ? data : [data];
+  const first = conversations.find((item) => item && typeof item === "object");
+  if (!first) return null;
+  if (first.mapping && typeof first.mapping === "object") return "chatgpt";
+  if (Array.isArray(first.chat_messages)) return "claude";
+  return null;
+};
+
+/**
+ * Convert a ChatGPT conversation, the message tree in "mapping" is kept as branches
+ * System, hidden and context messages are skipped. Reasoning and tool activity are
+ * attached to the next visible assistant message.
+ * @param {Object} conversation ChatGPT conversation
+ * @param {Object} stats Counter of skipped messages
+ * @returns {Object} { session, messages, activeKey }
+ */
+const convertChatGPTConversation = (conversation, stats) => {
+  const mapping = conversation.mapping || {};
+  const conversationTime = toMillis(conversation.create_time);
+  const messages = [];
+  // Node id -> key of the nearest imported message on the path to it
+  const importedAncestor = new Map();
+
+  const getText = (content) => {
+    if (!content) return "";
+    switch (content.content_type) {
+      case "text":
+      case "multimodal_text":
+        return (content.parts || [])
+          .map((part) =>
+            typeof part === "string"
+              ? part
+              : part && part.content_type === "image_asset_pointer"
+              ? "[Image]"
+              : ""
+          )
+          .filter(Boolean)
+          .join("\n");
+      case "code":
+      case "execution_output":
+        return content.text || "";
+      default:
+        return toText(content.text ?? content.result ?? content.parts ?? "");
+    }
+  };
+
+  const visit = (nodeId, parentKey, pending) => {
+    const node = mapping[nodeId];
+    if (!node || importedAncestor.has(nodeId)) return [];
+
+    const message = node.message;
+    const role = message?.author?.role;
+    const content = message?.content;
+    const hidden = message?.metadata?.is_visually_hidden_from_conversation;
+    const createdAt = toMillis(message?.create_time, conversationTime);
+    let nextParentKey = parentKey;
+    let nextPending = pending;
+
+    if (!message) {
+      // Root placeholder node
+    } else if (role === "system" || hidden) {
+      stats.skippedMessages++;
+    } else if (
+      content?.content_type === "user_editable_context" ||
+      content?.content_type === "model_editable_context" ||
+      content?.content_type === "reasoning_recap"
+    ) {
+      stats.skippedMessages++;
+    } else if (role === "assistant" && content?.content_type === "thoughts") {
+      const reasoning = (content.thoughts || [])
+        .map((thought) =>
+          [thought.summary && `**${thought.summary}**`, thought.content]
+            .filter(Boolean)
+            .join("\n\n")
+        )
+        .join("\n\n");
+      nextPending = {
+        ...pending,
+        reasoning: [pending.reasoning, reasoning].filter(Boolean).join("\n\n"),
+      };
+    } else if (role === "assistant" && message.recipient && message.recipient !== "all") {
+      // Assistant calling a tool such as python or browser
+      nextPending = {
+        ...pending,
+        toolCalls: [
+          ...pending.toolCalls,
+          {
+            id: message.id,
+            tool_id: message.recipient,
+            tool_name: message.recipient,
+            parameters: getText(content),
+            result: "",
+            status: "success",
+          },
+        ],
+      };
+    } else if (role === "tool") {
+      // Tool output completes the last tool call
+      const toolCalls = [...pending.toolCalls];
+      const last = toolCalls[toolCalls.length - 1];
+      const output = getText(content);
+      if (last && !last.result) {
+        toolCalls[toolCalls.length - 1] = { ...last, result: output };
+      } else {
+        toolCalls.push({
+          id: message.id,
+          tool_id: message.author?.name || "tool",
+          tool_name: message.author?.name || "tool",
+          parameters: "",
+          result: output,
+          status: "success",
+        });
+      }
+      nextPending = { ...pending, toolCalls };
+    } else if (role === "user" || role === "assistant") {
+      const text = getText(content);
+      if (!text && !(role === "assistant" && (pending.reasoning || pending.toolCalls.length))) {
+        stats.skippedMessages++;
+      } else {
+        const key = node.id;
+        messages.push({
+          key,
+          parentKey,
+          role,
+          providerId: role === "assistant" ? "openai" : "",
+          modelId: role === "assistant" ? message.metadata?.model_slug || "chatgpt" : "",
+          content: buildContent(
+            role === "assistant"
+              ? { text, reasoning: pending.reasoning, toolCalls: pending.toolCalls }
+              : { text },
+            createdAt
+          ),
+          status: "success",
+          createdAt,
+          updatedAt: toMillis(message.update_time, createdAt),
+        });
+        nextParentKey = key;
+        nextPending = { reasoning: "", toolCalls: [] };
+      }
+    } else {
+      stats.skippedMessages++;
+    }
+
+    importedAncestor.set(nodeId, nextParentKey);
+    return (node.children || []).map((childId) => [
+      childId,
+      nextParentKey,
+      nextPending,
+    ]);
+  };
+
+  // Walk the tree depth first without recursion, long conversations are deep
+  const stack = Object.values(mapping)
+    .filter((node) => !node.parent || !mapping[node.parent])
+    .map((root) => [root.id, null, { reasoning: "", toolCalls: [] }])
+    .reverse();
+  while (stack.length > 0) {
+    stack.push(...visit(...stack.pop()).reverse());
+  }
+
+  return {
+    session: {
+      uuid: conversation.conversation_id || conversation.id || null,
+      name: conversation.title || "ChatGPT",
+      createdAt: conversationTime,
+      updatedAt: toMillis(conversation.update_time, conversationTime),
+    },
+    messages,
+    activeKey: importedAncestor.get(conversation.current_node) ?? null,
+  };
+};
+
+/**
+ * Convert a Claude conversation
+ * Messages are linked by parent_message_uuid when present, otherwise in order
+ * @param {Object} conversation Claude conversation
+ * @param {Object} stats Counter of skipped messages
+ * @returns {Object} { session, messages, activeKey }
+ */
+const convertClaudeConversation = (conversation, stats) => {
+  const conversationTime = toMillis(conversation.created_at);
+  const chatMessages = [...(conversation.chat_messages || [])].sort(
+    (a, b) => toMillis(a.created_at, 0) - toMillis(b.created_at, 0)
+  );
+  const keys = new Set(chatMessages.map((message) => message.uuid));
+  const messages = [];
+  let previousKey = null;
+
+  chatMessages.forEach((chatMessage) => {
+    const role =
+      chatMessage.sender === "human"
+        ? "user"
+        : chatMessage.sender === "assistant"
+        ? "assistant"
+        : null;
+    if (!role) {
+      stats.skippedMessages++;
+      return;
+    }
+
+    const textParts = [];
+    const reasoningParts = [];
+    const toolCalls = [];
+
+    if (Array.isArray(chatMessage.content) && chatMessage.content.length > 0) {
+      chatMessage.content.forEach((block) => {
+        switch (block.type) {
+          case "text":
+            if (block.text) textParts.push(block.text);
+            break;
+          case "thinking":
+            if (block.thinking) reasoningParts.push(block.thinking);
+            break;
+          case "tool_use":
+            toolCalls.push({
+              id: block.id,
+              tool_id: block.name,
+              tool_name: block.name,
+              parameters: block.input || {},
+              result: "",
+              status: "success",
+            });
+            break;
+          case "tool_result": {
+            const result = Array.isArray(block.content)
+              ? block.content.map((item) => item.text ?? toText(item)).join("\n")
+              : toText(block.content);
+            const toolCall = toolCalls.find((call) => call.id === block.tool_use_id);
+            if (toolCall) {
+              toolCall.result = result;
+              toolCall.status = block.is_error ? "error" : "success";
+            }
+            break;
+          }
+          default:
+            break;
+        }
+      });
+    } else if (chatMessage.text) {
+      textParts.push(chatMessage.text);
+    }
+
+    // Attachment text is part of what the model saw
+    (chatMessage.attachments || []).forEach((attachment) => {
+      textParts.push(
+        `[Attachment: ${attachment.file_name || "file"}]` +
+          (attachment.extracted_content
+            ? `\n\n\`\`\`\n${attachment.extracted_content}\n\`\`\``
+            : "")
+      );
+    });
+    (chatMessage.files || []).forEach((file) => {
+      textParts.push(`[File: ${file.file_name || "file"}]`);
+    });
+
+    const text = textParts.join("\n\n");
+    if (!text && reasoningParts.length === 0 && toolCalls.length === 0) {
+      stats.skippedMessages++;
+      return;
+    }
+
+    const createdAt = toMillis(chatMessage.created_at, conversationTime);
+    const parentKey =
+      chatMessage.parent_message_uuid && keys.has(chatMessage.parent_message_uuid)
+        ? chatMessage.parent_message_uuid
+        : previousKey;
+
+    messages.push({
+      key: chatMessage.uuid,
+      parentKey,
+      role,
+      providerId: role === "assistant" ? "anthropic" : "",
+      modelId: role === "assistant" ? conversation.model || "claude" : "",
+      content: buildContent(
+        {
+          text,
+          reasoning: reasoningParts.join("\n\n"),
+          toolCalls,
+        },
+        createdAt
+      ),
+      status: "success",
+      createdAt,
+      updatedAt: toMillis(chatMessage.updated_at, createdAt),
+    });
+    previousKey = chatMessage.uuid;
+  });
+
+  // Skipped parents would break the chain, link their children to the nearest kept message
+  const importedKeys = new Set(messages.map((message) => message.key));
+  messages.forEach((message, index) => {
+    if (message.parentKey !== null && !importedKeys.has(message.parentKey)) {
+      message.parentKey = index > 0 ? messages[index - 1].key : null;
+    }
+  });
+
+  return {
+    session: {
+      uuid: conversation.uuid || null,
+      name: conversation.name || "Claude",
+      createdAt: conversationTime,
+      updatedAt: toMillis(conversation.updated_at, conversationTime),
+    },
+    messages,
+    activeKey: null,
+  };
+};
+
+/**
+ * Convert a session of a SeekChat JSON bundle
+ * @param {Object} bundleSession Session from the bundle
+ * @returns {Object} { session, messages, activeKey }
+ */
+const convertSeekChatSession = (bundleSession) => {
+  const bundleMessages = bundleSession.messages || [];
+  const ids = new Set(bundleMessages.map((message) => message.id));
+
+  // Parents must be inserted before their children
+  const childrenOf = new Map();
+  bundleMessages.forEach((message) => {
+    const parentId = ids.has(message.parentId) ? message.parentId : null;
+    if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+    childrenOf.get(parentId).push(message);
+  });
+
+  const ordered = [];
+  const queue = [...(childrenOf.get(null) || [])];
+  while (queue.length > 0) {
+    const message = queue.shift();
+    ordered.push(message);
+    queue.push(...(childrenOf.get(message.id) || []));
+  }
+
+  return {
+    session: {
+      uuid: bundleSession.uuid || null,
+      name: bundleSession.name,
+      metadata: bundleSession.metadata,
+      pinned: bundleSession.pinned,
+      archived: bundleSession.archived,
+      createdAt: bundleSession.createdAt,
+      updatedAt: bundleSession.updatedAt,
+    },
+    messages: ordered.map((message) => ({
+      key: message.id,
+      parentKey: ids.has(message.parentId) ? message.parentId : null,
+      role: message.role,
+      providerId: message.providerId,
+      modelId: message.modelId,
+      content:
+        typeof message.content === "string"
+          ? JSON.stringify(parseContent(message.content))
+          : JSON.stringify(message.content),
+      status: message.status,
+      createdAt: message.createdAt,
+      updatedAt: message.updatedAt,
+    })),
+    activeKey: bundleSession.activeMessageId ?? null,
+  };
+};
+
+/**
+ * Import conversations from parsed export data
+ * @param {Object} db ChatDatabase instance
+ * @param {*} data Parsed JSON
+ * @returns {Promise<Object>} Import report
+ */
+async function importData(db, data) {
+  const source = detectSource(data);
+  if (!source) {
+    throw new Error(
+      "Unsupported file, expected a ChatGPT or Claude conversations.json or a SeekChat JSON export"
+    );
+  }
+
+  const report = {
+    source: SOURCES[source],
+    imported: [],
+    duplicates: [],
+    skipped: [],
+    messageCount: 0,
+    skippedMessages: 0,
+  };
+
+  const items =
+    source === "seekchat" ? data.sessions : Array.isArray(data) ? data : [data];
+
+  for (const item of items) {
+    const title = (item && (item.name || item.title)) || "Untitled";
+
+    let converted;
+    try {
+      converted =
+        source === "seekchat"
+          ? convertSeekChatSession(item)
+          : source === "chatgpt"
+          ? convertChatGPTConversation(item, report)
+          : convertClaudeConversation(item, report);
+    } catch (error) {
+      logger.warn(`Import: failed to read conversation "${title}":`, error);
+      report.skipped.push({ title, reason: error.message });
+      continue;
+    }
+
+    const { session, messages, activeKey } = converted;
+
+    if (messages.length === 0) {
+      report.skipped.push({ title, reason: "No messages" });
+      continue;
+    }
+
+    if (session.uuid && (await db.getSessionByUuid(session.uuid))) {
+      report.duplicates.push({ title, uuid: session.uuid });
+      continue;
+    }
+
+    const result = await db.importSession(
+      { ...session, uuid: session.uuid || crypto.randomUUID() },
+      messages,
+      activeKey
+    );
+    report.imported.push({ title, sessionId: result.sessionId });
+    report.messageCount += result.messageCount;
+  }
+
+  logger.info(
+    `Imported ${report.imported.length} ${report.source} conversations, ` +
+      `${report.duplicates.length} duplicates, ${report.skipped.length} skipped`
+  );
+  return report;
+}
+
+/**
+ * Ask for an export file and import it
+ * @param {Object} db ChatDatabase instance
+ * @param {BrowserWindow} parentWindow Window the dialog belongs to
+ * @returns {Promise<Object>} Import report, { canceled: true } when no file was chosen
+ */
+async function importConversations(db, parentWindow) {
+  const { canceled, filePaths } = await dialog.showOpenDialog(parentWindow, {
+    properties: ["openFile"],
+    filters: [{ name: "JSON", extensions: ["json"] }],
+  });
+  if (canceled || !filePaths || filePaths.length === 0) {
+    return { canceled: true };
+  }
+
+  const filePath = filePaths[0];
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read ${path.basename(filePath)}: ${error.message}`);
+  }
+
+  return { canceled: false, ...(await importData(db, data)) };
+}
+
+module.exports = {
+  detectSource,
+  importData,
+  importConversations,
+};
@@ -582,10 +582,19 @@ const initMCP = (db) => {
   logger.info("MCP service initialization completed");
 };
 
+/**
+ * Point the MCP module at a new database instance, used after a backup has been restored
+ * @param {Object} db Database instance
+ */
+const setMCPDatabase = (db) => {
+  _db = db;
+};
+
 module.exports = {
   createMCPClient,
   testMCPConnection,
   executeTool,
   initMCP,
+  setMCPDatabase,
   cleanup,
 };
@@ -0,0 +1,98 @@
+/**
+ * Prompt library import and export
+ * The library is written as JSON: { format, version, prompts: [{ title, category, content }] }
+ */
+const fs = require("fs");
+const { dialog } = require("electron");
+const logger = require("../logger");
+
+const PROMPT_LIBRARY_FORMAT = "seekchat-prompts";
+const PROMPT_LIBRARY_VERSION = 1;
+
+/**
+ * Read the prompts of a library file
+ * A plain array of prompts is accepted as well, so hand-written files can be imported
+ * @param {string} text File content
+ * @returns {Array} Prompts as found in the file, not validated
+ * @throws {Error} When the file is not a prompt library
+ */
+const parsePromptLibrary = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text.replace(/^\uFEFF/, ""));
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  const prompts = Array.isArray(data) ? data : data?.prompts;
+  if (!Array.isArray(prompts)) {
+    throw new Error("The file is not a prompt library");
+  }
+  if (!Array.isArray(data) && data.version > PROMPT_LIBRARY_VERSION) {
+    throw new Error(`Unsupported prompt library version: ${data.version}`);
+  }
+  return prompts;
+};
+
+/**
+ * Export the prompt library to a JSON file chosen by the user
+ * @param {Object} db ChatDatabase instance
+ * @param {BrowserWindow} parentWindow Window the dialog belongs to
+ * @returns {Promise<Object>} { success, canceled, filePath, count }
+ */
+async function exportPrompts(db, parentWindow) {
+  const { canceled, filePath } = await dialog.showSaveDialog(parentWindow, {
+    defaultPath: `seekchat-prompts-${new Date().toISOString().slice(0, 10)}.json`,
+    filters: [{ name: "JSON", extensions: ["json"] }],
+  });
+  if (canceled || !filePath) {
+    return { success: false, canceled: true, filePath: null, count: 0 };
+  }
+
+  const prompts = (await db.getAllPrompts()).map(({ title, category, content }) => ({
+    title,
+    category,
+    content,
+  }));
+  const library = {
+    format: PROMPT_LIBRARY_FORMAT,
+    version: PROMPT_LIBRARY_VERSION,
+    exportedAt: new Date().toISOString(),
+    prompts,
+  };
+  fs.writeFileSync(filePath, JSON.stringify(library, null, 2), "utf8");
+
+  logger.info(`Exported ${prompts.length} prompts to:`, filePath);
+  return { success: true, canceled: false, filePath, count: prompts.length };
+}
+
+/**
+ * Import prompts from a JSON file chosen by the user
+ * @param {Object} db ChatDatabase instance
+ * @param {BrowserWindow} parentWindow Window the dialog belongs to
+ * @returns {Promise<Object>} { success, canceled, added, updated, skipped }
+ */
+async function importPrompts(db, parentWindow) {
+  const { canceled, filePaths } = await dialog.showOpenDialog(parentWindow, {
+    properties: ["openFile"],
+    filters: [
+      { name: "JSON", extensions: ["json"] },
+      { name: "All Files", extensions: ["*"] },
+    ],
+  });
+  if (canceled || filePaths.length === 0) {
+    return { success: false, canceled: true, added: 0, updated: 0, skipped: 0 };
+  }
+
+  const prompts = parsePromptLibrary(fs.readFileSync(filePaths[0], "utf8"));
+  const result = await db.importPrompts(prompts);
+
+  logger.info("Imported prompts from:", filePaths[0], result);
+  return { success: true, canceled: false, ...result };
+}
+
+module.exports = {
+  parsePromptLibrary,
+  exportPrompts,
+  importPrompts,
+};
@@ -0,0 +1,62 @@
+const crypto = require("crypto");
+
+/**
+ * Secret encryption with Electron safeStorage
+ * Secrets are encrypted with a key held by the OS keychain, so the database and
+ * its backups never contain them in plain text.
+ */
+
+// Only required inside Electron, plain Node (e.g. tests) has no safeStorage
+const getSafeStorage = () =>
+  process.versions.electron ? require("electron").safeStorage : null;
+
+// Prefix of the references to provider API keys in the secrets table
+const PROVIDER_SECRET_PREFIX = "provider:";
+
+/**
+ * Check whether secrets can be encrypted on this system
+ * @returns {boolean} Whether encryption is available
+ */
+const isEncryptionAvailable = () => {
+  const safeStorage = getSafeStorage();
+  return Boolean(safeStorage) && safeStorage.isEncryptionAvailable();
+};
+
+/**
+ * Encrypt a secret
+ * @param {string} plaintext Secret value
+ * @returns {Buffer} Encrypted value
+ */
+const encryptSecret = (plaintext) => {
+  if (!isEncryptionAvailable()) {
+    throw new Error(
+      "Secure storage is not available on this system, API keys cannot be saved"
+    );
+  }
+  return getSafeStorage().encryptString(plaintext);
+};
+
+/**
+ * Decrypt a secret
+ * @param {Buffer} encrypted Encrypted value
+ * @returns {string} Secret value
+ */
+const decryptSecret = (encrypted) => {
+  return getSafeStorage().decryptString(encrypted);
+};
+
+/**
+ * Create a new opaque reference for a provider API key
+ * @returns {string} Secret reference
+ */
+const createProviderSecretRef = () => {
+  return PROVIDER_SECRET_PREFIX + crypto.randomUUID();
+};
+
+module.exports = {
+  PROVIDER_SECRET_PREFIX,
+  isEncryptionAvailable,
+  encryptSecret,
+  decryptSecret,
+  createProviderSecretRef,
+};
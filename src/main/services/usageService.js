@@ -0,0 +1,103 @@
+/**
+ * Usage export service
+ * Writes the breakdowns of the usage dashboard as CSV, see ChatDatabase.getUsageStats
+ */
+const fs = require("fs");
+const { dialog } = require("electron");
+const logger = require("../logger");
+
+// Columns shared by all token usage breakdowns
+const USAGE_COLUMNS = [
+  "messageCount",
+  "promptTokens",
+  "completionTokens",
+  "reasoningTokens",
+  "cost",
+  "avgLatencyMs",
+];
+
+// CSV columns of each breakdown, keyed by the breakdown name used in the renderer
+const USAGE_BREAKDOWNS = {
+  day: { stats: "byDay", columns: ["day", ...USAGE_COLUMNS] },
+  provider: { stats: "byProvider", columns: ["providerId", ...USAGE_COLUMNS] },
+  model: {
+    stats: "byModel",
+    columns: ["providerId", "modelId", ...USAGE_COLUMNS],
+  },
+  session: {
+    stats: "bySession",
+    columns: ["sessionId", "sessionName", ...USAGE_COLUMNS],
+  },
+  mcp: {
+    stats: "byMcpServer",
+    columns: ["serverId", "serverName", "callCount", "failedCount", "failureRate"],
+  },
+};
+
+// Quote a CSV field when needed
+// Text starting with a formula character is prefixed so spreadsheets don't evaluate it
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert one breakdown of the usage statistics to CSV
+ * @param {Object} stats Result of ChatDatabase.getUsageStats
+ * @param {string} breakdown day, provider, model, session or mcp
+ * @returns {string} CSV text with a header row
+ */
+const usageToCsv = (stats, breakdown) => {
+  const { stats: key, columns } = USAGE_BREAKDOWNS[breakdown];
+  const rows = stats[key].map((row) =>
+    breakdown === "mcp"
+      ? { ...row, failureRate: row.callCount ? row.failedCount / row.callCount : 0 }
+      : row
+  );
+
+  return [
+    columns.join(","),
+    ...rows.map((row) => columns.map((column) => toCsvField(row[column])).join(",")),
+  ].join("\r\n");
+};
+
+/**
+ * Export one breakdown of the usage statistics to a CSV file chosen by the user
+ * @param {Object} db ChatDatabase instance
+ * @param {string} breakdown day, provider, model, session or mcp
+ * @param {Object} filters Date range, see ChatDatabase.getUsageStats
+ * @param {BrowserWindow} parentWindow Window the dialog belongs to
+ * @returns {Promise<Object>} { success, canceled, filePath }
+ */
+async function exportUsageCsv(db, breakdown, filters, parentWindow) {
+  if (!USAGE_BREAKDOWNS[breakdown]) {
+    throw new Error(`Unsupported usage breakdown: ${breakdown}`);
+  }
+
+  const { canceled, filePath } = await dialog.showSaveDialog(parentWindow, {
+    defaultPath: `seekchat-usage-${breakdown}-${new Date().toISOString().slice(0, 10)}.csv`,
+    filters: [{ name: "CSV", extensions: ["csv"] }],
+  });
+  if (canceled || !filePath) {
+    return { success: false, canceled: true, filePath: null };
+  }
+
+  const stats = await db.getUsageStats(filters);
+  // The byte order mark makes Excel read the file as UTF-8
+  fs.writeFileSync(filePath, "\uFEFF" + usageToCsv(stats, breakdown), "utf8");
+
+  logger.info(`Exported ${breakdown} usage to:`, filePath);
+  return { success: true, canceled: false, filePath };
+}
+
+module.exports = {
+  USAGE_BREAKDOWNS,
+  usageToCsv,
+  exportUsageCsv,
+};
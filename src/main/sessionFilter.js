@@ -0,0 +1,147 @@
+/**
+ * Smart filter queries for sessions
+ * A query is a list of conditions joined with AND, e.g.
+ *   tag:incident AND model:deepseek-reasoner AND last 7 days
+ * Conditions:
+ *   tag:<name>          the session has the tag
+ *   model:<modelId>     the session uses the model, or a message of it was answered by the model
+ *   provider:<id>       the same for the provider
+ *   last <n> <unit>     the session was updated in the last n hours, days, weeks or months
+ *   <text>              the session name contains the text
+ * A condition preceded by NOT is negated, values with spaces are quoted: tag:"design review"
+ */
+
+const DURATION_UNITS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+};
+
+const FIELDS = ["tag", "model", "provider"];
+
+// Words, field:value pairs and quoted strings, quotes are kept until parsing
+const TOKEN_PATTERN = /[^\s:"]+:"(?:[^"\\]|\\.)*"|"(?:[^"\\]|\\.)*"|\S+/g;
+
+// Remove the quotes around a value
+const unquote = (text) =>
+  text.startsWith('"') && text.endsWith('"') && text.length >= 2
+    ? text.slice(1, -1).replace(/\\(.)/g, "$1")
+    : text;
+
+// Match a duration unit in singular or plural form
+const parseUnit = (word) => {
+  const unit = (word || "").toLowerCase().replace(/s$/, "");
+  return DURATION_UNITS[unit] ? unit : null;
+};
+
+/**
+ * Parse a smart filter query
+ * @param {string} query Filter query
+ * @returns {Array} Conditions, each { type: "tag" | "model" | "provider" | "last" | "text", value, negate }
+ * @throws {Error} When the query is empty or has an invalid condition
+ */
+function parseFilterQuery(query) {
+  const tokens = (query || "").match(TOKEN_PATTERN) || [];
+  const conditions = [];
+  let negate = false;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const keyword = token.toUpperCase();
+
+    if (keyword === "AND") continue;
+    if (keyword === "OR") {
+      throw new Error("OR is not supported in filters, conditions are joined with AND");
+    }
+    if (keyword === "NOT") {
+      negate = !negate;
+      continue;
+    }
+
+    const fieldMatch = token.match(/^([^\s:"]+):(.*)$/);
+    if (fieldMatch) {
+      const field = fieldMatch[1].toLowerCase();
+      const value = unquote(fieldMatch[2]).trim();
+      if (!FIELDS.includes(field)) {
+        throw new Error(`Unknown filter field: ${fieldMatch[1]}`);
+      }
+      if (!value) {
+        throw new Error(`Missing value for filter field: ${field}`);
+      }
+      conditions.push({ type: field, value, negate });
+    } else if (token.toLowerCase() === "last") {
+      const count = Number(tokens[i + 1]);
+      const unit = parseUnit(tokens[i + 2]);
+      if (!Number.isInteger(count) || count <= 0 || !unit) {
+        throw new Error('Invalid time range, use e.g. "last 7 days"');
+      }
+      conditions.push({ type: "last", value: { count, unit }, negate });
+      i += 2;
+    } else {
+      const value = unquote(token).trim();
+      if (value) {
+        conditions.push({ type: "text", value, negate });
+      }
+    }
+    negate = false;
+  }
+
+  if (conditions.length === 0) {
+    throw new Error("The filter has no conditions");
+  }
+  return conditions;
+}
+
+// Escape LIKE wildcards, the pattern is used with ESCAPE '\'
+const escapeLike = (text) => text.replace(/[\\%_]/g, "\\$&");
+
+/**
+ * Build the SQL condition of a query, for chat_session aliased as s
+ * @param {string} query Filter query
+ * @param {number} now Time that relative ranges are measured from
+ * @returns {Object} { sql, params }
+ */
+function buildFilterCondition(query, now = Date.now()) {
+  const clauses = [];
+  const params = [];
+
+  parseFilterQuery(query).forEach((condition) => {
+    let clause;
+    switch (condition.type) {
+      case "tag":
+        clause =
+          "EXISTS (SELECT 1 FROM session_tag st JOIN tag t ON t.id = st.tagId WHERE st.sessionId = s.id AND t.name = ?)";
+        params.push(condition.value);
+        break;
+      case "model":
+      case "provider": {
+        const column = condition.type === "model" ? "modelId" : "providerId";
+        // The session's own model is kept in its metadata
+        clause = `(
+          (json_valid(s.metadata) AND json_extract(s.metadata, '$.${column}') IS ?)
+          OR EXISTS (SELECT 1 FROM chat_message m WHERE m.sessionId = s.id AND m.deletedAt IS NULL AND m.${column} = ?)
+        )`;
+        params.push(condition.value, condition.value);
+        break;
+      }
+      case "last":
+        clause = "s.updatedAt >= ?";
+        params.push(
+          now - condition.value.count * DURATION_UNITS[condition.value.unit]
+        );
+        break;
+      default:
+        clause = "s.name LIKE ? ESCAPE '\\'";
+        params.push(`%${escapeLike(condition.value)}%`);
+    }
+    clauses.push(condition.negate ? `NOT (${clause})` : clause);
+  });
+
+  return { sql: clauses.join(" AND "), params };
+}
+
+module.exports = {
+  parseFilterQuery,
+  buildFilterCondition,
+};
@@ -5,17 +5,18 @@ import {
   Route,
   Navigate,
 } from "react-router-dom";
-import { Layout } from "antd";
+import { Layout, Modal } from "antd";
 import ChatPage from "./pages/ChatPage.jsx";
 import SettingsPage from "./pages/SettingsPage.jsx";
 import "./App.css";
 import { useTranslation } from "react-i18next";
 import { getUserConfig } from "./hooks/useUserConfig";
+import { startModelCatalogRefresh } from "./services/modelDiscovery";
 
 const { Content } = Layout;
 
 const App = () => {
-  const { i18n } = useTranslation();
+  const { t, i18n } = useTranslation();
 
   // Load language settings from user config on app startup
   useEffect(() => {
@@ -25,6 +26,21 @@ const App = () => {
     }
   }, [i18n]);
 
+  // Keep the model lists of the providers up to date
+  useEffect(() => startModelCatalogRefresh(), []);
+
+  // Show database errors reported by the main process (e.g. a failed migration)
+  useEffect(() => {
+    if (!window.electronAPI || !window.electronAPI.onDatabaseError) return;
+
+    return window.electronAPI.onDatabaseError((errorMessage) => {
+      Modal.error({
+        title: t("error.databaseError"),
+        content: errorMessage,
+      });
+    });
+  }, [t]);
+
   return (
     <Router>
       <Layout className="app-container">
@@ -1,13 +1,23 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { Input, Button, Tooltip } from "antd";
 import { SendOutlined, StopOutlined } from "@ant-design/icons";
 import { useTranslation } from "react-i18next";
+import PromptPicker from "./PromptPicker";
+import PromptVariablesModal from "./PromptVariablesModal";
+import { extractVariables, matchPrompt } from "../services/promptTemplate";
 
 const { TextArea } = Input;
 
+// Use API exposed in preload.js
+const electronAPI = window.electronAPI;
+
+// Input that opens the prompt picker, a slash at the start followed by the search text
+const SLASH_COMMAND_PATTERN = /^\/([^\n]*)$/;
+
 /**
  * Chat input container component
  * Independently manages input state, avoiding re-rendering of entire chat interface during input
+ * Typing / at the start opens the prompt library
  *
  * @param {Object} props Component properties
  * @param {Function} props.onSendMessage Send message callback
@@ -19,8 +29,69 @@ const ChatInputContainer = React.memo(
   ({ onSendMessage, isSending, onStopGeneration }) => {
     const [inputValue, setInputValue] = useState("");
     const [isComposing, setIsComposing] = useState(false);
+    const [prompts, setPrompts] = useState([]);
+    const [promptsLoading, setPromptsLoading] = useState(false);
+    const [activePromptIndex, setActivePromptIndex] = useState(0);
+    const [pickerDismissed, setPickerDismissed] = useState(false);
+    const [variablePrompt, setVariablePrompt] = useState(null); // prompt waiting for its variables
+    const inputRef = useRef(null);
     const { t } = useTranslation();
 
+    const slashQuery = inputValue.match(SLASH_COMMAND_PATTERN)?.[1];
+    const pickerOpen =
+      slashQuery !== undefined && !pickerDismissed && !isSending;
+    const matchingPrompts = pickerOpen
+      ? prompts.filter((prompt) => matchPrompt(prompt, slashQuery))
+      : [];
+
+    // Reload the library each time the picker opens, it may have been edited in settings
+    useEffect(() => {
+      if (!pickerOpen) return;
+
+      let cancelled = false;
+      setPromptsLoading(true);
+      electronAPI
+        .getPrompts()
+        .then((result) => {
+          if (!cancelled) setPrompts(result);
+        })
+        .catch((error) => {
+          console.error("Failed to load prompts:", error);
+        })
+        .finally(() => {
+          if (!cancelled) setPromptsLoading(false);
+        });
+      return () => {
+        cancelled = true;
+      };
+    }, [pickerOpen]);
+
+    useEffect(() => {
+      setActivePromptIndex(0);
+    }, [slashQuery]);
+
+    // A dismissed picker opens again once the slash command is removed and typed again
+    useEffect(() => {
+      if (slashQuery === undefined) {
+        setPickerDismissed(false);
+      }
+    }, [slashQuery]);
+
+    // Replace the slash command with the prompt text
+    const insertPrompt = (text) => {
+      setInputValue(text);
+      setVariablePrompt(null);
+      setTimeout(() => inputRef.current?.focus(), 0);
+    };
+
+    const handleSelectPrompt = (prompt) => {
+      if (extractVariables(prompt.content).length > 0) {
+        setVariablePrompt(prompt);
+      } else {
+        insertPrompt(prompt.content);
+      }
+    };
+
     const handleSend = () => {
       if (!inputValue.trim()) return;
       onSendMessage(inputValue.trim());
@@ -40,6 +111,31 @@ const ChatInputContainer = React.memo(
       // If using input method, don't handle Enter key
       if (isComposing) return;
 
+      // Navigate the prompt picker while it has prompts
+      if (pickerOpen && matchingPrompts.length > 0) {
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+          e.preventDefault();
+          const step = e.key === "ArrowDown" ? 1 : -1;
+          setActivePromptIndex(
+            (index) =>
+              (index + step + matchingPrompts.length) % matchingPrompts.length
+          );
+          return;
+        }
+        if ((e.key === "Enter" && !e.shiftKey) || e.key === "Tab") {
+          e.preventDefault();
+          handleSelectPrompt(
+            matchingPrompts[activePromptIndex] || matchingPrompts[0]
+          );
+          return;
+        }
+      }
+      if (pickerOpen && e.key === "Escape") {
+        e.preventDefault();
+        setPickerDismissed(true);
+        return;
+      }
+
       // Normal Enter sends message (but not during input method editing)
       if (e.key === "Enter" && !e.shiftKey) {
         e.preventDefault();
@@ -50,7 +146,17 @@ const ChatInputContainer = React.memo(
     return (
       <div className="chat-input-container">
         <div className="input-wrapper">
+          {pickerOpen && (
+            <PromptPicker
+              prompts={matchingPrompts}
+              activeIndex={activePromptIndex}
+              loading={promptsLoading && prompts.length === 0}
+              onSelect={handleSelectPrompt}
+              onHover={setActivePromptIndex}
+            />
+          )}
           <TextArea
+            ref={inputRef}
             value={inputValue}
             onChange={(e) => setInputValue(e.target.value)}
             onKeyDown={handleKeyDown}
@@ -86,6 +192,11 @@ const ChatInputContainer = React.memo(
             )}
           </div>
         </div>
+        <PromptVariablesModal
+          prompt={variablePrompt}
+          onCancel={() => setVariablePrompt(null)}
+          onSubmit={insertPrompt}
+        />
       </div>
     );
   }
@@ -27,24 +27,36 @@ import ReactMarkdown from "react-markdown";
 import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
 import { vscDarkPlus } from "react-syntax-highlighter/dist/esm/styles/prism";
 import { getEnabledProviders } from "../services/aiService";
-import { getModelName, getAllProviders } from "../services/models";
+import {
+  getModelName,
+  getAllProviders,
+  formatTokenCount,
+  formatCost,
+} from "../services/models";
 import { providers } from "../services/models";
 import { useUserConfig } from "../hooks/useUserConfig";
 import { useMessages } from "../hooks/useMessages";
 import {
   parseMessageContent,
   formatMessageContent,
+  getSessionModel,
 } from "../services/messageService";
 import "../styles/ChatWindow.css";
 import { useTranslation } from "react-i18next";
 import ChatInputContainer from "./ChatInputContainer";
 import MCPToolsButton from "./MCPToolsButton";
 import MessageItem from "./MessageItem";
+import VirtualMessageList from "./VirtualMessageList";
 
 const { TextArea } = Input;
 const { Option, OptGroup } = Select;
 const { Panel } = Collapse;
 
+// Older messages are loaded when scrolled this close to the top
+const LOAD_OLDER_THRESHOLD = 200;
+
+const getMessageKey = (msg) => msg.id;
+
 // Message content component
 const MessageContent = ({ content }) => {
   const { t } = useTranslation();
@@ -312,6 +324,7 @@ const ModelSettingsModal = ({ visible, onCancel, onSave, initialSettings }) => {
       form.setFieldsValue({
         temperature: parseFloat(settings.temperature),
         contextLength: settings.contextLength,
+        systemPrompt: settings.systemPrompt || "",
       });
     }
   }, [visible, initialSettings, form]);
@@ -350,6 +363,17 @@ const ModelSettingsModal = ({ visible, onCancel, onSave, initialSettings }) => {
         layout="vertical"
         initialValues={{ temperature, contextLength }}
       >
+        <Form.Item
+          name="systemPrompt"
+          label={t("settings.systemPrompt")}
+          tooltip={t("settings.systemPromptHint")}
+        >
+          <Input.TextArea
+            autoSize={{ minRows: 3, maxRows: 10 }}
+            placeholder={t("settings.systemPromptPlaceholder")}
+          />
+        </Form.Item>
+
         <Form.Item
           name="temperature"
           label={t("settings.temperature")}
@@ -410,10 +434,11 @@ const getProviderAndModelInfo = (providerId, modelId) => {
 
   // Find provider
   const provider = allProviders.find((p) => p.id === providerId);
+  // Imported messages may come from providers that aren't configured
   if (!provider)
     return {
       providerName: "AI Assistant",
-      modelName: "Unknown Model",
+      modelName: modelId || "Unknown Model",
       logo: null,
       providerId: "",
     };
@@ -425,6 +450,8 @@ const getProviderAndModelInfo = (providerId, modelId) => {
 
   if (model) {
     modelName = model.name;
+  } else if (modelId) {
+    modelName = modelId;
   }
 
   return {
@@ -436,7 +463,13 @@ const getProviderAndModelInfo = (providerId, modelId) => {
 };
 
 // Wrap ChatWindow component with memo
-const ChatWindow = memo(({ session, onUpdateSession }) => {
+const ChatWindow = memo(({
+  session,
+  onUpdateSession,
+  focusMessageId,
+  onFocusMessageHandled,
+  onForkSession,
+}) => {
   const { t } = useTranslation();
   const { config, saveConfig } = useUserConfig();
   const [settingsVisible, setSettingsVisible] = useState(false);
@@ -449,21 +482,103 @@ const ChatWindow = memo(({ session, onUpdateSession }) => {
 
   const {
     messages,
+    branchInfo,
     isSending,
     loading,
+    hasOlderMessages,
+    loadingOlder,
     messagesEndRef,
     chatContainerRef,
     handleSendMessage,
     loadMessages,
+    loadOlderMessages,
     handleStopGeneration,
-    scrollToBottom,
+    handleRegenerateMessage,
+    handleEditMessage,
+    handleSwitchBranch,
+    handleRestoreRevision,
+    revealMessage,
   } = useMessages(session, sessionSettings);
 
+  // Total token usage of the session, refreshed when a reply has finished
+  const [sessionUsage, setSessionUsage] = useState(null);
+  useEffect(() => {
+    if (!session?.id || isSending) return;
+
+    let cancelled = false;
+    electronAPI
+      .getSessionUsage(session.id)
+      .then((usage) => {
+        if (!cancelled) setSessionUsage(usage);
+      })
+      .catch((error) => {
+        console.error("Failed to load session usage:", error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [session?.id, isSending, electronAPI]);
+
+  // Copy the session up to a message into a new session and switch to it
+  const handleForkMessage = async (forkMessage) => {
+    if (!session) return;
+
+    try {
+      const forkedSession = await electronAPI.forkSession(
+        session.id,
+        forkMessage.id,
+        t("chat.forkSessionName", { name: session.name })
+      );
+      message.success(t("chat.forkSuccess"));
+      if (typeof onForkSession === "function") {
+        onForkSession(forkedSession);
+      }
+    } catch (error) {
+      console.error("Failed to fork session:", error);
+      message.error(t("chat.forkFailed") + ": " + error.message);
+    }
+  };
+
+  // Message actions change with every message update, keep stable callbacks
+  // for MessageItem so that streaming doesn't re-render the whole list
+  const messageActionsRef = useRef({});
+  messageActionsRef.current = {
+    handleRegenerateMessage,
+    handleEditMessage,
+    handleSwitchBranch,
+    handleForkMessage,
+    handleRestoreRevision,
+  };
+  const handleRegenerate = useCallback(
+    (message) => messageActionsRef.current.handleRegenerateMessage(message),
+    []
+  );
+  const handleEdit = useCallback(
+    (message, content) =>
+      messageActionsRef.current.handleEditMessage(message, content),
+    []
+  );
+  const handleBranchSwitch = useCallback(
+    (message, offset) =>
+      messageActionsRef.current.handleSwitchBranch(message, offset),
+    []
+  );
+  const handleFork = useCallback(
+    (message) => messageActionsRef.current.handleForkMessage(message),
+    []
+  );
+  const handleRestore = useCallback(
+    (message, revisionId) =>
+      messageActionsRef.current.handleRestoreRevision(message, revisionId),
+    []
+  );
+
   // Load settings when session changes
   useEffect(() => {
     const loadSessionSettings = async () => {
+      // Settings of the previous session must not be used while loading
+      setSessionSettings(null);
       if (!session) {
-        setSessionSettings(null);
         return;
       }
 
@@ -473,8 +588,7 @@ const ChatWindow = memo(({ session, onUpdateSession }) => {
       // Get latest session data from database
       try {
         // Get latest session data
-        const sessions = await electronAPI.getSessions();
-        const freshSession = sessions.find((s) => s.id === session.id);
+        const freshSession = await electronAPI.getSession(session.id);
 
         if (!freshSession) {
           console.error(`Session not found ID: ${session.id}`);
@@ -518,16 +632,68 @@ const ChatWindow = memo(({ session, onUpdateSession }) => {
     loadSessionSettings();
   }, [session, electronAPI]);
 
-  // Listen to message list changes, auto scroll to bottom
+  const messageListRef = useRef(null);
+
+  // Load older messages when scrolled near the top, or when the loaded ones don't fill the view
+  const loadOlderIfNeeded = useCallback(() => {
+    const container = chatContainerRef.current;
+    if (!container || !hasOlderMessages || loadingOlder || loading) return;
+
+    if (
+      container.scrollTop < LOAD_OLDER_THRESHOLD ||
+      container.scrollHeight <= container.clientHeight
+    ) {
+      loadOlderMessages();
+    }
+  }, [
+    chatContainerRef,
+    hasOlderMessages,
+    loadingOlder,
+    loading,
+    loadOlderMessages,
+  ]);
+
+  useEffect(() => {
+    const container = chatContainerRef.current;
+    if (!container) return;
+
+    container.addEventListener("scroll", loadOlderIfNeeded, { passive: true });
+    return () => container.removeEventListener("scroll", loadOlderIfNeeded);
+  }, [chatContainerRef, loadOlderIfNeeded]);
+
+  // Check again after loading, the view is scrolled to the bottom first
+  useEffect(() => {
+    const frame = requestAnimationFrame(loadOlderIfNeeded);
+    return () => cancelAnimationFrame(frame);
+  }, [loadOlderIfNeeded]);
+
+  // Scroll to and highlight a message selected from search results
   useEffect(() => {
-    if (messages.length > 0 && !loading) {
-      // Use requestAnimationFrame to ensure scroll executes in next render cycle
+    if (!focusMessageId || loading) return;
+    if (!messages.some((msg) => msg.id === focusMessageId)) {
+      // The message may be on another branch, switch to it and wait for the re-render
+      revealMessage(focusMessageId);
+      return;
+    }
+
+    // Only messages near the view are rendered, bring it into view first
+    messageListRef.current?.scrollToItem(focusMessageId);
+
+    // Wait for the scroll to bottom after loading before scrolling to the message
+    requestAnimationFrame(() => {
       requestAnimationFrame(() => {
-        scrollToBottom();
-        console.log("Auto scroll to bottom after message update");
+        const element = document.getElementById(`message-${focusMessageId}`);
+        if (element) {
+          element.scrollIntoView({ behavior: "instant", block: "center" });
+          element.classList.add("message-highlight");
+          setTimeout(() => element.classList.remove("message-highlight"), 2000);
+        }
+        if (typeof onFocusMessageHandled === "function") {
+          onFocusMessageHandled();
+        }
       });
-    }
-  }, [messages.length, loading, scrollToBottom]);
+    });
+  }, [focusMessageId, messages, loading, revealMessage, onFocusMessageHandled]);
 
   // Handle message visibility changes
   const handleMessageVisibilityChange = useCallback((messageId, isVisible) => {
@@ -542,23 +708,41 @@ const ChatWindow = memo(({ session, onUpdateSession }) => {
     }
   }, []);
 
+  // Render a message of the list
+  const renderMessage = (msg) => (
+    <MessageItem
+      message={msg}
+      getProviderAndModelInfo={getProviderAndModelInfo}
+      onVisibilityChange={handleMessageVisibilityChange}
+      branchIndex={branchInfo[msg.id]?.index}
+      branchCount={branchInfo[msg.id]?.count}
+      isSending={isSending}
+      onEdit={handleEdit}
+      onRegenerate={handleRegenerate}
+      onSwitchBranch={handleBranchSwitch}
+      onFork={handleFork}
+      onRestoreRevision={handleRestore}
+    />
+  );
+
   // Save session settings
   const saveSessionSettings = async (settings) => {
     if (!session) return;
 
     try {
-      // Ensure temperature is a number type, only save temperature and context message count
+      // Ensure temperature is a number type, only save temperature, context message count and system prompt
       const processedSettings = {
         temperature: parseFloat(settings.temperature),
         contextLength: settings.contextLength,
+        systemPrompt: (settings.systemPrompt || "").trim(),
       };
 
       console.log(`save session ${session.id} settings:`, processedSettings);
-      await electronAPI.updateSessionMetadata(session.id, processedSettings);
+      // The provider and model are also kept in the metadata
+      await electronAPI.mergeSessionMetadata(session.id, processedSettings);
 
       // Immediately reload latest settings from database after saving
-      const sessions = await electronAPI.getSessions();
-      const freshSession = sessions.find((s) => s.id === session.id);
+      const freshSession = await electronAPI.getSession(session.id);
 
       if (freshSession && freshSession.metadata) {
         const metadata =
@@ -577,7 +761,7 @@ const ChatWindow = memo(({ session, onUpdateSession }) => {
         setSessionSettings(mergedSettings);
       } else {
         // Use current settings directly
-        setSessionSettings(processedSettings);
+        setSessionSettings((prev) => ({ ...prev, ...processedSettings }));
       }
 
       message.success(t("settings.saveSuccess"));
@@ -587,13 +771,29 @@ const ChatWindow = memo(({ session, onUpdateSession }) => {
     }
   };
 
-  // Handle model changes
+  // Provider and model of the session, the global default when there is no session
+  const sessionModel = getSessionModel(session ? sessionSettings : null);
+
+  // Handle model changes, the model is stored in the session so other sessions keep theirs
   const handleModelChange = async (value) => {
     const [providerId, modelId] = value.split("|");
 
-    // Update configuration
-    const newConfig = { ...config, providerId, modelId };
-    saveConfig(newConfig);
+    // The last chosen model is the default of new sessions
+    saveConfig({ ...config, providerId, modelId });
+
+    if (session) {
+      setSessionSettings((prev) => ({ ...prev, providerId, modelId }));
+      try {
+        await electronAPI.mergeSessionMetadata(session.id, {
+          providerId,
+          modelId,
+        });
+      } catch (error) {
+        console.error("Failed to save session model:", error);
+        message.error(t("settings.saveFailed") + ":" + error.message);
+        return;
+      }
+    }
 
     // Show notification
     message.success(
@@ -632,31 +832,31 @@ const ChatWindow = memo(({ session, onUpdateSession }) => {
 
   // Get currently selected model
   const getCurrentModel = () => {
-    // First check if configuration has providerId and modelId
-    if (!config.providerId || !config.modelId) return null;
+    // First check if the session has providerId and modelId
+    if (!sessionModel.providerId || !sessionModel.modelId) return null;
     // Check if currently selected provider exists in available provider list
     const provider = providerModels.find(
-      (item) => item.provider.id === config.providerId
+      (item) => item.provider.id === sessionModel.providerId
     );
     if (!provider) return null;
 
     // Check if currently selected model exists in available model list
     const modelExists = provider.models.some(
-      (model) => model.id === config.modelId
+      (model) => model.id === sessionModel.modelId
     );
     if (!modelExists) return null;
 
     // Only return complete selection value when both provider and model exist and are enabled
-    return `${config.providerId}|${config.modelId}`;
+    return `${sessionModel.providerId}|${sessionModel.modelId}`;
   };
 
   // Check if currently selected model is available, if not available then select first available model
   useEffect(() => {
-    // Only return when no available models
-    if (providerModels.length === 0) return;
+    // Only return when no available models, or while the session settings load
+    if (providerModels.length === 0 || (session && !sessionSettings)) return;
 
     // If user hasn't selected a model or selected model/provider is unavailable, automatically select a default model
-    if (!config.providerId || !config.modelId) {
+    if (!sessionModel.providerId || !sessionModel.modelId) {
       // When user initialization has no selected model, automatically select first available model
       if (providerModels.length > 0 && providerModels[0].models.length > 0) {
         const firstProvider = providerModels[0];
@@ -669,7 +869,7 @@ const ChatWindow = memo(({ session, onUpdateSession }) => {
 
     // Check if currently selected provider exists in available provider list
     const provider = providerModels.find(
-      (item) => item.provider.id === config.providerId
+      (item) => item.provider.id === sessionModel.providerId
     );
 
     // If provider doesn't exist or has no models, select first available model
@@ -686,7 +886,7 @@ const ChatWindow = memo(({ session, onUpdateSession }) => {
 
     // Check if currently selected model exists in available model list
     const modelExists = provider.models.some(
-      (model) => model.id === config.modelId
+      (model) => model.id === sessionModel.modelId
     );
 
     // If model doesn't exist, select provider's first available model
@@ -706,13 +906,57 @@ const ChatWindow = memo(({ session, onUpdateSession }) => {
         console.log(`Auto-selected first available model: ${firstModel.name}`);
       }
     }
-  }, [config.providerId, config.modelId, providerModels, handleModelChange]);
+  }, [
+    session,
+    sessionSettings,
+    sessionModel.providerId,
+    sessionModel.modelId,
+    providerModels,
+    handleModelChange,
+  ]);
 
   return (
     <div className="chat-window">
       <div className="chat-header">
         <div className="chat-title">
           {session ? session.name : t("chat.startNewChat")}
+          {session &&
+            sessionUsage?.sessionId === session.id &&
+            sessionUsage.messageCount > 0 && (
+              <Tooltip
+                title={
+                  <div>
+                    <div>
+                      {t("chat.usage.promptTokens", {
+                        count: sessionUsage.promptTokens,
+                      })}
+                    </div>
+                    <div>
+                      {t("chat.usage.completionTokens", {
+                        count: sessionUsage.completionTokens,
+                      })}
+                    </div>
+                    {sessionUsage.cost != null && (
+                      <div>
+                        {t("chat.usage.cost", {
+                          cost: formatCost(sessionUsage.cost),
+                        })}
+                      </div>
+                    )}
+                  </div>
+                }
+              >
+                <span className="chat-session-usage">
+                  {t("chat.usage.sessionTotal", {
+                    tokens: formatTokenCount(
+                      sessionUsage.promptTokens + sessionUsage.completionTokens
+                    ),
+                  })}
+                  {sessionUsage.cost != null &&
+                    ` · ${formatCost(sessionUsage.cost)}`}
+                </span>
+              </Tooltip>
+            )}
         </div>
         <div className="chat-actions">
           <div className="model-selector">
@@ -720,8 +964,9 @@ const ChatWindow = memo(({ session, onUpdateSession }) => {
               value={getCurrentModel()}
               onChange={handleModelChange}
               placeholder={t("settings.modelServices")}
-              style={{ width: 180 }}
+              style={{ width: 220 }}
               disabled={!session}
+              optionLabelProp="label"
             >
               {providerModels.length > 0 ? (
                 providerModels.map(({ provider, models }) => (
@@ -730,6 +975,7 @@ const ChatWindow = memo(({ session, onUpdateSession }) => {
                       <Option
                         key={`${provider.id}|${model.id}`}
                         value={`${provider.id}|${model.id}`}
+                        label={`${provider.name} / ${model.name}`}
                       >
                         {model.name}
                       </Option>
@@ -762,14 +1008,19 @@ const ChatWindow = memo(({ session, onUpdateSession }) => {
           <>
             {messages && messages.length > 0 ? (
               <div className="message-list">
-                {messages.map((msg) => (
-                  <MessageItem
-                    key={msg.id}
-                    message={msg}
-                    getProviderAndModelInfo={getProviderAndModelInfo}
-                    onVisibilityChange={handleMessageVisibilityChange}
-                  />
-                ))}
+                {/* Keeps its height while loading so the messages below don't move */}
+                {hasOlderMessages && (
+                  <div className="load-older-messages">
+                    {loadingOlder && <Spin size="small" />}
+                  </div>
+                )}
+                <VirtualMessageList
+                  ref={messageListRef}
+                  items={messages}
+                  getItemKey={getMessageKey}
+                  renderItem={renderMessage}
+                  scrollContainerRef={chatContainerRef}
+                />
               </div>
             ) : (
               <div className="empty-messages">
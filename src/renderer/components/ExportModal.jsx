@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from "react";
+import { Modal, Select, Radio, Form, message } from "antd";
+import { useTranslation } from "react-i18next";
+
+// Use API exposed in preload.js
+const electronAPI = window.electronAPI;
+
+// Export formats, see EXPORT_FORMATS in the main process exportService
+const EXPORT_FORMATS = ["markdown", "json", "html", "pdf"];
+
+/**
+ * Export sessions modal
+ * Lets the user pick sessions and a format, the files are written by the main process
+ *
+ * @param {Object} props Component properties
+ * @param {Boolean} props.open Whether the modal is open
+ * @param {Function} props.onClose Close callback
+ * @param {Array} props.sessions Sessions that can be exported
+ * @param {Array} props.defaultSessionIds Sessions selected when the modal opens
+ * @returns {JSX.Element} Export modal
+ */
+const ExportModal = ({ open, onClose, sessions, defaultSessionIds = [] }) => {
+  const { t } = useTranslation();
+  const [sessionIds, setSessionIds] = useState(defaultSessionIds);
+  const [format, setFormat] = useState("markdown");
+  const [exporting, setExporting] = useState(false);
+
+  // Reset the selection each time the modal opens
+  useEffect(() => {
+    if (open) {
+      setSessionIds(defaultSessionIds);
+    }
+  }, [open]);
+
+  const handleExport = async () => {
+    if (sessionIds.length === 0) return;
+
+    setExporting(true);
+    try {
+      const result = await electronAPI.exportSessions(sessionIds, format);
+      if (result.canceled) return;
+
+      message.success(t("export.success", { count: result.files.length }));
+      onClose();
+    } catch (error) {
+      console.error("Failed to export sessions:", error);
+      message.error(t("export.failed") + ": " + error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={t("export.title")}
+      open={open}
+      onOk={handleExport}
+      onCancel={onClose}
+      okText={t("export.export")}
+      cancelText={t("common.cancel")}
+      okButtonProps={{ disabled: sessionIds.length === 0 }}
+      confirmLoading={exporting}
+      destroyOnClose
+    >
+      <Form layout="vertical">
+        <Form.Item label={t("export.sessions")}>
+          <Select
+            mode="multiple"
+            allowClear
+            optionFilterProp="label"
+            placeholder={t("export.selectSessions")}
+            value={sessionIds}
+            onChange={setSessionIds}
+            options={sessions.map((session) => ({
+              value: session.id,
+              label: session.name,
+            }))}
+          />
+        </Form.Item>
+        <Form.Item
+          label={t("export.format")}
+          extra={t(`export.formatHints.${format}`)}
+        >
+          <Radio.Group
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+            optionType="button"
+            options={EXPORT_FORMATS.map((value) => ({
+              value,
+              label: t(`export.formats.${value}`),
+            }))}
+          />
+        </Form.Item>
+      </Form>
+    </Modal>
+  );
+};
+
+export default ExportModal;
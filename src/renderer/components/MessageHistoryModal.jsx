@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from "react";
+import { Modal, List, Tag, Button, Empty, Spin, Popconfirm, message } from "antd";
+import { useTranslation } from "react-i18next";
+import {
+  getMessageRevisions,
+  formatMessageContent,
+  parseMessageContent,
+} from "../services/messageService";
+import { diffLines } from "../services/textDiff";
+
+// Use API exposed in preload.js
+const electronAPI = window.electronAPI;
+
+// Tag colors of the revision reasons, see REVISION_REASONS in the main process database
+const REASON_COLORS = {
+  stream_final: "blue",
+  user_edit: "green",
+  termination: "red",
+  restore: "purple",
+};
+
+// Main text of stored message content, the part that is compared
+const getContentText = (content) => {
+  const text = formatMessageContent(parseMessageContent(content));
+  return typeof text === "string" ? text : JSON.stringify(text, null, 2);
+};
+
+/**
+ * Message history modal
+ * Lists the earlier contents of a message and shows what changed since each of them
+ *
+ * @param {Object} props Component properties
+ * @param {Boolean} props.open Whether the modal is open
+ * @param {Function} props.onClose Close callback
+ * @param {Object} props.message Message whose history is shown
+ * @param {Function} props.onRestore Called with the message and a revision id to restore it
+ * @returns {JSX.Element} Message history modal
+ */
+const MessageHistoryModal = ({ open, onClose, message: chatMessage, onRestore }) => {
+  const { t } = useTranslation();
+  const [revisions, setRevisions] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+
+  // Load the revisions each time the modal opens or the message changes
+  useEffect(() => {
+    if (!open) return;
+
+    let cancelled = false;
+    setLoading(true);
+    getMessageRevisions(chatMessage.id, electronAPI)
+      .then((result) => {
+        if (cancelled) return;
+        setRevisions(result);
+        setSelectedId(result[0]?.id ?? null);
+      })
+      .catch((error) => {
+        console.error("Failed to load message revisions:", error);
+        message.error(t("chat.history.loadFailed"));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, chatMessage.id, chatMessage.content]);
+
+  const handleRestore = async (revisionId) => {
+    setRestoring(true);
+    try {
+      await onRestore(chatMessage, revisionId);
+      message.success(t("chat.history.restored"));
+    } catch (error) {
+      console.error("Failed to restore message revision:", error);
+      message.error(t("chat.history.restoreFailed") + ": " + error.message);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const selected = revisions.find((revision) => revision.id === selectedId);
+  const diff = selected
+    ? diffLines(getContentText(selected.content), getContentText(chatMessage.content))
+    : [];
+
+  return (
+    <Modal
+      title={t("chat.history.title")}
+      open={open}
+      onCancel={onClose}
+      footer={null}
+      width={860}
+      destroyOnClose
+    >
+      {loading ? (
+        <div className="message-history-loading">
+          <Spin />
+        </div>
+      ) : revisions.length === 0 ? (
+        <Empty description={t("chat.history.empty")} />
+      ) : (
+        <div className="message-history">
+          <List
+            className="message-history-list"
+            size="small"
+            dataSource={revisions}
+            renderItem={(revision) => (
+              <List.Item
+                className={
+                  revision.id === selectedId ? "message-history-selected" : ""
+                }
+                onClick={() => setSelectedId(revision.id)}
+              >
+                <div>
+                  <div>{new Date(revision.createdAt).toLocaleString()}</div>
+                  <Tag color={REASON_COLORS[revision.reason]}>
+                    {t(`chat.history.reasons.${revision.reason}`)}
+                  </Tag>
+                </div>
+              </List.Item>
+            )}
+          />
+          <div className="message-history-detail">
+            <div className="message-history-toolbar">
+              <span>{t("chat.history.diffTitle")}</span>
+              <Popconfirm
+                title={t("chat.history.restoreConfirm")}
+                onConfirm={() => handleRestore(selectedId)}
+                okText={t("chat.history.restore")}
+                cancelText={t("common.cancel")}
+              >
+                <Button size="small" loading={restoring} disabled={!selected}>
+                  {t("chat.history.restore")}
+                </Button>
+              </Popconfirm>
+            </div>
+            <pre className="message-diff">
+              {diff.map((part, index) => (
+                <div key={index} className={`message-diff-${part.type}`}>
+                  {part.text
+                    .split("\n")
+                    .map(
+                      (line) =>
+                        (part.type === "added"
+                          ? "+ "
+                          : part.type === "removed"
+                          ? "- "
+                          : "  ") + line
+                    )
+                    .join("\n")}
+                </div>
+              ))}
+            </pre>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default MessageHistoryModal;
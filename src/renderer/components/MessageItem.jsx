@@ -1,6 +1,16 @@
-import React, { memo, lazy } from "react";
-import { Spin, Avatar, Tooltip, Button, Collapse, message } from "antd";
-import { UserOutlined, RobotOutlined, CopyOutlined } from "@ant-design/icons";
+import React, { memo, lazy, useState } from "react";
+import { Spin, Avatar, Tooltip, Button, Collapse, Input, message } from "antd";
+import {
+  UserOutlined,
+  RobotOutlined,
+  CopyOutlined,
+  EditOutlined,
+  ReloadOutlined,
+  LeftOutlined,
+  RightOutlined,
+  ForkOutlined,
+  HistoryOutlined,
+} from "@ant-design/icons";
 import ReactMarkdown from "react-markdown";
 import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
 import { vscDarkPlus } from "react-syntax-highlighter/dist/esm/styles/prism";
@@ -8,9 +18,12 @@ import {
   parseMessageContent,
   formatMessageContent,
 } from "../services/messageService";
+import { formatTokenCount, formatCost } from "../services/models";
+import MessageHistoryModal from "./MessageHistoryModal";
 import { useTranslation } from "react-i18next";
 
 const { Panel } = Collapse;
+const { TextArea } = Input;
 
 // Message content component
 const MessageContent = ({ content }) => {
@@ -203,25 +216,25 @@ const MessageContent = ({ content }) => {
   );
 };
 
-// Copy to clipboard function
-const copyToClipboard = (content, t) => {
+// Get the main text of a message
+const getMessageText = (content) => {
   // If is string, try to parse as JSON
   const parsedContent =
     typeof content === "string" ? parseMessageContent(content) : content;
 
   // Find main content
-  let textToCopy = "";
   if (Array.isArray(parsedContent)) {
     const mainContent = parsedContent.find((item) => item.type === "content");
-    if (mainContent) {
-      textToCopy = mainContent.content;
-    }
-  } else {
-    textToCopy =
-      typeof parsedContent === "string"
-        ? parsedContent
-        : formatMessageContent(parsedContent);
+    return mainContent ? mainContent.content : "";
   }
+  return typeof parsedContent === "string"
+    ? parsedContent
+    : formatMessageContent(parsedContent);
+};
+
+// Copy to clipboard function
+const copyToClipboard = (content, t) => {
+  const textToCopy = getMessageText(content);
 
   // Copy to clipboard
   try {
@@ -254,10 +267,95 @@ const copyToClipboard = (content, t) => {
   }
 };
 
+// Token usage, response time and cost of an AI reply, details in the tooltip
+const MessageUsage = ({ message }) => {
+  const { t } = useTranslation();
+  const hasUsage = message.completionTokens != null;
+  const hasCost = message.cost != null;
+
+  if (!hasUsage && message.latencyMs == null) {
+    return null;
+  }
+
+  const details = (
+    <div>
+      {hasUsage && (
+        <>
+          <div>{t("chat.usage.promptTokens", { count: message.promptTokens })}</div>
+          <div>
+            {t("chat.usage.completionTokens", { count: message.completionTokens })}
+          </div>
+          {message.reasoningTokens > 0 && (
+            <div>
+              {t("chat.usage.reasoningTokens", { count: message.reasoningTokens })}
+            </div>
+          )}
+        </>
+      )}
+      {message.latencyMs != null && (
+        <div>
+          {t("chat.usage.latency", { seconds: (message.latencyMs / 1000).toFixed(1) })}
+        </div>
+      )}
+      {hasCost && (
+        <div>{t("chat.usage.cost", { cost: formatCost(message.cost) })}</div>
+      )}
+    </div>
+  );
+
+  return (
+    <Tooltip title={details}>
+      <span className="message-usage">
+        {[
+          hasUsage &&
+            t("chat.usage.tokens", {
+              prompt: formatTokenCount(message.promptTokens),
+              completion: formatTokenCount(message.completionTokens),
+            }),
+          message.latencyMs != null &&
+            `${(message.latencyMs / 1000).toFixed(1)}s`,
+          hasCost && formatCost(message.cost),
+        ]
+          .filter(Boolean)
+          .join(" · ")}
+      </span>
+    </Tooltip>
+  );
+};
+
 // Use memo wrapper for message item component to avoid unnecessary re-renders
 const MessageItem = memo(
-  ({ message, getProviderAndModelInfo, onVisibilityChange }) => {
+  ({
+    message,
+    getProviderAndModelInfo,
+    onVisibilityChange,
+    branchIndex = 0,
+    branchCount = 1,
+    isSending = false,
+    onEdit,
+    onRegenerate,
+    onSwitchBranch,
+    onFork,
+    onRestoreRevision,
+  }) => {
     const { t } = useTranslation();
+    const [editing, setEditing] = useState(false);
+    const [historyOpen, setHistoryOpen] = useState(false);
+    const [editContent, setEditContent] = useState("");
+
+    // Start editing a user message with its current text
+    const startEditing = () => {
+      setEditContent(getMessageText(message.content));
+      setEditing(true);
+    };
+
+    // Submit the edit, this creates a new branch
+    const submitEdit = () => {
+      const content = editContent.trim();
+      if (!content) return;
+      setEditing(false);
+      onEdit(message, content);
+    };
 
     // Get current message AI model information
     const modelInfo =
@@ -351,18 +449,61 @@ const MessageItem = memo(
             </span>
           </div>
           <div className="message-text">
-            {message.status === "pending" &&
-            (!message.content ||
-              (typeof message.content === "string" &&
-                JSON.parse(message.content).find(
-                  (item) => item.type === "content"
-                )?.content === "")) ? (
+            {editing ? (
+              <div className="message-edit">
+                <TextArea
+                  value={editContent}
+                  onChange={(e) => setEditContent(e.target.value)}
+                  autoSize={{ minRows: 2, maxRows: 12 }}
+                  autoFocus
+                />
+                <div className="message-edit-actions">
+                  <Button size="small" onClick={() => setEditing(false)}>
+                    {t("common.cancel")}
+                  </Button>
+                  <Button
+                    size="small"
+                    type="primary"
+                    onClick={submitEdit}
+                    disabled={!editContent.trim() || isSending}
+                  >
+                    {t("chat.saveAndSubmit")}
+                  </Button>
+                </div>
+              </div>
+            ) : message.status === "pending" &&
+              (!message.content ||
+                (typeof message.content === "string" &&
+                  JSON.parse(message.content).find(
+                    (item) => item.type === "content"
+                  )?.content === "")) ? (
               <Spin size="small" />
             ) : (
               <MessageContent content={message.content} />
             )}
 
             <div className="message-footer">
+              {branchCount > 1 && onSwitchBranch && (
+                <div className="message-branch-switcher">
+                  <Button
+                    type="text"
+                    icon={<LeftOutlined />}
+                    size="small"
+                    disabled={branchIndex === 0 || isSending}
+                    onClick={() => onSwitchBranch(message, -1)}
+                  />
+                  <span className="message-branch-index">
+                    {branchIndex + 1}/{branchCount}
+                  </span>
+                  <Button
+                    type="text"
+                    icon={<RightOutlined />}
+                    size="small"
+                    disabled={branchIndex === branchCount - 1 || isSending}
+                    onClick={() => onSwitchBranch(message, 1)}
+                  />
+                </div>
+              )}
               <Tooltip title={t("chat.copyMessage")}>
                 <Button
                   type="text"
@@ -372,13 +513,66 @@ const MessageItem = memo(
                   className="copy-button"
                 />
               </Tooltip>
+              {message.role === "user" && onEdit && !editing && (
+                <Tooltip title={t("chat.editMessage")}>
+                  <Button
+                    type="text"
+                    icon={<EditOutlined />}
+                    size="small"
+                    disabled={isSending}
+                    onClick={startEditing}
+                  />
+                </Tooltip>
+              )}
+              {message.role === "assistant" && onRegenerate && (
+                <Tooltip title={t("chat.regenerate")}>
+                  <Button
+                    type="text"
+                    icon={<ReloadOutlined />}
+                    size="small"
+                    disabled={isSending}
+                    onClick={() => onRegenerate(message)}
+                  />
+                </Tooltip>
+              )}
+              {onFork && (
+                <Tooltip title={t("chat.forkFromHere")}>
+                  <Button
+                    type="text"
+                    icon={<ForkOutlined />}
+                    size="small"
+                    disabled={isSending || message.status === "pending"}
+                    onClick={() => onFork(message)}
+                  />
+                </Tooltip>
+              )}
+              {onRestoreRevision && (
+                <Tooltip title={t("chat.messageHistory")}>
+                  <Button
+                    type="text"
+                    icon={<HistoryOutlined />}
+                    size="small"
+                    disabled={isSending || message.status === "pending"}
+                    onClick={() => setHistoryOpen(true)}
+                  />
+                </Tooltip>
+              )}
+              {message.role === "assistant" && <MessageUsage message={message} />}
             </div>
+            {historyOpen && (
+              <MessageHistoryModal
+                open={historyOpen}
+                onClose={() => setHistoryOpen(false)}
+                message={message}
+                onRestore={onRestoreRevision}
+              />
+            )}
           </div>
         </div>
       </div>
     );
   },
-  // Custom comparison function, only re-render when message content or status changes
+  // Custom comparison function, only re-render when message content, status or branch changes
   (prevProps, nextProps) => {
     // Check if ID is the same
     if (prevProps.message.id !== nextProps.message.id) {
@@ -395,6 +589,23 @@ const MessageItem = memo(
       return false; // Content changed, needs re-render
     }
 
+    // Check if usage was saved, it arrives after the content
+    if (
+      prevProps.message.completionTokens !== nextProps.message.completionTokens ||
+      prevProps.message.latencyMs !== nextProps.message.latencyMs
+    ) {
+      return false;
+    }
+
+    // Check if branch position or sending state changes
+    if (
+      prevProps.branchIndex !== nextProps.branchIndex ||
+      prevProps.branchCount !== nextProps.branchCount ||
+      prevProps.isSending !== nextProps.isSending
+    ) {
+      return false;
+    }
+
     // Other properties haven't changed, no need to re-render
     return true;
   }
@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Drawer, Input, Select, DatePicker, List, Empty, Spin, Tag } from "antd";
+import { SearchOutlined, UserOutlined, RobotOutlined } from "@ant-design/icons";
+import { useTranslation } from "react-i18next";
+
+const { RangePicker } = DatePicker;
+
+// Use API exposed in preload.js
+const electronAPI = window.electronAPI;
+
+// Snippet highlight delimiters, see ChatDatabase.searchMessages
+const HIGHLIGHT_START = "\u0002";
+const HIGHLIGHT_END = "\u0003";
+
+/**
+ * Render a search snippet, wrapping highlighted parts in <mark>
+ * @param {string} snippet Snippet returned by search
+ * @returns {Array} React nodes
+ */
+const renderSnippet = (snippet) => {
+  if (!snippet) return null;
+
+  return snippet.split(HIGHLIGHT_START).map((part, index) => {
+    if (index === 0) return <span key={index}>{part}</span>;
+
+    const [highlighted, rest] = part.split(HIGHLIGHT_END);
+    return (
+      <React.Fragment key={index}>
+        <mark>{highlighted}</mark>
+        {rest}
+      </React.Fragment>
+    );
+  });
+};
+
+/**
+ * Message search panel
+ * Searches all sessions and messages, and jumps to the selected message
+ *
+ * @param {Object} props Component properties
+ * @param {Boolean} props.open Whether the panel is open
+ * @param {Function} props.onClose Close callback
+ * @param {Array} props.sessions Session list, used for the session filter
+ * @param {Function} props.onSelectResult Called with the selected search result
+ * @returns {JSX.Element} Search panel
+ */
+const MessageSearchPanel = ({ open, onClose, sessions, onSelectResult }) => {
+  const { t } = useTranslation();
+  const [query, setQuery] = useState("");
+  const [sessionId, setSessionId] = useState(null);
+  const [role, setRole] = useState(null);
+  const [dateRange, setDateRange] = useState(null);
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const searchIdRef = useRef(0);
+
+  // Search when query or filters change, debounced while typing
+  useEffect(() => {
+    if (!open) return;
+
+    if (!query.trim()) {
+      setResults([]);
+      return;
+    }
+
+    const searchId = ++searchIdRef.current;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const rows = await electronAPI.searchMessages(query, {
+          sessionId: sessionId || undefined,
+          role: role || undefined,
+          dateFrom: dateRange?.[0]
+            ? dateRange[0].startOf("day").valueOf()
+            : undefined,
+          dateTo: dateRange?.[1] ? dateRange[1].endOf("day").valueOf() : undefined,
+        });
+
+        // Ignore results of outdated searches
+        if (searchId === searchIdRef.current) {
+          setResults(rows);
+        }
+      } catch (error) {
+        console.error("Failed to search messages:", error);
+        if (searchId === searchIdRef.current) {
+          setResults([]);
+        }
+      } finally {
+        if (searchId === searchIdRef.current) {
+          setSearching(false);
+        }
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [open, query, sessionId, role, dateRange]);
+
+  return (
+    <Drawer
+      title={t("search.title")}
+      placement="left"
+      width={420}
+      open={open}
+      onClose={onClose}
+      className="message-search-panel"
+    >
+      <Input
+        placeholder={t("search.placeholder")}
+        prefix={<SearchOutlined className="search-icon" />}
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        allowClear
+        autoFocus
+      />
+
+      <div className="message-search-filters">
+        <Select
+          allowClear
+          showSearch
+          optionFilterProp="label"
+          placeholder={t("search.allSessions")}
+          value={sessionId}
+          onChange={setSessionId}
+          options={sessions.map((session) => ({
+            value: session.id,
+            label: session.name,
+          }))}
+        />
+        <Select
+          allowClear
+          placeholder={t("search.allRoles")}
+          value={role}
+          onChange={setRole}
+          options={[
+            { value: "user", label: t("common.user") },
+            { value: "assistant", label: t("search.assistant") },
+          ]}
+        />
+        <RangePicker value={dateRange} onChange={setDateRange} />
+      </div>
+
+      {searching ? (
+        <div className="message-search-loading">
+          <Spin />
+        </div>
+      ) : results.length === 0 ? (
+        <Empty
+          image={Empty.PRESENTED_IMAGE_SIMPLE}
+          description={query.trim() ? t("search.noResults") : t("search.hint")}
+        />
+      ) : (
+        <List
+          className="message-search-results"
+          dataSource={results}
+          renderItem={(result) => (
+            <List.Item
+              key={result.id}
+              className="message-search-result"
+              onClick={() => onSelectResult(result)}
+            >
+              <div className="message-search-result-header">
+                {result.role === "user" ? <UserOutlined /> : <RobotOutlined />}
+                <Tag className="message-search-session">
+                  {result.sessionName}
+                </Tag>
+                <span className="message-search-time">
+                  {new Date(result.createdAt).toLocaleString()}
+                </span>
+              </div>
+              <div className="message-search-snippet">
+                {renderSnippet(result.snippet)}
+              </div>
+            </List.Item>
+          )}
+        />
+      )}
+    </Drawer>
+  );
+};
+
+export default MessageSearchPanel;
@@ -0,0 +1,61 @@
+import React, { useEffect, useRef } from "react";
+import { Tag, Spin } from "antd";
+import { useTranslation } from "react-i18next";
+
+/**
+ * Prompt picker shown above the chat input while a slash command is typed
+ * Keyboard navigation is handled by the input, the picker only renders the list
+ *
+ * @param {Object} props Component properties
+ * @param {Array} props.prompts Prompts matching the typed command
+ * @param {Number} props.activeIndex Index of the highlighted prompt
+ * @param {Boolean} props.loading Whether the library is loading
+ * @param {Function} props.onSelect Called with the chosen prompt
+ * @param {Function} props.onHover Called with the index of the prompt under the mouse
+ * @returns {JSX.Element} Prompt picker
+ */
+const PromptPicker = ({ prompts, activeIndex, loading, onSelect, onHover }) => {
+  const { t } = useTranslation();
+  const listRef = useRef(null);
+
+  // Keep the highlighted prompt visible when moving with the keyboard
+  useEffect(() => {
+    listRef.current?.children[activeIndex]?.scrollIntoView({ block: "nearest" });
+  }, [activeIndex]);
+
+  return (
+    <div className="prompt-picker">
+      {loading ? (
+        <div className="prompt-picker-empty">
+          <Spin size="small" />
+        </div>
+      ) : prompts.length === 0 ? (
+        <div className="prompt-picker-empty">{t("prompt.noMatch")}</div>
+      ) : (
+        <div className="prompt-picker-list" ref={listRef}>
+          {prompts.map((prompt, index) => (
+            <div
+              key={prompt.id}
+              className={`prompt-picker-item${
+                index === activeIndex ? " prompt-picker-item-active" : ""
+              }`}
+              // Keep the focus in the input
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => onSelect(prompt)}
+              onMouseEnter={() => onHover(index)}
+            >
+              <div className="prompt-picker-title">
+                {prompt.title}
+                {prompt.category && <Tag>{prompt.category}</Tag>}
+              </div>
+              <div className="prompt-picker-content">{prompt.content}</div>
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="prompt-picker-hint">{t("prompt.pickerHint")}</div>
+    </div>
+  );
+};
+
+export default PromptPicker;
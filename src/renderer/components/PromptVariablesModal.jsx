@@ -0,0 +1,60 @@
+import React from "react";
+import { Modal, Form, Input } from "antd";
+import { useTranslation } from "react-i18next";
+import { extractVariables, fillTemplate } from "../services/promptTemplate";
+
+/**
+ * Prompt variables modal
+ * Asks for the values of the {{variables}} of a prompt before it is inserted
+ *
+ * @param {Object} props Component properties
+ * @param {Object} props.prompt Prompt being inserted, the modal is closed when null
+ * @param {Function} props.onCancel Close callback
+ * @param {Function} props.onSubmit Called with the filled prompt text
+ * @returns {JSX.Element} Prompt variables modal
+ */
+const PromptVariablesModal = ({ prompt, onCancel, onSubmit }) => {
+  const { t } = useTranslation();
+  const [form] = Form.useForm();
+  const variables = extractVariables(prompt?.content);
+
+  const handleOk = async () => {
+    try {
+      const values = await form.validateFields();
+      onSubmit(fillTemplate(prompt.content, values));
+    } catch (info) {
+      console.log("prompt variables validation failed:", info);
+    }
+  };
+
+  return (
+    <Modal
+      title={prompt?.title}
+      open={!!prompt}
+      onCancel={onCancel}
+      onOk={handleOk}
+      okText={t("prompt.insert")}
+      destroyOnClose
+    >
+      <Form form={form} layout="vertical" preserve={false}>
+        {variables.map((name, index) => (
+          <Form.Item key={name} name={name} label={name}>
+            <Input.TextArea
+              autoSize={{ minRows: 1, maxRows: 6 }}
+              autoFocus={index === 0}
+              onPressEnter={(e) => {
+                // Enter inserts the prompt, Shift+Enter adds a line
+                if (!e.shiftKey && !e.nativeEvent.isComposing) {
+                  e.preventDefault();
+                  handleOk();
+                }
+              }}
+            />
+          </Form.Item>
+        ))}
+      </Form>
+    </Modal>
+  );
+};
+
+export default PromptVariablesModal;
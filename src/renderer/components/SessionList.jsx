@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import {
   List,
   Button,
@@ -11,6 +11,8 @@ import {
   message,
   Menu,
   Dropdown,
+  Tag,
+  Select,
 } from "antd";
 import {
   MessageOutlined,
@@ -23,31 +25,194 @@ import {
   MoreOutlined,
   ExclamationCircleOutlined,
   CheckCircleOutlined,
+  FileSearchOutlined,
+  FolderOutlined,
+  FolderOpenOutlined,
+  FolderAddOutlined,
+  PushpinOutlined,
+  PushpinFilled,
+  InboxOutlined,
+  RightOutlined,
+  DownOutlined,
+  RestOutlined,
+  UndoOutlined,
+  ExportOutlined,
+  ImportOutlined,
+  TagsOutlined,
+  FilterOutlined,
+  WarningOutlined,
 } from "@ant-design/icons";
+import ExportModal from "./ExportModal";
 import "../styles/SessionList.css";
 import { useTranslation } from "react-i18next";
+import { getTrashRetentionDays } from "../hooks/useUserConfig";
 
 // Use API exposed in preload.js
 const electronAPI = window.electronAPI;
 
+// Write a tag name as a filter query value, see sessionFilter.js in the main process
+const toFilterValue = (name) =>
+  /[\s"]/.test(name) ? `"${name.replace(/["\\]/g, "\\$&")}"` : name;
+
 const SessionList = ({
   sessions,
   currentSession,
   onSelectSession,
   onDeleteSession,
   onSessionListUpdate,
+  onOpenMessageSearch,
 }) => {
   const { t } = useTranslation();
   const [searchText, setSearchText] = useState("");
   const [sessionName, setSessionName] = useState("");
   const [isModalVisible, setIsModalVisible] = useState(false);
   const [editingSession, setEditingSession] = useState(null);
+  const [folders, setFolders] = useState([]);
+  const [collapsedFolders, setCollapsedFolders] = useState({});
+  // Which list is shown: "sessions", "archived" or "trash"
+  const [view, setView] = useState("sessions");
+  const [archivedSessions, setArchivedSessions] = useState([]);
+  const [deletedSessions, setDeletedSessions] = useState([]);
+  const [folderModal, setFolderModal] = useState(null);
+  const [folderName, setFolderName] = useState("");
+  const [dropTarget, setDropTarget] = useState(null);
+  // Sessions preselected in the export modal, null when it is closed
+  const [exportSessionIds, setExportSessionIds] = useState(null);
+  // Item being dragged, { type: "session" | "folder", id }
+  const dragItemRef = useRef(null);
+  const [tags, setTags] = useState([]);
+  // Tags the list is filtered by, sessions must have all of them
+  const [selectedTags, setSelectedTags] = useState([]);
+  // Session whose tags are edited and the edited tag names, null when closed
+  const [tagModal, setTagModal] = useState(null);
+  const [savedFilters, setSavedFilters] = useState([]);
+  const [expandedFilters, setExpandedFilters] = useState({});
+  // Saved filter being created or edited, { filter, name, query }, null when closed
+  const [filterModal, setFilterModal] = useState(null);
+
+  // Load folders
+  const loadFolders = async () => {
+    try {
+      setFolders(await electronAPI.getFolders());
+    } catch (error) {
+      console.error("Failed to load folders:", error);
+    }
+  };
+
+  // Load archived sessions
+  const loadArchivedSessions = async () => {
+    try {
+      setArchivedSessions(await electronAPI.getSessions({ archived: true }));
+    } catch (error) {
+      console.error("Failed to load archived sessions:", error);
+    }
+  };
+
+  // Load sessions in the trash, expired ones are purged first
+  const loadDeletedSessions = async () => {
+    try {
+      await electronAPI.purgeExpiredTrash(getTrashRetentionDays());
+      setDeletedSessions(await electronAPI.getDeletedSessions());
+    } catch (error) {
+      console.error("Failed to load trash:", error);
+    }
+  };
+
+  // Load tags, selected tags that no longer exist are dropped
+  const loadTags = async () => {
+    try {
+      const tagList = await electronAPI.getTags();
+      setTags(tagList);
+      setSelectedTags((prev) =>
+        prev.filter((name) =>
+          tagList.some((tag) => tag.name.toLowerCase() === name.toLowerCase())
+        )
+      );
+    } catch (error) {
+      console.error("Failed to load tags:", error);
+    }
+  };
+
+  // Load saved filters with their matching sessions
+  const loadSavedFilters = async () => {
+    try {
+      setSavedFilters(await electronAPI.getSavedFilters());
+    } catch (error) {
+      console.error("Failed to load saved filters:", error);
+    }
+  };
+
+  useEffect(() => {
+    loadFolders();
+  }, []);
+
+  // Tag counts and filter matches change with the sessions
+  useEffect(() => {
+    loadTags();
+    loadSavedFilters();
+  }, [sessions]);
+
+  useEffect(() => {
+    if (view === "archived") {
+      loadArchivedSessions();
+    } else if (view === "trash") {
+      loadDeletedSessions();
+    }
+  }, [view]);
+
+  // Switch between the session list and another view
+  const toggleView = (targetView) => {
+    setView(view === targetView ? "sessions" : targetView);
+  };
+
+  // Reload session lists after sessions were moved, pinned or archived
+  const refreshSessions = async () => {
+    const sessionList = await electronAPI.getSessions();
+    if (typeof onSessionListUpdate === "function") {
+      onSessionListUpdate(sessionList);
+    }
+    if (view === "archived") {
+      await loadArchivedSessions();
+    } else if (view === "trash") {
+      await loadDeletedSessions();
+    }
+    return sessionList;
+  };
 
   // Filter session list
-  const filteredSessions = sessions.filter((session) =>
-    session.name.toLowerCase().includes(searchText.toLowerCase())
+  const listedSessions =
+    view === "archived"
+      ? archivedSessions
+      : view === "trash"
+      ? deletedSessions
+      : sessions;
+  const hasTag = (session, name) =>
+    (session.tags || []).some((tag) => tag.toLowerCase() === name.toLowerCase());
+  const filteredSessions = listedSessions.filter(
+    (session) =>
+      session.name.toLowerCase().includes(searchText.toLowerCase()) &&
+      selectedTags.every((name) => hasTag(session, name))
   );
 
+  // Select or unselect a tag of the tag filter
+  const toggleSelectedTag = (name, checked) => {
+    setSelectedTags((prev) =>
+      checked ? [...prev, name] : prev.filter((tag) => tag !== name)
+    );
+  };
+
+  const topLevelFolders = folders.filter((folder) => folder.parentId === null);
+  const folderIds = new Set(folders.map((folder) => folder.id));
+  const getSubfolders = (folderId) =>
+    folders.filter((folder) => folder.parentId === folderId);
+  // Sessions whose folder no longer exists are shown at the top level
+  const getFolderSessions = (folderId) =>
+    sessions.filter((session) =>
+      folderId === null
+        ? !folderIds.has(session.folderId)
+        : session.folderId === folderId
+    );
+
   // Confirm deletion
   const confirmDelete = (sessionId, sessionName) => {
     Modal.confirm({
@@ -72,23 +237,119 @@ const SessionList = ({
       await electronAPI.deleteMessages(sessionId);
 
       // Refresh session list
-      const sessionList = await electronAPI.getSessions();
-      if (typeof onSessionListUpdate === "function") {
-        onSessionListUpdate(sessionList);
-      }
+      await refreshSessions();
 
       // Notify parent component
       if (typeof onDeleteSession === "function") {
         onDeleteSession(sessionId);
       }
 
-      message.success(t("chat.deleteChat") + t("common.success"));
+      message.success(t("trash.movedToTrash"));
     } catch (error) {
       console.error("Failed to delete session:", error);
       message.error(t("chat.deleteChat") + t("common.failed"));
     }
   };
 
+  // Import conversations from a ChatGPT, Claude or SeekChat export file
+  const handleImport = async () => {
+    const hide = message.loading(t("import.importing"), 0);
+    try {
+      const report = await electronAPI.importConversations();
+      hide();
+      if (report.canceled) return;
+
+      await refreshSessions();
+
+      // Show what was imported, duplicates and skipped conversations
+      Modal.info({
+        title: t("import.resultTitle", { source: report.source }),
+        width: 480,
+        content: (
+          <div className="import-report">
+            <p>
+              {t("import.imported", {
+                count: report.imported.length,
+                messages: report.messageCount,
+              })}
+            </p>
+            {report.duplicates.length > 0 && (
+              <>
+                <p>
+                  {t("import.duplicates", { count: report.duplicates.length })}
+                </p>
+                <ul>
+                  {report.duplicates.map((item) => (
+                    <li key={item.uuid}>{item.title}</li>
+                  ))}
+                </ul>
+              </>
+            )}
+            {report.skipped.length > 0 && (
+              <>
+                <p>{t("import.skipped", { count: report.skipped.length })}</p>
+                <ul>
+                  {report.skipped.map((item, index) => (
+                    <li key={index}>
+                      {item.title}: {item.reason}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+            {report.skippedMessages > 0 && (
+              <p>
+                {t("import.skippedMessages", {
+                  count: report.skippedMessages,
+                })}
+              </p>
+            )}
+          </div>
+        ),
+      });
+    } catch (error) {
+      hide();
+      console.error("Failed to import conversations:", error);
+      message.error(t("import.failed") + ": " + error.message);
+    }
+  };
+
+  // Restore a session from the trash
+  const handleRestoreSession = async (session) => {
+    try {
+      await electronAPI.restoreSession(session.id);
+      await refreshSessions();
+      message.success(t("trash.restore") + t("common.success"));
+    } catch (error) {
+      console.error("Failed to restore session:", error);
+      message.error(t("trash.restore") + t("common.failed"));
+    }
+  };
+
+  // Permanently delete one session in the trash, or all of them when no session is given
+  const confirmPurge = (session = null) => {
+    Modal.confirm({
+      title: session
+        ? t("trash.purgeConfirm", { sessionName: session.name })
+        : t("trash.emptyConfirm"),
+      icon: <ExclamationCircleOutlined />,
+      okType: "danger",
+      content: t("trash.purgeConfirmContent"),
+      okText: t("common.delete"),
+      cancelText: t("common.cancel"),
+      async onOk() {
+        try {
+          await electronAPI.purgeTrash(session ? session.id : null);
+          await loadDeletedSessions();
+          message.success(t("trash.purge") + t("common.success"));
+        } catch (error) {
+          console.error("Failed to purge trash:", error);
+          message.error(t("trash.purge") + t("common.failed"));
+        }
+      },
+    });
+  };
+
   // Open rename modal
   const showRenameModal = (session) => {
     setEditingSession(session);
@@ -137,9 +398,307 @@ const SessionList = ({
     }
   };
 
+  // Pin or unpin a session
+  const handleTogglePinned = async (session) => {
+    try {
+      await electronAPI.setSessionPinned(session.id, !session.pinned);
+      await refreshSessions();
+    } catch (error) {
+      console.error("Failed to pin session:", error);
+      message.error(t("chat.pinChat") + t("common.failed"));
+    }
+  };
+
+  // Archive or restore a session
+  const handleToggleArchived = async (session) => {
+    try {
+      await electronAPI.setSessionArchived(session.id, !session.archived);
+      const sessionList = await refreshSessions();
+
+      // An archived session is no longer in the list, select another one
+      if (
+        !session.archived &&
+        currentSession &&
+        currentSession.id === session.id &&
+        typeof onSelectSession === "function"
+      ) {
+        onSelectSession(sessionList.length > 0 ? sessionList[0] : null);
+      }
+
+      message.success(
+        (session.archived ? t("chat.unarchiveChat") : t("chat.archiveChat")) +
+          t("common.success")
+      );
+    } catch (error) {
+      console.error("Failed to archive session:", error);
+      message.error(t("chat.archiveChat") + t("common.failed"));
+    }
+  };
+
+  // Move a session into a folder, null moves it to the top level
+  const handleMoveSession = async (sessionId, folderId) => {
+    try {
+      await electronAPI.moveSessionToFolder(sessionId, folderId);
+      await refreshSessions();
+    } catch (error) {
+      console.error("Failed to move session:", error);
+      message.error(t("folder.moveFailed") + ": " + error.message);
+    }
+  };
+
+  // Move a folder under a top-level folder, null moves it to the top level
+  const handleMoveFolder = async (folderId, parentId) => {
+    const folder = folders.find((f) => f.id === folderId);
+    if (!folder || folder.parentId === parentId || folderId === parentId) {
+      return;
+    }
+
+    // Folders nest one level only
+    const parent = folders.find((f) => f.id === parentId);
+    if (
+      parentId !== null &&
+      (!parent || parent.parentId !== null || getSubfolders(folderId).length > 0)
+    ) {
+      message.warning(t("folder.nestingLimit"));
+      return;
+    }
+
+    try {
+      await electronAPI.moveFolder(folderId, parentId);
+      await loadFolders();
+    } catch (error) {
+      console.error("Failed to move folder:", error);
+      message.error(t("folder.moveFailed") + ": " + error.message);
+    }
+  };
+
+  // Save the tags edited in the tag modal
+  const handleSaveTags = async () => {
+    if (!tagModal) return;
+
+    try {
+      await electronAPI.setSessionTags(tagModal.session.id, tagModal.names);
+      await refreshSessions();
+      setTagModal(null);
+    } catch (error) {
+      console.error("Failed to save tags:", error);
+      message.error(t("tag.saveFailed") + ": " + error.message);
+    }
+  };
+
+  // Open create or edit saved filter modal, a new filter starts with the selected tags
+  const showFilterModal = (filter = null) => {
+    setFilterModal({
+      filter,
+      name: filter ? filter.name : "",
+      query: filter
+        ? filter.query
+        : selectedTags.map((name) => `tag:${toFilterValue(name)}`).join(" AND "),
+    });
+  };
+
+  // Create or update saved filter, the query is validated by the main process
+  const handleSaveFilter = async () => {
+    if (!filterModal || !filterModal.name.trim() || !filterModal.query.trim()) {
+      return;
+    }
+
+    try {
+      const saved = await electronAPI.saveSavedFilter({
+        id: filterModal.filter?.id,
+        name: filterModal.name,
+        query: filterModal.query,
+      });
+      await loadSavedFilters();
+      setExpandedFilters((prev) => ({ ...prev, [saved.id]: true }));
+      setFilterModal(null);
+    } catch (error) {
+      console.error("Failed to save filter:", error);
+      message.error(t("filter.saveFailed") + ": " + error.message);
+    }
+  };
+
+  // Confirm saved filter deletion, its sessions are kept
+  const confirmDeleteFilter = (filter) => {
+    Modal.confirm({
+      title: t("filter.deleteConfirm", { filterName: filter.name }),
+      icon: <ExclamationCircleOutlined />,
+      okType: "danger",
+      okText: t("common.delete"),
+      cancelText: t("common.cancel"),
+      async onOk() {
+        try {
+          await electronAPI.deleteSavedFilter(filter.id);
+          await loadSavedFilters();
+        } catch (error) {
+          console.error("Failed to delete filter:", error);
+          message.error(t("filter.deleteFilter") + t("common.failed"));
+        }
+      },
+    });
+  };
+
+  // Open create or rename folder modal
+  const showFolderModal = (options) => {
+    setFolderModal(options);
+    setFolderName(options.folder ? options.folder.name : "");
+  };
+
+  // Create or rename folder
+  const handleSaveFolder = async () => {
+    if (!folderModal || !folderName.trim()) return;
+
+    try {
+      if (folderModal.folder) {
+        await electronAPI.renameFolder(folderModal.folder.id, folderName.trim());
+      } else {
+        await electronAPI.createFolder(
+          folderName.trim(),
+          folderModal.parentId ?? null
+        );
+      }
+      await loadFolders();
+      setFolderModal(null);
+    } catch (error) {
+      console.error("Failed to save folder:", error);
+      message.error(t("folder.saveFailed") + ": " + error.message);
+    }
+  };
+
+  // Confirm folder deletion, sessions inside are kept
+  const confirmDeleteFolder = (folder) => {
+    Modal.confirm({
+      title: t("folder.deleteConfirm", { folderName: folder.name }),
+      icon: <ExclamationCircleOutlined />,
+      okType: "danger",
+      content: t("folder.deleteConfirmContent"),
+      okText: t("common.delete"),
+      cancelText: t("common.cancel"),
+      async onOk() {
+        try {
+          await electronAPI.deleteFolder(folder.id);
+          await loadFolders();
+          await refreshSessions();
+        } catch (error) {
+          console.error("Failed to delete folder:", error);
+          message.error(t("folder.deleteFolder") + t("common.failed"));
+        }
+      },
+    });
+  };
+
+  // Toggle folder expanded state
+  const toggleFolder = (folderId) => {
+    setCollapsedFolders((prev) => ({ ...prev, [folderId]: !prev[folderId] }));
+  };
+
+  // Drag and drop, sessions can be dropped on folders and folders on top-level folders,
+  // dropping on the list background moves the item to the top level
+  const handleDragStart = (event, type, id) => {
+    event.stopPropagation();
+    dragItemRef.current = { type, id };
+    event.dataTransfer.effectAllowed = "move";
+    event.dataTransfer.setData("text/plain", `${type}:${id}`);
+  };
+
+  const handleDragEnd = () => {
+    dragItemRef.current = null;
+    setDropTarget(null);
+  };
+
+  const handleDragOver = (event, folderId) => {
+    if (!dragItemRef.current) return;
+    event.preventDefault();
+    event.stopPropagation();
+    event.dataTransfer.dropEffect = "move";
+    if (dropTarget !== folderId) {
+      setDropTarget(folderId);
+    }
+  };
+
+  const handleDrop = (event, folderId) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const dragItem = dragItemRef.current;
+    handleDragEnd();
+    if (!dragItem) return;
+
+    if (dragItem.type === "session") {
+      const session = sessions.find((s) => s.id === dragItem.id);
+      if (session && (session.folderId ?? null) !== folderId) {
+        handleMoveSession(dragItem.id, folderId);
+      }
+    } else {
+      handleMoveFolder(dragItem.id, folderId);
+    }
+  };
+
   // Render session item more actions menu
   const getSessionMenu = (session) => (
     <Menu>
+      {!session.archived && (
+        <Menu.Item
+          key="pin"
+          icon={<PushpinOutlined />}
+          onClick={() => handleTogglePinned(session)}
+        >
+          {session.pinned ? t("chat.unpinChat") : t("chat.pinChat")}
+        </Menu.Item>
+      )}
+      {!session.archived && (
+        <Menu.SubMenu
+          key="move"
+          icon={<FolderOutlined />}
+          title={t("folder.moveToFolder")}
+        >
+          <Menu.Item
+            key="move-root"
+            disabled={!folderIds.has(session.folderId)}
+            onClick={() => handleMoveSession(session.id, null)}
+          >
+            {t("folder.noFolder")}
+          </Menu.Item>
+          {topLevelFolders.flatMap((folder) => [
+            <Menu.Item
+              key={`move-${folder.id}`}
+              disabled={session.folderId === folder.id}
+              onClick={() => handleMoveSession(session.id, folder.id)}
+            >
+              {folder.name}
+            </Menu.Item>,
+            ...getSubfolders(folder.id).map((subfolder) => (
+              <Menu.Item
+                key={`move-${subfolder.id}`}
+                disabled={session.folderId === subfolder.id}
+                onClick={() => handleMoveSession(session.id, subfolder.id)}
+              >
+                {folder.name} / {subfolder.name}
+              </Menu.Item>
+            )),
+          ])}
+        </Menu.SubMenu>
+      )}
+      <Menu.Item
+        key="tags"
+        icon={<TagsOutlined />}
+        onClick={() => setTagModal({ session, names: session.tags || [] })}
+      >
+        {t("tag.editTags")}
+      </Menu.Item>
+      <Menu.Item
+        key="export"
+        icon={<ExportOutlined />}
+        onClick={() => setExportSessionIds([session.id])}
+      >
+        {t("export.title")}
+      </Menu.Item>
+      <Menu.Item
+        key="archive"
+        icon={<InboxOutlined />}
+        onClick={() => handleToggleArchived(session)}
+      >
+        {session.archived ? t("chat.unarchiveChat") : t("chat.archiveChat")}
+      </Menu.Item>
       <Menu.Item
         key="rename"
         icon={<EditOutlined />}
@@ -158,10 +717,336 @@ const SessionList = ({
     </Menu>
   );
 
+  // Render folder more actions menu
+  const getFolderMenu = (folder) => (
+    <Menu>
+      {folder.parentId === null && (
+        <Menu.Item
+          key="subfolder"
+          icon={<FolderAddOutlined />}
+          onClick={() => showFolderModal({ parentId: folder.id })}
+        >
+          {t("folder.newSubfolder")}
+        </Menu.Item>
+      )}
+      <Menu.Item
+        key="rename"
+        icon={<EditOutlined />}
+        onClick={() => showFolderModal({ folder })}
+      >
+        {t("folder.renameFolder")}
+      </Menu.Item>
+      <Menu.Item
+        key="delete"
+        icon={<DeleteOutlined />}
+        onClick={() => confirmDeleteFolder(folder)}
+        danger
+      >
+        {t("folder.deleteFolder")}
+      </Menu.Item>
+    </Menu>
+  );
+
+  // Render a session item
+  const renderSession = (session) => (
+    <div
+      key={session.id}
+      className={`session-item ${
+        currentSession && currentSession.id === session.id ? "active" : ""
+      }`}
+      onClick={() => onSelectSession(session)}
+      draggable={!session.archived}
+      onDragStart={(e) => handleDragStart(e, "session", session.id)}
+      onDragEnd={handleDragEnd}
+    >
+      <div className="session-item-content">
+        <div className="session-icon">
+          <MessageOutlined />
+        </div>
+        <div className="session-details">
+          <h4 className="session-name">
+            {session.pinned ? (
+              <PushpinFilled className="session-pinned-icon" />
+            ) : null}
+            {session.name}
+          </h4>
+          <p className="session-time">
+            {new Date(session.updatedAt).toLocaleString()}
+          </p>
+          {session.tags?.length > 0 && (
+            <div className="session-tags">
+              {session.tags.map((tag) => (
+                <Tag key={tag}>{tag}</Tag>
+              ))}
+            </div>
+          )}
+        </div>
+        <Dropdown
+          overlay={getSessionMenu(session)}
+          trigger={["click"]}
+          placement="bottomRight"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <Button
+            type="text"
+            icon={<MoreOutlined />}
+            className="session-action-button"
+            onClick={(e) => e.stopPropagation()}
+          />
+        </Dropdown>
+      </div>
+    </div>
+  );
+
+  // Render a session in the trash
+  const renderDeletedSession = (session) => (
+    <div key={session.id} className="session-item trash-item">
+      <div className="session-item-content">
+        <div className="session-icon">
+          <MessageOutlined />
+        </div>
+        <div className="session-details">
+          <h4 className="session-name">{session.name}</h4>
+          <p className="session-time">
+            {t("trash.deletedAt", {
+              time: new Date(session.deletedAt).toLocaleString(),
+            })}
+          </p>
+        </div>
+        <Tooltip title={t("trash.restore")}>
+          <Button
+            type="text"
+            size="small"
+            icon={<UndoOutlined />}
+            className="session-action-button"
+            onClick={() => handleRestoreSession(session)}
+          />
+        </Tooltip>
+        <Tooltip title={t("trash.purge")}>
+          <Button
+            type="text"
+            size="small"
+            icon={<DeleteOutlined />}
+            className="session-action-button delete-button"
+            onClick={() => confirmPurge(session)}
+          />
+        </Tooltip>
+      </div>
+    </div>
+  );
+
+  // Render a folder with its subfolders and sessions
+  const renderFolder = (folder) => {
+    const collapsed = collapsedFolders[folder.id];
+    const folderSessions = getFolderSessions(folder.id);
+    const subfolders = getSubfolders(folder.id);
+
+    return (
+      <div
+        key={`folder-${folder.id}`}
+        className={`session-folder ${
+          folder.parentId !== null ? "session-subfolder" : ""
+        } ${dropTarget === folder.id ? "drag-over" : ""}`}
+        onDragOver={(e) => handleDragOver(e, folder.id)}
+        onDrop={(e) => handleDrop(e, folder.id)}
+      >
+        <div
+          className="session-folder-header"
+          onClick={() => toggleFolder(folder.id)}
+          draggable
+          onDragStart={(e) => handleDragStart(e, "folder", folder.id)}
+          onDragEnd={handleDragEnd}
+        >
+          {collapsed ? (
+            <RightOutlined className="session-folder-arrow" />
+          ) : (
+            <DownOutlined className="session-folder-arrow" />
+          )}
+          {collapsed ? <FolderOutlined /> : <FolderOpenOutlined />}
+          <span className="session-folder-name">{folder.name}</span>
+          <span className="session-folder-count">{folderSessions.length}</span>
+          <Dropdown
+            overlay={getFolderMenu(folder)}
+            trigger={["click"]}
+            placement="bottomRight"
+          >
+            <Button
+              type="text"
+              size="small"
+              icon={<MoreOutlined />}
+              className="session-action-button"
+              onClick={(e) => e.stopPropagation()}
+            />
+          </Dropdown>
+        </div>
+        {!collapsed && (
+          <div className="session-folder-children">
+            {subfolders.map(renderFolder)}
+            {folderSessions.map(renderSession)}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Render a saved filter as a virtual folder, collapsed by default.
+  // Sessions can't be dropped on it, they stay in their folder
+  const renderSavedFilter = (filter) => {
+    const expanded = expandedFilters[filter.id];
+    const sessionIds = new Set(filter.sessionIds);
+    const filterSessions = sessions.filter((session) => sessionIds.has(session.id));
+
+    return (
+      <div
+        key={`filter-${filter.id}`}
+        className="session-folder saved-filter"
+        onDragOver={(e) => e.stopPropagation()}
+        onDrop={(e) => e.stopPropagation()}
+      >
+        <div
+          className="session-folder-header"
+          onClick={() =>
+            setExpandedFilters((prev) => ({ ...prev, [filter.id]: !expanded }))
+          }
+        >
+          {expanded ? (
+            <DownOutlined className="session-folder-arrow" />
+          ) : (
+            <RightOutlined className="session-folder-arrow" />
+          )}
+          <FilterOutlined />
+          <Tooltip title={filter.query}>
+            <span className="session-folder-name">{filter.name}</span>
+          </Tooltip>
+          {filter.error ? (
+            <Tooltip title={filter.error}>
+              <WarningOutlined className="saved-filter-error" />
+            </Tooltip>
+          ) : (
+            <span className="session-folder-count">{filterSessions.length}</span>
+          )}
+          <Dropdown
+            overlay={
+              <Menu>
+                <Menu.Item
+                  key="edit"
+                  icon={<EditOutlined />}
+                  onClick={() => showFilterModal(filter)}
+                >
+                  {t("filter.editFilter")}
+                </Menu.Item>
+                <Menu.Item
+                  key="delete"
+                  icon={<DeleteOutlined />}
+                  onClick={() => confirmDeleteFilter(filter)}
+                  danger
+                >
+                  {t("filter.deleteFilter")}
+                </Menu.Item>
+              </Menu>
+            }
+            trigger={["click"]}
+            placement="bottomRight"
+          >
+            <Button
+              type="text"
+              size="small"
+              icon={<MoreOutlined />}
+              className="session-action-button"
+              onClick={(e) => e.stopPropagation()}
+            />
+          </Dropdown>
+        </div>
+        {expanded && (
+          <div className="session-folder-children">
+            {filterSessions.map(renderSession)}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Searching, filtering by tag, the archive and the trash show a flat list,
+  // otherwise sessions are grouped by folder
+  const isFlatList =
+    view !== "sessions" || searchText.trim() !== "" || selectedTags.length > 0;
+  const isEmpty = isFlatList
+    ? filteredSessions.length === 0
+    : sessions.length === 0 && folders.length === 0 && savedFilters.length === 0;
+
   return (
     <div className="session-list-container">
       <div className="session-list-header">
-        <h3>{t("chat.newChat")}</h3>
+        <h3>
+          {view === "archived"
+            ? t("chat.archivedChats")
+            : view === "trash"
+            ? t("trash.title")
+            : t("chat.newChat")}
+        </h3>
+        <div className="session-list-header-actions">
+          {view === "trash" && deletedSessions.length > 0 && (
+            <Tooltip title={t("trash.empty")}>
+              <Button
+                type="text"
+                size="small"
+                danger
+                icon={<DeleteOutlined />}
+                onClick={() => confirmPurge()}
+              />
+            </Tooltip>
+          )}
+          {view === "sessions" && (
+            <Tooltip title={t("import.title")}>
+              <Button
+                type="text"
+                size="small"
+                icon={<ImportOutlined />}
+                onClick={handleImport}
+              />
+            </Tooltip>
+          )}
+          {view === "sessions" && (
+            <Tooltip title={t("filter.newFilter")}>
+              <Button
+                type="text"
+                size="small"
+                icon={<FilterOutlined />}
+                onClick={() => showFilterModal()}
+              />
+            </Tooltip>
+          )}
+          {view === "sessions" && (
+            <Tooltip title={t("folder.newFolder")}>
+              <Button
+                type="text"
+                size="small"
+                icon={<FolderAddOutlined />}
+                onClick={() => showFolderModal({ parentId: null })}
+              />
+            </Tooltip>
+          )}
+          <Tooltip
+            title={
+              view === "archived" ? t("common.back") : t("chat.archivedChats")
+            }
+          >
+            <Button
+              type={view === "archived" ? "primary" : "text"}
+              size="small"
+              icon={<InboxOutlined />}
+              onClick={() => toggleView("archived")}
+            />
+          </Tooltip>
+          <Tooltip title={view === "trash" ? t("common.back") : t("trash.title")}>
+            <Button
+              type={view === "trash" ? "primary" : "text"}
+              size="small"
+              icon={<RestOutlined />}
+              onClick={() => toggleView("trash")}
+            />
+          </Tooltip>
+        </div>
       </div>
 
       <div className="session-search">
@@ -171,53 +1056,70 @@ const SessionList = ({
           value={searchText}
           onChange={(e) => setSearchText(e.target.value)}
         />
+        <Tooltip title={t("search.title")}>
+          <Button
+            type="text"
+            icon={<FileSearchOutlined />}
+            onClick={onOpenMessageSearch}
+            className="message-search-button"
+          />
+        </Tooltip>
       </div>
 
-      <div className="session-list">
-        {filteredSessions.length === 0 ? (
+      {view !== "trash" && tags.length > 0 && (
+        <div className="session-tag-filter">
+          {tags.map((tag) => (
+            <Tag.CheckableTag
+              key={tag.id}
+              checked={selectedTags.includes(tag.name)}
+              onChange={(checked) => toggleSelectedTag(tag.name, checked)}
+            >
+              {tag.name}
+            </Tag.CheckableTag>
+          ))}
+        </div>
+      )}
+
+      <div
+        className={`session-list ${dropTarget === "root" ? "drag-over" : ""}`}
+        onDragOver={(e) => !isFlatList && handleDragOver(e, "root")}
+        onDragLeave={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget)) {
+            setDropTarget(null);
+          }
+        }}
+        onDrop={(e) => handleDrop(e, null)}
+      >
+        {isEmpty ? (
           <div className="empty-session-list">
             <Empty
               image={Empty.PRESENTED_IMAGE_SIMPLE}
-              description={t("chat.noMessages")}
+              description={
+                view === "archived"
+                  ? t("chat.noArchivedChats")
+                  : view === "trash"
+                  ? t("trash.noItems")
+                  : t("chat.noMessages")
+              }
             />
           </div>
-        ) : (
-          filteredSessions.map((session) => (
-            <div
-              key={session.id}
-              className={`session-item ${
-                currentSession && currentSession.id === session.id
-                  ? "active"
-                  : ""
-              }`}
-              onClick={() => onSelectSession(session)}
-            >
-              <div className="session-item-content">
-                <div className="session-icon">
-                  <MessageOutlined />
-                </div>
-                <div className="session-details">
-                  <h4 className="session-name">{session.name}</h4>
-                  <p className="session-time">
-                    {new Date(session.updatedAt).toLocaleString()}
-                  </p>
-                </div>
-                <Dropdown
-                  overlay={getSessionMenu(session)}
-                  trigger={["click"]}
-                  placement="bottomRight"
-                  onClick={(e) => e.stopPropagation()}
-                >
-                  <Button
-                    type="text"
-                    icon={<MoreOutlined />}
-                    className="session-action-button"
-                    onClick={(e) => e.stopPropagation()}
-                  />
-                </Dropdown>
-              </div>
+        ) : view === "trash" ? (
+          <>
+            <div className="trash-retention-hint">
+              {getTrashRetentionDays() > 0
+                ? t("trash.retentionHint", { days: getTrashRetentionDays() })
+                : t("trash.retentionForever")}
             </div>
-          ))
+            {filteredSessions.map(renderDeletedSession)}
+          </>
+        ) : isFlatList ? (
+          filteredSessions.map(renderSession)
+        ) : (
+          <>
+            {savedFilters.map(renderSavedFilter)}
+            {topLevelFolders.map(renderFolder)}
+            {getFolderSessions(null).map(renderSession)}
+          </>
         )}
       </div>
 
@@ -240,6 +1142,90 @@ const SessionList = ({
           autoFocus
         />
       </Modal>
+
+      <ExportModal
+        open={exportSessionIds !== null}
+        onClose={() => setExportSessionIds(null)}
+        sessions={[...sessions, ...archivedSessions]}
+        defaultSessionIds={exportSessionIds || []}
+      />
+
+      {/* Edit session tags modal */}
+      <Modal
+        title={t("tag.editTags")}
+        open={!!tagModal}
+        onOk={handleSaveTags}
+        onCancel={() => setTagModal(null)}
+        okText={t("common.save")}
+        cancelText={t("common.cancel")}
+        destroyOnClose
+      >
+        <Select
+          mode="tags"
+          style={{ width: "100%" }}
+          value={tagModal?.names}
+          onChange={(names) => setTagModal((prev) => ({ ...prev, names }))}
+          options={tags.map((tag) => ({ value: tag.name, label: tag.name }))}
+          placeholder={t("tag.enterTags")}
+          tokenSeparators={[","]}
+          autoFocus
+        />
+      </Modal>
+
+      {/* Create or edit saved filter modal */}
+      <Modal
+        title={filterModal?.filter ? t("filter.editFilter") : t("filter.newFilter")}
+        open={!!filterModal}
+        onOk={handleSaveFilter}
+        onCancel={() => setFilterModal(null)}
+        okText={t("common.save")}
+        cancelText={t("common.cancel")}
+        destroyOnClose
+      >
+        <Input
+          value={filterModal?.name}
+          onChange={(e) =>
+            setFilterModal((prev) => ({ ...prev, name: e.target.value }))
+          }
+          placeholder={t("filter.enterFilterName")}
+          autoFocus
+        />
+        <Input.TextArea
+          className="saved-filter-query"
+          value={filterModal?.query}
+          onChange={(e) =>
+            setFilterModal((prev) => ({ ...prev, query: e.target.value }))
+          }
+          placeholder="tag:incident AND model:deepseek-reasoner AND last 7 days"
+          autoSize={{ minRows: 2, maxRows: 4 }}
+        />
+        <div className="saved-filter-hint">{t("filter.queryHint")}</div>
+      </Modal>
+
+      {/* Create or rename folder modal */}
+      <Modal
+        title={
+          folderModal?.folder
+            ? t("folder.renameFolder")
+            : folderModal?.parentId
+            ? t("folder.newSubfolder")
+            : t("folder.newFolder")
+        }
+        open={!!folderModal}
+        onOk={handleSaveFolder}
+        onCancel={() => setFolderModal(null)}
+        okText={t("common.save")}
+        cancelText={t("common.cancel")}
+        destroyOnClose
+      >
+        <Input
+          value={folderName}
+          onChange={(e) => setFolderName(e.target.value)}
+          onPressEnter={handleSaveFolder}
+          placeholder={t("folder.enterFolderName")}
+          autoFocus
+        />
+      </Modal>
     </div>
   );
 };
@@ -0,0 +1,239 @@
+import React, {
+  forwardRef,
+  useCallback,
+  useEffect,
+  useImperativeHandle,
+  useLayoutEffect,
+  useRef,
+  useState,
+} from "react";
+
+// Height assumed for items that have not been rendered yet
+const ESTIMATED_ITEM_HEIGHT = 160;
+// Pixels rendered above and below the viewport, so fast scrolling doesn't show gaps
+const OVERSCAN = 1000;
+// Distance from the bottom still treated as scrolled to the bottom
+const BOTTOM_THRESHOLD = 8;
+
+// Index of the first item whose bottom is below a position
+const findFirstItemBelow = (offsets, position) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (offsets[middle + 1] > position) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+};
+
+// Wrapper reporting the height of an item whenever it changes
+const MeasuredItem = ({ itemKey, onResize, children }) => {
+  const ref = useRef(null);
+
+  useLayoutEffect(() => {
+    const element = ref.current;
+    if (!element) return;
+
+    onResize(itemKey, element.offsetHeight);
+    const observer = new ResizeObserver(() => {
+      onResize(itemKey, element.offsetHeight);
+    });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [itemKey, onResize]);
+
+  return (
+    <div ref={ref} className="virtual-list-item">
+      {children}
+    </div>
+  );
+};
+
+/**
+ * List that only renders the items near the viewport of its scroll container
+ * Items may have any height, heights are measured once rendered and estimated before.
+ * The scroll position is kept when items above the viewport change height or are
+ * prepended, and stays at the bottom while the list is scrolled to the bottom.
+ * @param {Array} items Items to render
+ * @param {Function} getItemKey Returns the unique key of an item
+ * @param {Function} renderItem Renders an item
+ * @param {Object} scrollContainerRef Ref of the scrolling element containing the list
+ */
+const VirtualMessageList = forwardRef(
+  ({ items, getItemKey, renderItem, scrollContainerRef }, ref) => {
+    const listRef = useRef(null);
+    const heightsRef = useRef(new Map());
+    const layoutRef = useRef({
+      keys: [],
+      offsets: [0],
+      indexByKey: new Map(),
+      listTop: 0,
+    });
+    const atBottomRef = useRef(true);
+    const frameRef = useRef(null);
+    const [viewport, setViewport] = useState({ top: 0, height: 0 });
+    const [, setMeasureVersion] = useState(0);
+
+    // Item offsets from the top of the list, measured heights win over the estimate
+    const keys = items.map(getItemKey);
+    const offsets = [0];
+    keys.forEach((key, index) => {
+      offsets.push(
+        offsets[index] + (heightsRef.current.get(key) ?? ESTIMATED_ITEM_HEIGHT)
+      );
+    });
+    layoutRef.current.keys = keys;
+    layoutRef.current.offsets = offsets;
+    layoutRef.current.indexByKey = new Map(keys.map((key, index) => [key, index]));
+
+    // Read the visible part of the list from the scroll container
+    const updateViewport = useCallback(() => {
+      const container = scrollContainerRef.current;
+      const list = listRef.current;
+      if (!container || !list) return;
+
+      const listTop =
+        list.getBoundingClientRect().top -
+        container.getBoundingClientRect().top +
+        container.scrollTop;
+      layoutRef.current.listTop = listTop;
+      atBottomRef.current =
+        container.scrollHeight - container.scrollTop - container.clientHeight <=
+        BOTTOM_THRESHOLD;
+
+      const top = container.scrollTop - listTop;
+      const height = container.clientHeight;
+      setViewport((prev) =>
+        prev.top === top && prev.height === height ? prev : { top, height }
+      );
+    }, [scrollContainerRef]);
+
+    // Follow scrolling and resizing of the container, at most once per frame
+    useEffect(() => {
+      const container = scrollContainerRef.current;
+      if (!container) return;
+
+      const scheduleUpdate = () => {
+        if (frameRef.current) return;
+        frameRef.current = requestAnimationFrame(() => {
+          frameRef.current = null;
+          updateViewport();
+        });
+      };
+
+      container.addEventListener("scroll", scheduleUpdate, { passive: true });
+      const observer = new ResizeObserver(scheduleUpdate);
+      observer.observe(container);
+      updateViewport();
+
+      return () => {
+        container.removeEventListener("scroll", scheduleUpdate);
+        observer.disconnect();
+        if (frameRef.current) {
+          cancelAnimationFrame(frameRef.current);
+          frameRef.current = null;
+        }
+      };
+    }, [scrollContainerRef, updateViewport]);
+
+    // Keep the items in view in place when older items are added above them
+    const previousKeysRef = useRef([]);
+    useLayoutEffect(() => {
+      const previousKeys = previousKeysRef.current;
+      previousKeysRef.current = keys;
+
+      const container = scrollContainerRef.current;
+      if (!container || previousKeys.length === 0) return;
+
+      const prependedCount = layoutRef.current.indexByKey.get(previousKeys[0]);
+      if (prependedCount > 0) {
+        container.scrollTop += offsets[prependedCount];
+        updateViewport();
+      }
+    });
+
+    // Store a measured height and keep the scroll position stable
+    const handleItemResize = useCallback(
+      (key, height) => {
+        const previousHeight = heightsRef.current.get(key);
+        if (previousHeight === height) return;
+        heightsRef.current.set(key, height);
+
+        const container = scrollContainerRef.current;
+        const { indexByKey, offsets: itemOffsets, listTop } = layoutRef.current;
+        const index = indexByKey.get(key);
+        if (container && index !== undefined) {
+          if (atBottomRef.current) {
+            container.scrollTop = container.scrollHeight;
+          } else if (itemOffsets[index] < container.scrollTop - listTop) {
+            // The item is above the viewport, its growth would push the content down
+            container.scrollTop += height - (previousHeight ?? ESTIMATED_ITEM_HEIGHT);
+          }
+        }
+        setMeasureVersion((version) => version + 1);
+      },
+      [scrollContainerRef]
+    );
+
+    // Forget heights of items that are no longer in the list
+    useEffect(() => {
+      const currentKeys = new Set(keys);
+      heightsRef.current.forEach((_, key) => {
+        if (!currentKeys.has(key)) heightsRef.current.delete(key);
+      });
+    }, [items]);
+
+    useImperativeHandle(
+      ref,
+      () => ({
+        // Scroll an item to the middle of the view so that it gets rendered
+        scrollToItem: (key) => {
+          const container = scrollContainerRef.current;
+          const { indexByKey, offsets: itemOffsets, listTop } = layoutRef.current;
+          const index = indexByKey.get(key);
+          if (!container || index === undefined) return false;
+
+          container.scrollTop =
+            listTop + itemOffsets[index] - container.clientHeight / 2;
+          updateViewport();
+          return true;
+        },
+      }),
+      [scrollContainerRef, updateViewport]
+    );
+
+    // Range of items overlapping the viewport plus overscan
+    const totalHeight = offsets[offsets.length - 1];
+    let startIndex = 0;
+    let endIndex = 0;
+    if (items.length > 0) {
+      startIndex = findFirstItemBelow(offsets, viewport.top - OVERSCAN);
+      endIndex = findFirstItemBelow(
+        offsets,
+        viewport.top + viewport.height + OVERSCAN
+      );
+      endIndex = Math.min(endIndex + 1, items.length);
+    }
+
+    return (
+      <div ref={listRef} className="virtual-list">
+        <div style={{ height: offsets[startIndex] }} />
+        {items.slice(startIndex, endIndex).map((item, offset) => {
+          const key = keys[startIndex + offset];
+          return (
+            <MeasuredItem key={key} itemKey={key} onResize={handleItemResize}>
+              {renderItem(item)}
+            </MeasuredItem>
+          );
+        })}
+        <div style={{ height: totalHeight - offsets[endIndex] }} />
+      </div>
+    );
+  }
+);
+
+export default VirtualMessageList;
@@ -5,11 +5,16 @@ import {
   saveMessage,
   updateMessageStatus,
   updateMessageContent,
+  restoreMessageRevision,
   parseMessageContent,
   createMessageContent,
+  getActivePath,
+  getMessagePath,
+  getSiblingMessages,
+  getLatestLeafId,
+  getSessionModel,
 } from "../services/messageService";
 import {
-  getUserConfig,
   getProvidersConfig,
   isAIConfigured,
 } from "../hooks/useUserConfig";
@@ -17,6 +22,18 @@ import { useTranslation } from "react-i18next";
 import mcpService from "../services/mcpService";
 import { sendMessageToAI } from "../services/aiService";
 
+// Number of messages loaded at a time, older ones are loaded when scrolling up
+const MESSAGE_PAGE_SIZE = 50;
+
+// Parse the stored content of a message for display
+const processMessage = (msg) => ({
+  ...msg,
+  parsedContent:
+    typeof msg.content === "string"
+      ? parseMessageContent(msg.content)
+      : msg.content,
+});
+
 /**
  * message management hook, for handling message sending, receiving and status management
  * @param {Object} session current session
@@ -30,12 +47,19 @@ export const useMessages = (session, sessionSettings) => {
   const [isSending, setIsSending] = useState(false);
   const [loading, setLoading] = useState(false);
   const [currentAIMessageId, setCurrentAIMessageId] = useState(null); // track the id of the current generating ai message
+  const [activeMessageId, setActiveMessageId] = useState(null); // leaf message of the branch shown
+  const [hasMoreMessages, setHasMoreMessages] = useState(false); // whether older messages are not loaded yet
+  const [loadingOlder, setLoadingOlder] = useState(false);
   const abortControllerRef = useRef(null); // for canceling network request
 
   // ================== define refs ==================
   const messagesEndRef = useRef(null);
   const chatContainerRef = useRef(null);
   const sessionIdRef = useRef(null);
+  const cursorRef = useRef(null); // cursor of the next older page, null when everything is loaded
+  const loadingOlderRef = useRef(false);
+  const skipAutoScrollRef = useRef(false); // older messages were prepended, keep the scroll position
+  const streamingContentRef = useRef(null); // { messageId, content } streamed but not yet saved
 
   // use the api exposed in preload.js
   const electronAPI = window.electronAPI;
@@ -56,7 +80,40 @@ export const useMessages = (session, sessionSettings) => {
 
   // ================== load messages ==================
   /**
-   * load messages from database
+   * fetch pages of messages older than a cursor
+   * @param {Number} sessionId session id
+   * @param {Object|null} before cursor, null to start from the newest message
+   * @param {Number|null} untilMessageId keep fetching until this message is included
+   * @returns {Promise<Object>} messages oldest first, hasMore and the cursor of the next page
+   */
+  const fetchMessagePages = useCallback(
+    async (sessionId, before, untilMessageId = null) => {
+      let fetched = [];
+      let page;
+      do {
+        page = await electronAPI.getMessagesPage(sessionId, {
+          before,
+          limit: MESSAGE_PAGE_SIZE,
+        });
+        fetched = [...page.messages, ...fetched];
+        before = page.nextCursor;
+      } while (
+        untilMessageId !== null &&
+        page.hasMore &&
+        !fetched.some((msg) => msg.id === untilMessageId)
+      );
+
+      return {
+        messages: fetched.map(processMessage),
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+      };
+    },
+    [electronAPI]
+  );
+
+  /**
+   * load the newest messages of a session from database
    */
   const loadMessages = useCallback(
     async (sessionId) => {
@@ -64,15 +121,15 @@ export const useMessages = (session, sessionSettings) => {
 
       setLoading(true);
       try {
-        const messageList = await electronAPI.getMessages(sessionId);
-        const processedMessages = messageList.map((msg) => ({
-          ...msg,
-          parsedContent:
-            typeof msg.content === "string"
-              ? parseMessageContent(msg.content)
-              : msg.content,
-        }));
-        setMessages(processedMessages);
+        const freshSession = await electronAPI.getSession(sessionId);
+        const savedActiveId = freshSession?.activeMessageId ?? null;
+
+        // the remembered branch may end in an older message, load pages until it is there
+        const result = await fetchMessagePages(sessionId, null, savedActiveId);
+        cursorRef.current = result.nextCursor;
+        setHasMoreMessages(result.hasMore);
+        setActiveMessageId(savedActiveId);
+        setMessages(result.messages);
       } catch (error) {
         console.error("Failed to load messages:", error);
         antMessage.error(t("chat.loadMessagesFailed"));
@@ -80,7 +137,53 @@ export const useMessages = (session, sessionSettings) => {
         setLoading(false);
       }
     },
-    [electronAPI, t]
+    [electronAPI, fetchMessagePages, t]
+  );
+
+  /**
+   * load the page of messages before the oldest loaded one
+   * @param {Number|null} untilMessageId keep loading until this message is included
+   * @returns {Promise<Boolean>} whether older messages were loaded
+   */
+  const loadOlderMessages = useCallback(
+    async (untilMessageId = null) => {
+      const sessionId = session?.id;
+      if (!sessionId || !cursorRef.current || loadingOlderRef.current) {
+        return false;
+      }
+
+      loadingOlderRef.current = true;
+      setLoadingOlder(true);
+      try {
+        const result = await fetchMessagePages(
+          sessionId,
+          cursorRef.current,
+          untilMessageId
+        );
+        // the session was switched while loading
+        if (sessionIdRef.current !== sessionId) return false;
+
+        cursorRef.current = result.nextCursor;
+        setHasMoreMessages(result.hasMore);
+        skipAutoScrollRef.current = true;
+        setMessages((prevMessages) => {
+          const loadedIds = new Set(prevMessages.map((msg) => msg.id));
+          return [
+            ...result.messages.filter((msg) => !loadedIds.has(msg.id)),
+            ...prevMessages,
+          ];
+        });
+        return true;
+      } catch (error) {
+        console.error("Failed to load older messages:", error);
+        antMessage.error(t("chat.loadMessagesFailed"));
+        return false;
+      } finally {
+        loadingOlderRef.current = false;
+        setLoadingOlder(false);
+      }
+    },
+    [session?.id, fetchMessagePages, t]
   );
 
   // when session changes, load messages
@@ -91,15 +194,55 @@ export const useMessages = (session, sessionSettings) => {
         sessionIdRef.current = session.id;
         console.log(`switch to session: ${session.id}`);
       }
+      cursorRef.current = null;
+      setHasMoreMessages(false);
       loadMessages(session.id);
     } else {
+      cursorRef.current = null;
+      setHasMoreMessages(false);
       setMessages([]);
     }
   }, [session?.id, loadMessages]);
 
-  // When messages are loaded, scroll to bottom
+  // Messages of the active branch, these are the ones shown and sent as context
+  const visibleMessages = useMemo(
+    () => getActivePath(messages, activeMessageId),
+    [messages, activeMessageId]
+  );
+
+  // The shown branch continues above the loaded messages, older pages of other branches don't matter here
+  const hasOlderMessages =
+    hasMoreMessages &&
+    visibleMessages.length > 0 &&
+    visibleMessages[0].parentId != null;
+
+  /**
+   * show a branch and remember it in the session
+   * @param {Number} messageId message id on the branch
+   */
+  const setActiveBranch = useCallback(
+    (messageId) => {
+      setActiveMessageId(messageId);
+      if (session && electronAPI.updateSessionActiveMessage) {
+        electronAPI
+          .updateSessionActiveMessage(session.id, messageId)
+          .catch((error) => {
+            console.error("Failed to save active branch:", error);
+          });
+      }
+    },
+    [session?.id, electronAPI]
+  );
+
+  // When messages are loaded or the branch changes, scroll to bottom
   useEffect(() => {
-    if (messages.length > 0 && !loading) {
+    // older messages were added above, the list keeps its position instead
+    if (skipAutoScrollRef.current) {
+      skipAutoScrollRef.current = false;
+      return;
+    }
+
+    if (visibleMessages.length > 0 && !loading) {
       // console.log("Messages loaded, preparing to scroll to bottom");
       // Use requestAnimationFrame to ensure DOM is updated before scrolling
       requestAnimationFrame(() => {
@@ -107,7 +250,7 @@ export const useMessages = (session, sessionSettings) => {
         // console.log("Scroll to bottom executed");
       });
     }
-  }, [messages, loading, scrollToBottom]);
+  }, [visibleMessages, loading, scrollToBottom]);
 
   // ================== handle message context ==================
   /**
@@ -211,20 +354,56 @@ export const useMessages = (session, sessionSettings) => {
     [sessionSettings]
   );
 
+  /**
+   * get a setting of the session, from the loaded settings or the stored metadata
+   * @param {Object} targetSession target session
+   * @param {String} key metadata field
+   * @returns {*} setting value, undefined when it is not set
+   */
+  const getSessionOption = useCallback(
+    (targetSession, key) => {
+      if (sessionSettings) {
+        return sessionSettings[key];
+      }
+
+      try {
+        const metadata =
+          typeof targetSession?.metadata === "string"
+            ? JSON.parse(targetSession.metadata || "{}")
+            : targetSession?.metadata || {};
+        return metadata[key];
+      } catch (error) {
+        console.error("parse session metadata failed:", error);
+        return undefined;
+      }
+    },
+    [sessionSettings]
+  );
+
   /**
    * parse the messages need to be sent
    * @param {Array} allMessage all messages
    * @param {Object} currentSession current session
+   * @param {Number} leafMessageId last message of the branch to send, context is built only from this path
    * @returns {Array} processed messages array
    */
   const parseNeedSendMessage = useCallback(
-    (allMessage, currentSession = null) => {
+    (allMessage, currentSession = null, leafMessageId = null) => {
       // use the current session or the session in the hook
       const targetSession = currentSession || session;
 
       // get context settings
       const { maxMessages, noLimit } = getContextSettings(targetSession);
 
+      // The system prompt leads the messages and is not counted in the context length
+      const systemPrompt = (
+        getSessionOption(targetSession, "systemPrompt") || ""
+      ).trim();
+      const withSystemPrompt = (list) =>
+        systemPrompt && list.length > 0
+          ? [{ role: "system", content: systemPrompt }, ...list]
+          : list;
+
       console.log(
         `Context settings: maxMessages=${maxMessages}, noLimit=${noLimit}`
       );
@@ -235,10 +414,11 @@ export const useMessages = (session, sessionSettings) => {
         return [];
       }
 
-      const sortedMessages = [...allMessage].sort((a, b) => {
-        // sort by created time
-        return new Date(a.createdAt) - new Date(b.createdAt);
-      });
+      // only the messages on the active path, from root to leaf
+      const sortedMessages = getMessagePath(
+        allMessage,
+        leafMessageId ?? getLatestLeafId(allMessage)
+      );
 
       // collect valid messages
       let validMessages = [];
@@ -436,7 +616,7 @@ export const useMessages = (session, sessionSettings) => {
           (msg) => msg.role === "user"
         );
         if (lastUserIndex !== -1) {
-          return [alternatingMessages[lastUserIndex]];
+          return withSystemPrompt([alternatingMessages[lastUserIndex]]);
         }
       }
 
@@ -467,9 +647,9 @@ export const useMessages = (session, sessionSettings) => {
       }
 
       console.log(`Final messages to send: ${finalMessages.length} messages`);
-      return finalMessages;
+      return withSystemPrompt(finalMessages);
     },
-    [getContextSettings, session]
+    [getContextSettings, getSessionOption, session]
   );
 
   /**
@@ -535,8 +715,16 @@ export const useMessages = (session, sessionSettings) => {
 
       try {
         // Update message content in database
-        if (status === "success" || status === "error") {
-          await updateMessageContent(messageId, updatedContent, electronAPI);
+        if (status === "receiving") {
+          streamingContentRef.current = { messageId, content: updatedContent };
+        } else if (status === "success" || status === "error") {
+          streamingContentRef.current = null;
+          await updateMessageContent(
+            messageId,
+            updatedContent,
+            electronAPI,
+            "stream_final"
+          );
           await updateMessageStatus(messageId, status, electronAPI);
 
           // When message status is success or error, also scroll to bottom directly
@@ -566,6 +754,36 @@ export const useMessages = (session, sessionSettings) => {
     [electronAPI, scrollToBottom]
   );
 
+  /**
+   * Save token usage, latency and cost of a completed AI reply
+   * @param {Number} messageId Message ID
+   * @param {Object} response Complete response from the AI service
+   */
+  const saveMessageUsage = useCallback(
+    async (messageId, response) => {
+      const usage = {
+        promptTokens: response.usage?.promptTokens ?? null,
+        completionTokens: response.usage?.completionTokens ?? null,
+        reasoningTokens: response.usage?.reasoningTokens ?? null,
+        latencyMs: response.latencyMs ?? null,
+        cost: response.cost ?? null,
+      };
+
+      setMessages((prevMessages) =>
+        prevMessages.map((msg) =>
+          msg.id === messageId ? { ...msg, ...usage } : msg
+        )
+      );
+
+      try {
+        await electronAPI.updateMessageUsage(messageId, usage);
+      } catch (error) {
+        console.error("Failed to save message usage:", error);
+      }
+    },
+    [electronAPI]
+  );
+
   // ================== Get Latest Session ==================
   /**
    * Get latest session data
@@ -576,9 +794,8 @@ export const useMessages = (session, sessionSettings) => {
     async (currentSession) => {
       try {
         // If possible, get latest session information from database
-        if (electronAPI && electronAPI.getSessions) {
-          const sessions = await electronAPI.getSessions();
-          const freshSession = sessions.find((s) => s.id === currentSession.id);
+        if (electronAPI && electronAPI.getSession) {
+          const freshSession = await electronAPI.getSession(currentSession.id);
           if (freshSession) {
             console.log("Got latest session info:", freshSession.id);
             return freshSession;
@@ -635,16 +852,18 @@ export const useMessages = (session, sessionSettings) => {
    * Create and save user message
    * @param {String} content Message content
    * @param {Object} sessionData Session data
-   * @param {Object} userConfig User configuration
+   * @param {Object} modelConfig Provider and model of the session
+   * @param {Number} parentId Parent message ID
    * @returns {Object} Local user message object
    */
   const createUserMessage = useCallback(
-    async (content, sessionData, userConfig) => {
+    async (content, sessionData, modelConfig, parentId = null) => {
       const userMessage = {
         sessionId: sessionData.id,
+        parentId,
         role: "user",
-        providerId: userConfig.providerId,
-        modelId: userConfig.modelId,
+        providerId: modelConfig.providerId,
+        modelId: modelConfig.modelId,
         content: JSON.stringify([createMessageContent("content", content)]),
         status: "success",
       };
@@ -661,16 +880,18 @@ export const useMessages = (session, sessionSettings) => {
   /**
    * Create and save AI response message
    * @param {Object} sessionData Session data
-   * @param {Object} userConfig User configuration
+   * @param {Object} modelConfig Provider and model of the session
+   * @param {Number} parentId Parent message ID, the user message being answered
    * @returns {Object} Local AI message object and saved message ID
    */
   const createAIMessage = useCallback(
-    async (sessionData, userConfig) => {
+    async (sessionData, modelConfig, parentId = null) => {
       const aiMessage = {
         sessionId: sessionData.id,
+        parentId,
         role: "assistant",
-        providerId: userConfig.providerId,
-        modelId: userConfig.modelId,
+        providerId: modelConfig.providerId,
+        modelId: modelConfig.modelId,
         content: JSON.stringify([
           createMessageContent("content", ""),
           createMessageContent("reasoning_content", "", "pending"),
@@ -697,15 +918,48 @@ export const useMessages = (session, sessionSettings) => {
     [electronAPI]
   );
 
+  /**
+   * get the branch sent as context, ending with the given message
+   * older messages of the branch that are not loaded yet are read from the database
+   * @param {Array} allMessages loaded messages
+   * @param {Number|null} leafMessageId last message of the branch
+   * @returns {Promise<Array>} messages from root to leaf
+   */
+  const getContextMessages = useCallback(
+    async (allMessages, leafMessageId) => {
+      const leafId = leafMessageId ?? getLatestLeafId(allMessages);
+      const path = getMessagePath(allMessages, leafId);
+      if (path.length === 0 || path[0].parentId == null) return path;
+
+      try {
+        // loaded messages may have newer content than the database, e.g. while streaming
+        const loadedMessages = new Map(path.map((msg) => [msg.id, msg]));
+        const fullPath = await electronAPI.getMessagePath(leafId);
+        return fullPath.map((msg) => loadedMessages.get(msg.id) || msg);
+      } catch (error) {
+        console.error("Failed to load message branch:", error);
+        return path;
+      }
+    },
+    [electronAPI]
+  );
+
   /**
    * Send message to AI service
    * @param {Object} currentSession Current session
    * @param {Array} allMessages All messages
    * @param {Number} aiMessageId AI message ID
    * @param {Number} temperature Temperature setting
+   * @param {Number} leafMessageId Last message of the context branch
    */
   const sendMessageToAI = useCallback(
-    async (currentSession, allMessages, aiMessageId, temperature) => {
+    async (
+      currentSession,
+      allMessages,
+      aiMessageId,
+      temperature,
+      leafMessageId = null
+    ) => {
       try {
         console.log(
           "sendMessageToAI",
@@ -720,9 +974,14 @@ export const useMessages = (session, sessionSettings) => {
         abortControllerRef.current = abortController;
 
         // Apply context length limiting, get messages to send
-        const messagesToSend = parseNeedSendMessage(
+        const contextMessages = await getContextMessages(
           allMessages,
-          currentSession
+          leafMessageId
+        );
+        const messagesToSend = parseNeedSendMessage(
+          contextMessages,
+          currentSession,
+          leafMessageId
         );
         console.log(
           `After context limiting, sending ${messagesToSend.length} messages to AI service`
@@ -732,6 +991,13 @@ export const useMessages = (session, sessionSettings) => {
         let mcpTools = [];
         try {
           mcpTools = await mcpService.getAllActiveTools();
+          // Sessions created from an assistant only use the assistant's MCP servers
+          const mcpServerIds = getSessionOption(currentSession, "mcpServerIds");
+          if (Array.isArray(mcpServerIds)) {
+            mcpTools = mcpTools.filter((tool) =>
+              mcpServerIds.includes(tool.serverId)
+            );
+          }
           console.log(`Got ${mcpTools.length} active MCP tools`);
         } catch (error) {
           console.error("Failed to get MCP tools:", error);
@@ -821,6 +1087,7 @@ export const useMessages = (session, sessionSettings) => {
               "success",
               toolCallResults
             );
+            await saveMessageUsage(aiMessageId, response);
 
             // Clear current AI message ID
             setCurrentAIMessageId(null);
@@ -853,7 +1120,57 @@ export const useMessages = (session, sessionSettings) => {
         throw error;
       }
     },
-    [parseNeedSendMessage, updateAIMessage]
+    [
+      getContextMessages,
+      parseNeedSendMessage,
+      getSessionOption,
+      updateAIMessage,
+      saveMessageUsage,
+    ]
+  );
+
+  /**
+   * Create an AI reply to a user message and send its branch to the AI service
+   * @param {Object} currentSession Current session
+   * @param {Object} modelConfig Provider and model of the session
+   * @param {Object} userMessage User message to answer
+   * @param {Array} allMessages All messages, including the user message
+   */
+  const replyToUserMessage = useCallback(
+    async (currentSession, modelConfig, userMessage, allMessages) => {
+      // create and save ai response message as a child of the user message
+      const { message: localAiMessage, id: aiMessageId } =
+        await createAIMessage(currentSession, modelConfig, userMessage.id);
+      setMessages((prevMessages) => [...prevMessages, localAiMessage]);
+      setActiveBranch(aiMessageId);
+      console.log("localAiMessage", localAiMessage);
+
+      // Scroll to bottom directly after sending message
+      // Use requestAnimationFrame to ensure scrolling after DOM update
+      requestAnimationFrame(() => {
+        scrollToBottom();
+        console.log("After sending message, scrolled to bottom");
+      });
+
+      // get temperature setting
+      const temperature = getTemperatureSetting(currentSession);
+
+      // send message to ai service, context is the branch ending with the user message
+      await sendMessageToAI(
+        currentSession,
+        allMessages,
+        aiMessageId,
+        temperature,
+        userMessage.id
+      );
+    },
+    [
+      createAIMessage,
+      setActiveBranch,
+      getTemperatureSetting,
+      sendMessageToAI,
+      scrollToBottom,
+    ]
   );
 
   /**
@@ -869,15 +1186,13 @@ export const useMessages = (session, sessionSettings) => {
         return;
       }
 
-      // check if AI is configured
-      if (!isAIConfigured()) {
+      // check if the provider and model of the session are configured
+      const modelConfig = getSessionModel(sessionSettings);
+      if (!isAIConfigured(modelConfig)) {
         antMessage.error(t("chat.pleaseSelectAModel"));
         return;
       }
 
-      // get current config and provider and model infofig and provider and model info
-      const userConfig = getUserConfig();
-
       // Set sending status
       setIsSending(true);
 
@@ -885,55 +1200,196 @@ export const useMessages = (session, sessionSettings) => {
         // get latest session info
         const currentSession = await getFreshSession(session);
 
+        // the new message continues the branch currently shown
+        const parentId =
+          visibleMessages.length > 0
+            ? visibleMessages[visibleMessages.length - 1].id
+            : null;
+
         // create and save user message
         const localUserMessage = await createUserMessage(
           content,
           currentSession,
-          userConfig
+          modelConfig,
+          parentId
         );
         setMessages((prevMessages) => [...prevMessages, localUserMessage]);
 
-        // create and save ai response message
-        const { message: localAiMessage, id: aiMessageId } =
-          await createAIMessage(currentSession, userConfig);
-        setMessages((prevMessages) => [...prevMessages, localAiMessage]);
-        console.log("localAiMessage", localAiMessage);
-
-        // Scroll to bottom directly after sending message
-        // Use requestAnimationFrame to ensure scrolling after DOM update
-        requestAnimationFrame(() => {
-          scrollToBottom();
-          console.log("After sending message, scrolled to bottom");
-        });
+        await replyToUserMessage(currentSession, modelConfig, localUserMessage, [
+          ...messages,
+          localUserMessage,
+        ]);
+      } catch (error) {
+        // handle error directly, not call handleSendError
+        console.error("send message failed:", error);
+        antMessage.error(t("chat.sendMessageFailed") + ": " + error.message);
+      }
+    },
+    [
+      session,
+      sessionSettings,
+      messages,
+      visibleMessages,
+      createUserMessage,
+      replyToUserMessage,
+      getFreshSession,
+      t,
+    ]
+  );
+
+  /**
+   * regenerate an AI reply, the new reply becomes a sibling branch of the old one
+   * @param {Object} message AI message to regenerate
+   */
+  const handleRegenerateMessage = useCallback(
+    async (message) => {
+      if (isSending || !session) return;
+
+      const userMessage = messages.find((msg) => msg.id === message.parentId);
+      if (!userMessage || userMessage.role !== "user") {
+        console.warn("No user message found to regenerate reply for:", message.id);
+        return;
+      }
 
-        // get temperature setting
-        const temperature = getTemperatureSetting(currentSession);
+      const modelConfig = getSessionModel(sessionSettings);
+      if (!isAIConfigured(modelConfig)) {
+        antMessage.error(t("chat.pleaseSelectAModel"));
+        return;
+      }
+
+      setIsSending(true);
 
-        // send message to ai service
-        await sendMessageToAI(
+      try {
+        const currentSession = await getFreshSession(session);
+        await replyToUserMessage(currentSession, modelConfig, userMessage, messages);
+      } catch (error) {
+        console.error("regenerate message failed:", error);
+        antMessage.error(t("chat.sendMessageFailed") + ": " + error.message);
+        setIsSending(false);
+      }
+    },
+    [
+      isSending,
+      session,
+      sessionSettings,
+      messages,
+      getFreshSession,
+      replyToUserMessage,
+      t,
+    ]
+  );
+
+  /**
+   * edit a user message, the edited message becomes a sibling branch of the original and is answered again
+   * @param {Object} message user message to edit
+   * @param {string} content new content
+   */
+  const handleEditMessage = useCallback(
+    async (message, content) => {
+      if (!content || isSending || !session) return;
+
+      const modelConfig = getSessionModel(sessionSettings);
+      if (!isAIConfigured(modelConfig)) {
+        antMessage.error(t("chat.pleaseSelectAModel"));
+        return;
+      }
+
+      setIsSending(true);
+
+      try {
+        const currentSession = await getFreshSession(session);
+
+        const localUserMessage = await createUserMessage(
+          content,
           currentSession,
-          [...messages, localUserMessage],
-          aiMessageId,
-          temperature
+          modelConfig,
+          message.parentId ?? null
         );
+        setMessages((prevMessages) => [...prevMessages, localUserMessage]);
+
+        await replyToUserMessage(currentSession, modelConfig, localUserMessage, [
+          ...messages,
+          localUserMessage,
+        ]);
       } catch (error) {
-        // handle error directly, not call handleSendError
-        console.error("send message failed:", error);
+        console.error("edit message failed:", error);
         antMessage.error(t("chat.sendMessageFailed") + ": " + error.message);
+        setIsSending(false);
       }
     },
     [
+      isSending,
       session,
+      sessionSettings,
       messages,
-      createUserMessage,
-      createAIMessage,
       getFreshSession,
-      getTemperatureSetting,
+      createUserMessage,
+      replyToUserMessage,
       t,
-      scrollToBottom,
     ]
   );
 
+  // ================== Branches ==================
+  // Position of each message among its siblings, keyed by message id
+  const branchInfo = useMemo(() => {
+    const siblingsByParent = new Map();
+    messages.forEach((msg) => {
+      const key = msg.parentId ?? null;
+      if (!siblingsByParent.has(key)) siblingsByParent.set(key, []);
+      siblingsByParent.get(key).push(msg);
+    });
+
+    const info = {};
+    siblingsByParent.forEach((siblings) => {
+      siblings.sort((a, b) => a.createdAt - b.createdAt || a.id - b.id);
+      siblings.forEach((msg, index) => {
+        info[msg.id] = { index, count: siblings.length };
+      });
+    });
+    return info;
+  }, [messages]);
+
+  /**
+   * switch to the previous or next sibling branch of a message
+   * @param {Object} message message whose branch is switched
+   * @param {Number} offset -1 for previous, 1 for next
+   */
+  const handleSwitchBranch = useCallback(
+    (message, offset) => {
+      if (isSending) return;
+
+      const siblings = getSiblingMessages(messages, message);
+      const index = siblings.findIndex((msg) => msg.id === message.id);
+      const target = siblings[index + offset];
+      if (!target) return;
+
+      setActiveBranch(getLatestLeafId(messages, target.id));
+    },
+    [isSending, messages, setActiveBranch]
+  );
+
+  /**
+   * make sure a message is shown, switching to its branch if needed
+   * @param {Number} messageId message id
+   * @returns {Boolean} whether the message exists in the session
+   */
+  const revealMessage = useCallback(
+    (messageId) => {
+      if (!messages.some((msg) => msg.id === messageId)) {
+        // the message may be older than the loaded pages
+        if (!cursorRef.current) return false;
+        loadOlderMessages(messageId);
+        return true;
+      }
+
+      if (!visibleMessages.some((msg) => msg.id === messageId)) {
+        setActiveBranch(getLatestLeafId(messages, messageId));
+      }
+      return true;
+    },
+    [messages, visibleMessages, setActiveBranch, loadOlderMessages]
+  );
+
   /**
    * handle stop generation operation
    * mark the current generating message as error, content is user stopped
@@ -963,11 +1419,24 @@ export const useMessages = (session, sessionSettings) => {
         ),
       ];
 
+      // save the text streamed so far, so that it is kept as a revision
+      const streamed = streamingContentRef.current;
+      streamingContentRef.current = null;
+      if (streamed?.messageId === currentAIMessageId) {
+        await updateMessageContent(
+          currentAIMessageId,
+          streamed.content,
+          electronAPI,
+          "stream_final"
+        );
+      }
+
       // update message content and status
       await updateMessageContent(
         currentAIMessageId,
         JSON.stringify(terminationContent),
-        electronAPI
+        electronAPI,
+        "termination"
       );
       await updateMessageStatus(currentAIMessageId, "error", electronAPI);
 
@@ -1007,16 +1476,49 @@ export const useMessages = (session, sessionSettings) => {
     updateMessageStatus,
   ]);
 
+  /**
+   * put an earlier content back into a message
+   * @param {Object} message message to restore
+   * @param {Number} revisionId revision to restore
+   */
+  const handleRestoreRevision = useCallback(
+    async (message, revisionId) => {
+      const restored = await restoreMessageRevision(
+        message.id,
+        revisionId,
+        electronAPI
+      );
+      setMessages((prevMessages) =>
+        prevMessages.map((msg) =>
+          msg.id === message.id
+            ? { ...msg, content: restored.content, status: restored.status }
+            : msg
+        )
+      );
+    },
+    [electronAPI]
+  );
+
   // ================== export interface ==================
   return {
-    messages,
+    messages: visibleMessages,
+    allMessages: messages,
+    branchInfo,
     isSending,
     loading,
+    hasOlderMessages,
+    loadingOlder,
     messagesEndRef,
     chatContainerRef,
     handleSendMessage,
     loadMessages,
+    loadOlderMessages,
     handleStopGeneration,
+    handleRestoreRevision,
+    handleRegenerateMessage,
+    handleEditMessage,
+    handleSwitchBranch,
+    revealMessage,
     scrollToBottom,
   };
 };
@@ -1,12 +1,26 @@
-import React, { useState, useEffect } from "react";
+import React, { useState } from "react";
+import { v4 as uuidv4 } from "uuid";
 import { getAllProviders } from "../services/models";
 // Remove import of models.js to avoid circular dependency
 // import { providers } from "../services/models";
 
-// Config name constants
+// localStorage keys used by older versions, migrated to the database by loadConfig
 const userConfigName = "user_config";
 const providersConfigName = "providers_config";
 
+// Use API exposed in preload.js
+const electronAPI = window.electronAPI;
+
+// Days deleted sessions stay in the trash before they are purged, 0 keeps them forever
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Automatic database backups, see DEFAULT_BACKUP_SETTINGS in the main process backupService
+export const DEFAULT_BACKUP_SETTINGS = {
+  enabled: true,
+  intervalHours: 24,
+  keepCount: 5,
+};
+
 // Default user config
 const defaultUserConfig = {
   theme: "light", // Default theme
@@ -14,6 +28,115 @@ const defaultUserConfig = {
   // Other default configs...
 };
 
+// Config is stored in the database, these caches keep the getters synchronous.
+// They are filled by loadConfig before the app renders.
+let userConfigCache = { ...defaultUserConfig };
+let providersConfigCache = {};
+
+// Latest provider config write, lets callers wait for it to report errors
+let pendingProvidersSave = Promise.resolve();
+
+// Prefix of API key references, see PROVIDER_SECRET_PREFIX in the main process secretService
+const PROVIDER_SECRET_PREFIX = "provider:";
+
+// Convert a provider config saved as an array to an object keyed by provider id
+const toProvidersObject = (providersConfig) => {
+  if (!Array.isArray(providersConfig)) {
+    return providersConfig && typeof providersConfig === "object"
+      ? providersConfig
+      : {};
+  }
+
+  const configObj = {};
+  providersConfig.forEach((provider) => {
+    if (provider && provider.id) {
+      configObj[provider.id] = provider;
+    }
+  });
+  return configObj;
+};
+
+/**
+ * Take plain text API keys out of provider configs
+ * Each key is replaced by an opaque apiKeyRef, an empty key removes the reference
+ * @param {Object} providersConfig Provider configs keyed by id, modified in place
+ * @returns {Object} Plain text keys by reference, to be encrypted by the main process
+ */
+const extractApiKeys = (providersConfig) => {
+  const secrets = {};
+  Object.values(providersConfig).forEach((provider) => {
+    if (provider.apiKey === undefined) return;
+
+    if (provider.apiKey) {
+      provider.apiKeyRef =
+        provider.apiKeyRef || `${PROVIDER_SECRET_PREFIX}${uuidv4()}`;
+      secrets[provider.apiKeyRef] = provider.apiKey;
+    } else {
+      provider.apiKeyRef = null;
+    }
+    delete provider.apiKey;
+  });
+  return secrets;
+};
+
+// Move config left in localStorage by older versions to the database, runs once
+// Config already in the database wins over the old copy
+const migrateLocalStorageConfig = async (hasSettings, hasProviders) => {
+  const userConfigJson = localStorage.getItem(userConfigName);
+  const providersJson = localStorage.getItem(providersConfigName);
+  if (userConfigJson === null && providersJson === null) return;
+
+  try {
+    if (userConfigJson && !hasSettings) {
+      userConfigCache = { ...defaultUserConfig, ...JSON.parse(userConfigJson) };
+      await electronAPI.saveSettings(userConfigCache);
+    }
+    if (providersJson && !hasProviders) {
+      providersConfigCache = toProvidersObject(JSON.parse(providersJson));
+      const secrets = extractApiKeys(providersConfigCache);
+      await electronAPI.saveProviders(providersConfigCache, secrets);
+    }
+
+    localStorage.removeItem(userConfigName);
+    localStorage.removeItem(providersConfigName);
+    console.log("Config migrated from localStorage to the database");
+  } catch (error) {
+    // Keep the localStorage copy so the migration is retried on next start
+    console.error("Failed to migrate config from localStorage:", error);
+  }
+};
+
+/**
+ * Load user and provider config from the database
+ * Must finish before the app renders, the config getters read the loaded copy
+ * @returns {Promise<void>}
+ */
+export const loadConfig = async () => {
+  const [settings, providersConfig] = await Promise.all([
+    electronAPI.getSettings(),
+    electronAPI.getProviders(),
+  ]);
+  userConfigCache = { ...defaultUserConfig, ...settings };
+  providersConfigCache = toProvidersObject(providersConfig);
+
+  await migrateLocalStorageConfig(
+    Object.keys(settings).length > 0,
+    Object.keys(providersConfigCache).length > 0
+  );
+
+  // Providers saved before the enabled field existed are disabled
+  let needsUpdate = false;
+  Object.values(providersConfigCache).forEach((provider) => {
+    if (provider.enabled === undefined) {
+      provider.enabled = false;
+      needsUpdate = true;
+    }
+  });
+  if (needsUpdate) {
+    saveProviderConfig(providersConfigCache);
+  }
+};
+
 /**
  * User config hook for getting and managing user config
  * @returns {Object} Contains user config state and methods
@@ -21,19 +144,6 @@ const defaultUserConfig = {
 export const useUserConfig = () => {
   const [config, setConfig] = useState(() => getUserConfig());
 
-  // Listen for config changes
-  useEffect(() => {
-    const handleStorageChange = () => {
-      setConfig(getUserConfig());
-    };
-
-    window.addEventListener("storage", handleStorageChange);
-
-    return () => {
-      window.removeEventListener("storage", handleStorageChange);
-    };
-  }, []);
-
   // Save config
   const saveConfig = (newConfig) => {
     const success = saveUserConfig(newConfig);
@@ -66,23 +176,26 @@ export const useUserConfig = () => {
   };
 };
 
-// Get config from localStorage
+// Get user config, returns a copy that callers may modify
 export const getUserConfig = () => {
-  try {
-    const configStr = localStorage.getItem(userConfigName);
-    if (configStr) {
-      return JSON.parse(configStr);
-    }
-  } catch (error) {
-  console.error("Failed to get user config:", error);
-  }
-  return { ...defaultUserConfig };
+  return structuredClone(userConfigCache);
+};
+
+// Get the trash retention period in days
+export const getTrashRetentionDays = () => {
+  const { trashRetentionDays } = getUserConfig();
+  return typeof trashRetentionDays === "number"
+    ? trashRetentionDays
+    : DEFAULT_TRASH_RETENTION_DAYS;
 };
 
-// Save config to localStorage
+// Save user config, the database write happens in the background
 export const saveUserConfig = (config) => {
   try {
-    localStorage.setItem(userConfigName, JSON.stringify(config));
+    userConfigCache = structuredClone(config);
+    electronAPI.saveSettings(userConfigCache).catch((error) => {
+      console.error("Failed to save user config:", error);
+    });
     return true;
   } catch (error) {
   console.error("Failed to save user config:", error);
@@ -90,41 +203,9 @@ export const saveUserConfig = (config) => {
   }
 };
 
-// Get provider config
+// Get provider config, returns a copy that callers may modify
 export const getProvidersConfig = () => {
-  try {
-    const providersJson = localStorage.getItem(providersConfigName);
-    if (!providersJson) {
-  console.log("No provider config in localStorage, returning empty object");
-      return {};
-    }
-
-    const savedConfig = JSON.parse(providersJson);
-
-  // Check if savedConfig is an array, convert to object if so
-    if (Array.isArray(savedConfig)) {
-  // console.log('Provider config from localStorage is array, converting to object');
-      const configObj = {};
-      savedConfig.forEach((provider) => {
-        if (provider && provider.id) {
-          configObj[provider.id] = provider;
-        }
-      });
-      return configObj;
-    }
-
-  // If it's an object, return directly
-    if (savedConfig && typeof savedConfig === "object") {
-  // console.log('Provider config from localStorage:', savedConfig);
-      return savedConfig;
-    }
-
-  console.error("Provider config format from localStorage is incorrect");
-    return {};
-  } catch (error) {
-  console.error("Failed to parse provider config:", error);
-    return {};
-  }
+  return structuredClone(providersConfigCache);
 };
 
 export const saveProviderConfig = (providersConfig) => {
@@ -133,13 +214,7 @@ export const saveProviderConfig = (providersConfig) => {
   // Ensure providersConfig is object, not array
     if (Array.isArray(providersConfig)) {
   console.error("providersConfig is array, needs to be converted to object");
-      const configObj = {};
-      providersConfig.forEach((provider) => {
-        if (provider && provider.id) {
-          configObj[provider.id] = provider;
-        }
-      });
-      providersConfig = configObj;
+      providersConfig = toProvidersObject(providersConfig);
     }
 
   // Ensure providersConfig is an object
@@ -173,10 +248,18 @@ export const saveProviderConfig = (providersConfig) => {
       }
     });
 
-  // Save to localStorage
-    const configJson = JSON.stringify(providersConfig);
-    localStorage.setItem(providersConfigName, configJson);
-  console.log("Provider config saved successfully, data size:", configJson.length, "bytes");
+  // API keys are encrypted by the main process, the config only keeps references
+    const secrets = extractApiKeys(providersConfig);
+
+  // Save to the database in the background, queued so an older snapshot never lands last
+    providersConfigCache = structuredClone(providersConfig);
+    const snapshot = providersConfigCache;
+    pendingProvidersSave = pendingProvidersSave
+      .catch(() => {})
+      .then(() => electronAPI.saveProviders(snapshot, secrets));
+    pendingProvidersSave.catch((error) => {
+      console.error("Failed to save provider config:", error);
+    });
   console.log("Saved data:", providersConfig);
 
     return true;
@@ -186,6 +269,12 @@ export const saveProviderConfig = (providersConfig) => {
   }
 };
 
+/**
+ * Wait for the latest provider config write to reach the database
+ * @returns {Promise<void>} Rejects when the write failed, e.g. when an API key cannot be encrypted
+ */
+export const waitForProviderConfigSave = () => pendingProvidersSave;
+
 /**
  * Save config for a single provider
  * @param {string} providerId Provider ID
@@ -206,11 +295,11 @@ export const saveProviderConfigById = (providerId, config) => {
 // Clear all config
 export const clearAllConfigInternal = () => {
   try {
-  // Clear user config
-    localStorage.removeItem(userConfigName);
-
-  // Clear provider config
-    localStorage.removeItem(providersConfigName);
+    userConfigCache = { ...defaultUserConfig };
+    providersConfigCache = {};
+    electronAPI.clearSettings().catch((error) => {
+      console.error("Failed to clear config:", error);
+    });
 
   console.log("All config cleared");
     return true;
@@ -220,69 +309,12 @@ export const clearAllConfigInternal = () => {
   }
 };
 
-// Initialize config
-if (typeof window !== "undefined") {
-  if (!localStorage.getItem(userConfigName)) {
-    saveUserConfig(getUserConfig());
-  }
-
-  // Initialize provider config
-  if (!localStorage.getItem(providersConfigName)) {
-  // No longer depend on providers in models.js
-  // Initialize as empty object, providers will be loaded by other means at app startup
-    localStorage.setItem(providersConfigName, "{}");
-  } else {
-  // Check if existing config has enabled field, add if missing
-    const existingConfig = JSON.parse(
-      localStorage.getItem(providersConfigName)
-    );
-    let needsUpdate = false;
-
-  // If array format
-    if (Array.isArray(existingConfig)) {
-      const updatedConfig = existingConfig.map((provider) => {
-        if (provider.enabled === undefined) {
-          needsUpdate = true;
-          return { ...provider, enabled: false };
-        }
-        return provider;
-      });
-
-      if (needsUpdate) {
-        localStorage.setItem(
-          providersConfigName,
-          JSON.stringify(updatedConfig)
-        );
-      }
-    }
-  // If object format
-    else if (typeof existingConfig === "object") {
-      const updatedConfig = { ...existingConfig };
-      let needsUpdate = false;
-
-      Object.keys(updatedConfig).forEach((key) => {
-        if (updatedConfig[key].enabled === undefined) {
-          updatedConfig[key].enabled = false;
-          needsUpdate = true;
-        }
-      });
-
-      if (needsUpdate) {
-        localStorage.setItem(
-          providersConfigName,
-          JSON.stringify(updatedConfig)
-        );
-      }
-    }
-  }
-}
-
 /**
  * Check if AI provider and model are configured
+ * @param {Object} config Selected { providerId, modelId }, defaults to the global default
  * @returns {boolean} Whether configured
  */
-export function isAIConfigured() {
-  const config = getUserConfig();
+export function isAIConfigured(config = getUserConfig()) {
   const allProviders = getAllProviders();
   console.log("Check AI config:", { userConfig: config, allProviders });
   // Check if provider and model are selected
@@ -8,6 +8,8 @@ import "./index.css";
 import "./i18n"; // Import i18n configuration
 import { I18nextProvider, useTranslation } from "react-i18next";
 import i18n from "./i18n";
+import { loadConfig } from "./hooks/useUserConfig";
+import { initializeProviders } from "./services/providerService";
 
 // Create a wrapper component to handle language switching
 const AppWrapper = () => {
@@ -38,9 +40,16 @@ const AppWrapper = () => {
 // Create React root node
 const root = ReactDOM.createRoot(document.getElementById("root"));
 
-// Render the application
-root.render(
-  <I18nextProvider i18n={i18n}>
-    <AppWrapper />
-  </I18nextProvider>
-);
+// Render the application once the config has been loaded from the database
+loadConfig()
+  .then(() => initializeProviders())
+  .catch((error) => {
+    console.error("Failed to load config:", error);
+  })
+  .finally(() => {
+    root.render(
+      <I18nextProvider i18n={i18n}>
+        <AppWrapper />
+      </I18nextProvider>
+    );
+  });
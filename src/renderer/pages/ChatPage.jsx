@@ -1,5 +1,15 @@
 import React, { useState, useEffect } from "react";
-import { Layout, Button, message, Tooltip, Dropdown, Menu, Badge } from "antd";
+import {
+  Layout,
+  Button,
+  message,
+  Tooltip,
+  Dropdown,
+  Menu,
+  Badge,
+  Space,
+  Avatar,
+} from "antd";
 import {
   SettingOutlined,
   PlusCircleOutlined,
@@ -10,11 +20,18 @@ import {
   CloudOutlined,
   RobotOutlined,
   InfoCircleOutlined,
+  DownOutlined,
+  TeamOutlined,
 } from "@ant-design/icons";
 import { useNavigate } from "react-router-dom";
 import SessionList from "../components/SessionList.jsx";
 import ChatWindow from "../components/ChatWindow.jsx";
-import { useUserConfig } from "../hooks/useUserConfig";
+import MessageSearchPanel from "../components/MessageSearchPanel.jsx";
+import {
+  useUserConfig,
+  getUserConfig,
+  getTrashRetentionDays,
+} from "../hooks/useUserConfig";
 import "../styles/ChatPage.css";
 import { useTranslation } from "react-i18next";
 
@@ -22,6 +39,29 @@ const { Sider, Content, Header } = Layout;
 // Use the API exposed in preload.js
 const electronAPI = window.electronAPI;
 
+// Metadata of a new session, the settings of the assistant it is created from are copied into it
+const getNewSessionMetadata = (assistant) => {
+  const { providerId, modelId } = getUserConfig();
+  const metadata = providerId && modelId ? { providerId, modelId } : {};
+  if (assistant) {
+    metadata.assistantId = assistant.id;
+    if (assistant.providerId && assistant.modelId) {
+      metadata.providerId = assistant.providerId;
+      metadata.modelId = assistant.modelId;
+    }
+    if (assistant.systemPrompt) {
+      metadata.systemPrompt = assistant.systemPrompt;
+    }
+    if (assistant.temperature !== null && assistant.temperature !== undefined) {
+      metadata.temperature = assistant.temperature;
+    }
+    if (Array.isArray(assistant.mcpServerIds)) {
+      metadata.mcpServerIds = assistant.mcpServerIds;
+    }
+  }
+  return Object.keys(metadata).length > 0 ? metadata : null;
+};
+
 const ChatPage = () => {
   const { t } = useTranslation();
   const { config } = useUserConfig();
@@ -29,6 +69,9 @@ const ChatPage = () => {
   const [currentSession, setCurrentSession] = useState(null);
   const [siderCollapsed, setSiderCollapsed] = useState(false);
   const [isMobile, setIsMobile] = useState(window.innerWidth < 768);
+  const [messageSearchOpen, setMessageSearchOpen] = useState(false);
+  const [focusMessageId, setFocusMessageId] = useState(null);
+  const [assistants, setAssistants] = useState([]);
   const navigate = useNavigate();
 
   // Detect window size changes
@@ -62,12 +105,20 @@ const ChatPage = () => {
     }
   };
 
-  // Create a new session
-  const createNewSession = async (name) => {
+  // Create a new session, optionally from an assistant
+  const createNewSession = async (name, assistant = null) => {
     try {
-      const sessionName = name || `${t("chat.newChat")} ${sessions.length + 1}`;
-      const newSession = await electronAPI.createSession(sessionName);
-      setSessions([newSession, ...sessions]);
+      const sessionName =
+        name ||
+        assistant?.name ||
+        `${t("chat.newChat")} ${sessions.length + 1}`;
+      // New sessions start with the global default model, then keep their own
+      const newSession = await electronAPI.createSession(
+        sessionName,
+        getNewSessionMetadata(assistant)
+      );
+      // Reload so the new session is placed after pinned sessions
+      setSessions(await electronAPI.getSessions());
       setCurrentSession(newSession);
 
       // If on mobile, automatically collapse the sidebar after creating a new session
@@ -85,6 +136,11 @@ const ChatPage = () => {
   // Load session list
   useEffect(() => {
     loadSessions();
+
+    // Purge sessions that stayed in the trash longer than the retention period
+    electronAPI.purgeExpiredTrash(getTrashRetentionDays()).catch((error) => {
+      console.error("Failed to purge expired trash:", error);
+    });
   }, []);
 
   // Toggle sidebar visibility
@@ -97,6 +153,44 @@ const ChatPage = () => {
     createNewSession();
   };
 
+  // Load assistants when the new chat menu opens, they may have changed in settings
+  const loadAssistants = async () => {
+    try {
+      setAssistants(await electronAPI.getAssistants());
+    } catch (error) {
+      console.error("Failed to load assistants:", error);
+    }
+  };
+
+  const assistantMenuItems = [
+    ...assistants.map((assistant) => ({
+      key: String(assistant.id),
+      icon: (
+        <Avatar size="small" icon={!assistant.avatar && <RobotOutlined />}>
+          {assistant.avatar}
+        </Avatar>
+      ),
+      label: assistant.name,
+    })),
+    ...(assistants.length > 0 ? [{ type: "divider" }] : []),
+    {
+      key: "manage",
+      icon: <TeamOutlined />,
+      label: t("assistant.manage"),
+    },
+  ];
+
+  const handleAssistantMenuClick = ({ key }) => {
+    if (key === "manage") {
+      navigate("/settings", { state: { menuKey: "assistants" } });
+      return;
+    }
+    const assistant = assistants.find((a) => String(a.id) === key);
+    if (assistant) {
+      createNewSession(null, assistant);
+    }
+  };
+
   // Handle session deletion
   const handleDeleteSession = (sessionId) => {
     const updatedSessions = sessions.filter(
@@ -109,11 +203,35 @@ const ChatPage = () => {
     }
   };
 
+  // Switch to a session forked from the current one
+  const handleForkSession = async (forkedSession) => {
+    try {
+      setSessions(await electronAPI.getSessions());
+    } catch (error) {
+      console.error("Failed to load sessions:", error);
+    }
+    setCurrentSession(forkedSession);
+  };
+
   // Update session list
   const handleSessionListUpdate = (updatedSessions) => {
     setSessions(updatedSessions);
   };
 
+  // Jump to a message selected in the search panel
+  const handleSelectSearchResult = (result) => {
+    const session = sessions.find((s) => s.id === result.sessionId);
+    if (!session) return;
+
+    setCurrentSession(session);
+    setFocusMessageId(result.id);
+    setMessageSearchOpen(false);
+
+    if (isMobile) {
+      setSiderCollapsed(true);
+    }
+  };
+
   // User menu
   const userMenu = (
     <Menu>
@@ -168,17 +286,35 @@ const ChatPage = () => {
               }}
               onDeleteSession={handleDeleteSession}
               onSessionListUpdate={handleSessionListUpdate}
+              onOpenMessageSearch={() => setMessageSearchOpen(true)}
             />
             <div className="session-list-footer">
-              <Button
-                type="primary"
-                icon={<PlusCircleOutlined />}
-                onClick={handleQuickNewSession}
-                className="create-chat-button"
-                block
-              >
-                {t("chat.newChat")}
-              </Button>
+              <Space.Compact block className="create-chat-group">
+                <Button
+                  type="primary"
+                  icon={<PlusCircleOutlined />}
+                  onClick={handleQuickNewSession}
+                  className="create-chat-button"
+                  block
+                >
+                  {t("chat.newChat")}
+                </Button>
+                <Dropdown
+                  menu={{
+                    items: assistantMenuItems,
+                    onClick: handleAssistantMenuClick,
+                  }}
+                  trigger={["click"]}
+                  onOpenChange={(open) => open && loadAssistants()}
+                >
+                  <Button
+                    type="primary"
+                    icon={<DownOutlined />}
+                    className="create-chat-button create-chat-more"
+                    title={t("assistant.newChatFrom")}
+                  />
+                </Dropdown>
+              </Space.Compact>
               <Button  
                 icon={<SettingOutlined />}
                 onClick={() => navigate("/settings")}
@@ -202,6 +338,9 @@ const ChatPage = () => {
           )}
           <ChatWindow
             session={currentSession}
+            focusMessageId={focusMessageId}
+            onFocusMessageHandled={() => setFocusMessageId(null)}
+            onForkSession={handleForkSession}
             onSessionUpdate={(updatedSession) => {
               setCurrentSession(updatedSession);
               setSessions(
@@ -213,6 +352,12 @@ const ChatPage = () => {
           />
         </Content>
       </Layout>
+      <MessageSearchPanel
+        open={messageSearchOpen}
+        onClose={() => setMessageSearchOpen(false)}
+        sessions={sessions}
+        onSelectResult={handleSelectSearchResult}
+      />
     </Layout>
   );
 };
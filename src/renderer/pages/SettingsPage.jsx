@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useLocation } from "react-router-dom";
 import { Layout, Menu, Button, Form, message, Typography, Modal } from "antd";
 import {
   ArrowLeftOutlined,
@@ -8,6 +8,10 @@ import {
   InfoCircleOutlined,
   ThunderboltOutlined,
   ExclamationCircleOutlined,
+  DatabaseOutlined,
+  BarChartOutlined,
+  TeamOutlined,
+  FileTextOutlined,
 } from "@ant-design/icons";
 
 import { useUserConfig, getUserConfig } from "../hooks/useUserConfig";
@@ -21,6 +25,10 @@ import ProviderSettings from "./settings/ProviderSettings";
 import GeneralSettings from "./settings/GeneralSettings";
 import AboutSection from "./settings/AboutSection";
 import MCPSettings from "./settings/MCPSettings";
+import BackupSettings from "./settings/BackupSettings";
+import UsageSettings from "./settings/UsageSettings";
+import AssistantSettings from "./settings/AssistantSettings";
+import PromptSettings from "./settings/PromptSettings";
 
 const { Content, Header, Sider } = Layout;
 const { Title } = Typography;
@@ -31,10 +39,14 @@ const providersConfigName = "providers_config";
 
 const SettingsPage = () => {
   const navigate = useNavigate();
+  const location = useLocation();
   const { t, i18n } = useTranslation();
   const { config, saveConfig, clearAllConfig, updateLanguage } =
     useUserConfig();
-  const [currentMenuKey, setCurrentMenuKey] = useState("model-services");
+  const [currentMenuKey, setCurrentMenuKey] = useState(
+    // Other pages can open a section directly
+    location.state?.menuKey || "model-services"
+  );
   const [selectedProvider, setSelectedProvider] = useState(null);
   const [providers, setProviders] = useState([]);
 
@@ -137,10 +149,18 @@ const SettingsPage = () => {
             handleResetAllConfig={handleResetAllConfig}
           />
         );
+      case "backup":
+        return <BackupSettings config={config} saveConfig={saveConfig} />;
       case "about":
         return <AboutSection />;
       case "mcp-settings":
         return <MCPSettings />;
+      case "usage":
+        return <UsageSettings />;
+      case "assistants":
+        return <AssistantSettings />;
+      case "prompts":
+        return <PromptSettings />;
       default:
         return <div>Unknown settings page</div>;
     }
@@ -172,9 +192,21 @@ const SettingsPage = () => {
             <Menu.Item key="mcp-settings" icon={<ThunderboltOutlined />}>
               {t("settings.mcpSettings")}
             </Menu.Item>
+            <Menu.Item key="assistants" icon={<TeamOutlined />}>
+              {t("settings.assistants")}
+            </Menu.Item>
+            <Menu.Item key="prompts" icon={<FileTextOutlined />}>
+              {t("settings.prompts")}
+            </Menu.Item>
+            <Menu.Item key="usage" icon={<BarChartOutlined />}>
+              {t("settings.usage")}
+            </Menu.Item>
             <Menu.Item key="general-settings" icon={<SettingOutlined />}>
               {t("settings.general")}
             </Menu.Item>
+            <Menu.Item key="backup" icon={<DatabaseOutlined />}>
+              {t("settings.backup")}
+            </Menu.Item>
             <Menu.Item key="about" icon={<InfoCircleOutlined />}>
               {t("common.about")}
             </Menu.Item>
@@ -0,0 +1,294 @@
+import React, { useState, useEffect } from "react";
+import {
+  Card,
+  Form,
+  Input,
+  InputNumber,
+  Button,
+  List,
+  Select,
+  Modal,
+  Radio,
+  Avatar,
+  Space,
+  Tag,
+  Popconfirm,
+  Empty,
+  message,
+} from "antd";
+import {
+  PlusOutlined,
+  EditOutlined,
+  DeleteOutlined,
+  RobotOutlined,
+} from "@ant-design/icons";
+import { useTranslation } from "react-i18next";
+import { getEnabledProviders } from "../../services/aiService";
+import { getModelName } from "../../services/models";
+import mcpService from "../../services/mcpService";
+
+const { Option, OptGroup } = Select;
+const { TextArea } = Input;
+
+// Use API exposed in preload.js
+const electronAPI = window.electronAPI;
+
+// Form values of an assistant, the model is edited as "providerId|modelId"
+const toFormValues = (assistant) => ({
+  name: assistant?.name || "",
+  avatar: assistant?.avatar || "",
+  systemPrompt: assistant?.systemPrompt || "",
+  model:
+    assistant?.providerId && assistant?.modelId
+      ? `${assistant.providerId}|${assistant.modelId}`
+      : undefined,
+  temperature: assistant?.temperature ?? null,
+  mcpMode: Array.isArray(assistant?.mcpServerIds) ? "selected" : "all",
+  mcpServerIds: assistant?.mcpServerIds || [],
+});
+
+const AssistantSettings = () => {
+  const { t } = useTranslation();
+  const [assistants, setAssistants] = useState([]);
+  const [servers, setServers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [editing, setEditing] = useState(null); // assistant being edited, {} for a new one
+  const [form] = Form.useForm();
+  const mcpMode = Form.useWatch("mcpMode", form);
+
+  // Load assistants and the MCP servers they can use
+  const loadAssistants = async () => {
+    setLoading(true);
+    try {
+      const [assistantList, serverList] = await Promise.all([
+        electronAPI.getAssistants(),
+        mcpService.getAllServers(),
+      ]);
+      setAssistants(assistantList);
+      setServers(serverList || []);
+    } catch (error) {
+      console.error("Failed to load assistants:", error);
+      message.error(t("assistant.loadFailed"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadAssistants();
+  }, []);
+
+  const handleSave = async () => {
+    let values;
+    try {
+      values = await form.validateFields();
+    } catch (info) {
+      console.log("assistant form validation failed:", info);
+      return;
+    }
+
+    const [providerId = "", modelId = ""] = (values.model || "").split("|");
+    setSaving(true);
+    try {
+      await electronAPI.saveAssistant({
+        id: editing?.id,
+        name: values.name,
+        avatar: values.avatar,
+        systemPrompt: values.systemPrompt,
+        providerId,
+        modelId,
+        temperature: values.temperature,
+        mcpServerIds: values.mcpMode === "selected" ? values.mcpServerIds : null,
+      });
+      message.success(t("settings.saveSuccess"));
+      setEditing(null);
+      loadAssistants();
+    } catch (error) {
+      console.error("Failed to save assistant:", error);
+      message.error(t("assistant.saveFailed") + ": " + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (assistant) => {
+    try {
+      await electronAPI.deleteAssistant(assistant.id);
+      setAssistants((prev) => prev.filter((a) => a.id !== assistant.id));
+    } catch (error) {
+      console.error("Failed to delete assistant:", error);
+      message.error(t("assistant.deleteFailed") + ": " + error.message);
+    }
+  };
+
+  const providerModels = getEnabledProviders().map((provider) => ({
+    provider,
+    models: (provider.models || []).filter(
+      (model) => model.enabled !== false && model.deleted !== true
+    ),
+  }));
+
+  return (
+    <div className="settings-content">
+      <Card
+        title={t("assistant.title")}
+        bordered={false}
+        extra={
+          <Button
+            type="primary"
+            icon={<PlusOutlined />}
+            onClick={() => setEditing({})}
+          >
+            {t("assistant.add")}
+          </Button>
+        }
+      >
+        <List
+          loading={loading}
+          dataSource={assistants}
+          locale={{
+            emptyText: <Empty description={t("assistant.empty")} />,
+          }}
+          renderItem={(assistant) => (
+            <List.Item
+              actions={[
+                <Button
+                  key="edit"
+                  type="text"
+                  icon={<EditOutlined />}
+                  onClick={() => setEditing(assistant)}
+                />,
+                <Popconfirm
+                  key="delete"
+                  title={t("assistant.deleteConfirm")}
+                  onConfirm={() => handleDelete(assistant)}
+                  okText={t("common.delete")}
+                  cancelText={t("common.cancel")}
+                >
+                  <Button type="text" danger icon={<DeleteOutlined />} />
+                </Popconfirm>,
+              ]}
+            >
+              <List.Item.Meta
+                avatar={
+                  <Avatar icon={!assistant.avatar && <RobotOutlined />}>
+                    {assistant.avatar}
+                  </Avatar>
+                }
+                title={
+                  <Space>
+                    {assistant.name}
+                    {assistant.modelId && (
+                      <Tag>
+                        {getModelName(assistant.providerId, assistant.modelId)}
+                      </Tag>
+                    )}
+                  </Space>
+                }
+                description={
+                  <div className="assistant-prompt-preview">
+                    {assistant.systemPrompt || t("assistant.noSystemPrompt")}
+                  </div>
+                }
+              />
+            </List.Item>
+          )}
+        />
+      </Card>
+
+      <Modal
+        title={editing?.id ? t("assistant.edit") : t("assistant.add")}
+        open={!!editing}
+        onCancel={() => setEditing(null)}
+        onOk={handleSave}
+        confirmLoading={saving}
+        destroyOnClose
+      >
+        <Form
+          form={form}
+          layout="vertical"
+          preserve={false}
+          initialValues={toFormValues(editing)}
+        >
+          <Form.Item
+            name="name"
+            label={t("assistant.name")}
+            rules={[
+              {
+                required: true,
+                whitespace: true,
+                message: t("assistant.nameRequired"),
+              },
+            ]}
+          >
+            <Input />
+          </Form.Item>
+          <Form.Item
+            name="avatar"
+            label={t("assistant.avatar")}
+            tooltip={t("assistant.avatarHint")}
+          >
+            <Input maxLength={8} style={{ width: 80 }} />
+          </Form.Item>
+          <Form.Item name="systemPrompt" label={t("settings.systemPrompt")}>
+            <TextArea autoSize={{ minRows: 4, maxRows: 12 }} />
+          </Form.Item>
+          <Form.Item
+            name="model"
+            label={t("assistant.defaultModel")}
+            tooltip={t("assistant.defaultModelHint")}
+          >
+            <Select allowClear placeholder={t("assistant.useDefaultModel")}>
+              {providerModels.map(({ provider, models }) => (
+                <OptGroup key={provider.id} label={provider.name}>
+                  {models.map((model) => (
+                    <Option
+                      key={`${provider.id}|${model.id}`}
+                      value={`${provider.id}|${model.id}`}
+                    >
+                      {model.name}
+                    </Option>
+                  ))}
+                </OptGroup>
+              ))}
+            </Select>
+          </Form.Item>
+          <Form.Item
+            name="temperature"
+            label={t("settings.temperature")}
+            tooltip={t("settings.temperatureHint")}
+          >
+            <InputNumber
+              min={0}
+              max={1}
+              step={0.1}
+              placeholder={t("assistant.useDefault")}
+              style={{ width: 120 }}
+            />
+          </Form.Item>
+          <Form.Item name="mcpMode" label={t("assistant.mcpTools")}>
+            <Radio.Group>
+              <Radio value="all">{t("assistant.allActiveServers")}</Radio>
+              <Radio value="selected">{t("assistant.selectedServers")}</Radio>
+            </Radio.Group>
+          </Form.Item>
+          {mcpMode === "selected" && (
+            <Form.Item name="mcpServerIds">
+              <Select
+                mode="multiple"
+                placeholder={t("assistant.noServers")}
+                options={servers.map((server) => ({
+                  label: server.name,
+                  value: server.id,
+                }))}
+              />
+            </Form.Item>
+          )}
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default AssistantSettings;
@@ -0,0 +1,265 @@
+import React, { useState, useEffect } from "react";
+import {
+  Form,
+  Select,
+  Switch,
+  InputNumber,
+  Card,
+  Button,
+  List,
+  Tag,
+  Space,
+  Typography,
+  Modal,
+  Popconfirm,
+  message,
+} from "antd";
+import {
+  CloudUploadOutlined,
+  FolderOpenOutlined,
+  RollbackOutlined,
+  DeleteOutlined,
+  ExclamationCircleOutlined,
+} from "@ant-design/icons";
+import { useTranslation } from "react-i18next";
+import { DEFAULT_BACKUP_SETTINGS } from "../../hooks/useUserConfig";
+
+const { Paragraph, Text } = Typography;
+
+// Use API exposed in preload.js
+const electronAPI = window.electronAPI;
+
+// Tag color for each backup type, see getBackupType in the main process backupService
+const BACKUP_TYPE_COLORS = {
+  auto: "blue",
+  manual: "green",
+  restore: "orange",
+  migration: "purple",
+  other: "default",
+};
+
+// Format a file size in bytes for display
+const formatSize = (size) => {
+  if (size < 1024 * 1024) {
+    return `${(size / 1024).toFixed(1)} KB`;
+  }
+  return `${(size / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const BackupSettings = ({ config, saveConfig }) => {
+  const { t } = useTranslation();
+  const [form] = Form.useForm();
+  const [backups, setBackups] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [backingUp, setBackingUp] = useState(false);
+
+  const settings = { ...DEFAULT_BACKUP_SETTINGS, ...config.backup };
+
+  // Load backup list
+  const loadBackups = async () => {
+    setLoading(true);
+    try {
+      setBackups(await electronAPI.getBackups());
+    } catch (error) {
+      console.error("Failed to load backups:", error);
+      message.error(t("backup.loadFailed"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadBackups();
+  }, []);
+
+  // Initialize form values
+  useEffect(() => {
+    form.setFieldsValue(settings);
+  }, [config, form]);
+
+  // Save settings and reschedule automatic backups
+  const handleFormValueChange = async (changedValues, allValues) => {
+    const backup = { ...settings, ...allValues };
+    saveConfig({ ...config, backup });
+
+    try {
+      await electronAPI.configureBackups(backup);
+      // Enabling backups may have created one right away
+      setTimeout(loadBackups, 1000);
+    } catch (error) {
+      console.error("Failed to configure backups:", error);
+    }
+  };
+
+  // Back up the database now
+  const handleBackupNow = async () => {
+    setBackingUp(true);
+    try {
+      await electronAPI.createBackup();
+      message.success(t("backup.backupSuccess"));
+      loadBackups();
+    } catch (error) {
+      console.error("Failed to create backup:", error);
+      message.error(t("backup.backupFailed") + ": " + error.message);
+    } finally {
+      setBackingUp(false);
+    }
+  };
+
+  // Replace the current database with a backup, the page reloads afterwards
+  const restoreFrom = (filePath) => {
+    Modal.confirm({
+      title: t("backup.restoreConfirm"),
+      content: t("backup.restoreConfirmHint"),
+      icon: <ExclamationCircleOutlined />,
+      okText: t("backup.restore"),
+      okButtonProps: { danger: true },
+      cancelText: t("common.cancel"),
+      onOk: async () => {
+        try {
+          await electronAPI.restoreBackup(filePath);
+          message.success(t("backup.restoreSuccess"));
+
+          // Reload so every page picks up the restored data
+          setTimeout(() => {
+            window.location.reload();
+          }, 500);
+        } catch (error) {
+          console.error("Failed to restore backup:", error);
+          message.error(t("backup.restoreFailed") + ": " + error.message);
+        }
+      },
+    });
+  };
+
+  // Restore from a database file chosen by the user
+  const handleRestoreFromFile = async () => {
+    try {
+      const filePath = await electronAPI.chooseBackupFile();
+      if (filePath) {
+        restoreFrom(filePath);
+      }
+    } catch (error) {
+      console.error("Failed to choose backup file:", error);
+    }
+  };
+
+  // Delete a backup file
+  const handleDelete = async (backup) => {
+    try {
+      await electronAPI.deleteBackup(backup.name);
+      loadBackups();
+    } catch (error) {
+      console.error("Failed to delete backup:", error);
+      message.error(t("backup.deleteFailed"));
+    }
+  };
+
+  return (
+    <div className="settings-content">
+      <Card title={t("backup.title")} bordered={false}>
+        <Paragraph type="secondary">{t("backup.description")}</Paragraph>
+        <Form
+          form={form}
+          layout="vertical"
+          onValuesChange={handleFormValueChange}
+          initialValues={settings}
+        >
+          <Form.Item
+            name="enabled"
+            label={t("backup.autoBackup")}
+            valuePropName="checked"
+          >
+            <Switch />
+          </Form.Item>
+          <Form.Item name="intervalHours" label={t("backup.interval")}>
+            <Select
+              disabled={!settings.enabled}
+              options={[
+                { value: 6, label: t("backup.hours", { count: 6 }) },
+                { value: 12, label: t("backup.hours", { count: 12 }) },
+                { value: 24, label: t("backup.daily") },
+                { value: 168, label: t("backup.weekly") },
+              ]}
+            />
+          </Form.Item>
+          <Form.Item
+            name="keepCount"
+            label={t("backup.keepCount")}
+            tooltip={t("backup.keepCountTooltip")}
+          >
+            <InputNumber min={1} max={50} disabled={!settings.enabled} />
+          </Form.Item>
+        </Form>
+      </Card>
+
+      <Card
+        title={t("backup.backups")}
+        className="settings-card"
+        style={{ marginTop: 16 }}
+        extra={
+          <Space>
+            <Button icon={<FolderOpenOutlined />} onClick={handleRestoreFromFile}>
+              {t("backup.restoreFromFile")}
+            </Button>
+            <Button
+              type="primary"
+              icon={<CloudUploadOutlined />}
+              loading={backingUp}
+              onClick={handleBackupNow}
+            >
+              {t("backup.backupNow")}
+            </Button>
+          </Space>
+        }
+      >
+        <List
+          loading={loading}
+          dataSource={backups}
+          locale={{ emptyText: t("backup.noBackups") }}
+          renderItem={(backup) => (
+            <List.Item
+              actions={[
+                <Button
+                  key="restore"
+                  type="link"
+                  icon={<RollbackOutlined />}
+                  onClick={() => restoreFrom(backup.path)}
+                >
+                  {t("backup.restore")}
+                </Button>,
+                <Popconfirm
+                  key="delete"
+                  title={t("backup.deleteConfirm")}
+                  onConfirm={() => handleDelete(backup)}
+                  okText={t("common.delete")}
+                  cancelText={t("common.cancel")}
+                >
+                  <Button type="link" danger icon={<DeleteOutlined />} />
+                </Popconfirm>,
+              ]}
+            >
+              <List.Item.Meta
+                title={
+                  <Space>
+                    {new Date(backup.createdAt).toLocaleString()}
+                    <Tag color={BACKUP_TYPE_COLORS[backup.type]}>
+                      {t(`backup.types.${backup.type}`)}
+                    </Tag>
+                  </Space>
+                }
+                description={
+                  <Text type="secondary">
+                    {backup.name} · {formatSize(backup.size)}
+                  </Text>
+                }
+              />
+            </List.Item>
+          )}
+        />
+      </Card>
+    </div>
+  );
+};
+
+export default BackupSettings;
@@ -2,6 +2,7 @@ import React, { useEffect } from "react";
 import { Form, Select, Card, Button, Typography, Modal, message } from "antd";
 import { ClearOutlined, ExclamationCircleOutlined } from "@ant-design/icons";
 import { useTranslation } from "react-i18next";
+import { DEFAULT_TRASH_RETENTION_DAYS } from "../../hooks/useUserConfig";
 
 const { Title, Paragraph } = Typography;
 
@@ -18,6 +19,8 @@ const GeneralSettings = ({
   useEffect(() => {
     form.setFieldsValue({
       language: config.language || "en",
+      trashRetentionDays:
+        config.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS,
     });
   }, [config, form]);
 
@@ -42,7 +45,11 @@ const GeneralSettings = ({
           form={form}
           layout="vertical"
           onValuesChange={handleFormValueChange}
-          initialValues={{ language: config.language || "en" }}
+          initialValues={{
+            language: config.language || "en",
+            trashRetentionDays:
+              config.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS,
+          }}
         >
           <Form.Item
             name="language"
@@ -57,6 +64,21 @@ const GeneralSettings = ({
               ]}
             />
           </Form.Item>
+          <Form.Item
+            name="trashRetentionDays"
+            label={t("settings.trashRetention")}
+            tooltip={t("settings.trashRetentionTooltip")}
+          >
+            <Select
+              options={[
+                { value: 7, label: t("settings.days", { count: 7 }) },
+                { value: 30, label: t("settings.days", { count: 30 }) },
+                { value: 90, label: t("settings.days", { count: 90 }) },
+                { value: 365, label: t("settings.days", { count: 365 }) },
+                { value: 0, label: t("settings.keepForever") },
+              ]}
+            />
+          </Form.Item>
         </Form>
       </Card>
 
@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from "react";
+import {
+  Modal,
+  Input,
+  Select,
+  List,
+  Checkbox,
+  Tag,
+  Space,
+  Button,
+  Alert,
+  Typography,
+} from "antd";
+import { ReloadOutlined } from "@ant-design/icons";
+import { useTranslation } from "react-i18next";
+import { refreshModelCatalog } from "../../services/modelDiscovery";
+import { getModelCatalog } from "../../services/providerService";
+
+const { Text } = Typography;
+
+// Type filter value that shows every model
+const ALL_TYPES = "all";
+
+// Model types that can be filtered, see getModelTypes
+const MODEL_TYPES = [
+  "chat",
+  "vision",
+  "reasoning",
+  "embedding",
+  "text_to_image",
+];
+
+// Tag colors of the model types, chat models get no tag
+const TYPE_COLORS = {
+  vision: "green",
+  reasoning: "purple",
+  embedding: "orange",
+  text_to_image: "magenta",
+};
+
+/**
+ * Model discovery modal
+ * Lists the models a provider offers and adds or enables the selected ones
+ *
+ * @param {Object} props Component properties
+ * @param {boolean} props.open Whether the modal is open
+ * @param {Object} props.provider Provider whose models are discovered
+ * @param {Function} props.onCancel Close callback
+ * @param {Function} props.onAdd Called with the selected models
+ * @returns {JSX.Element} Model discovery modal
+ */
+const ModelDiscoveryModal = ({ open, provider, onCancel, onAdd }) => {
+  const { t } = useTranslation();
+  const [catalog, setCatalog] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState("");
+  const [typeFilter, setTypeFilter] = useState(ALL_TYPES);
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  const refresh = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setCatalog(await refreshModelCatalog(provider.id));
+    } catch (err) {
+      console.error("Failed to fetch models:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The saved catalog is shown right away while the list is fetched again
+  useEffect(() => {
+    if (!open) return;
+    setCatalog(getModelCatalog(provider.id));
+    setSelectedIds([]);
+    setSearch("");
+    setTypeFilter(ALL_TYPES);
+    refresh();
+  }, [open, provider.id]);
+
+  const savedModels = new Map(
+    provider.models.map((model) => [model.id, model])
+  );
+  const isAdded = (modelId) =>
+    savedModels.has(modelId) && savedModels.get(modelId).enabled !== false;
+
+  const keyword = search.trim().toLowerCase();
+  const visibleModels = (catalog?.models || []).filter(
+    (model) =>
+      (typeFilter === ALL_TYPES || model.types.includes(typeFilter)) &&
+      (!keyword || model.id.toLowerCase().includes(keyword))
+  );
+  const selectableIds = visibleModels
+    .filter((model) => !isAdded(model.id))
+    .map((model) => model.id);
+
+  const toggleModel = (modelId, checked) => {
+    setSelectedIds((prev) =>
+      checked ? [...prev, modelId] : prev.filter((id) => id !== modelId)
+    );
+  };
+
+  const selectAllVisible = () => {
+    setSelectedIds((prev) => [...new Set([...prev, ...selectableIds])]);
+  };
+
+  const handleOk = () => {
+    const selected = new Set(selectedIds);
+    onAdd(
+      catalog.models
+        .filter((model) => selected.has(model.id))
+        .map((model) => ({ id: model.id, name: model.id, type: model.types }))
+    );
+  };
+
+  const renderStatus = (model) => {
+    if (isAdded(model.id)) {
+      return <Tag color="success">{t("modelDiscovery.added")}</Tag>;
+    }
+    if (savedModels.has(model.id)) {
+      return <Tag>{t("common.disabled")}</Tag>;
+    }
+    if (catalog.newModelIds?.includes(model.id)) {
+      return <Tag color="blue">{t("modelDiscovery.new")}</Tag>;
+    }
+    return null;
+  };
+
+  return (
+    <Modal
+      title={t("modelDiscovery.title", { name: provider.name })}
+      open={open}
+      onCancel={onCancel}
+      onOk={handleOk}
+      okText={t("modelDiscovery.addSelected", { count: selectedIds.length })}
+      okButtonProps={{ disabled: selectedIds.length === 0 }}
+      cancelText={t("common.cancel")}
+      width={680}
+      destroyOnClose
+    >
+      <Space className="model-discovery-toolbar" wrap>
+        <Input.Search
+          allowClear
+          placeholder={t("modelDiscovery.search")}
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          style={{ width: 220 }}
+        />
+        <Select
+          value={typeFilter}
+          onChange={setTypeFilter}
+          style={{ width: 150 }}
+          options={[
+            { label: t("modelDiscovery.allTypes"), value: ALL_TYPES },
+            ...MODEL_TYPES.map((type) => ({
+              label: t(`modelDiscovery.types.${type}`),
+              value: type,
+            })),
+          ]}
+        />
+        <Button
+          onClick={selectAllVisible}
+          disabled={selectableIds.length === 0}
+        >
+          {t("modelDiscovery.selectAll")}
+        </Button>
+        <Button icon={<ReloadOutlined />} onClick={refresh} loading={loading}>
+          {t("modelDiscovery.refresh")}
+        </Button>
+      </Space>
+
+      {error && (
+        <Alert
+          type="error"
+          showIcon
+          message={t("modelDiscovery.fetchFailed")}
+          description={error}
+          style={{ marginBottom: 12 }}
+        />
+      )}
+      {catalog && (
+        <Text type="secondary">
+          {t("modelDiscovery.updatedAt", {
+            count: catalog.models.length,
+            time: new Date(catalog.fetchedAt).toLocaleString(),
+          })}
+        </Text>
+      )}
+
+      <List
+        className="model-discovery-list"
+        size="small"
+        loading={loading && !catalog}
+        dataSource={visibleModels}
+        locale={{ emptyText: t("modelDiscovery.noModels") }}
+        renderItem={(model) => (
+          <List.Item extra={renderStatus(model)}>
+            <Checkbox
+              checked={isAdded(model.id) || selectedIds.includes(model.id)}
+              disabled={isAdded(model.id)}
+              onChange={(e) => toggleModel(model.id, e.target.checked)}
+            >
+              <Space size={4} wrap>
+                <span>{model.id}</span>
+                {model.types
+                  .filter((type) => TYPE_COLORS[type])
+                  .map((type) => (
+                    <Tag key={type} color={TYPE_COLORS[type]}>
+                      {t(`modelDiscovery.types.${type}`)}
+                    </Tag>
+                  ))}
+              </Space>
+            </Checkbox>
+          </List.Item>
+        )}
+      />
+    </Modal>
+  );
+};
+
+export default ModelDiscoveryModal;
@@ -15,6 +15,7 @@ import {
 import { useTranslation } from "react-i18next";
 import { PlusOutlined, ApiOutlined } from "@ant-design/icons";
 import { providerService } from "../../services/providerService";
+import { waitForProviderConfigSave } from "../../hooks/useUserConfig";
 
 const { Title, Paragraph } = Typography;
 
@@ -91,6 +92,9 @@ const ModelServices = ({
       const result = providerService.addCustomProvider(newProviderData);
 
       if (result.success) {
+        // Surface errors from encrypting the API key
+        await waitForProviderConfigSave();
+
         // Re-fetch all providers to ensure data consistency
         const allProviders = providerService.getAllProviders();
         setProviders(allProviders);
@@ -106,7 +110,10 @@ const ModelServices = ({
       }
     } catch (error) {
       console.error("Failed to add provider:", error);
-      message.error(t("settings.addProviderFailed"));
+      message.error(
+        t("settings.addProviderFailed") +
+          (error.message ? ": " + error.message : "")
+      );
     }
   };
 
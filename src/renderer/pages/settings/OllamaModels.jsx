@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useRef } from "react";
+import {
+  Card,
+  Button,
+  Input,
+  List,
+  Space,
+  Tag,
+  Progress,
+  Alert,
+  Typography,
+  message,
+} from "antd";
+import {
+  ReloadOutlined,
+  DownloadOutlined,
+  PlusOutlined,
+} from "@ant-design/icons";
+import { useTranslation } from "react-i18next";
+import {
+  listOllamaModels,
+  getOllamaModelInfo,
+  pullOllamaModel,
+} from "../../services/ollamaService";
+
+const { Text } = Typography;
+
+// Format a model size in bytes for display
+const formatSize = (size) => {
+  if (size < 1024 * 1024 * 1024) {
+    return `${(size / 1024 / 1024).toFixed(0)} MB`;
+  }
+  return `${(size / 1024 / 1024 / 1024).toFixed(1)} GB`;
+};
+
+/**
+ * Models installed on an Ollama server
+ * Lists the installed models with their details and downloads new ones
+ *
+ * @param {Object} props Component properties
+ * @param {string} props.baseUrl Ollama server URL
+ * @param {Array} props.addedModelIds IDs of the models the provider already has
+ * @param {Function} props.onAddModel Called with a model name to add it to the provider
+ * @returns {JSX.Element} Ollama models card
+ */
+const OllamaModels = ({ baseUrl, addedModelIds, onAddModel }) => {
+  const { t } = useTranslation();
+  const [models, setModels] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [pullName, setPullName] = useState("");
+  const [pullProgress, setPullProgress] = useState(null); // { status, completed, total } while pulling
+  const pullControllerRef = useRef(null);
+
+  // Servers behind a proxy may need the provider's key
+  const getApiKey = () => window.electronAPI.getProviderApiKey("ollama");
+
+  const loadModels = async () => {
+    setLoading(true);
+    setLoadError(null);
+    try {
+      const apiKey = await getApiKey();
+      const installed = await listOllamaModels(baseUrl, apiKey);
+      // Details are optional, a model without them is still listed
+      const withInfo = await Promise.all(
+        installed.map(async (model) => ({
+          ...model,
+          info: await getOllamaModelInfo(baseUrl, model.name, apiKey).catch(
+            () => null
+          ),
+        }))
+      );
+      setModels(withInfo);
+    } catch (error) {
+      console.error("Failed to list Ollama models:", error);
+      setModels([]);
+      setLoadError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadModels();
+  }, [baseUrl]);
+
+  // Stop a running download when the page is left
+  useEffect(() => () => pullControllerRef.current?.abort(), []);
+
+  const handlePull = async () => {
+    const name = pullName.trim();
+    if (!name) return;
+
+    const controller = new AbortController();
+    pullControllerRef.current = controller;
+    setPullProgress({ status: "", completed: 0, total: 0 });
+    try {
+      await pullOllamaModel(
+        baseUrl,
+        name,
+        setPullProgress,
+        controller.signal,
+        await getApiKey()
+      );
+      message.success(t("ollama.pullSuccess", { name }));
+      setPullName("");
+      // A pulled model is meant to be used, so it is added right away
+      if (!addedModelIds.includes(name)) {
+        onAddModel(name);
+      }
+      loadModels();
+    } catch (error) {
+      if (error.name === "AbortError") {
+        message.info(t("ollama.pullCancelled"));
+      } else {
+        console.error("Failed to pull Ollama model:", error);
+        message.error(t("ollama.pullFailed") + ": " + error.message);
+      }
+    } finally {
+      pullControllerRef.current = null;
+      setPullProgress(null);
+    }
+  };
+
+  const renderDetails = (model) => {
+    const info = model.info;
+    return (
+      <Space size={[0, 4]} wrap>
+        <Tag>{formatSize(model.size)}</Tag>
+        {(info?.parameterSize || model.details?.parameter_size) && (
+          <Tag>{info?.parameterSize || model.details.parameter_size}</Tag>
+        )}
+        {(info?.quantization || model.details?.quantization_level) && (
+          <Tag>{info?.quantization || model.details.quantization_level}</Tag>
+        )}
+        {info?.contextLength && (
+          <Tag>
+            {t("ollama.contextLength", {
+              count: info.contextLength.toLocaleString(),
+            })}
+          </Tag>
+        )}
+        {info?.capabilities.includes("thinking") && (
+          <Tag color="purple">{t("ollama.thinking")}</Tag>
+        )}
+        {info?.capabilities.includes("tools") && (
+          <Tag color="blue">{t("ollama.tools")}</Tag>
+        )}
+      </Space>
+    );
+  };
+
+  const pullPercent =
+    pullProgress?.total > 0
+      ? Math.floor((pullProgress.completed / pullProgress.total) * 100)
+      : 0;
+
+  return (
+    <Card
+      className="settings-card"
+      title={t("ollama.title")}
+      extra={
+        <Button
+          icon={<ReloadOutlined />}
+          onClick={loadModels}
+          loading={loading}
+        >
+          {t("ollama.refresh")}
+        </Button>
+      }
+    >
+      <Space.Compact style={{ width: "100%" }}>
+        <Input
+          value={pullName}
+          onChange={(e) => setPullName(e.target.value)}
+          onPressEnter={handlePull}
+          placeholder={t("ollama.pullPlaceholder")}
+          disabled={!!pullProgress}
+        />
+        {pullProgress ? (
+          <Button onClick={() => pullControllerRef.current?.abort()}>
+            {t("common.cancel")}
+          </Button>
+        ) : (
+          <Button
+            type="primary"
+            icon={<DownloadOutlined />}
+            onClick={handlePull}
+            disabled={!pullName.trim()}
+          >
+            {t("ollama.pull")}
+          </Button>
+        )}
+      </Space.Compact>
+      {pullProgress && (
+        <div className="ollama-pull-progress">
+          <Text type="secondary">
+            {pullProgress.status || t("ollama.pullStarting")}
+          </Text>
+          <Progress percent={pullPercent} size="small" />
+        </div>
+      )}
+
+      {loadError && (
+        <Alert
+          type="error"
+          showIcon
+          message={t("ollama.connectFailed")}
+          description={loadError}
+          style={{ marginTop: 16 }}
+        />
+      )}
+
+      <List
+        className="ollama-model-list"
+        loading={loading}
+        dataSource={models}
+        locale={{ emptyText: t("ollama.noModels") }}
+        renderItem={(model) => (
+          <List.Item
+            actions={[
+              addedModelIds.includes(model.name) ? (
+                <Tag key="added" color="success">
+                  {t("ollama.added")}
+                </Tag>
+              ) : (
+                <Button
+                  key="add"
+                  size="small"
+                  icon={<PlusOutlined />}
+                  onClick={() => onAddModel(model.name)}
+                >
+                  {t("ollama.add")}
+                </Button>
+              ),
+            ]}
+          >
+            <List.Item.Meta
+              title={model.name}
+              description={renderDetails(model)}
+            />
+          </List.Item>
+        )}
+      />
+    </Card>
+  );
+};
+
+export default OllamaModels;
@@ -0,0 +1,289 @@
+import React, { useState, useEffect } from "react";
+import {
+  Card,
+  Form,
+  Input,
+  Button,
+  List,
+  Select,
+  Modal,
+  AutoComplete,
+  Space,
+  Tag,
+  Popconfirm,
+  Empty,
+  message,
+} from "antd";
+import {
+  PlusOutlined,
+  EditOutlined,
+  DeleteOutlined,
+  DownloadOutlined,
+  UploadOutlined,
+} from "@ant-design/icons";
+import { useTranslation } from "react-i18next";
+import { extractVariables, matchPrompt } from "../../services/promptTemplate";
+
+const { TextArea, Search } = Input;
+
+// Use API exposed in preload.js
+const electronAPI = window.electronAPI;
+
+// Category filter value that shows every prompt
+const ALL_CATEGORIES = "__all__";
+
+const PromptSettings = () => {
+  const { t } = useTranslation();
+  const [prompts, setPrompts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [search, setSearch] = useState("");
+  const [category, setCategory] = useState(ALL_CATEGORIES);
+  const [editing, setEditing] = useState(null); // prompt being edited, {} for a new one
+  const [form] = Form.useForm();
+  const content = Form.useWatch("content", form);
+
+  const loadPrompts = async () => {
+    setLoading(true);
+    try {
+      setPrompts(await electronAPI.getPrompts());
+    } catch (error) {
+      console.error("Failed to load prompts:", error);
+      message.error(t("prompt.loadFailed"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadPrompts();
+  }, []);
+
+  const handleSave = async () => {
+    let values;
+    try {
+      values = await form.validateFields();
+    } catch (info) {
+      console.log("prompt form validation failed:", info);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await electronAPI.savePrompt({ id: editing?.id, ...values });
+      message.success(t("settings.saveSuccess"));
+      setEditing(null);
+      loadPrompts();
+    } catch (error) {
+      console.error("Failed to save prompt:", error);
+      message.error(t("prompt.saveFailed") + ": " + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (prompt) => {
+    try {
+      await electronAPI.deletePrompt(prompt.id);
+      setPrompts((prev) => prev.filter((p) => p.id !== prompt.id));
+    } catch (error) {
+      console.error("Failed to delete prompt:", error);
+      message.error(t("prompt.deleteFailed") + ": " + error.message);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const result = await electronAPI.exportPrompts();
+      if (result.success) {
+        message.success(t("prompt.exportSuccess", { count: result.count }));
+      }
+    } catch (error) {
+      console.error("Failed to export prompts:", error);
+      message.error(t("prompt.exportFailed") + ": " + error.message);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      const result = await electronAPI.importPrompts();
+      if (result.success) {
+        message.success(t("prompt.importSuccess", result));
+        loadPrompts();
+      }
+    } catch (error) {
+      console.error("Failed to import prompts:", error);
+      message.error(t("prompt.importFailed") + ": " + error.message);
+    }
+  };
+
+  const categories = [
+    ...new Set(prompts.map((prompt) => prompt.category).filter(Boolean)),
+  ];
+  const visiblePrompts = prompts.filter(
+    (prompt) =>
+      (category === ALL_CATEGORIES || prompt.category === category) &&
+      matchPrompt(prompt, search)
+  );
+  const variables = extractVariables(content);
+
+  return (
+    <div className="settings-content">
+      <Card
+        title={t("prompt.title")}
+        bordered={false}
+        extra={
+          <Space>
+            <Button icon={<UploadOutlined />} onClick={handleImport}>
+              {t("prompt.import")}
+            </Button>
+            <Button icon={<DownloadOutlined />} onClick={handleExport}>
+              {t("prompt.export")}
+            </Button>
+            <Button
+              type="primary"
+              icon={<PlusOutlined />}
+              onClick={() => setEditing({})}
+            >
+              {t("prompt.add")}
+            </Button>
+          </Space>
+        }
+      >
+        <Space style={{ marginBottom: 16 }}>
+          <Search
+            allowClear
+            placeholder={t("prompt.search")}
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            style={{ width: 240 }}
+          />
+          <Select
+            value={category}
+            onChange={setCategory}
+            style={{ width: 180 }}
+            options={[
+              { label: t("prompt.allCategories"), value: ALL_CATEGORIES },
+              ...categories.map((name) => ({ label: name, value: name })),
+            ]}
+          />
+        </Space>
+        <List
+          loading={loading}
+          dataSource={visiblePrompts}
+          locale={{
+            emptyText: (
+              <Empty
+                description={
+                  prompts.length === 0 ? t("prompt.empty") : t("prompt.noMatch")
+                }
+              />
+            ),
+          }}
+          renderItem={(prompt) => (
+            <List.Item
+              actions={[
+                <Button
+                  key="edit"
+                  type="text"
+                  icon={<EditOutlined />}
+                  onClick={() => setEditing(prompt)}
+                />,
+                <Popconfirm
+                  key="delete"
+                  title={t("prompt.deleteConfirm")}
+                  onConfirm={() => handleDelete(prompt)}
+                  okText={t("common.delete")}
+                  cancelText={t("common.cancel")}
+                >
+                  <Button type="text" danger icon={<DeleteOutlined />} />
+                </Popconfirm>,
+              ]}
+            >
+              <List.Item.Meta
+                title={
+                  <Space>
+                    {prompt.title}
+                    {prompt.category && <Tag>{prompt.category}</Tag>}
+                  </Space>
+                }
+                description={
+                  <div className="prompt-content-preview">{prompt.content}</div>
+                }
+              />
+            </List.Item>
+          )}
+        />
+      </Card>
+
+      <Modal
+        title={editing?.id ? t("prompt.edit") : t("prompt.add")}
+        open={!!editing}
+        onCancel={() => setEditing(null)}
+        onOk={handleSave}
+        confirmLoading={saving}
+        width={640}
+        destroyOnClose
+      >
+        <Form
+          form={form}
+          layout="vertical"
+          preserve={false}
+          initialValues={{
+            title: editing?.title || "",
+            category: editing?.category || "",
+            content: editing?.content || "",
+          }}
+        >
+          <Form.Item
+            name="title"
+            label={t("prompt.name")}
+            rules={[
+              {
+                required: true,
+                whitespace: true,
+                message: t("prompt.nameRequired"),
+              },
+            ]}
+          >
+            <Input />
+          </Form.Item>
+          <Form.Item name="category" label={t("prompt.category")}>
+            <AutoComplete
+              options={categories.map((name) => ({ value: name }))}
+              filterOption={(input, option) =>
+                option.value.toLowerCase().includes(input.toLowerCase())
+              }
+            />
+          </Form.Item>
+          <Form.Item
+            name="content"
+            label={t("prompt.content")}
+            tooltip={t("prompt.contentHint", { example: "{{name}}" })}
+            rules={[
+              {
+                required: true,
+                whitespace: true,
+                message: t("prompt.contentRequired"),
+              },
+            ]}
+          >
+            <TextArea autoSize={{ minRows: 6, maxRows: 16 }} />
+          </Form.Item>
+          {variables.length > 0 && (
+            <div>
+              {t("prompt.variables")}:{" "}
+              {variables.map((name) => (
+                <Tag key={name} color="blue">
+                  {name}
+                </Tag>
+              ))}
+            </div>
+          )}
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default PromptSettings;
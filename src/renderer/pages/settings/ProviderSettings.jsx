@@ -22,9 +22,14 @@ import {
   PlusOutlined,
   DeleteOutlined,
   EditOutlined,
+  CloudDownloadOutlined,
 } from "@ant-design/icons";
 import { useTranslation } from "react-i18next";
 import { providerService } from "../../services/providerService";
+import { waitForProviderConfigSave } from "../../hooks/useUserConfig";
+import OllamaModels from "./OllamaModels";
+import ModelDiscoveryModal from "./ModelDiscoveryModal";
+import { supportsModelDiscovery } from "../../services/modelDiscovery";
 
 const { Title, Text } = Typography;
 
@@ -40,6 +45,7 @@ const ProviderSettings = ({
   const [isAddModelModalVisible, setIsAddModelModalVisible] = useState(false);
   const [isEditModelModalVisible, setIsEditModelModalVisible] = useState(false);
   const [currentEditModel, setCurrentEditModel] = useState(null);
+  const [isDiscoveryModalVisible, setIsDiscoveryModalVisible] = useState(false);
 
   // Initialize form and state
   useEffect(() => {
@@ -52,9 +58,9 @@ const ProviderSettings = ({
 
       setSelectedProvider(filteredProvider);
 
-      // Set form initial values
+      // Set form initial values, saved API keys are never sent back to the page
       form.setFieldsValue({
-        apiKey: initialProvider.apiKey || "",
+        apiKey: "",
         baseUrl: initialProvider.baseUrl || "",
       });
     }
@@ -150,6 +156,58 @@ const ProviderSettings = ({
     }
   };
 
+  // Add a model installed on the Ollama server
+  const handleAddOllamaModel = (modelId) => {
+    const result = providerService.addModel(selectedProvider.id, {
+      id: modelId,
+      name: modelId,
+      enabled: true,
+    });
+
+    if (result.success) {
+      const updatedProvider = providerService.getProviderById(
+        selectedProvider.id
+      );
+      setSelectedProvider(updatedProvider);
+
+      // Notify parent component to update
+      if (onProviderUpdate) {
+        onProviderUpdate(updatedProvider);
+      }
+
+      message.success(t("settings.addModelSuccess"));
+    } else {
+      message.error(result.message || t("settings.addModelFailed"));
+    }
+  };
+
+  // Add or enable the models picked from the provider's model list
+  const handleAddDiscoveredModels = (models) => {
+    const result = providerService.addModels(selectedProvider.id, models);
+
+    if (result.success) {
+      const updatedProvider = providerService.getProviderById(
+        selectedProvider.id
+      );
+      setSelectedProvider(updatedProvider);
+
+      // Notify parent component to update
+      if (onProviderUpdate) {
+        onProviderUpdate(updatedProvider);
+      }
+
+      message.success(
+        t("modelDiscovery.addSuccess", {
+          added: result.added,
+          enabled: result.enabled,
+        })
+      );
+      setIsDiscoveryModalVisible(false);
+    } else {
+      message.error(result.message || t("settings.addModelFailed"));
+    }
+  };
+
   // Handle edit model
   const handleEditModel = async () => {
     if (!currentEditModel) return;
@@ -242,6 +300,59 @@ const ProviderSettings = ({
     }
   };
 
+  // Save provider settings, apiKey is left out to keep the saved key and null removes it
+  const persistProviderSettings = async (apiKey) => {
+    const values = form.getFieldsValue();
+
+    // Use providerService to save provider settings
+    const result = providerService.saveProviderSettings(selectedProvider.id, {
+      ...(apiKey !== undefined ? { apiKey } : {}),
+      baseUrl: values.baseUrl || "",
+      // If it's a custom provider, save isCustom flag and name
+      ...(selectedProvider.isCustom
+        ? {
+            isCustom: true,
+            name: selectedProvider.name,
+          }
+        : {}),
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    try {
+      // API keys are encrypted by the main process, which fails without secure storage
+      await waitForProviderConfigSave();
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+
+    // Update state with the new key reference
+    const updatedProvider = {
+      ...selectedProvider,
+      ...providerService.getProviderById(selectedProvider.id),
+      models: selectedProvider.models,
+    };
+    setSelectedProvider(updatedProvider);
+    form.setFieldsValue({ apiKey: "" });
+
+    // Notify parent component to update
+    if (onProviderUpdate) {
+      onProviderUpdate(updatedProvider);
+    }
+    return result;
+  };
+
+  // Remove the saved API key
+  const handleRemoveApiKey = async () => {
+    const result = await persistProviderSettings(null);
+    if (result.success) {
+      message.success(t("settings.apiKeyRemoved"));
+    } else {
+      message.error(result.message || t("settings.saveFailed"));
+    }
+  };
+
   // Handle save provider settings
   const handleSaveProvider = () => {
     if (!selectedProvider) {
@@ -251,37 +362,10 @@ const ProviderSettings = ({
 
     form
       .validateFields()
-      .then((values) => {
-        // Use providerService to save provider settings
-        const result = providerService.saveProviderSettings(
-          selectedProvider.id,
-          {
-            apiKey: values.apiKey || "",
-            baseUrl: values.baseUrl || "",
-            // If it's a custom provider, save isCustom flag and name
-            ...(selectedProvider.isCustom
-              ? {
-                  isCustom: true,
-                  name: selectedProvider.name,
-                }
-              : {}),
-          }
-        );
+      .then(async (values) => {
+        const result = await persistProviderSettings(values.apiKey || undefined);
 
         if (result.success) {
-          // Update state
-          const updatedProvider = {
-            ...selectedProvider,
-            apiKey: values.apiKey,
-            baseUrl: values.baseUrl,
-          };
-          setSelectedProvider(updatedProvider);
-
-          // Notify parent component to update
-          if (onProviderUpdate) {
-            onProviderUpdate(updatedProvider);
-          }
-
           message.success(t("settings.saveSuccess"));
 
           // Return to list page
@@ -414,7 +498,7 @@ const ProviderSettings = ({
             form={form}
             onFinish={handleSaveProvider}
             initialValues={{
-              apiKey: selectedProvider.apiKey || "",
+              apiKey: "",
               baseUrl: selectedProvider.baseUrl || "",
             }}
           >
@@ -442,8 +526,31 @@ const ProviderSettings = ({
                   message: t("settings.apiKeyRequired"),
                 },
               ]}
+              extra={
+                selectedProvider.apiKeyRef ? (
+                  <Space size={4}>
+                    <Text type="secondary">{t("settings.apiKeySaved")}</Text>
+                    <Popconfirm
+                      title={t("settings.removeApiKeyConfirm")}
+                      onConfirm={handleRemoveApiKey}
+                      okText={t("common.delete")}
+                      cancelText={t("common.cancel")}
+                    >
+                      <Button type="link" size="small" danger>
+                        {t("settings.removeApiKey")}
+                      </Button>
+                    </Popconfirm>
+                  </Space>
+                ) : null
+              }
             >
-              <Input.Password placeholder={t("settings.enterApiKey")} />
+              <Input.Password
+                placeholder={
+                  selectedProvider.apiKeyRef
+                    ? t("settings.replaceApiKey")
+                    : t("settings.enterApiKey")
+                }
+              />
             </Form.Item>
 
             <Form.Item>
@@ -458,13 +565,23 @@ const ProviderSettings = ({
           className="settings-card"
           title={t("settings.modelSettings")}
           extra={
-            <Button
-              type="primary"
-              onClick={showAddModelModal}
-              icon={<PlusOutlined />}
-            >
-              {t("settings.addModel")}
-            </Button>
+            <Space>
+              {supportsModelDiscovery(selectedProvider.id) && (
+                <Button
+                  onClick={() => setIsDiscoveryModalVisible(true)}
+                  icon={<CloudDownloadOutlined />}
+                >
+                  {t("modelDiscovery.fetch")}
+                </Button>
+              )}
+              <Button
+                type="primary"
+                onClick={showAddModelModal}
+                icon={<PlusOutlined />}
+              >
+                {t("settings.addModel")}
+              </Button>
+            </Space>
           }
         >
           <div className="settings-section">
@@ -489,8 +606,24 @@ const ProviderSettings = ({
             )}
           </div>
         </Card>
+
+        {selectedProvider.id === "ollama" && (
+          <OllamaModels
+            baseUrl={selectedProvider.baseUrl}
+            addedModelIds={selectedProvider.models.map((model) => model.id)}
+            onAddModel={handleAddOllamaModel}
+          />
+        )}
       </div>
 
+      {/* Model Discovery Modal */}
+      <ModelDiscoveryModal
+        open={isDiscoveryModalVisible}
+        provider={selectedProvider}
+        onCancel={() => setIsDiscoveryModalVisible(false)}
+        onAdd={handleAddDiscoveredModels}
+      />
+
       {/* Add Model Modal */}
       <Modal
         title={t("settings.addModel")}
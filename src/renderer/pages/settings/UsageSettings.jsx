@@ -0,0 +1,339 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Card,
+  Button,
+  DatePicker,
+  Table,
+  Tabs,
+  Statistic,
+  Row,
+  Col,
+  Progress,
+  Space,
+  Tag,
+  message,
+} from "antd";
+import { DownloadOutlined, ReloadOutlined } from "@ant-design/icons";
+import { useTranslation } from "react-i18next";
+import dayjs from "dayjs";
+import {
+  getAllProviders,
+  formatTokenCount,
+  formatCost,
+} from "../../services/models";
+
+const { RangePicker } = DatePicker;
+
+// Use API exposed in preload.js
+const electronAPI = window.electronAPI;
+
+// Range shown when the page is opened
+const DEFAULT_RANGE_DAYS = 30;
+
+// Format an average latency in milliseconds for display
+const formatLatency = (latencyMs) =>
+  latencyMs == null ? "-" : `${(latencyMs / 1000).toFixed(1)}s`;
+
+const UsageSettings = () => {
+  const { t } = useTranslation();
+  const [dateRange, setDateRange] = useState(() => [
+    dayjs().subtract(DEFAULT_RANGE_DAYS - 1, "day"),
+    dayjs(),
+  ]);
+  const [breakdown, setBreakdown] = useState("day");
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  // Date range as sent to the main process, whole days in local time
+  const filters = {
+    dateFrom: dateRange?.[0] ? dateRange[0].startOf("day").valueOf() : null,
+    dateTo: dateRange?.[1] ? dateRange[1].endOf("day").valueOf() : null,
+  };
+
+  // Load statistics for the selected range
+  const loadStats = useCallback(async () => {
+    setLoading(true);
+    try {
+      setStats(await electronAPI.getUsageStats(filters));
+    } catch (error) {
+      console.error("Failed to load usage statistics:", error);
+      message.error(t("usage.loadFailed"));
+    } finally {
+      setLoading(false);
+    }
+  }, [filters.dateFrom, filters.dateTo, t]);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  // Export the selected breakdown as CSV
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const result = await electronAPI.exportUsageCsv(breakdown, filters);
+      if (result.success) {
+        message.success(t("usage.exportSuccess"));
+      }
+    } catch (error) {
+      console.error("Failed to export usage:", error);
+      message.error(t("usage.exportFailed") + ": " + error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Display names of providers and models, ids are shown for removed ones
+  const providers = getAllProviders();
+  const getProviderName = (providerId) =>
+    providers.find((p) => p.id === providerId)?.name || providerId;
+  const getModelDisplayName = (providerId, modelId) =>
+    providers
+      .find((p) => p.id === providerId)
+      ?.models.find((m) => m.id === modelId)?.name || modelId;
+
+  // Columns shared by the token usage breakdowns
+  const maxTokens = Math.max(
+    1,
+    ...(stats?.byDay || []).map((row) => row.promptTokens + row.completionTokens)
+  );
+  const usageColumns = [
+    {
+      title: t("usage.messages"),
+      dataIndex: "messageCount",
+      align: "right",
+    },
+    {
+      title: t("usage.promptTokens"),
+      dataIndex: "promptTokens",
+      align: "right",
+      render: formatTokenCount,
+    },
+    {
+      title: t("usage.completionTokens"),
+      dataIndex: "completionTokens",
+      align: "right",
+      render: (value, row) =>
+        row.reasoningTokens > 0
+          ? `${formatTokenCount(value)} (${t("usage.reasoning", {
+              count: formatTokenCount(row.reasoningTokens),
+            })})`
+          : formatTokenCount(value),
+    },
+    {
+      title: t("usage.cost"),
+      dataIndex: "cost",
+      align: "right",
+      render: (cost) => (cost == null ? "-" : formatCost(cost)),
+    },
+    {
+      title: t("usage.avgLatency"),
+      dataIndex: "avgLatencyMs",
+      align: "right",
+      render: formatLatency,
+    },
+  ];
+
+  const breakdowns = {
+    day: {
+      rowKey: "day",
+      dataSource: stats?.byDay,
+      columns: [
+        { title: t("usage.day"), dataIndex: "day" },
+        {
+          title: t("usage.tokens"),
+          key: "bar",
+          width: 160,
+          render: (_, row) => (
+            <Progress
+              percent={
+                ((row.promptTokens + row.completionTokens) / maxTokens) * 100
+              }
+              showInfo={false}
+              size="small"
+            />
+          ),
+        },
+        ...usageColumns,
+      ],
+    },
+    provider: {
+      rowKey: "providerId",
+      dataSource: stats?.byProvider,
+      columns: [
+        {
+          title: t("usage.provider"),
+          dataIndex: "providerId",
+          render: getProviderName,
+        },
+        ...usageColumns,
+      ],
+    },
+    model: {
+      rowKey: (row) => `${row.providerId}|${row.modelId}`,
+      dataSource: stats?.byModel,
+      columns: [
+        {
+          title: t("usage.model"),
+          dataIndex: "modelId",
+          render: (modelId, row) => getModelDisplayName(row.providerId, modelId),
+        },
+        {
+          title: t("usage.provider"),
+          dataIndex: "providerId",
+          render: getProviderName,
+        },
+        ...usageColumns,
+      ],
+    },
+    session: {
+      rowKey: "sessionId",
+      dataSource: stats?.bySession,
+      columns: [
+        {
+          title: t("usage.session"),
+          dataIndex: "sessionName",
+          ellipsis: true,
+          render: (name, row) => (
+            <Space>
+              {name}
+              {row.deletedAt && <Tag>{t("usage.inTrash")}</Tag>}
+            </Space>
+          ),
+        },
+        ...usageColumns,
+      ],
+    },
+    mcp: {
+      rowKey: (row) => String(row.serverId),
+      dataSource: stats?.byMcpServer,
+      columns: [
+        {
+          title: t("usage.mcpServer"),
+          dataIndex: "serverName",
+          render: (name) => name || t("usage.unknownServer"),
+        },
+        {
+          title: t("usage.toolCalls"),
+          dataIndex: "callCount",
+          align: "right",
+        },
+        {
+          title: t("usage.failedCalls"),
+          dataIndex: "failedCount",
+          align: "right",
+        },
+        {
+          title: t("usage.failureRate"),
+          key: "failureRate",
+          align: "right",
+          render: (_, row) =>
+            `${((row.failedCount / (row.callCount || 1)) * 100).toFixed(1)}%`,
+        },
+      ],
+    },
+  };
+
+  const totals = stats?.totals;
+
+  return (
+    <div className="settings-content">
+      <Card
+        title={t("usage.title")}
+        bordered={false}
+        extra={
+          <Space>
+            <RangePicker
+              value={dateRange}
+              onChange={setDateRange}
+              presets={[
+                {
+                  label: t("usage.last7Days"),
+                  value: [dayjs().subtract(6, "day"), dayjs()],
+                },
+                {
+                  label: t("usage.last30Days"),
+                  value: [dayjs().subtract(29, "day"), dayjs()],
+                },
+                {
+                  label: t("usage.thisMonth"),
+                  value: [dayjs().startOf("month"), dayjs()],
+                },
+              ]}
+            />
+            <Button icon={<ReloadOutlined />} onClick={loadStats} />
+          </Space>
+        }
+      >
+        <Row gutter={16}>
+          <Col span={6}>
+            <Statistic
+              title={t("usage.messages")}
+              value={totals?.messageCount || 0}
+              loading={loading && !stats}
+            />
+          </Col>
+          <Col span={6}>
+            <Statistic
+              title={t("usage.tokens")}
+              value={formatTokenCount(
+                (totals?.promptTokens || 0) + (totals?.completionTokens || 0)
+              )}
+              loading={loading && !stats}
+            />
+          </Col>
+          <Col span={6}>
+            <Statistic
+              title={t("usage.cost")}
+              value={totals?.cost == null ? "-" : formatCost(totals.cost)}
+              loading={loading && !stats}
+            />
+          </Col>
+          <Col span={6}>
+            <Statistic
+              title={t("usage.avgLatency")}
+              value={formatLatency(totals?.avgLatencyMs)}
+              loading={loading && !stats}
+            />
+          </Col>
+        </Row>
+      </Card>
+
+      <Card
+        className="settings-card"
+        style={{ marginTop: 16 }}
+        bordered={false}
+      >
+        <Tabs
+          activeKey={breakdown}
+          onChange={setBreakdown}
+          tabBarExtraContent={
+            <Button
+              icon={<DownloadOutlined />}
+              loading={exporting}
+              onClick={handleExport}
+            >
+              {t("usage.exportCsv")}
+            </Button>
+          }
+          items={Object.keys(breakdowns).map((key) => ({
+            key,
+            label: t(`usage.breakdowns.${key}`),
+          }))}
+        />
+        <Table
+          size="small"
+          loading={loading}
+          rowKey={breakdowns[breakdown].rowKey}
+          columns={breakdowns[breakdown].columns}
+          dataSource={breakdowns[breakdown].dataSource || []}
+          pagination={{ pageSize: 20, hideOnSinglePage: true }}
+          locale={{ emptyText: t("usage.noData") }}
+        />
+      </Card>
+    </div>
+  );
+};
+
+export default UsageSettings;
@@ -16,7 +16,9 @@ import {
   getProviderAdapter,
   safeJsonParse,
   parseMCPToolParams,
+  addUsage,
 } from "./llm/utils/common.js";
+import { calculateCost } from "./models.js";
 
 /**
  * Get list of enabled providers
@@ -49,6 +51,9 @@ const sendMessageToAI = async (
     throw new Error(i18n.t("chat.missingProviderOrModel"));
   }
 
+  // Tool call rounds keep the start of the first request, latency covers the whole reply
+  const startedAt = options._startedAt || Date.now();
+
   // Handle options, set default values
   const temperature =
     options.temperature !== undefined ? options.temperature : 0.7;
@@ -97,6 +102,11 @@ const sendMessageToAI = async (
 
     // Custom complete callback to handle tool calls
     const completeHandler = async (completeData) => {
+      // Usage of earlier tool call rounds is added to this request's usage
+      completeData.usage = addUsage(options._usage, completeData.usage);
+      completeData.latencyMs = Date.now() - startedAt;
+      completeData.cost = calculateCost(completeData.usage, model.pricing);
+
       // Check if there are tool calls
       if (completeData.toolCalls && completeData.toolCalls.length > 0) {
         // Create a new message queue
@@ -111,6 +121,10 @@ const sendMessageToAI = async (
           role: "assistant",
           content: completeData.content || "",
           tool_calls: completeData.toolCalls,
+          // Anthropic needs the thinking of a tool call turn back with the results
+          ...(completeData.thinkingBlocks?.length > 0 && {
+            thinking_blocks: completeData.thinkingBlocks,
+          }),
         });
 
         // Notify frontend to start processing tool calls
@@ -127,6 +141,9 @@ const sendMessageToAI = async (
         // Process each tool call
         for (const toolCall of completeData.toolCalls) {
           if (toolCall.type === "function" && toolCall.function) {
+            const tool = options.mcpTools?.find(
+              (t) => t.id === toolCall.function.name
+            );
             try {
               // Call tool
               const toolResult = await handleToolCall(
@@ -139,9 +156,10 @@ const sendMessageToAI = async (
               toolCallResults.push({
                 id: toolCall.id,
                 tool_id: toolCall.function.name,
-                tool_name:
-                  options.mcpTools?.find((t) => t.id === toolCall.function.name)
-                    ?.name || toolCall.function.name,
+                tool_name: tool?.name || toolCall.function.name,
+                // Kept for the usage statistics of MCP servers
+                server_id: tool?.serverId,
+                server_name: tool?.serverName,
                 parameters:
                   typeof toolCall.function.arguments === "string"
                     ? parseMCPToolParams(toolCall.function.arguments)
@@ -166,9 +184,9 @@ const sendMessageToAI = async (
               toolCallResults.push({
                 id: toolCall.id,
                 tool_id: toolCall.function.name,
-                tool_name:
-                  options.mcpTools?.find((t) => t.id === toolCall.function.name)
-                    ?.name || toolCall.function.name,
+                tool_name: tool?.name || toolCall.function.name,
+                server_id: tool?.serverId,
+                server_name: tool?.serverName,
                 parameters:
                   typeof toolCall.function.arguments === "string"
                     ? parseMCPToolParams(toolCall.function.arguments)
@@ -248,6 +266,9 @@ const sendMessageToAI = async (
           _recursionDepth: recursionDepth + 1,
           // Add a recursion marker for internal logic judgment
           _isFollowupCall: true,
+          // Carry usage and start time over to the next round
+          _usage: completeData.usage,
+          _startedAt: startedAt,
         };
 
         // Don't delete mcpTools, keep tool list so AI can continue using other tools
@@ -293,10 +314,13 @@ const sendMessageToAI = async (
     // Get adapter implementation
     const adapter = await adapterPromise;
 
+    // The API key is decrypted by the main process and only handed to the adapter
+    const apiKey = await window.electronAPI.getProviderApiKey(provider.id);
+
     // Call adapter, pass temperature parameters and cancellation signal
     return await adapter(
       messages,
-      provider,
+      { ...provider, apiKey },
       model,
       progressHandler,
       completeHandler,
@@ -1,10 +1,195 @@
 /**
  * Anthropic adapter
- * Handles interaction with Anthropic API
+ * Handles interaction with the Anthropic Messages API, which is not OpenAI compatible:
+ * the system prompt is a top-level field, tool calls and their results are content blocks
+ * and streamed replies are sent as content block events
  */
 
-import baseOpenAICompatibleAdapter from "./baseAdapter.js";
-import i18n from "../../../i18n";
+import { normalizeUsage, parseMCPToolParams } from "../utils/common.js";
+import { readSSEEvents } from "../utils/sseParser.js";
+import { isReasoningModel } from "../../models.js";
+
+const ANTHROPIC_VERSION = "2023-06-01";
+
+// Output tokens of a reply, the thinking budget is added on top when thinking is enabled
+const DEFAULT_MAX_TOKENS = 4096;
+const THINKING_BUDGET_TOKENS = 4096;
+
+/**
+ * Get the messages endpoint, the base URL may be entered with or without /v1
+ * @param {string} baseUrl Provider base URL
+ * @returns {string} Endpoint URL
+ */
+const getMessagesUrl = (baseUrl) =>
+  `${(baseUrl || "https://api.anthropic.com")
+    .replace(/\/+$/, "")
+    .replace(/\/v1$/, "")}/v1/messages`;
+
+// Tool call arguments are kept as a JSON string, Anthropic takes the input as an object
+const toToolInput = (args) => {
+  if (typeof args !== "string") return args || {};
+  return args.trim() ? parseMCPToolParams(args) : {};
+};
+
+// Text content as content blocks, content that is already a block list is kept
+const toTextBlocks = (content) => {
+  if (Array.isArray(content)) return content;
+  return content ? [{ type: "text", text: String(content) }] : [];
+};
+
+/**
+ * Convert SeekChat messages to the Anthropic format
+ * System messages become the system prompt, tool messages become tool_result blocks
+ * of a user turn, and consecutive turns of the same role are merged
+ * @param {Array} messages Messages with role system, user, assistant or tool
+ * @returns {Object} { system, messages }
+ */
+const convertMessages = (messages) => {
+  const system = [];
+  const result = [];
+
+  const append = (role, blocks) => {
+    if (blocks.length === 0) return;
+    const last = result[result.length - 1];
+    if (last?.role === role) {
+      last.content.push(...blocks);
+    } else {
+      result.push({ role, content: blocks });
+    }
+  };
+
+  for (const msg of messages) {
+    switch (msg.role) {
+      case "system":
+        if (msg.content) system.push(msg.content);
+        break;
+      case "tool":
+        append("user", [
+          {
+            type: "tool_result",
+            tool_use_id: msg.tool_call_id,
+            content:
+              typeof msg.content === "string"
+                ? msg.content
+                : JSON.stringify(msg.content),
+          },
+        ]);
+        break;
+      case "assistant":
+        append("assistant", [
+          // Thinking has to be sent back unchanged when a tool result follows
+          ...(msg.thinking_blocks || []),
+          ...toTextBlocks(msg.content),
+          ...(msg.tool_calls || []).map((toolCall) => ({
+            type: "tool_use",
+            id: toolCall.id,
+            name: toolCall.function.name,
+            input: toToolInput(toolCall.function.arguments),
+          })),
+        ]);
+        break;
+      default:
+        append("user", toTextBlocks(msg.content));
+    }
+  }
+
+  return { system: system.join("\n\n"), messages: result };
+};
+
+/**
+ * Collects a reply from its content blocks, streamed or complete
+ */
+const createReply = () => {
+  const reply = {
+    content: "",
+    reasoning_content: "",
+    toolCalls: [],
+    thinkingBlocks: [],
+    rawUsage: null,
+  };
+  // Blocks by their index in the reply, tool_use blocks point to their tool call
+  const blocks = [];
+
+  // Start a content block, returns whether anything visible changed
+  const startBlock = (index, block) => {
+    switch (block.type) {
+      case "text":
+        blocks[index] = block;
+        reply.content += block.text || "";
+        return Boolean(block.text);
+      case "thinking": {
+        const thinking = {
+          type: "thinking",
+          thinking: block.thinking || "",
+          signature: block.signature || "",
+        };
+        blocks[index] = thinking;
+        reply.thinkingBlocks.push(thinking);
+        reply.reasoning_content += thinking.thinking;
+        return Boolean(thinking.thinking);
+      }
+      case "redacted_thinking":
+        blocks[index] = block;
+        reply.thinkingBlocks.push(block);
+        return false;
+      case "tool_use": {
+        // A complete reply has the input as an object, a streamed one sends it in deltas
+        const hasInput = block.input && Object.keys(block.input).length > 0;
+        const toolCall = {
+          id: block.id,
+          type: "function",
+          function: {
+            name: block.name,
+            arguments: hasInput ? JSON.stringify(block.input) : "",
+          },
+        };
+        blocks[index] = { type: "tool_use", toolCall };
+        reply.toolCalls.push(toolCall);
+        return true;
+      }
+      default:
+        blocks[index] = block;
+        return false;
+    }
+  };
+
+  // Apply a streamed delta to its block
+  const applyDelta = (index, delta) => {
+    const block = blocks[index];
+    switch (delta.type) {
+      case "text_delta":
+        reply.content += delta.text;
+        return true;
+      case "thinking_delta":
+        if (block) block.thinking += delta.thinking;
+        reply.reasoning_content += delta.thinking;
+        return true;
+      case "signature_delta":
+        if (block) block.signature = delta.signature;
+        return false;
+      case "input_json_delta":
+        if (block?.toolCall) {
+          block.toolCall.function.arguments += delta.partial_json;
+        }
+        return true;
+      default:
+        return false;
+    }
+  };
+
+  const stopBlock = (index) => {
+    const toolCall = blocks[index]?.toolCall;
+    if (toolCall && !toolCall.function.arguments) {
+      toolCall.function.arguments = "{}";
+    }
+  };
+
+  const addUsage = (usage) => {
+    if (usage) reply.rawUsage = { ...reply.rawUsage, ...usage };
+  };
+
+  return { reply, startBlock, applyDelta, stopBlock, addUsage };
+};
 
 /**
  * Anthropic provider adapter
@@ -24,140 +209,146 @@ const anthropicAdapter = async (
   onComplete,
   options = {}
 ) => {
-  // Anthropic uses different endpoint and request format
-  const adapterConfig = {
-    endpoint: "/v1/messages",
-
-    // Request body transformer
-    requestTransformer: (requestBody, model, options) => {
-      // Convert format to Anthropic compatible
-      const formattedMessages = messages.map((msg) => ({
-        role: msg.role === "user" ? "user" : "assistant",
-        content: msg.content,
-      }));
-
-      const result = {
-        model: model.id,
-        messages: formattedMessages,
-        temperature: requestBody.temperature,
-        max_tokens: options.max_tokens || 2000,
-        stream: !!onProgress,
-      };
+  const stream = !!onProgress;
+  const converted = convertMessages(messages);
+  // Extended thinking is used by the models that support it, its tokens count toward max_tokens
+  const thinking = isReasoningModel(model);
+  const maxTokens = options.max_tokens || DEFAULT_MAX_TOKENS;
 
-      // Add tool support
-      if (
-        options.tools &&
-        Array.isArray(options.tools) &&
-        options.tools.length > 0
-      ) {
-        result.tools = options.tools;
+  const requestBody = {
+    model: model.id,
+    messages: converted.messages,
+    max_tokens: thinking ? maxTokens + THINKING_BUDGET_TOKENS : maxTokens,
+    stream,
+  };
+  if (converted.system) {
+    requestBody.system = converted.system;
+  }
+  if (thinking) {
+    // Temperature can't be changed while thinking
+    requestBody.thinking = {
+      type: "enabled",
+      budget_tokens: THINKING_BUDGET_TOKENS,
+    };
+  } else {
+    requestBody.temperature =
+      options.temperature !== undefined ? options.temperature : 0.7;
+  }
+  if (Array.isArray(options.tools) && options.tools.length > 0) {
+    requestBody.tools = options.tools;
+  }
+
+  console.log(`${provider.name} API request parameters:`, {
+    model: model.id,
+    messagesCount: requestBody.messages.length,
+    temperature: requestBody.temperature,
+    thinking,
+    hasSignal: !!options.signal,
+    hasTools: Boolean(requestBody.tools),
+  });
+
+  try {
+    const response = await fetch(getMessagesUrl(provider.baseUrl), {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": provider.apiKey,
+        "anthropic-version": ANTHROPIC_VERSION,
+        // Requests come from the renderer, which the API treats as a browser
+        "anthropic-dangerous-direct-browser-access": "true",
+      },
+      body: JSON.stringify(requestBody),
+      signal: options.signal,
+    });
+
+    if (!response.ok) {
+      let errorData;
+      try {
+        errorData = await response.json();
+      } catch (e) {
+        errorData = { error: { message: `HTTP error ${response.status}` } };
       }
+      throw new Error(
+        errorData.error?.message ||
+          `${provider.name} API error: ${response.status}`
+      );
+    }
 
-      return result;
-    },
-
-    // Response parser
-    responseParser: (data, model) => {
-      const content =
-        data.content && data.content.length > 0
-          ? data.content.map((item) => item.text).join("")
-          : "";
-
-      return {
-        content,
-        reasoning_content: "",
-        model: model.id,
-        toolCalls: data.tool_calls || [],
-      };
-    },
-
-    // Stream processor
-    streamProcessor: (data, content, reasoning_content, toolCalls) => {
-      let hasUpdate = false;
-
-      if (
-        data.type === "content_block_delta" &&
-        data.delta &&
-        data.delta.text
-      ) {
-        content += data.delta.text;
-        hasUpdate = true;
-      } else if (data.type === "message_stop") {
-        // Message end
-      } else if (data.type === "tool_call_delta") {
-        // Handle tool call updates
-        const deltaToolCall = data.delta;
-
-        // Find existing tool call or create new one
-        let existingToolCall = toolCalls.find(
-          (tc) => tc.id === data.tool_call_id
-        );
-
-        if (!existingToolCall) {
-          existingToolCall = {
-            id: data.tool_call_id,
-            type: "function",
-            function: { name: "", arguments: "" },
-          };
-          toolCalls.push(existingToolCall);
-        }
+    const { reply, startBlock, applyDelta, stopBlock, addUsage } =
+      createReply();
 
-        // Update function information
-        if (deltaToolCall.name) {
-          existingToolCall.function.name = deltaToolCall.name;
+    if (stream) {
+      const handleEvent = (data) => {
+        switch (data.type) {
+          case "message_start":
+            addUsage(data.message?.usage);
+            return false;
+          case "content_block_start":
+            return startBlock(data.index, data.content_block);
+          case "content_block_delta":
+            return applyDelta(data.index, data.delta);
+          case "content_block_stop":
+            stopBlock(data.index);
+            return false;
+          case "message_delta":
+            addUsage(data.usage);
+            return false;
+          case "error":
+            throw new Error(data.error?.message || "Stream error");
+          default:
+            // ping and message_stop
+            return false;
         }
+      };
 
-        // Handle different forms of input parameters
-        if (deltaToolCall.input) {
-          // If it's an object, serialize directly
-          if (typeof deltaToolCall.input === "object") {
-            try {
-              existingToolCall.function.arguments = JSON.stringify(
-                deltaToolCall.input
-              );
-            } catch (e) {
-              console.warn("Failed to serialize Anthropic tool input:", e);
-              existingToolCall.function.arguments = "{}";
-            }
-          }
-          // If it's a string, it might already be JSON or need to be appended to existing parameters
-          else if (typeof deltaToolCall.input === "string") {
-            // Clean possible special tokens
-            let inputStr = deltaToolCall.input;
-            if (inputStr.includes("<｜tool") || inputStr.includes("<|tool")) {
-              console.warn("Anthropic tool input contains special tokens:", inputStr);
-              const tokenMatch = inputStr.match(/<[｜|]tool[^>]*>/);
-              if (tokenMatch) {
-                inputStr = inputStr.substring(tokenMatch[0].length);
-              }
-            }
-
-            // Append to existing parameters
-            existingToolCall.function.arguments += inputStr;
-          }
+      // Event names are repeated in the data, so only the data is read
+      await readSSEEvents(response.body, (event) => {
+        let data;
+        try {
+          data = JSON.parse(event.data);
+        } catch (e) {
+          console.error("Failed to parse stream data:", e);
+          return;
+        }
+        if (handleEvent(data)) {
+          onProgress({
+            content: reply.content,
+            reasoning_content: reply.reasoning_content,
+            toolCalls: reply.toolCalls,
+          });
         }
+      });
+    } else {
+      const data = await response.json();
+      (data.content || []).forEach((block, index) => {
+        startBlock(index, block);
+        stopBlock(index);
+      });
+      addUsage(data.usage);
+    }
 
-        hasUpdate = true;
-      }
+    const result = {
+      content: reply.content,
+      reasoning_content: reply.reasoning_content,
+      model: model.id,
+      toolCalls: reply.toolCalls,
+      thinkingBlocks: reply.thinkingBlocks,
+      usage: normalizeUsage(reply.rawUsage),
+    };
 
-      return {
-        content,
-        reasoning_content,
-        toolCalls,
-        hasUpdate,
-      };
-    },
-  };
+    if (onComplete) {
+      onComplete(result);
+    }
+    return result;
+  } catch (error) {
+    // Handle request cancellation
+    if (error.name === "AbortError") {
+      console.log(`${provider.name} request cancelled by user`);
+      throw error;
+    }
 
-  return baseOpenAICompatibleAdapter(
-    messages,
-    provider,
-    model,
-    onProgress,
-    onComplete,
-    options,
-    adapterConfig
-  );
+    throw new Error(`${provider.name} API error: ${error.message}`);
+  }
 };
 
 export default anthropicAdapter;
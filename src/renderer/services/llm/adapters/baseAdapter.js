@@ -3,6 +3,23 @@
  * Provides unified interface implementation for all OpenAI-compatible providers
  */
 
+import { normalizeUsage } from "../utils/common.js";
+import { readSSEEvents } from "../utils/sseParser.js";
+
+// Error body of a failed response, a body that is not JSON gets a generic message
+const readErrorData = async (response) => {
+  try {
+    return await response.json();
+  } catch (e) {
+    return { error: { message: `HTTP error ${response.status}` } };
+  }
+};
+
+// Whether a server rejected the request because it doesn't know stream_options
+const isStreamOptionsError = (response, errorData) =>
+  response.status === 400 &&
+  /stream_options|include_usage/.test(JSON.stringify(errorData));
+
 /**
  * Base OpenAI-compatible adapter
  * Provides unified interface implementation for all OpenAI-compatible providers
@@ -57,6 +74,11 @@ export const baseOpenAICompatibleAdapter = async (
     stream: !!onProgress, // If there's onProgress callback, enable streaming
   };
 
+  // Streamed responses only report token usage when asked to, in a last chunk without choices
+  if (requestBody.stream) {
+    requestBody.stream_options = { include_usage: true };
+  }
+
   // Handle tools/functions
   if (
     options.tools &&
@@ -86,22 +108,29 @@ export const baseOpenAICompatibleAdapter = async (
     const requestUrl = `${baseUrl}${endpoint}`;
 
     // Send API request
-    const response = await fetch(requestUrl, {
-      method: "POST",
-      headers: headers,
-      body: JSON.stringify(requestBody),
-      signal: options.signal, // Add signal for request cancellation
-    });
+    const sendRequest = (body) =>
+      fetch(requestUrl, {
+        method: "POST",
+        headers: headers,
+        body: JSON.stringify(body),
+        signal: options.signal, // Add signal for request cancellation
+      });
+    let response = await sendRequest(requestBody);
+    let errorData = response.ok ? null : await readErrorData(response);
+
+    // Some servers reject unknown fields, usage is optional so ask again without it
+    if (
+      requestBody.stream_options &&
+      isStreamOptionsError(response, errorData)
+    ) {
+      const { stream_options, ...bodyWithoutStreamOptions } = requestBody;
+      requestBody = bodyWithoutStreamOptions;
+      response = await sendRequest(requestBody);
+      errorData = response.ok ? null : await readErrorData(response);
+    }
 
     // Handle error response
     if (!response.ok) {
-      let errorData;
-      try {
-        errorData = await response.json();
-      } catch (e) {
-        errorData = { error: { message: `HTTP error ${response.status}` } };
-      }
-
       const errorMessage =
         errorData.error?.message ||
         `${provider.name} API error: ${response.status}`;
@@ -116,157 +145,149 @@ export const baseOpenAICompatibleAdapter = async (
 
     // Handle streaming response
     if (requestBody.stream) {
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder("utf-8");
       let content = "";
       let reasoning_content = "";
       let currentToolCalls = [];
-
-      // Read streaming response
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        const chunk = decoder.decode(value);
-        const lines = chunk
-          .split("\n")
-          .filter(
-            (line) => line.trim() !== "" && line.trim() !== "data: [DONE]"
-          );
-
-        for (const line of lines) {
-          if (line.startsWith("data: ")) {
-            try {
-              // Parse data line
-              const data = JSON.parse(line.slice(6));
-
-              // Use stream processor or default processing logic
-              if (streamProcessor) {
-                const result = streamProcessor(
-                  data,
+      // Usage as reported by the provider, it may be spread over several chunks
+      let rawUsage = null;
+
+      // Events may be split across network chunks, the parser buffers partial lines
+      await readSSEEvents(response.body, (event) => {
+        try {
+          // Parse event data
+          const data = JSON.parse(event.data);
+          // Use stream processor or default processing logic
+          if (streamProcessor) {
+            const result = streamProcessor(
+              data,
+              content,
+              reasoning_content,
+              currentToolCalls
+            );
+            if (result) {
+              if (result.usage) {
+                rawUsage = { ...rawUsage, ...result.usage };
+              }
+              content = result.content !== undefined ? result.content : content;
+              reasoning_content =
+                result.reasoning_content !== undefined
+                  ? result.reasoning_content
+                  : reasoning_content;
+              currentToolCalls =
+                result.toolCalls !== undefined
+                  ? result.toolCalls
+                  : currentToolCalls;
+
+              // If there's content update, call progress callback
+              if (result.hasUpdate) {
+                console.log("onProgress", {
                   content,
                   reasoning_content,
-                  currentToolCalls
-                );
-                if (result) {
-                  content =
-                    result.content !== undefined ? result.content : content;
-                  reasoning_content =
-                    result.reasoning_content !== undefined
-                      ? result.reasoning_content
-                      : reasoning_content;
-                  currentToolCalls =
-                    result.toolCalls !== undefined
-                      ? result.toolCalls
-                      : currentToolCalls;
-
-                  // If there's content update, call progress callback
-                  if (result.hasUpdate) {
-                    console.log("onProgress", {
-                      content,
-                      reasoning_content,
-                      toolCalls: currentToolCalls,
-                    });
-                    console.log("onProgress", {
-                      content,
-                      reasoning_content,
-                      toolCalls: currentToolCalls,
-                      toolCallResults: result.toolCallResults,
-                    });
-                    onProgress({
-                      content,
-                      reasoning_content,
-                      toolCalls: currentToolCalls,
-                      toolCallResults: result.toolCallResults,
-                    });
-                  }
-                }
-              } else {
-                // Default OpenAI format processing
-                let hasUpdate = false;
-
-                if (data.choices && data.choices[0].delta) {
-                  // Handle content updates
-                  if (data.choices[0].delta.content) {
-                    content += data.choices[0].delta.content;
-                    hasUpdate = true;
-                  }
+                  toolCalls: currentToolCalls,
+                });
+                console.log("onProgress", {
+                  content,
+                  reasoning_content,
+                  toolCalls: currentToolCalls,
+                  toolCallResults: result.toolCallResults,
+                });
+                onProgress({
+                  content,
+                  reasoning_content,
+                  toolCalls: currentToolCalls,
+                  toolCallResults: result.toolCallResults,
+                });
+              }
+            }
+          } else {
+            // Default OpenAI format processing
+            let hasUpdate = false;
+
+            if (data.usage) {
+              rawUsage = { ...rawUsage, ...data.usage };
+            }
+
+            if (data.choices && data.choices[0] && data.choices[0].delta) {
+              // Handle content updates
+              if (data.choices[0].delta.content) {
+                content += data.choices[0].delta.content;
+                hasUpdate = true;
+              }
+
+              // Handle reasoning_content updates
+              if (data.choices[0].delta.reasoning_content) {
+                reasoning_content += data.choices[0].delta.reasoning_content;
+                hasUpdate = true;
+              }
 
-                  // Handle reasoning_content updates
-                  if (data.choices[0].delta.reasoning_content) {
-                    reasoning_content +=
-                      data.choices[0].delta.reasoning_content;
-                    hasUpdate = true;
+              // Handle tool call updates
+              if (data.choices[0].delta.tool_calls) {
+                // Merge tool call information
+                const deltaToolCalls = data.choices[0].delta.tool_calls;
+
+                for (const deltaToolCall of deltaToolCalls) {
+                  const {
+                    index,
+                    id,
+                    type,
+                    function: functionData,
+                  } = deltaToolCall;
+                  // Find existing tool call or create new one
+                  let existingToolCall = currentToolCalls.find(
+                    (tc) => tc.index === index
+                  );
+
+                  if (!existingToolCall) {
+                    existingToolCall = {
+                      index,
+                      id: id || "",
+                      type: type || "",
+                      function: { name: "", arguments: "" },
+                    };
+                    currentToolCalls.push(existingToolCall);
                   }
 
-                  // Handle tool call updates
-                  if (data.choices[0].delta.tool_calls) {
-                    // Merge tool call information
-                    const deltaToolCalls = data.choices[0].delta.tool_calls;
-
-                    for (const deltaToolCall of deltaToolCalls) {
-                      const {
-                        index,
-                        id,
-                        type,
-                        function: functionData,
-                      } = deltaToolCall;
-                      // Find existing tool call or create new one
-                      let existingToolCall = currentToolCalls.find(
-                        (tc) => tc.index === index
-                      );
-
-                      if (!existingToolCall) {
-                        existingToolCall = {
-                          index,
-                          id: id || "",
-                          type: type || "",
-                          function: { name: "", arguments: "" },
-                        };
-                        currentToolCalls.push(existingToolCall);
-                      }
-
-                      // Update ID and type
-                      if (id) existingToolCall.id = id;
-                      if (type) existingToolCall.type = type;
-
-                      // Update function information
-                      if (functionData) {
-                        if (functionData.name) {
-                          existingToolCall.function.name = functionData.name;
-                        }
-                        if (functionData.arguments) {
-                          // Handle parameters that might contain special tokens
-                          let argsStr = functionData.arguments;
-                          existingToolCall.function.arguments += argsStr;
-                        }
-                      }
-                    }
+                  // Update ID and type
+                  if (id) existingToolCall.id = id;
+                  if (type) existingToolCall.type = type;
 
-                    hasUpdate = true;
+                  // Update function information
+                  if (functionData) {
+                    if (functionData.name) {
+                      existingToolCall.function.name = functionData.name;
+                    }
+                    if (functionData.arguments) {
+                      // Handle parameters that might contain special tokens
+                      let argsStr = functionData.arguments;
+                      existingToolCall.function.arguments += argsStr;
+                    }
                   }
                 }
 
-                // If there are updates, call progress callback
-                if (hasUpdate) {
-                  // console.log("onProgress", {
-                  //   content,
-                  //   reasoning_content,
-                  //   toolCalls: currentToolCalls,
-                  // });
-                  onProgress({
-                    content,
-                    reasoning_content,
-                    toolCalls: currentToolCalls,
-                  });
-                }
+                hasUpdate = true;
               }
-            } catch (e) {
-              console.error("Failed to parse stream data:", e);
+            }
+
+            // If there are updates, call progress callback
+            if (hasUpdate) {
+              // console.log("onProgress", {
+              //   content,
+              //   reasoning_content,
+              //   toolCalls: currentToolCalls,
+              // });
+              onProgress({
+                content,
+                reasoning_content,
+                toolCalls: currentToolCalls,
+              });
             }
           }
+        } catch (e) {
+          console.error("Failed to parse stream data:", e);
         }
-      }
+      });
+
+      const usage = normalizeUsage(rawUsage);
 
       // Stream ended, call completion callback
       if (onComplete) {
@@ -274,11 +295,13 @@ export const baseOpenAICompatibleAdapter = async (
           content,
           reasoning_content,
           toolCalls: currentToolCalls,
+          usage,
         });
         onComplete({
           content,
           reasoning_content,
           toolCalls: currentToolCalls,
+          usage,
         });
       }
 
@@ -288,6 +311,7 @@ export const baseOpenAICompatibleAdapter = async (
         reasoning_content,
         model: model.id,
         toolCalls: currentToolCalls,
+        usage,
       };
     } else {
       // Handle non-streaming response
@@ -328,6 +352,9 @@ export const baseOpenAICompatibleAdapter = async (
         };
       }
 
+      // Providers report usage in different formats
+      result.usage = normalizeUsage(result.usage);
+
       // Call completion callback
       if (onComplete) {
         onComplete(result);
@@ -1,9 +1,174 @@
 /**
  * Gemini adapter
- * Handles interaction with Google Gemini API
+ * Handles interaction with the Google Gemini API, which is not OpenAI compatible:
+ * messages are contents made of parts, the system prompt is a system instruction
+ * and tool calls are functionCall and functionResponse parts
  */
 
-import baseOpenAICompatibleAdapter from "./baseAdapter.js";
+import { normalizeUsage, parseMCPToolParams } from "../utils/common.js";
+import { readSSEEvents } from "../utils/sseParser.js";
+import { isReasoningModel } from "../../models.js";
+
+const DEFAULT_BASE_URL = "https://generativelanguage.googleapis.com/v1beta";
+
+// Gemini 2.5 models think, thought summaries are only sent when asked for
+const supportsThinking = (model) =>
+  isReasoningModel(model) || /gemini-2\.5/i.test(model.id);
+
+/**
+ * Get the endpoint of a model
+ * @param {string} baseUrl Provider base URL
+ * @param {string} modelId Model ID
+ * @param {boolean} stream Whether the reply is streamed
+ * @returns {string} Endpoint URL
+ */
+const getModelUrl = (baseUrl, modelId, stream) =>
+  `${(baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, "")}/models/${modelId}:${
+    stream ? "streamGenerateContent?alt=sse" : "generateContent"
+  }`;
+
+// Tool call arguments are kept as a JSON string, Gemini takes them as an object
+const toFunctionArgs = (args) => {
+  if (typeof args !== "string") return args || {};
+  return args.trim() ? parseMCPToolParams(args) : {};
+};
+
+/**
+ * Convert SeekChat messages to Gemini contents
+ * System messages become the system instruction, tool messages become functionResponse
+ * parts of a user turn, and consecutive turns of the same role are merged
+ * @param {Array} messages Messages with role system, user, assistant or tool
+ * @returns {Object} { systemInstruction, contents }
+ */
+const convertMessages = (messages) => {
+  const system = [];
+  const contents = [];
+  // Function responses are matched to their call by name, tool messages only have the call id
+  const toolNames = {};
+
+  const append = (role, parts) => {
+    if (parts.length === 0) return;
+    const last = contents[contents.length - 1];
+    if (last?.role === role) {
+      last.parts.push(...parts);
+    } else {
+      contents.push({ role, parts });
+    }
+  };
+
+  for (const msg of messages) {
+    switch (msg.role) {
+      case "system":
+        if (msg.content) system.push(msg.content);
+        break;
+      case "tool":
+        append("user", [
+          {
+            functionResponse: {
+              name: toolNames[msg.tool_call_id] || msg.tool_call_id,
+              response: {
+                content:
+                  typeof msg.content === "string"
+                    ? msg.content
+                    : JSON.stringify(msg.content),
+              },
+            },
+          },
+        ]);
+        break;
+      case "assistant":
+        append("model", [
+          ...(msg.content ? [{ text: msg.content }] : []),
+          ...(msg.tool_calls || []).map((toolCall) => {
+            toolNames[toolCall.id] = toolCall.function.name;
+            return {
+              functionCall: {
+                name: toolCall.function.name,
+                args: toFunctionArgs(toolCall.function.arguments),
+              },
+              // Thinking models need the signature back to continue after the call
+              ...(toolCall.thoughtSignature && {
+                thoughtSignature: toolCall.thoughtSignature,
+              }),
+            };
+          }),
+        ]);
+        break;
+      default:
+        if (msg.content) append("user", [{ text: msg.content }]);
+    }
+  }
+
+  return {
+    systemInstruction:
+      system.length > 0 ? { parts: [{ text: system.join("\n\n") }] } : null,
+    contents,
+  };
+};
+
+/**
+ * Collects a reply from the parts of its response chunks
+ */
+const createReply = () => {
+  const reply = {
+    content: "",
+    reasoning_content: "",
+    toolCalls: [],
+    rawUsage: null,
+  };
+
+  // Add the parts of a response, returns whether anything changed
+  const addResponse = (data) => {
+    if (data.promptFeedback?.blockReason) {
+      throw new Error(`Prompt blocked: ${data.promptFeedback.blockReason}`);
+    }
+    // Usage is reported in total so far, the last report wins
+    if (data.usageMetadata) {
+      reply.rawUsage = data.usageMetadata;
+    }
+
+    let hasUpdate = false;
+    for (const part of data.candidates?.[0]?.content?.parts || []) {
+      if (part.functionCall) {
+        reply.toolCalls.push({
+          // Gemini only sends call ids in some versions
+          id:
+            part.functionCall.id ||
+            `call_${reply.toolCalls.length}_${Date.now()}`,
+          type: "function",
+          function: {
+            name: part.functionCall.name,
+            arguments: JSON.stringify(part.functionCall.args || {}),
+          },
+          ...(part.thoughtSignature && {
+            thoughtSignature: part.thoughtSignature,
+          }),
+        });
+        hasUpdate = true;
+      } else if (part.thought && part.text) {
+        reply.reasoning_content += part.text;
+        hasUpdate = true;
+      } else if (part.text) {
+        reply.content += part.text;
+        hasUpdate = true;
+      }
+    }
+    return hasUpdate;
+  };
+
+  return { reply, addResponse };
+};
+
+// Error message of a failed request, the streaming endpoint wraps errors in an array
+const readErrorMessage = async (response) => {
+  try {
+    const data = await response.json();
+    const error = Array.isArray(data) ? data[0]?.error : data.error;
+    return error?.message || `HTTP error ${response.status}`;
+  } catch (e) {
+    return `HTTP error ${response.status}`;
+  }
+};
 
 /**
  * Gemini provider adapter
@@ -23,76 +188,100 @@ const geminiAdapter = async (
   onComplete,
   options = {}
 ) => {
-  // Gemini uses different endpoints and request formats
-  const adapterConfig = {
-    endpoint: `/models/${model.id}:generateContent?key=${provider.apiKey}`,
-
-    // Request body transformer
-    requestTransformer: (requestBody, model, options) => {
-      const formattedMessages = messages.map((msg) => ({
-        role: msg.role === "user" ? "user" : "model",
-        parts: [{ text: msg.content }],
-      }));
-
-      return {
-        contents: formattedMessages,
-        generationConfig: {
-          temperature: requestBody.temperature,
-          maxOutputTokens: options.max_tokens || 2000,
-        },
-        stream: !!onProgress,
-      };
+  const stream = !!onProgress;
+  const { systemInstruction, contents } = convertMessages(messages);
+
+  const requestBody = {
+    contents,
+    generationConfig: {
+      temperature:
+        options.temperature !== undefined ? options.temperature : 0.7,
     },
+  };
+  if (options.max_tokens) {
+    requestBody.generationConfig.maxOutputTokens = options.max_tokens;
+  }
+  if (supportsThinking(model)) {
+    requestBody.generationConfig.thinkingConfig = { includeThoughts: true };
+  }
+  if (systemInstruction) {
+    requestBody.systemInstruction = systemInstruction;
+  }
+  // Tools are already grouped as functionDeclarations, see formatMCPToolsForGemini
+  if (Array.isArray(options.tools) && options.tools.length > 0) {
+    requestBody.tools = options.tools;
+  }
 
-    // Stream processor
-    streamProcessor: (data, content, reasoning_content) => {
-      let hasUpdate = false;
-
-      if (
-        data.candidates &&
-        data.candidates[0].content &&
-        data.candidates[0].content.parts
-      ) {
-        const newText = data.candidates[0].content.parts[0].text || "";
-        if (newText) {
-          content += newText;
-          hasUpdate = true;
-        }
+  console.log(`${provider.name} API request parameters:`, {
+    model: model.id,
+    contentsCount: contents.length,
+    temperature: requestBody.generationConfig.temperature,
+    hasSignal: !!options.signal,
+    hasTools: Boolean(requestBody.tools),
+  });
+
+  try {
+    const response = await fetch(
+      getModelUrl(provider.baseUrl, model.id, stream),
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-goog-api-key": provider.apiKey,
+        },
+        body: JSON.stringify(requestBody),
+        signal: options.signal,
       }
+    );
 
-      return {
-        content,
-        reasoning_content,
-        hasUpdate,
-      };
-    },
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response));
+    }
 
-    // Response parser
-    responseParser: (data, model) => {
-      const content =
-        data.candidates &&
-        data.candidates[0].content &&
-        data.candidates[0].content.parts
-          ? data.candidates[0].content.parts[0].text || ""
-          : "";
-
-      return {
-        content,
-        reasoning_content: "",
-        model: model.id,
-      };
-    },
-  };
+    const { reply, addResponse } = createReply();
+
+    if (stream) {
+      await readSSEEvents(response.body, (event) => {
+        let data;
+        try {
+          data = JSON.parse(event.data);
+        } catch (e) {
+          console.error("Failed to parse stream data:", e);
+          return;
+        }
+        if (addResponse(data)) {
+          onProgress({
+            content: reply.content,
+            reasoning_content: reply.reasoning_content,
+            toolCalls: reply.toolCalls,
+          });
+        }
+      });
+    } else {
+      addResponse(await response.json());
+    }
+
+    const result = {
+      content: reply.content,
+      reasoning_content: reply.reasoning_content,
+      model: model.id,
+      toolCalls: reply.toolCalls,
+      usage: normalizeUsage(reply.rawUsage),
+    };
+
+    if (onComplete) {
+      onComplete(result);
+    }
+    return result;
+  } catch (error) {
+    // Handle request cancellation
+    if (error.name === "AbortError") {
+      console.log(`${provider.name} request cancelled by user`);
+      throw error;
+    }
 
-  return baseOpenAICompatibleAdapter(
-    messages,
-    provider,
-    model,
-    onProgress,
-    onComplete,
-    options,
-    adapterConfig
-  );
+    throw new Error(`${provider.name} API error: ${error.message}`);
+  }
 };
 
 export default geminiAdapter;
@@ -0,0 +1,231 @@
+/**
+ * Ollama adapter
+ * Handles interaction with the native Ollama chat API. Unlike its OpenAI compatible
+ * endpoint, /api/chat returns the thinking of reasoning models separately.
+ * Replies are streamed as JSON lines.
+ */
+
+import { normalizeUsage, parseMCPToolParams } from "../utils/common.js";
+import { readJSONLines } from "../utils/jsonLines.js";
+import {
+  getOllamaApiRoot,
+  getOllamaHeaders,
+  supportsOllamaThinking,
+} from "../../ollamaService.js";
+
+// Tool call arguments are kept as a JSON string, Ollama takes them as an object
+const toToolArguments = (args) => {
+  if (typeof args !== "string") return args || {};
+  return args.trim() ? parseMCPToolParams(args) : {};
+};
+
+/**
+ * Convert SeekChat messages to Ollama messages
+ * Ollama uses the OpenAI roles, but tool calls have no id and object arguments
+ * @param {Array} messages Messages with role system, user, assistant or tool
+ * @returns {Array} Ollama messages
+ */
+const convertMessages = (messages) => {
+  // Tool results are matched to their call by name
+  const toolNames = {};
+
+  return messages.map((msg) => {
+    switch (msg.role) {
+      case "assistant":
+        if (!msg.tool_calls?.length) {
+          return { role: "assistant", content: msg.content || "" };
+        }
+        return {
+          role: "assistant",
+          content: msg.content || "",
+          tool_calls: msg.tool_calls.map((toolCall) => {
+            toolNames[toolCall.id] = toolCall.function.name;
+            return {
+              function: {
+                name: toolCall.function.name,
+                arguments: toToolArguments(toolCall.function.arguments),
+              },
+            };
+          }),
+        };
+      case "tool":
+        return {
+          role: "tool",
+          content:
+            typeof msg.content === "string"
+              ? msg.content
+              : JSON.stringify(msg.content),
+          ...(toolNames[msg.tool_call_id] && {
+            tool_name: toolNames[msg.tool_call_id],
+          }),
+        };
+      default:
+        return { role: msg.role, content: msg.content || "" };
+    }
+  });
+};
+
+/**
+ * Collects a reply from its message chunks
+ */
+const createReply = () => {
+  const reply = {
+    content: "",
+    reasoning_content: "",
+    toolCalls: [],
+    rawUsage: null,
+  };
+
+  // Add a chunk, returns whether anything changed
+  const addChunk = (data) => {
+    if (data.error) {
+      throw new Error(data.error);
+    }
+    // The last chunk has the token counts
+    if (data.done && data.prompt_eval_count !== undefined) {
+      reply.rawUsage = {
+        prompt_eval_count: data.prompt_eval_count,
+        eval_count: data.eval_count,
+      };
+    }
+
+    const message = data.message || {};
+    let hasUpdate = false;
+    if (message.thinking) {
+      reply.reasoning_content += message.thinking;
+      hasUpdate = true;
+    }
+    if (message.content) {
+      reply.content += message.content;
+      hasUpdate = true;
+    }
+    // Tool calls are sent complete, never in parts
+    for (const toolCall of message.tool_calls || []) {
+      reply.toolCalls.push({
+        id: `call_${reply.toolCalls.length}_${Date.now()}`,
+        type: "function",
+        function: {
+          name: toolCall.function.name,
+          arguments: JSON.stringify(toolCall.function.arguments || {}),
+        },
+      });
+      hasUpdate = true;
+    }
+    return hasUpdate;
+  };
+
+  return { reply, addChunk };
+};
+
+/**
+ * Ollama provider adapter
+ * @param {Array} messages Message list
+ * @param {Object} provider Provider configuration
+ * @param {Object} model Model configuration
+ * @param {Function} onProgress Progress callback function
+ * @param {Function} onComplete Complete callback function
+ * @param {Object} options Option parameters
+ * @returns {Promise} Response
+ */
+const ollamaAdapter = async (
+  messages,
+  provider,
+  model,
+  onProgress,
+  onComplete,
+  options = {}
+) => {
+  const stream = !!onProgress;
+
+  const requestBody = {
+    model: model.id,
+    messages: convertMessages(messages),
+    stream,
+    options: {
+      temperature:
+        options.temperature !== undefined ? options.temperature : 0.7,
+    },
+  };
+  if (options.max_tokens) {
+    requestBody.options.num_predict = options.max_tokens;
+  }
+  // Models without thinking reject the think option
+  if (
+    await supportsOllamaThinking(provider.baseUrl, model.id, provider.apiKey)
+  ) {
+    requestBody.think = true;
+  }
+  if (Array.isArray(options.tools) && options.tools.length > 0) {
+    requestBody.tools = options.tools;
+  }
+
+  console.log(`${provider.name} API request parameters:`, {
+    model: model.id,
+    messagesCount: requestBody.messages.length,
+    temperature: requestBody.options.temperature,
+    think: Boolean(requestBody.think),
+    hasSignal: !!options.signal,
+    hasTools: Boolean(requestBody.tools),
+  });
+
+  try {
+    const response = await fetch(
+      `${getOllamaApiRoot(provider.baseUrl)}/api/chat`,
+      {
+        method: "POST",
+        headers: getOllamaHeaders(provider.apiKey),
+        body: JSON.stringify(requestBody),
+        signal: options.signal,
+      }
+    );
+
+    if (!response.ok) {
+      let errorMessage;
+      try {
+        errorMessage = (await response.json()).error;
+      } catch (e) {
+        // The body is not JSON
+      }
+      throw new Error(errorMessage || `HTTP error ${response.status}`);
+    }
+
+    const { reply, addChunk } = createReply();
+
+    if (stream) {
+      await readJSONLines(response.body, (data) => {
+        if (addChunk(data)) {
+          onProgress({
+            content: reply.content,
+            reasoning_content: reply.reasoning_content,
+            toolCalls: reply.toolCalls,
+          });
+        }
+      });
+    } else {
+      addChunk(await response.json());
+    }
+
+    const result = {
+      content: reply.content,
+      reasoning_content: reply.reasoning_content,
+      model: model.id,
+      toolCalls: reply.toolCalls,
+      usage: normalizeUsage(reply.rawUsage),
+    };
+
+    if (onComplete) {
+      onComplete(result);
+    }
+    return result;
+  } catch (error) {
+    // Handle request cancellation
+    if (error.name === "AbortError") {
+      console.log(`${provider.name} request cancelled by user`);
+      throw error;
+    }
+
+    throw new Error(`${provider.name} API error: ${error.message}`);
+  }
+};
+
+export default ollamaAdapter;
@@ -58,6 +58,101 @@ export const formatMCPToolsForAnthropic = (mcpTools) => {
   });
 };
 
+// Schema keywords Gemini understands, it rejects the request on others such as $schema or additionalProperties
+const GEMINI_SCHEMA_KEYS = [
+  "type",
+  "format",
+  "description",
+  "nullable",
+  "enum",
+  "items",
+  "properties",
+  "required",
+  "minItems",
+  "maxItems",
+  "minimum",
+  "maximum",
+  "anyOf",
+];
+
+/**
+ * Reduce a JSON schema to the subset Gemini accepts
+ * @param {Object} schema JSON schema
+ * @returns {Object} Gemini schema
+ */
+const toGeminiSchema = (schema) => {
+  if (!schema || typeof schema !== "object") {
+    return { type: "string" };
+  }
+
+  const result = {};
+  for (const key of GEMINI_SCHEMA_KEYS) {
+    if (schema[key] !== undefined) {
+      result[key] = schema[key];
+    }
+  }
+
+  // A list of types such as ["string", "null"] is one type that can be null
+  if (Array.isArray(schema.type)) {
+    const types = schema.type.filter((type) => type !== "null");
+    result.type = types[0] || "string";
+    if (types.length < schema.type.length) {
+      result.nullable = true;
+    }
+  }
+  if (result.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(result.properties).map(([name, property]) => [
+        name,
+        toGeminiSchema(property),
+      ])
+    );
+  }
+  if (result.items) {
+    result.items = toGeminiSchema(result.items);
+  }
+  if (result.anyOf) {
+    result.anyOf = result.anyOf.map(toGeminiSchema);
+  }
+  // Enum values have to be strings
+  if (result.enum) {
+    result.enum = result.enum.map(String);
+  }
+  return result;
+};
+
+/**
+ * Convert MCP tools to Gemini function declarations
+ * @param {Array} mcpTools MCP tool list
+ * @returns {Array} Gemini tools, a single tool holding all function declarations
+ */
+export const formatMCPToolsForGemini = (mcpTools) => {
+  if (!mcpTools || !Array.isArray(mcpTools) || mcpTools.length === 0) {
+    return [];
+  }
+
+  const functionDeclarations = mcpTools.map((tool) => {
+    // Get parameter definition
+    const parameters = tool.parameters || {};
+    const declaration = {
+      name: tool.id,
+      description: tool.description || `${tool.name} from ${tool.serverName}`,
+    };
+
+    // Gemini rejects object schemas without properties, such tools take no parameters
+    if (parameters.properties && Object.keys(parameters.properties).length > 0) {
+      declaration.parameters = toGeminiSchema({
+        type: "object",
+        properties: parameters.properties,
+        required: parameters.required || [],
+      });
+    }
+    return declaration;
+  });
+
+  return [{ functionDeclarations }];
+};
+
 /**
  * Format MCP tools based on provider
  * @param {Array} mcpTools MCP tool list
@@ -74,6 +169,8 @@ export const formatToolsForProvider = (mcpTools, providerId) => {
       return formatMCPToolsForOpenAI(mcpTools);
     case "anthropic":
       return formatMCPToolsForAnthropic(mcpTools);
+    case "gemini":
+      return formatMCPToolsForGemini(mcpTools);
     default:
       // Default to OpenAI format
       return formatMCPToolsForOpenAI(mcpTools);
@@ -286,8 +286,89 @@ export const getProviderAdapter = (providerId) => {
       return import("../adapters/anthropicAdapter.js").then((m) => m.default);
     case "gemini":
       return import("../adapters/geminiAdapter.js").then((m) => m.default);
+    case "ollama":
+      return import("../adapters/ollamaAdapter.js").then((m) => m.default);
     default:
       // For other providers, use general OpenAI compatible adapter
       return import("../adapters/baseAdapter.js").then((m) => m.default);
   }
 };
+
+/**
+ * Convert the token usage reported by a provider to one format
+ * Understands OpenAI (prompt_tokens), Anthropic (input_tokens), Gemini (promptTokenCount)
+ * and Ollama (prompt_eval_count) usage.
+ * completionTokens always includes the reasoning tokens, reasoningTokens is the part spent thinking.
+ * @param {Object} usage Usage object from the API response
+ * @returns {Object|null} { promptTokens, completionTokens, reasoningTokens }, null when there is no usage
+ */
+export const normalizeUsage = (usage) => {
+  if (!usage || typeof usage !== "object") {
+    return null;
+  }
+
+  // Gemini counts thinking tokens separately from the candidates
+  if (usage.promptTokenCount !== undefined) {
+    const reasoningTokens = usage.thoughtsTokenCount || 0;
+    return {
+      promptTokens: usage.promptTokenCount || 0,
+      completionTokens: (usage.candidatesTokenCount || 0) + reasoningTokens,
+      reasoningTokens,
+    };
+  }
+
+  // Ollama doesn't count thinking tokens separately
+  if (usage.prompt_eval_count !== undefined || usage.eval_count !== undefined) {
+    return {
+      promptTokens: usage.prompt_eval_count || 0,
+      completionTokens: usage.eval_count || 0,
+      reasoningTokens: 0,
+    };
+  }
+
+  // Anthropic
+  if (usage.input_tokens !== undefined || usage.output_tokens !== undefined) {
+    return {
+      promptTokens:
+        (usage.input_tokens || 0) +
+        (usage.cache_creation_input_tokens || 0) +
+        (usage.cache_read_input_tokens || 0),
+      completionTokens: usage.output_tokens || 0,
+      reasoningTokens: 0,
+    };
+  }
+
+  // OpenAI compatible
+  if (
+    usage.prompt_tokens !== undefined ||
+    usage.completion_tokens !== undefined
+  ) {
+    return {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      reasoningTokens:
+        usage.completion_tokens_details?.reasoning_tokens ||
+        usage.reasoning_tokens ||
+        0,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Add up normalized usage, e.g. of the requests made during tool calls
+ * @param {Object|null} total Usage so far
+ * @param {Object|null} usage Usage to add
+ * @returns {Object|null} Sum, null when neither has usage
+ */
+export const addUsage = (total, usage) => {
+  if (!total) return usage || null;
+  if (!usage) return total;
+
+  return {
+    promptTokens: total.promptTokens + usage.promptTokens,
+    completionTokens: total.completionTokens + usage.completionTokens,
+    reasoningTokens: total.reasoningTokens + usage.reasoningTokens,
+  };
+};
@@ -0,0 +1,56 @@
+/**
+ * Newline-delimited JSON reader
+ * Ollama streams its replies and pull progress as one JSON object per line
+ * instead of server-sent events.
+ */
+
+/**
+ * Read the JSON lines of a response body
+ * Lines split across network chunks are buffered, empty lines are skipped.
+ * An error thrown by onLine stops reading and is rethrown.
+ * @param {ReadableStream} body Response body
+ * @param {Function} onLine Called with the parsed object of each line
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export const readJSONLines = async (body, onLine) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder("utf-8");
+  let buffer = "";
+
+  const processLine = (line) => {
+    if (!line.trim()) return;
+
+    let data;
+    try {
+      data = JSON.parse(line);
+    } catch (e) {
+      console.error("Failed to parse stream data:", e);
+      return;
+    }
+    onLine(data);
+  };
+
+  let streamEnded = false;
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        streamEnded = true;
+        buffer += decoder.decode();
+        break;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      lines.forEach(processLine);
+    }
+    // The last line may not end with a newline
+    processLine(buffer);
+  } finally {
+    // Release the connection when reading stopped early
+    if (!streamEnded) {
+      reader.cancel().catch(() => {});
+    }
+  }
+};
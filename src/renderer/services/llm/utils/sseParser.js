@@ -0,0 +1,148 @@
+/**
+ * Server-sent events parser
+ * Streamed replies of all providers are sent as server-sent events. Network chunks
+ * don't follow event boundaries, so text is buffered until a line is complete.
+ */
+
+// Sentinel OpenAI compatible providers send as the last event
+const DONE_SENTINEL = "[DONE]";
+
+/**
+ * Create an incremental server-sent events parser
+ * Lines may end with CRLF, LF or CR, comments are ignored, data lines of one event
+ * are joined with newlines and the retry field is not used.
+ * @param {Function} onEvent Called with { event, data, id } for each event
+ * @returns {Object} { feed(text), end() }, feed takes decoded text in any pieces
+ */
+export const createSSEParser = (onEvent) => {
+  let buffer = "";
+  let isFirstText = true;
+  // A CR at the end of a piece may be the first half of a CRLF
+  let skipLeadingLF = false;
+  let eventType = "";
+  let dataLines = [];
+  let lastEventId = "";
+
+  const dispatch = () => {
+    if (dataLines.length > 0) {
+      onEvent({
+        event: eventType || "message",
+        data: dataLines.join("\n"),
+        id: lastEventId,
+      });
+    }
+    eventType = "";
+    dataLines = [];
+  };
+
+  const processLine = (line) => {
+    if (line === "") {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(":")) return;
+
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? "" : line.slice(colon + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+
+    switch (field) {
+      case "event":
+        eventType = value;
+        break;
+      case "data":
+        dataLines.push(value);
+        break;
+      case "id":
+        if (!value.includes("\0")) lastEventId = value;
+        break;
+      default:
+        // retry and unknown fields
+        break;
+    }
+  };
+
+  const feed = (text) => {
+    if (!text) return;
+    if (isFirstText) {
+      text = text.replace(/^\uFEFF/, "");
+      isFirstText = false;
+    }
+    if (skipLeadingLF && text.startsWith("\n")) {
+      text = text.slice(1);
+    }
+    skipLeadingLF = false;
+
+    buffer += text;
+    let start = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      const char = buffer[i];
+      if (char !== "\r" && char !== "\n") continue;
+
+      processLine(buffer.slice(start, i));
+      if (char === "\r") {
+        if (i + 1 === buffer.length) {
+          skipLeadingLF = true;
+        } else if (buffer[i + 1] === "\n") {
+          i++;
+        }
+      }
+      start = i + 1;
+    }
+    buffer = buffer.slice(start);
+  };
+
+  // Some servers close the stream without the blank line after the last event
+  const end = () => {
+    if (buffer) {
+      processLine(buffer);
+      buffer = "";
+    }
+    dispatch();
+  };
+
+  return { feed, end };
+};
+
+/**
+ * Read the server-sent events of a response body
+ * Reading stops at the [DONE] sentinel, which is not passed on.
+ * An error thrown by onEvent stops reading and is rethrown.
+ * @param {ReadableStream} body Response body
+ * @param {Function} onEvent Called with { event, data, id } for each event
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export const readSSEEvents = async (body, onEvent) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder("utf-8");
+  let done = false;
+
+  const parser = createSSEParser((event) => {
+    if (done) return;
+    if (event.data === DONE_SENTINEL) {
+      done = true;
+      return;
+    }
+    onEvent(event);
+  });
+
+  let streamEnded = false;
+  try {
+    while (!done) {
+      const { done: streamDone, value } = await reader.read();
+      if (streamDone) {
+        streamEnded = true;
+        parser.feed(decoder.decode());
+        parser.end();
+        break;
+      }
+      parser.feed(decoder.decode(value, { stream: true }));
+    }
+  } finally {
+    // Release the connection when reading stopped early
+    if (!streamEnded) {
+      reader.cancel().catch(() => {});
+    }
+  }
+};
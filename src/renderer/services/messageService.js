@@ -49,6 +49,29 @@ export const formatMessageContent = (contentArray) => {
   return "";
 };
 
+/**
+ * get the provider and model a session sends to
+ * they are kept in the session metadata, the global default is used when they are missing
+ * @param {Object|string} metadata session metadata, as stored or parsed
+ * @returns {Object} { providerId, modelId }
+ */
+export const getSessionModel = (metadata) => {
+  let settings = metadata;
+  if (typeof metadata === "string") {
+    try {
+      settings = metadata ? JSON.parse(metadata) : {};
+    } catch (e) {
+      settings = {};
+    }
+  }
+
+  if (settings?.providerId && settings?.modelId) {
+    return { providerId: settings.providerId, modelId: settings.modelId };
+  }
+  const { providerId, modelId } = getUserConfig();
+  return { providerId, modelId };
+};
+
 /**
  * parse message content string to content array
  * @param {string} contentString message content string
@@ -69,6 +92,105 @@ export const parseMessageContent = (contentString) => {
   }
 };
 
+/**
+ * compare messages by creation order
+ * @param {Object} a message
+ * @param {Object} b message
+ * @returns {number} sort order
+ */
+const compareMessageOrder = (a, b) =>
+  a.createdAt - b.createdAt || a.id - b.id;
+
+/**
+ * get the children of a message, oldest first
+ * @param {Array} messages all messages of the session
+ * @param {number|null} parentId parent message id, null for root messages
+ * @returns {Array} child messages
+ */
+export const getChildMessages = (messages, parentId) => {
+  return messages
+    .filter((msg) => (msg.parentId ?? null) === (parentId ?? null))
+    .sort(compareMessageOrder);
+};
+
+/**
+ * get the sibling branches of a message (including itself), oldest first
+ * @param {Array} messages all messages of the session
+ * @param {Object} message message
+ * @returns {Array} sibling messages
+ */
+export const getSiblingMessages = (messages, message) => {
+  return getChildMessages(messages, message.parentId);
+};
+
+/**
+ * follow the latest child from a message down to a leaf
+ * @param {Array} messages all messages of the session
+ * @param {number|null} messageId start message id, null to start from the latest root
+ * @returns {number|null} leaf message id
+ */
+export const getLatestLeafId = (messages, messageId = null) => {
+  let currentId = messageId;
+
+  if (currentId === null || currentId === undefined) {
+    // When older messages are not loaded yet, messages whose parent is missing act as roots
+    const loadedIds = new Set(messages.map((msg) => msg.id));
+    const roots = messages
+      .filter((msg) => msg.parentId == null || !loadedIds.has(msg.parentId))
+      .sort(compareMessageOrder);
+    if (roots.length === 0) return null;
+    currentId = roots[roots.length - 1].id;
+  }
+
+  // Guard against cycles in corrupted data
+  const visited = new Set();
+  while (!visited.has(currentId)) {
+    visited.add(currentId);
+    const children = getChildMessages(messages, currentId);
+    if (children.length === 0) break;
+    currentId = children[children.length - 1].id;
+  }
+
+  return currentId;
+};
+
+/**
+ * get the path from the root message to a message
+ * @param {Array} messages all messages of the session
+ * @param {number} messageId last message id of the path
+ * @returns {Array} messages from root to the given message
+ */
+export const getMessagePath = (messages, messageId) => {
+  const messageMap = new Map(messages.map((msg) => [msg.id, msg]));
+  const path = [];
+  const visited = new Set();
+
+  let current = messageMap.get(messageId);
+  while (current && !visited.has(current.id)) {
+    visited.add(current.id);
+    path.unshift(current);
+    current = messageMap.get(current.parentId);
+  }
+
+  return path;
+};
+
+/**
+ * get the active branch of a session
+ * @param {Array} messages all messages of the session
+ * @param {number|null} activeMessageId selected message, the branch continues along the latest children
+ * @returns {Array} messages of the active branch, from root to leaf
+ */
+export const getActivePath = (messages, activeMessageId = null) => {
+  if (!messages || messages.length === 0) return [];
+
+  const startId = messages.some((msg) => msg.id === activeMessageId)
+    ? activeMessageId
+    : null;
+
+  return getMessagePath(messages, getLatestLeafId(messages, startId));
+};
+
 /**
  * send message to AI and handle the response
  * @param {Array} messages history messages list
@@ -99,33 +221,33 @@ export const sendMessage = async (
     throw new Error(i18n.t("chat.pleaseSelectOrCreateASession"));
   }
 
-  // get current config
-  const userConfig = getUserConfig();
-  if (!userConfig.providerId || !userConfig.modelId) {
+  // get the provider and model of the session
+  const modelConfig = getSessionModel(session.metadata);
+  if (!modelConfig.providerId || !modelConfig.modelId) {
     console.error(
       "messageService: sendMessage: unselect provider or model:",
-      userConfig
+      modelConfig
     );
     throw new Error(i18n.t("chat.pleaseSelectAModel"));
   }
 
   // get provider config
   const allProviders = getAllProviders();
-  const provider = allProviders.find((p) => p.id === userConfig.providerId);
+  const provider = allProviders.find((p) => p.id === modelConfig.providerId);
   if (!provider) {
     console.error(
       "messageService: sendMessage: unselect provider:",
-      userConfig.providerId
+      modelConfig.providerId
     );
     throw new Error(i18n.t("settings.noProvidersAvailable"));
   }
 
   // get model
-  const model = provider.models.find((m) => m.id === userConfig.modelId);
+  const model = provider.models.find((m) => m.id === modelConfig.modelId);
   if (!model) {
     console.error(
       "messageService: sendMessage: unselect model:",
-      userConfig.modelId
+      modelConfig.modelId
     );
     throw new Error(i18n.t("chat.pleaseSelectAModel"));
   }
@@ -226,13 +348,19 @@ export const updateMessageStatus = async (messageId, status, electronAPI) => {
 };
 
 /**
- * update message content
+ * update message content, the previous content is kept as a revision
  * @param {number} messageId message id
  * @param {Array|string} content new content
  * @param {Function} electronAPI Electron API
+ * @param {string} reason why the content changes: stream_final, user_edit or termination
  * @returns {Promise} update result
  */
-export const updateMessageContent = async (messageId, content, electronAPI) => {
+export const updateMessageContent = async (
+  messageId,
+  content,
+  electronAPI,
+  reason = "user_edit"
+) => {
   if (!electronAPI) {
     throw new Error("electronAPI is undefined");
   }
@@ -242,5 +370,38 @@ export const updateMessageContent = async (messageId, content, electronAPI) => {
     content = JSON.stringify(content);
   }
 
-  return await electronAPI.updateMessageContent(messageId, content);
+  return await electronAPI.updateMessageContent(messageId, content, reason);
+};
+
+/**
+ * get the earlier contents of a message, newest first
+ * @param {number} messageId message id
+ * @param {Function} electronAPI Electron API
+ * @returns {Promise<Array>} revisions
+ */
+export const getMessageRevisions = async (messageId, electronAPI) => {
+  if (!electronAPI) {
+    throw new Error("electronAPI is undefined");
+  }
+
+  return await electronAPI.getMessageRevisions(messageId);
+};
+
+/**
+ * put the content of a revision back into its message
+ * @param {number} messageId message id
+ * @param {number} revisionId revision id
+ * @param {Function} electronAPI Electron API
+ * @returns {Promise<Object>} updated message
+ */
+export const restoreMessageRevision = async (
+  messageId,
+  revisionId,
+  electronAPI
+) => {
+  if (!electronAPI) {
+    throw new Error("electronAPI is undefined");
+  }
+
+  return await electronAPI.restoreMessageRevision(messageId, revisionId);
 };
@@ -0,0 +1,146 @@
+/**
+ * modelDiscovery.js
+ * Discovers the models of OpenAI compatible providers through their /models endpoint
+ * and keeps a catalog of them per provider, refreshed in the background
+ */
+
+import { getModelTypes } from "./models.js";
+import {
+  getEnabledProviders,
+  getProviderById,
+  getModelCatalog,
+  saveModelCatalog,
+} from "./providerService.js";
+
+// Providers with their own API, Ollama lists its installed models instead
+const NATIVE_PROVIDERS = ["anthropic", "gemini", "ollama"];
+
+// Catalogs older than this are refreshed, the check runs every hour
+const CATALOG_MAX_AGE = 24 * 60 * 60 * 1000;
+const REFRESH_CHECK_INTERVAL = 60 * 60 * 1000;
+// The first check waits for the app to finish starting
+const REFRESH_STARTUP_DELAY = 60 * 1000;
+
+/**
+ * Whether the models of a provider can be discovered
+ * @param {string} providerId Provider ID
+ * @returns {boolean} Whether the provider has an OpenAI compatible /models endpoint
+ */
+export const supportsModelDiscovery = (providerId) =>
+  !NATIVE_PROVIDERS.includes(providerId);
+
+/**
+ * Fetch the models a provider offers
+ * @param {Object} provider Provider with id, name and baseUrl
+ * @returns {Promise<Array>} Models { id, types } sorted by ID
+ */
+export const fetchProviderModels = async (provider) => {
+  if (!provider.baseUrl) {
+    throw new Error(`${provider.name} has no API base URL`);
+  }
+
+  const apiKey = await window.electronAPI.getProviderApiKey(provider.id);
+  const response = await fetch(
+    `${provider.baseUrl.replace(/\/+$/, "")}/models`,
+    {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    }
+  );
+
+  if (!response.ok) {
+    let errorData;
+    try {
+      errorData = await response.json();
+    } catch (e) {
+      errorData = { error: { message: `HTTP error ${response.status}` } };
+    }
+    throw new Error(
+      errorData.error?.message || `HTTP error ${response.status}`
+    );
+  }
+
+  // Most providers follow OpenAI's { data: [...] }, a few return the list itself
+  const data = await response.json();
+  const list = Array.isArray(data) ? data : data.data || data.models || [];
+
+  const models = new Map();
+  list.forEach((item) => {
+    const id = typeof item === "string" ? item : item?.id;
+    if (id && !models.has(id)) {
+      models.set(id, { id, types: getModelTypes(id) });
+    }
+  });
+  return [...models.values()].sort((a, b) => a.id.localeCompare(b.id));
+};
+
+/**
+ * Fetch the models of a provider and save them as its catalog
+ * Models missing from the previous catalog are marked as new
+ * @param {string} providerId Provider ID
+ * @returns {Promise<Object>} Catalog { fetchedAt, models, newModelIds }
+ */
+export const refreshModelCatalog = async (providerId) => {
+  const provider = getProviderById(providerId);
+  if (!provider) {
+    throw new Error(`Provider not found: ${providerId}`);
+  }
+
+  const models = await fetchProviderModels(provider);
+  const previous = getModelCatalog(providerId);
+  const previousIds = new Set((previous?.models || []).map((m) => m.id));
+
+  const catalog = {
+    fetchedAt: Date.now(),
+    models,
+    // Nothing is new on the first fetch
+    newModelIds: previous
+      ? models.filter((m) => !previousIds.has(m.id)).map((m) => m.id)
+      : [],
+  };
+  saveModelCatalog(providerId, catalog);
+  return catalog;
+};
+
+// Refresh the outdated catalogs of enabled providers one at a time
+const refreshOutdatedCatalogs = async () => {
+  // Providers without a key or catalog were never set up for discovery
+  const providers = getEnabledProviders().filter(
+    (provider) =>
+      supportsModelDiscovery(provider.id) &&
+      provider.baseUrl &&
+      (provider.apiKeyRef || getModelCatalog(provider.id))
+  );
+
+  for (const provider of providers) {
+    const catalog = getModelCatalog(provider.id);
+    if (catalog && Date.now() - catalog.fetchedAt < CATALOG_MAX_AGE) {
+      continue;
+    }
+
+    try {
+      await refreshModelCatalog(provider.id);
+    } catch (error) {
+      console.warn(`Failed to refresh the models of ${provider.name}:`, error);
+    }
+  }
+};
+
+/**
+ * Refresh model catalogs in the background
+ * @returns {Function} Stops the refresh
+ */
+export const startModelCatalogRefresh = () => {
+  const startupTimer = setTimeout(
+    refreshOutdatedCatalogs,
+    REFRESH_STARTUP_DELAY
+  );
+  const intervalTimer = setInterval(
+    refreshOutdatedCatalogs,
+    REFRESH_CHECK_INTERVAL
+  );
+
+  return () => {
+    clearTimeout(startupTimer);
+    clearInterval(intervalTimer);
+  };
+};
@@ -20,6 +20,7 @@ const EMBEDDING_REGEX =
   /(?:^text-|embed|bge-|e5-|LLM2Vec|retrieval|uae-|gte-|jina-clip|jina-embeddings)/i;
 
 // System model definitions
+// pricing is in USD per million tokens, output covers reasoning tokens as well
 export const SYSTEM_MODELS = {
   silicon: [
     {
@@ -59,16 +60,36 @@ export const SYSTEM_MODELS = {
       provider: "openai",
       name: " gpt-4.5-preview",
       group: "gpt-4.5",
+      pricing: { input: 75, output: 150 },
+    },
+    {
+      id: "gpt-4o",
+      provider: "openai",
+      name: " GPT-4o",
+      group: "GPT 4o",
+      pricing: { input: 2.5, output: 10 },
     },
-    { id: "gpt-4o", provider: "openai", name: " GPT-4o", group: "GPT 4o" },
     {
       id: "gpt-4o-mini",
       provider: "openai",
       name: " GPT-4o-mini",
       group: "GPT 4o",
+      pricing: { input: 0.15, output: 0.6 },
+    },
+    {
+      id: "o1-mini",
+      provider: "openai",
+      name: " o1-mini",
+      group: "o1",
+      pricing: { input: 1.1, output: 4.4 },
+    },
+    {
+      id: "o1-preview",
+      provider: "openai",
+      name: " o1-preview",
+      group: "o1",
+      pricing: { input: 15, output: 60 },
     },
-    { id: "o1-mini", provider: "openai", name: " o1-mini", group: "o1" },
-    { id: "o1-preview", provider: "openai", name: " o1-preview", group: "o1" },
   ],
   "azure-openai": [
     {
@@ -76,12 +97,60 @@ export const SYSTEM_MODELS = {
       provider: "azure-openai",
       name: " GPT-4o",
       group: "GPT 4o",
+      pricing: { input: 2.5, output: 10 },
     },
     {
       id: "gpt-4o-mini",
       provider: "azure-openai",
       name: " GPT-4o-mini",
       group: "GPT 4o",
+      pricing: { input: 0.15, output: 0.6 },
+    },
+  ],
+  anthropic: [
+    {
+      id: "claude-3-7-sonnet-20250219",
+      provider: "anthropic",
+      name: "Claude 3.7 Sonnet",
+      group: "Claude 3.7",
+      pricing: { input: 3, output: 15 },
+    },
+    {
+      id: "claude-3-5-sonnet-20241022",
+      provider: "anthropic",
+      name: "Claude 3.5 Sonnet",
+      group: "Claude 3.5",
+      pricing: { input: 3, output: 15 },
+    },
+    {
+      id: "claude-3-5-haiku-20241022",
+      provider: "anthropic",
+      name: "Claude 3.5 Haiku",
+      group: "Claude 3.5",
+      pricing: { input: 0.8, output: 4 },
+    },
+  ],
+  gemini: [
+    {
+      id: "gemini-2.5-pro",
+      provider: "gemini",
+      name: "Gemini 2.5 Pro",
+      group: "Gemini 2.5",
+      pricing: { input: 1.25, output: 10 },
+    },
+    {
+      id: "gemini-2.5-flash",
+      provider: "gemini",
+      name: "Gemini 2.5 Flash",
+      group: "Gemini 2.5",
+      pricing: { input: 0.3, output: 2.5 },
+    },
+    {
+      id: "gemini-2.0-flash",
+      provider: "gemini",
+      name: "Gemini 2.0 Flash",
+      group: "Gemini 2.0",
+      pricing: { input: 0.1, output: 0.4 },
     },
   ],
   deepseek: [
@@ -90,12 +159,14 @@ export const SYSTEM_MODELS = {
       provider: "deepseek",
       name: "DeepSeek Chat",
       group: "DeepSeek Chat",
+      pricing: { input: 0.27, output: 1.1 },
     },
     {
       id: "deepseek-reasoner",
       provider: "deepseek",
       name: "DeepSeek Reasoner",
       group: "DeepSeek Reasoner",
+      pricing: { input: 0.55, output: 2.19 },
     },
   ],
   moonshot: [
@@ -156,6 +227,20 @@ export const providers = [
     baseUrl: "https://api.openai.com/v1",
     models: SYSTEM_MODELS.openai || [],
   },
+  {
+    id: "anthropic",
+    name: "Anthropic",
+    logo: "assets/providers/anthropic.png",
+    baseUrl: "https://api.anthropic.com",
+    models: SYSTEM_MODELS.anthropic || [],
+  },
+  {
+    id: "gemini",
+    name: "Gemini",
+    logo: "assets/providers/gemini.png",
+    baseUrl: "https://generativelanguage.googleapis.com/v1beta",
+    models: SYSTEM_MODELS.gemini || [],
+  },
   {
     id: "silicon",
     name: "siliconflow",
@@ -174,7 +259,7 @@ export const providers = [
     id: "ollama",
     name: "ollama",
     logo: "assets/providers/ollama.png",
-    baseUrl: "http://127.0.0.1:11434/v1",
+    baseUrl: "http://127.0.0.1:11434",
     models: [],
   },
   {
@@ -220,6 +305,72 @@ export function isReasoningModel(model) {
   );
 }
 
+/**
+ * Classify a model by its ID
+ * Embedding and image generation models can't chat, other models are chat models
+ * that may also take images or reason.
+ * @param {string} modelId Model ID
+ * @returns {Array<string>} Types: "embedding", "text_to_image" or "chat" with "vision" and "reasoning"
+ */
+export function getModelTypes(modelId) {
+  if (EMBEDDING_REGEX.test(modelId)) {
+    return ["embedding"];
+  }
+  if (TEXT_TO_IMAGE_REGEX.test(modelId)) {
+    return ["text_to_image"];
+  }
+
+  const types = ["chat"];
+  if (VISION_REGEX.test(modelId)) {
+    types.push("vision");
+  }
+  if (isReasoningModel({ id: modelId })) {
+    types.push("reasoning");
+  }
+  return types;
+}
+
+/**
+ * Calculate the cost of a reply from its token usage
+ * @param {Object|null} usage Usage with promptTokens and completionTokens
+ * @param {Object} pricing Model pricing, see SYSTEM_MODELS
+ * @returns {number|null} Cost in USD, null when the usage or the price is unknown
+ */
+export function calculateCost(usage, pricing) {
+  if (!usage || !pricing) {
+    return null;
+  }
+
+  return (
+    (usage.promptTokens * (pricing.input || 0) +
+      usage.completionTokens * (pricing.output || 0)) /
+    1e6
+  );
+}
+
+/**
+ * Format a token count for display, e.g. 1234 as 1.2k
+ * @param {number} count Token count
+ * @returns {string} Formatted count
+ */
+export function formatTokenCount(count) {
+  if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+  if (count >= 1e4) return `${Math.round(count / 1e3)}k`;
+  if (count >= 1e3) return `${(count / 1e3).toFixed(1)}k`;
+  return String(count || 0);
+}
+
+/**
+ * Format a cost in USD for display, small costs keep more digits
+ * @param {number} cost Cost in USD
+ * @returns {string} Formatted cost
+ */
+export function formatCost(cost) {
+  if (!cost) return "$0";
+  if (cost < 0.0001) return "<$0.0001";
+  return `$${cost < 0.01 ? cost.toPrecision(2) : cost.toFixed(2)}`;
+}
+
 /**
  * Get the model name for the current config
  * @param {string} providerId Provider ID
@@ -266,7 +417,8 @@ export const getAllProviders = () => {
     const savedConfig = savedProviderConfigs[provider.id];
     if (savedConfig) {
   // Use saved config if available
-      provider.apiKey = savedConfig.apiKey || "";
+      // Opaque reference to the encrypted API key, the key itself stays in the main process
+      provider.apiKeyRef = savedConfig.apiKeyRef || null;
       provider.baseUrl = savedConfig.baseUrl || "";
       provider.enabled =
         savedConfig.enabled !== undefined ? savedConfig.enabled : false;
@@ -293,8 +445,9 @@ export const getAllProviders = () => {
             (m) => m.id === savedModel.id
           );
           if (!existingModel) {
+            // Pricing and discovered metadata are kept with the saved model
             provider.models.push({
-              id: savedModel.id,
+              ...savedModel,
               name: savedModel.name || savedModel.id,
               enabled:
                 savedModel.enabled !== undefined ? savedModel.enabled : true,
@@ -327,7 +480,7 @@ export const getAllProviders = () => {
         id: providerId,
         name: providerConfig.name,
         baseUrl: providerConfig.baseUrl,
-        apiKey: providerConfig.apiKey,
+        apiKeyRef: providerConfig.apiKeyRef || null,
         models: (providerConfig.models || []).map((model) => ({
           ...model,
           deleted: model.deleted === true,
@@ -347,52 +500,3 @@ export const getAllProviders = () => {
 
   return allProviders;
 };
-
-// Initialize system provider config
-// This code runs at app startup to ensure system providers are correctly saved to config
-if (typeof window !== "undefined") {
-  // Get current saved provider config
-  const savedConfig = getProvidersConfig();
-  let needsUpdate = false;
-
-  // Check if each system provider is already in config
-  providers.forEach((provider) => {
-    if (!savedConfig[provider.id]) {
-  // If system provider is not in config, add it
-      savedConfig[provider.id] = {
-        ...provider,
-        enabled: false, // Disabled by default
-        models: provider.models.map((model) => ({
-          ...model,
-          enabled: true, // Enable all models by default
-        })),
-      };
-      needsUpdate = true;
-    } else {
-  // If system provider is already in config, check if new models need to be added
-      const savedModels = savedConfig[provider.id].models || [];
-      const savedModelIds = savedModels.map((m) => m.id);
-
-      provider.models.forEach((model) => {
-        if (!savedModelIds.includes(model.id)) {
-          // If model is not in config, add it
-          savedModels.push({
-            ...model,
-            enabled: true, // Enable by default
-          });
-          needsUpdate = true;
-        }
-      });
-
-  // Update model list
-      savedConfig[provider.id].models = savedModels;
-    }
-  });
-
-  // Save config if there are updates
-  if (needsUpdate) {
-    const configJson = JSON.stringify(savedConfig);
-    localStorage.setItem("providersConfig", configJson);
-  console.log("System provider config initialized");
-  }
-}
@@ -0,0 +1,164 @@
+/**
+ * ollamaService.js
+ * Talks to the native Ollama API to list, inspect and pull local models
+ */
+
+import { readJSONLines } from "./llm/utils/jsonLines.js";
+
+export const DEFAULT_OLLAMA_URL = "http://127.0.0.1:11434";
+
+/**
+ * Get the API root of an Ollama server
+ * The provider used to be configured with the OpenAI compatible /v1 URL, which is stripped
+ * @param {string} baseUrl Provider base URL
+ * @returns {string} URL without trailing slash and /v1
+ */
+export const getOllamaApiRoot = (baseUrl) =>
+  (baseUrl || DEFAULT_OLLAMA_URL).replace(/\/+$/, "").replace(/\/v1$/, "");
+
+// Ollama reports errors as { error }
+const readErrorMessage = async (response) => {
+  try {
+    const data = await response.json();
+    return data.error || `HTTP error ${response.status}`;
+  } catch (e) {
+    return `HTTP error ${response.status}`;
+  }
+};
+
+/**
+ * Get the headers of a request to an Ollama server
+ * Ollama needs no key, one is only sent for servers behind a proxy
+ * @param {string} [apiKey] Provider API key
+ * @returns {Object} Request headers
+ */
+export const getOllamaHeaders = (apiKey) => ({
+  "Content-Type": "application/json",
+  ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+});
+
+const request = async (baseUrl, path, options = {}) => {
+  const response = await fetch(`${getOllamaApiRoot(baseUrl)}${path}`, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...options.headers },
+  });
+  if (!response.ok) {
+    throw new Error(await readErrorMessage(response));
+  }
+  return response;
+};
+
+/**
+ * List the models installed on an Ollama server
+ * @param {string} baseUrl Provider base URL
+ * @param {string} [apiKey] Provider API key
+ * @returns {Promise<Array>} Models as returned by /api/tags: { name, size, details, ... }
+ */
+export const listOllamaModels = async (baseUrl, apiKey) => {
+  const response = await request(baseUrl, "/api/tags", {
+    headers: getOllamaHeaders(apiKey),
+  });
+  const data = await response.json();
+  return data.models || [];
+};
+
+// Capabilities rarely change, so the thinking check of every request doesn't ask again
+const modelInfoCache = new Map();
+
+/**
+ * Get the details of an installed model
+ * @param {string} baseUrl Provider base URL
+ * @param {string} modelName Model name, e.g. llama3.2:3b
+ * @param {string} [apiKey] Provider API key
+ * @returns {Promise<Object>} { family, parameterSize, quantization, contextLength, capabilities }
+ */
+export const getOllamaModelInfo = async (baseUrl, modelName, apiKey) => {
+  const cacheKey = `${getOllamaApiRoot(baseUrl)}|${modelName}`;
+  if (modelInfoCache.has(cacheKey)) {
+    return modelInfoCache.get(cacheKey);
+  }
+
+  const response = await request(baseUrl, "/api/show", {
+    method: "POST",
+    headers: getOllamaHeaders(apiKey),
+    body: JSON.stringify({ model: modelName }),
+  });
+  const data = await response.json();
+
+  // The context length is stored under the architecture name, e.g. llama.context_length
+  const modelInfo = data.model_info || {};
+  const architecture = modelInfo["general.architecture"];
+  const info = {
+    family: data.details?.family || "",
+    parameterSize: data.details?.parameter_size || "",
+    quantization: data.details?.quantization_level || "",
+    contextLength: modelInfo[`${architecture}.context_length`] || null,
+    // Older servers don't report capabilities
+    capabilities: data.capabilities || [],
+  };
+  modelInfoCache.set(cacheKey, info);
+  return info;
+};
+
+/**
+ * Whether a model can think, unknown models are treated as not thinking
+ * @param {string} baseUrl Provider base URL
+ * @param {string} modelName Model name
+ * @param {string} [apiKey] Provider API key
+ * @returns {Promise<boolean>} Whether the think option can be sent
+ */
+export const supportsOllamaThinking = async (baseUrl, modelName, apiKey) => {
+  try {
+    const info = await getOllamaModelInfo(baseUrl, modelName, apiKey);
+    return info.capabilities.includes("thinking");
+  } catch (error) {
+    console.warn(`Failed to get details of ${modelName}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Download a model, progress is reported for each layer
+ * @param {string} baseUrl Provider base URL
+ * @param {string} modelName Model name, e.g. qwen3:8b
+ * @param {Function} onProgress Called with { status, completed, total }
+ * @param {AbortSignal} signal Cancels the download
+ * @param {string} [apiKey] Provider API key
+ * @returns {Promise<void>} Resolves when the model is installed
+ */
+export const pullOllamaModel = async (
+  baseUrl,
+  modelName,
+  onProgress,
+  signal,
+  apiKey
+) => {
+  const response = await request(baseUrl, "/api/pull", {
+    method: "POST",
+    headers: getOllamaHeaders(apiKey),
+    body: JSON.stringify({ model: modelName, stream: true }),
+    signal,
+  });
+
+  let succeeded = false;
+  await readJSONLines(response.body, (data) => {
+    // Errors after the download started are sent as a line of the stream
+    if (data.error) {
+      throw new Error(data.error);
+    }
+    if (data.status === "success") {
+      succeeded = true;
+    }
+    onProgress?.({
+      status: data.status,
+      completed: data.completed || 0,
+      total: data.total || 0,
+    });
+  });
+
+  if (!succeeded) {
+    throw new Error(`Download of ${modelName} did not finish`);
+  }
+  // A model pulled again may have changed
+  modelInfoCache.delete(`${getOllamaApiRoot(baseUrl)}|${modelName}`);
+};
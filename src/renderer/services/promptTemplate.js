@@ -0,0 +1,40 @@
+// A variable is written {{name}}, spaces around the name are ignored
+const VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/**
+ * Get the variables of a prompt template
+ * @param {string} content Template content
+ * @returns {Array<string>} Variable names in order of first use, without duplicates
+ */
+export const extractVariables = (content) => {
+  const names = [];
+  for (const match of (content || "").matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+};
+
+/**
+ * Fill the variables of a prompt template
+ * @param {string} content Template content
+ * @param {Object} values Variable values by name, missing ones become empty
+ * @returns {string} Filled prompt
+ */
+export const fillTemplate = (content, values = {}) =>
+  (content || "").replace(VARIABLE_PATTERN, (_, name) => values[name] ?? "");
+
+/**
+ * Check whether a prompt matches a search text
+ * @param {Object} prompt Prompt with title, category and content
+ * @param {string} search Search text, matched case-insensitively
+ * @returns {boolean} Whether the prompt matches
+ */
+export const matchPrompt = (prompt, search) => {
+  const text = (search || "").trim().toLowerCase();
+  if (!text) return true;
+  return [prompt.title, prompt.category, prompt.content].some((field) =>
+    (field || "").toLowerCase().includes(text)
+  );
+};
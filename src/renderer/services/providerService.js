@@ -25,7 +25,7 @@ export const getAllProviders = () => {
     const savedConfig = savedProviderConfigs[provider.id];
     if (savedConfig) {
   // Use saved configuration if available
-      provider.apiKey = savedConfig.apiKey || "";
+      provider.apiKeyRef = savedConfig.apiKeyRef || null;
       provider.baseUrl = savedConfig.baseUrl || "";
       provider.enabled =
         savedConfig.enabled !== undefined ? savedConfig.enabled : false;
@@ -53,8 +53,9 @@ export const getAllProviders = () => {
             (m) => m.id === savedModel.id
           );
           if (!existingModel) {
+            // Pricing and discovered metadata are kept with the saved model
             provider.models.push({
-              id: savedModel.id,
+              ...savedModel,
               name: savedModel.name || savedModel.id,
               enabled:
                 savedModel.enabled !== undefined ? savedModel.enabled : true,
@@ -81,7 +82,7 @@ export const getAllProviders = () => {
         id: providerId,
         name: providerConfig.name,
         baseUrl: providerConfig.baseUrl,
-        apiKey: providerConfig.apiKey,
+        apiKeyRef: providerConfig.apiKeyRef || null,
         models: (providerConfig.models || []).map((model) => ({
           ...model,
           deleted: model.deleted === true,
@@ -392,6 +393,92 @@ export const addModel = (providerId, modelData) => {
   }
 };
 
+/**
+ * Add or enable several models at once, the config is saved once
+ * Models the provider already has are enabled, deleted system models come back
+ * @param {string} providerId Provider ID
+ * @param {Array} models Models with id and name, and the discovered types as type
+ * @returns {Object} Result with the number of added and enabled models
+ */
+export const addModels = (providerId, models) => {
+  try {
+    const providersConfig = getProvidersConfig();
+    const providerConfig = providersConfig[providerId];
+
+    if (!providerConfig) {
+      return {
+        success: false,
+        message: i18n.t("settings.providerNotFound"),
+      };
+    }
+
+    // Ensure models array exists
+    if (!providerConfig.models) {
+      providerConfig.models = [];
+    }
+
+    let added = 0;
+    let enabled = 0;
+    models.forEach((model) => {
+      const savedModel = providerConfig.models.find((m) => m.id === model.id);
+      if (!savedModel) {
+        providerConfig.models.push({
+          id: model.id,
+          name: model.name || model.id,
+          ...(model.type && { type: model.type }),
+          enabled: true,
+        });
+        added++;
+      } else if (savedModel.enabled === false || savedModel.deleted) {
+        savedModel.enabled = true;
+        savedModel.deleted = false;
+        enabled++;
+      }
+    });
+
+    // Save configuration
+    const success = saveProviderConfig(providersConfig);
+
+    return {
+      success,
+      added,
+      enabled,
+      message: success
+        ? i18n.t("settings.addModelSuccess")
+        : i18n.t("settings.addModelFailed"),
+    };
+  } catch (error) {
+    console.error("Failed to add models:", error);
+    return { success: false, message: error.message };
+  }
+};
+
+/**
+ * Get the models last discovered at a provider
+ * @param {string} providerId Provider ID
+ * @returns {Object|null} Catalog { fetchedAt, models, newModelIds }, null when never fetched
+ */
+export const getModelCatalog = (providerId) => {
+  const providerConfig = getProvidersConfig()[providerId];
+  return providerConfig?.modelCatalog || null;
+};
+
+/**
+ * Save the models discovered at a provider
+ * @param {string} providerId Provider ID
+ * @param {Object} catalog Catalog { fetchedAt, models, newModelIds }
+ * @returns {boolean} Whether save was successful
+ */
+export const saveModelCatalog = (providerId, catalog) => {
+  const providersConfig = getProvidersConfig();
+  if (!providersConfig[providerId]) {
+    return false;
+  }
+
+  providersConfig[providerId].modelCatalog = catalog;
+  return saveProviderConfig(providersConfig);
+};
+
 /**
  * Edit model
  * @param {string} providerId Provider ID
@@ -522,6 +609,7 @@ export const deleteModel = (providerId, modelId) => {
 };
 
 // Initialize system provider configuration
+// Called at app startup once the saved config has been loaded from the database
 export const initializeProviders = () => {
   if (typeof window !== "undefined") {
     // Get currently saved provider configuration
@@ -570,9 +658,6 @@ export const initializeProviders = () => {
   }
 };
 
-// Initialize provider configuration
-initializeProviders();
-
 // Export unified service object
 export const providerService = {
   // Provider operations
@@ -588,8 +673,11 @@ export const providerService = {
   getProviderModels,
   enableModel,
   addModel,
+  addModels,
   editModel,
   deleteModel,
+  getModelCatalog,
+  saveModelCatalog,
 
   // Configuration management
   getProvidersConfig,
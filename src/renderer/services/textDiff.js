@@ -0,0 +1,64 @@
+// Largest number of line pairs compared, bigger texts are shown as replaced entirely
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Compare two texts line by line
+ * Uses the longest common subsequence of lines, so unchanged lines stay in place
+ * @param {string} oldText Earlier text
+ * @param {string} newText Later text
+ * @returns {Array} Parts in order, each { type: "equal" | "added" | "removed", text }
+ */
+export const diffLines = (oldText, newText) => {
+  const oldLines = (oldText || "").split("\n");
+  const newLines = (newText || "").split("\n");
+
+  if (oldLines.length * newLines.length > MAX_DIFF_CELLS) {
+    return [
+      { type: "removed", text: oldText || "" },
+      { type: "added", text: newText || "" },
+    ];
+  }
+
+  // lengths[i][j] is the LCS length of oldLines from i and newLines from j
+  const lengths = Array.from(
+    { length: oldLines.length + 1 },
+    () => new Uint32Array(newLines.length + 1)
+  );
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        oldLines[i] === newLines[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  // Consecutive lines of the same type are joined into one part
+  const push = (type, line) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) {
+      last.text += "\n" + line;
+    } else {
+      parts.push({ type, text: line });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      push("equal", oldLines[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push("removed", oldLines[i++]);
+    } else {
+      push("added", newLines[j++]);
+    }
+  }
+  while (i < oldLines.length) push("removed", oldLines[i++]);
+  while (j < newLines.length) push("added", newLines[j++]);
+
+  return parts;
+};
@@ -0,0 +1,258 @@
+import { createRequire } from "module";
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+
+// The main process is CommonJS, load it the way Electron does
+const require = createRequire(import.meta.url);
+const ChatDatabase = require("../../src/main/database.js");
+const migrations = require("../../src/main/migrations.js");
+
+// Promise resolved from outside, to hold a transaction open
+const createDeferred = () => {
+  let resolve;
+  const promise = new Promise((r) => (resolve = r));
+  return { promise, resolve };
+};
+
+const countSessions = async (db, name) =>
+  (
+    await db.get("SELECT COUNT(*) AS count FROM chat_session WHERE name = ?", [
+      name,
+    ])
+  ).count;
+
+describe("ChatDatabase", () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new ChatDatabase({ filename: ":memory:" });
+    await db.ready;
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  describe("migrations", () => {
+    it("applies every migration to a fresh database", async () => {
+      const applied = await db.all(
+        "SELECT version FROM schema_version ORDER BY version"
+      );
+      expect(applied.map((row) => row.version)).toEqual(
+        migrations.map((migration) => migration.version)
+      );
+      expect(await db.getSchemaVersion()).toBe(
+        migrations[migrations.length - 1].version
+      );
+    });
+
+    it("links existing messages to the previous one of their session", async () => {
+      const backfill = migrations
+        .find((migration) => migration.version === 3)
+        .up.find((sql) => sql.startsWith("UPDATE chat_message"));
+      const insert = (sessionId, content, createdAt) =>
+        db.run(
+          "INSERT INTO chat_message (sessionId, role, providerId, modelId, content, createdAt) VALUES (?, 'user', '', '', ?, ?)",
+          [sessionId, content, createdAt]
+        );
+
+      const first = await db.createSession("First");
+      const second = await db.createSession("Second");
+      await insert(first.id, "a2", 2);
+      await insert(second.id, "b1", 1);
+      await insert(first.id, "a1", 1);
+      await insert(first.id, "a3", 2);
+      await db.exec(backfill);
+
+      const rows = await db.all(
+        "SELECT m.content, p.content AS parent FROM chat_message m LEFT JOIN chat_message p ON p.id = m.parentId ORDER BY m.content"
+      );
+      expect(rows).toEqual([
+        { content: "a1", parent: null },
+        { content: "a2", parent: "a1" },
+        { content: "a3", parent: "a2" },
+        { content: "b1", parent: null },
+      ]);
+    });
+
+    it("creates a default session", async () => {
+      const sessions = await db.all("SELECT name FROM chat_session");
+      expect(sessions).toEqual([{ name: "New Chat" }]);
+    });
+  });
+
+  describe("transaction", () => {
+    it("commits what the callback wrote and returns its value", async () => {
+      const value = await db.transaction(async (tx) => {
+        await tx.run("INSERT INTO chat_session (name) VALUES (?)", [
+          "committed",
+        ]);
+        return "done";
+      });
+
+      expect(value).toBe("done");
+      expect(await countSessions(db, "committed")).toBe(1);
+    });
+
+    it("rolls back when the callback throws", async () => {
+      await expect(
+        db.transaction(async (tx) => {
+          await tx.run("INSERT INTO chat_session (name) VALUES (?)", [
+            "rolled back",
+          ]);
+          throw new Error("failed");
+        })
+      ).rejects.toThrow("failed");
+
+      expect(await countSessions(db, "rolled back")).toBe(0);
+      // The connection is usable again
+      await db.transaction((tx) =>
+        tx.run("INSERT INTO chat_session (name) VALUES (?)", ["after"])
+      );
+      expect(await countSessions(db, "after")).toBe(1);
+    });
+
+    it("keeps statements issued outside out of an open transaction", async () => {
+      const open = createDeferred();
+      const release = createDeferred();
+      const order = [];
+
+      const transaction = db.transaction(async (tx) => {
+        await tx.run("INSERT INTO chat_session (name) VALUES (?)", ["inside"]);
+        open.resolve();
+        await release.promise;
+        order.push("transaction");
+        throw new Error("failed");
+      });
+      await open.promise;
+
+      // Issued while the transaction waits, it has to wait for the transaction too
+      const outsideRun = db
+        .run("INSERT INTO chat_session (name) VALUES (?)", ["outside"])
+        .then(() => order.push("run"));
+      const outsideGet = db
+        .get("SELECT COUNT(*) AS count FROM chat_session WHERE name = ?", [
+          "inside",
+        ])
+        .then((row) => {
+          order.push("get");
+          return row.count;
+        });
+
+      release.resolve();
+      await expect(transaction).rejects.toThrow("failed");
+      const [, insideCount] = await Promise.all([outsideRun, outsideGet]);
+
+      expect(order).toEqual(["transaction", "run", "get"]);
+      // The rolled back row was never visible, the outside row survived the rollback
+      expect(insideCount).toBe(0);
+      expect(await countSessions(db, "outside")).toBe(1);
+    });
+
+    it("waits for statements issued before it", async () => {
+      const outsideRun = db.run("INSERT INTO chat_session (name) VALUES (?)", [
+        "before",
+      ]);
+      const seen = await db.transaction((tx) =>
+        tx.get("SELECT COUNT(*) AS count FROM chat_session WHERE name = ?", [
+          "before",
+        ])
+      );
+
+      await outsideRun;
+      expect(seen.count).toBe(1);
+    });
+
+    it("runs queued transactions one at a time", async () => {
+      const order = [];
+      const first = db.transaction(async (tx) => {
+        order.push("first start");
+        await tx.run("INSERT INTO chat_session (name) VALUES (?)", ["first"]);
+        order.push("first end");
+      });
+      const second = db.transaction(async (tx) => {
+        order.push("second start");
+        await tx.run("INSERT INTO chat_session (name) VALUES (?)", ["second"]);
+        order.push("second end");
+      });
+
+      await Promise.all([first, second]);
+      expect(order).toEqual([
+        "first start",
+        "first end",
+        "second start",
+        "second end",
+      ]);
+    });
+  });
+
+  describe("trash", () => {
+    const addMessage = (sessionId, content) =>
+      db.addMessage({
+        sessionId,
+        role: "user",
+        providerId: "openai",
+        modelId: "gpt-4o",
+        content,
+        status: "success",
+      });
+
+    const messageContents = async (sessionId) =>
+      (await db.getMessages(sessionId)).map((msg) => msg.content);
+
+    it("restores a trashed session with its messages", async () => {
+      const session = await db.createSession("Trashed");
+      await addMessage(session.id, "kept");
+
+      await db.deleteSession(session.id);
+      expect((await db.getSessionById(session.id)).deletedAt).not.toBeNull();
+      await db.restoreSession(session.id);
+
+      expect((await db.getSessionById(session.id)).deletedAt).toBeNull();
+      expect(await messageContents(session.id)).toEqual(["kept"]);
+    });
+
+    it("keeps messages cleared before the session was trashed", async () => {
+      const session = await db.createSession("Cleared");
+      await addMessage(session.id, "cleared");
+      await db.deleteMessages(session.id);
+      await addMessage(session.id, "kept");
+
+      // Trashed later than the clear
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      await db.deleteSession(session.id);
+      await db.restoreSession(session.id);
+
+      expect(await messageContents(session.id)).toEqual(["kept"]);
+    });
+  });
+
+  describe("statement cache", () => {
+    it("reuses the prepared statement of the same SQL", async () => {
+      const sql = "SELECT COUNT(*) AS count FROM chat_session WHERE name = ?";
+      await db.get(sql, ["a"]);
+      const statement = db.statements.get(sql);
+
+      await db.get(sql, ["b"]);
+      expect(db.statements.get(sql)).toBe(statement);
+    });
+
+    it("evicts the oldest statements beyond the cache size", async () => {
+      const sqls = Array.from(
+        { length: 101 },
+        (_, i) => `SELECT ${i} AS value`
+      );
+      const firstSql = sqls[0];
+
+      for (const sql of sqls) {
+        await db.get(sql);
+      }
+
+      expect(db.statements.size).toBe(100);
+      expect(db.statements.has(firstSql)).toBe(false);
+      expect(db.statements.has(sqls[sqls.length - 1])).toBe(true);
+      // An evicted statement is prepared again when it is used
+      expect(await db.get(firstSql)).toEqual({ value: 0 });
+      expect(db.statements.has(firstSql)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,295 @@
+import { createServer } from "http";
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  vi,
+} from "vitest";
+
+// The model list reads the preload API when it is imported
+vi.hoisted(() => vi.stubGlobal("window", { electronAPI: {} }));
+
+import anthropicAdapter from "../../src/renderer/services/llm/adapters/anthropicAdapter.js";
+
+// Local Messages API server, streaming the events set by each test
+let server;
+let baseUrl;
+let requests;
+let replyEvents;
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      requests.push({
+        url: req.url,
+        headers: req.headers,
+        body: JSON.parse(raw),
+      });
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      for (const event of replyEvents) {
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      }
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+  replyEvents = [];
+});
+
+const provider = () => ({ name: "Anthropic", baseUrl, apiKey: "test-key" });
+
+const weatherTool = {
+  name: "get_weather",
+  description: "Get the weather of a city",
+  input_schema: {
+    type: "object",
+    properties: { city: { type: "string" } },
+  },
+};
+
+// Events of a reply that thinks and then calls the weather tool
+const toolReplyEvents = [
+  {
+    type: "message_start",
+    message: { usage: { input_tokens: 12, output_tokens: 1 } },
+  },
+  {
+    type: "content_block_start",
+    index: 0,
+    content_block: { type: "thinking", thinking: "", signature: "" },
+  },
+  {
+    type: "content_block_delta",
+    index: 0,
+    delta: { type: "thinking_delta", thinking: "The user wants " },
+  },
+  {
+    type: "content_block_delta",
+    index: 0,
+    delta: { type: "thinking_delta", thinking: "the weather." },
+  },
+  {
+    type: "content_block_delta",
+    index: 0,
+    delta: { type: "signature_delta", signature: "sig-1" },
+  },
+  { type: "content_block_stop", index: 0 },
+  {
+    type: "content_block_start",
+    index: 1,
+    content_block: { type: "text", text: "" },
+  },
+  {
+    type: "content_block_delta",
+    index: 1,
+    delta: { type: "text_delta", text: "Let me check." },
+  },
+  { type: "content_block_stop", index: 1 },
+  {
+    type: "content_block_start",
+    index: 2,
+    content_block: {
+      type: "tool_use",
+      id: "toolu_1",
+      name: "get_weather",
+      input: {},
+    },
+  },
+  {
+    type: "content_block_delta",
+    index: 2,
+    delta: { type: "input_json_delta", partial_json: '{"city":' },
+  },
+  {
+    type: "content_block_delta",
+    index: 2,
+    delta: { type: "input_json_delta", partial_json: ' "Paris"}' },
+  },
+  { type: "content_block_stop", index: 2 },
+  {
+    type: "message_delta",
+    delta: { stop_reason: "tool_use" },
+    usage: { output_tokens: 30 },
+  },
+  { type: "message_stop" },
+];
+
+describe("anthropicAdapter", () => {
+  it("sends the key, version and system prompt the Messages API expects", async () => {
+    replyEvents = [
+      {
+        type: "content_block_start",
+        index: 0,
+        content_block: { type: "text", text: "" },
+      },
+      {
+        type: "content_block_delta",
+        index: 0,
+        delta: { type: "text_delta", text: "Hi" },
+      },
+      { type: "content_block_stop", index: 0 },
+    ];
+
+    const result = await anthropicAdapter(
+      [
+        { role: "system", content: "Be brief." },
+        { role: "user", content: "Hello" },
+      ],
+      { ...provider(), baseUrl: `${baseUrl}/v1/` },
+      { id: "claude-3-5-haiku-20241022" },
+      () => {}
+    );
+
+    expect(requests).toHaveLength(1);
+    const { url, headers, body } = requests[0];
+    expect(url).toBe("/v1/messages");
+    expect(headers["x-api-key"]).toBe("test-key");
+    expect(headers["anthropic-version"]).toBe("2023-06-01");
+    expect(headers.authorization).toBeUndefined();
+    expect(body.system).toBe("Be brief.");
+    expect(body.messages).toEqual([
+      { role: "user", content: [{ type: "text", text: "Hello" }] },
+    ]);
+    expect(body.stream).toBe(true);
+    expect(result.content).toBe("Hi");
+  });
+
+  it("streams thinking and tool input into the reply", async () => {
+    replyEvents = toolReplyEvents;
+    const progress = [];
+
+    const result = await anthropicAdapter(
+      [{ role: "user", content: "Weather in Paris?" }],
+      provider(),
+      { id: "claude-3-7-sonnet-20250219" },
+      (update) => progress.push(structuredClone(update)),
+      null,
+      { tools: [weatherTool] }
+    );
+
+    const { body } = requests[0];
+    expect(body.thinking).toEqual({ type: "enabled", budget_tokens: 4096 });
+    expect(body).not.toHaveProperty("temperature");
+    expect(body.tools).toEqual([weatherTool]);
+
+    expect(result.reasoning_content).toBe("The user wants the weather.");
+    expect(result.thinkingBlocks).toEqual([
+      {
+        type: "thinking",
+        thinking: "The user wants the weather.",
+        signature: "sig-1",
+      },
+    ]);
+    expect(result.content).toBe("Let me check.");
+    expect(result.toolCalls).toEqual([
+      {
+        id: "toolu_1",
+        type: "function",
+        function: { name: "get_weather", arguments: '{"city": "Paris"}' },
+      },
+    ]);
+    expect(result.usage).toMatchObject({
+      promptTokens: 12,
+      completionTokens: 30,
+    });
+
+    // Progress is reported while the tool input is still partial
+    expect(
+      progress.some(
+        (update) => update.toolCalls[0]?.function.arguments === '{"city":'
+      )
+    ).toBe(true);
+  });
+
+  it("sends tool calls and their results back as content blocks", async () => {
+    replyEvents = toolReplyEvents;
+    const first = await anthropicAdapter(
+      [{ role: "user", content: "Weather in Paris?" }],
+      provider(),
+      { id: "claude-3-7-sonnet-20250219" },
+      () => {},
+      null,
+      { tools: [weatherTool] }
+    );
+
+    replyEvents = [];
+    await anthropicAdapter(
+      [
+        { role: "user", content: "Weather in Paris?" },
+        {
+          role: "assistant",
+          content: first.content,
+          tool_calls: first.toolCalls,
+          thinking_blocks: first.thinkingBlocks,
+        },
+        { role: "tool", tool_call_id: "toolu_1", content: { temp: 21 } },
+      ],
+      provider(),
+      { id: "claude-3-7-sonnet-20250219" },
+      () => {},
+      null,
+      { tools: [weatherTool] }
+    );
+
+    expect(requests[1].body.messages).toEqual([
+      { role: "user", content: [{ type: "text", text: "Weather in Paris?" }] },
+      {
+        role: "assistant",
+        content: [
+          {
+            type: "thinking",
+            thinking: "The user wants the weather.",
+            signature: "sig-1",
+          },
+          { type: "text", text: "Let me check." },
+          {
+            type: "tool_use",
+            id: "toolu_1",
+            name: "get_weather",
+            input: { city: "Paris" },
+          },
+        ],
+      },
+      {
+        role: "user",
+        content: [
+          {
+            type: "tool_result",
+            tool_use_id: "toolu_1",
+            content: '{"temp":21}',
+          },
+        ],
+      },
+    ]);
+  });
+
+  it("reports errors sent in the stream", async () => {
+    replyEvents = [
+      {
+        type: "error",
+        error: { type: "overloaded_error", message: "Overloaded" },
+      },
+    ];
+
+    await expect(
+      anthropicAdapter(
+        [{ role: "user", content: "Hello" }],
+        provider(),
+        { id: "claude-3-5-haiku-20241022" },
+        () => {}
+      )
+    ).rejects.toThrow("Anthropic API error: Overloaded");
+  });
+});
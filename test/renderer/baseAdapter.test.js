@@ -0,0 +1,128 @@
+import { createServer } from "http";
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
+import { baseOpenAICompatibleAdapter } from "../../src/renderer/services/llm/adapters/baseAdapter.js";
+
+// Local OpenAI compatible server, rejecting stream_options when asked to
+// and models it doesn't know
+let server;
+let baseUrl;
+let rejectStreamOptions;
+let requests;
+
+const reply = (res, body) => {
+  if (!body.stream) {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ choices: [{ message: { content: "Hello" } }] }));
+    return;
+  }
+
+  res.writeHead(200, { "Content-Type": "text/event-stream" });
+  res.write(
+    `data: ${JSON.stringify({ choices: [{ delta: { content: "Hello" } }] })}\n\n`
+  );
+  if (body.stream_options) {
+    res.write(
+      `data: ${JSON.stringify({
+        choices: [],
+        usage: { prompt_tokens: 3, completion_tokens: 1 },
+      })}\n\n`
+    );
+  }
+  res.end("data: [DONE]\n\n");
+};
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      const body = JSON.parse(raw);
+      requests.push(body);
+      if (rejectStreamOptions && body.stream_options) {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(
+          JSON.stringify({ error: { message: "Unknown field stream_options" } })
+        );
+        return;
+      }
+      if (body.model === "unknown") {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(
+          JSON.stringify({ error: { message: "Model unknown does not exist" } })
+        );
+        return;
+      }
+      reply(res, body);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  rejectStreamOptions = false;
+  requests = [];
+});
+
+const provider = () => ({ name: "Test", baseUrl, apiKey: "key" });
+
+describe("baseOpenAICompatibleAdapter", () => {
+  it("asks for the usage of streamed replies", async () => {
+    const result = await baseOpenAICompatibleAdapter(
+      [{ role: "user", content: "Hi" }],
+      provider(),
+      { id: "model" },
+      () => {}
+    );
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].stream_options).toEqual({ include_usage: true });
+    expect(result.content).toBe("Hello");
+    expect(result.usage).toMatchObject({
+      promptTokens: 3,
+      completionTokens: 1,
+    });
+  });
+
+  it("retries without stream_options when the server rejects it", async () => {
+    rejectStreamOptions = true;
+    const result = await baseOpenAICompatibleAdapter(
+      [{ role: "user", content: "Hi" }],
+      provider(),
+      { id: "model" },
+      () => {}
+    );
+
+    expect(requests).toHaveLength(2);
+    expect(requests[1]).not.toHaveProperty("stream_options");
+    expect(result.content).toBe("Hello");
+  });
+
+  it("doesn't send stream_options without streaming", async () => {
+    const result = await baseOpenAICompatibleAdapter(
+      [{ role: "user", content: "Hi" }],
+      provider(),
+      { id: "model" }
+    );
+
+    expect(result.content).toBe("Hello");
+    expect(requests).toHaveLength(1);
+    expect(requests[0]).not.toHaveProperty("stream_options");
+  });
+
+  it("reports other bad requests without retrying", async () => {
+    await expect(
+      baseOpenAICompatibleAdapter(
+        [{ role: "user", content: "Hi" }],
+        provider(),
+        { id: "unknown" },
+        () => {}
+      )
+    ).rejects.toThrow("Test API error: Model unknown does not exist");
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].stream_options).toEqual({ include_usage: true });
+  });
+});
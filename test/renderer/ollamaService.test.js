@@ -0,0 +1,62 @@
+import { createServer } from "http";
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
+import {
+  listOllamaModels,
+  getOllamaModelInfo,
+} from "../../src/renderer/services/ollamaService.js";
+
+// Local Ollama server recording the requests it gets
+let server;
+let baseUrl;
+let requests;
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    res.writeHead(200, { "Content-Type": "application/json" });
+    if (req.url === "/api/tags") {
+      res.end(JSON.stringify({ models: [{ name: "qwen3:8b", size: 1 }] }));
+    } else {
+      res.end(
+        JSON.stringify({
+          details: { family: "qwen3" },
+          capabilities: ["completion", "thinking"],
+        })
+      );
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+});
+
+describe("ollamaService", () => {
+  it("sends no Authorization header without a key", async () => {
+    const models = await listOllamaModels(`${baseUrl}/v1`);
+
+    expect(models).toEqual([{ name: "qwen3:8b", size: 1 }]);
+    expect(requests[0].url).toBe("/api/tags");
+    expect(requests[0].headers["content-type"]).toBe("application/json");
+    expect(requests[0].headers.authorization).toBeUndefined();
+  });
+
+  it("sends the provider key of a server behind a proxy", async () => {
+    await listOllamaModels(baseUrl, "secret");
+    const info = await getOllamaModelInfo(baseUrl, "qwen3:8b", "secret");
+
+    expect(info.capabilities).toContain("thinking");
+    expect(requests.map((request) => request.url)).toEqual([
+      "/api/tags",
+      "/api/show",
+    ]);
+    for (const request of requests) {
+      expect(request.headers["content-type"]).toBe("application/json");
+      expect(request.headers.authorization).toBe("Bearer secret");
+    }
+  });
+});
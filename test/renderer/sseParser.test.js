@@ -0,0 +1,190 @@
+import { describe, it, expect } from "vitest";
+import {
+  createSSEParser,
+  readSSEEvents,
+} from "../../src/renderer/services/llm/utils/sseParser.js";
+
+// Feed text to a new parser one character at a time
+const parseByCharacter = (text) => {
+  const events = [];
+  const parser = createSSEParser((event) => events.push(event));
+  for (const char of text) {
+    parser.feed(char);
+  }
+  parser.end();
+  return events;
+};
+
+// Response body sending the UTF-8 bytes of text one byte per chunk
+const byteStream = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let index = 0;
+  return new ReadableStream({
+    pull(controller) {
+      if (index < bytes.length) {
+        controller.enqueue(bytes.slice(index, index + 1));
+        index++;
+      } else {
+        controller.close();
+      }
+    },
+  });
+};
+
+const readByByte = async (text) => {
+  const events = [];
+  await readSSEEvents(byteStream(text), (event) => events.push(event));
+  return events;
+};
+
+const message = (data, id = "") => ({ event: "message", data, id });
+
+describe("createSSEParser", () => {
+  it("joins events split across chunks", () => {
+    const events = [];
+    const parser = createSSEParser((event) => events.push(event));
+    parser.feed('data: {"a"');
+    parser.feed(":1}\n");
+    expect(events).toEqual([]);
+    parser.feed("\ndata: second\n\n");
+
+    expect(events).toEqual([message('{"a":1}'), message("second")]);
+  });
+
+  it("splits lines on CRLF, LF and lone CR", () => {
+    expect(
+      parseByCharacter("data: a\r\n\r\ndata: b\n\ndata: c\r\rdata: d\r\n\n")
+    ).toEqual([message("a"), message("b"), message("c"), message("d")]);
+  });
+
+  it("treats a CRLF split across chunks as one line ending", () => {
+    const events = [];
+    const parser = createSSEParser((event) => events.push(event));
+    parser.feed("data: a\r");
+    parser.feed("\ndata: b\r");
+    parser.feed("\n\r");
+    parser.feed("\n");
+
+    expect(events).toEqual([message("a\nb")]);
+  });
+
+  it("ends a line at a lone CR at the end of a chunk", () => {
+    const events = [];
+    const parser = createSSEParser((event) => events.push(event));
+    parser.feed("data: a\r");
+    parser.feed("\r");
+
+    expect(events).toEqual([message("a")]);
+  });
+
+  it("joins the data lines of an event with newlines", () => {
+    expect(
+      parseByCharacter("data: line 1\ndata:line 2\ndata\ndata:  indented\n\n")
+    ).toEqual([message("line 1\nline 2\n\n indented")]);
+  });
+
+  it("ignores comment lines and unknown fields", () => {
+    expect(
+      parseByCharacter(
+        ": keep-alive\n\n:\nretry: 1000\nfoo: bar\ndata: a\n: note\n\n"
+      )
+    ).toEqual([message("a")]);
+  });
+
+  it("reads the event and id fields", () => {
+    expect(
+      parseByCharacter(
+        "event: content_block_delta\nid: 7\ndata: a\n\ndata: b\n\nid\nevent: ping\ndata: c\n\n"
+      )
+    ).toEqual([
+      { event: "content_block_delta", data: "a", id: "7" },
+      // The id is kept for later events, the event type is not
+      { event: "message", data: "b", id: "7" },
+      { event: "ping", data: "c", id: "" },
+    ]);
+  });
+
+  it("doesn't dispatch events without data", () => {
+    expect(parseByCharacter("event: ping\n\nid: 1\n\n")).toEqual([]);
+  });
+
+  it("dispatches the last event of a stream that ends without a blank line", () => {
+    expect(parseByCharacter("data: a\n\ndata: b")).toEqual([
+      message("a"),
+      message("b"),
+    ]);
+    expect(parseByCharacter("data: a\n\ndata: b\n")).toEqual([
+      message("a"),
+      message("b"),
+    ]);
+  });
+
+  it("drops a byte order mark at the start", () => {
+    expect(parseByCharacter("\uFEFFdata: a\n\n")).toEqual([message("a")]);
+  });
+});
+
+describe("readSSEEvents", () => {
+  it("reads events sent one byte at a time", async () => {
+    const events = await readByByte(
+      'event: delta\r\ndata: {"text":"héllo 你好"}\r\n\r\n: ping\r\rdata: a\rdata: b\r\r'
+    );
+
+    expect(events).toEqual([
+      { event: "delta", data: '{"text":"héllo 你好"}', id: "" },
+      message("a\nb"),
+    ]);
+  });
+
+  it("stops at [DONE] and cancels the rest of the stream", async () => {
+    let cancelled = false;
+    const bytes = new TextEncoder().encode("data: a\n\ndata: [DONE]\n\n");
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(bytes);
+        // Left open, reading must not wait for more
+      },
+      cancel() {
+        cancelled = true;
+      },
+    });
+
+    const events = [];
+    await readSSEEvents(body, (event) => events.push(event));
+
+    expect(events).toEqual([message("a")]);
+    expect(cancelled).toBe(true);
+  });
+
+  it("ignores events after [DONE]", async () => {
+    expect(await readByByte("data: a\n\ndata: [DONE]\n\ndata: b\n\n")).toEqual([
+      message("a"),
+    ]);
+  });
+
+  it("reads the last event of a stream that ends without a blank line", async () => {
+    expect(await readByByte("data: a\n\ndata: b")).toEqual([
+      message("a"),
+      message("b"),
+    ]);
+  });
+
+  it("rethrows errors of onEvent and cancels the stream", async () => {
+    let cancelled = false;
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode("data: a\n\n"));
+      },
+      cancel() {
+        cancelled = true;
+      },
+    });
+
+    await expect(
+      readSSEEvents(body, () => {
+        throw new Error("bad event");
+      })
+    ).rejects.toThrow("bad event");
+    expect(cancelled).toBe(true);
+  });
+});